@@ -0,0 +1,178 @@
+const fs = require('fs');
+const CONFIG = require('./config');
+const Utils = require('./utils');
+const { createEmptyDatabase } = require('./database');
+
+// Data yang tidak dicatat: ringkasan yang dihitung ulang dan nomor versi penyimpanan
+const IGNORED_KEYS = ['stats'];
+const IGNORED_FIELDS = ['version'];
+
+// Field yang nilainya tidak boleh masuk log
+const REDACTED_FIELDS = ['passwordHash'];
+const REDACTED = '***';
+
+// Log audit append-only (satu baris JSON per perubahan) di CONFIG.AUDIT_FILE.
+// Setiap DataManager.commit() membandingkan database dengan potret terakhir,
+// lalu setiap record yang berubah dicatat beserta petugas, waktu, serta nilai
+// field sebelum dan sesudahnya. Catatan baru ditulis ke file setelah datanya
+// benar-benar tersimpan; perubahan yang batal disimpan ikut dibuang.
+class AuditLog {
+    // Potret database: Map key -> (Map id -> JSON) untuk daftar record, atau JSON
+    static capture(data) {
+        const snapshot = new Map();
+
+        Object.keys(data).filter(key => !IGNORED_KEYS.includes(key)).forEach(key => {
+            const value = data[key];
+            if (Array.isArray(value) && value.every(record => record && record.id)) {
+                snapshot.set(key, new Map(value.map(record => [record.id, JSON.stringify(record)])));
+            } else {
+                snapshot.set(key, JSON.stringify(value));
+            }
+        });
+
+        return snapshot;
+    }
+
+    // Jadikan isi database saat ini sebagai titik awal (setelah dimuat, direstore
+    // atau digabung dengan perubahan proses lain), tanpa mencatat apa pun
+    static reset(data) {
+        this.snapshot = this.capture(data);
+        this.pending = [];
+    }
+
+    // Catat perubahan sejak potret terakhir sebagai satu kelompok (batch)
+    static track(data, now = new Date()) {
+        if (!this.snapshot) this.snapshot = this.capture(createEmptyDatabase());
+
+        const next = this.capture(data);
+        const base = {
+            time: now.toISOString(),
+            batch: Utils.generateId(),
+            actor: this.actor,
+            source: this.source
+        };
+        const entries = [];
+
+        new Set([...this.snapshot.keys(), ...next.keys()]).forEach(key => {
+            const before = this.snapshot.get(key);
+            const after = next.get(key);
+
+            if (before instanceof Map || after instanceof Map) {
+                const beforeRecords = before instanceof Map ? before : new Map();
+                const afterRecords = after instanceof Map ? after : new Map();
+
+                new Set([...beforeRecords.keys(), ...afterRecords.keys()]).forEach(id => {
+                    if (beforeRecords.get(id) === afterRecords.get(id)) return;
+                    const entry = this.buildEntry(base, key, id, parse(beforeRecords.get(id)), parse(afterRecords.get(id)));
+                    if (entry) entries.push(entry);
+                });
+            } else if (before !== after) {
+                const entry = this.buildEntry(base, key, null, parse(before), parse(after));
+                if (entry) entries.push(entry);
+            }
+        });
+
+        this.snapshot = next;
+        this.pending.push(...entries);
+        return entries;
+    }
+
+    static buildEntry(base, entity, id, before, after) {
+        const action = before === undefined || before === null ? 'create'
+            : after === undefined || after === null ? 'delete'
+                : 'update';
+        const record = after || before;
+        const entry = { ...base, action, entity, id };
+
+        const name = isObject(record) &&
+            (record.title || record.name || record.bookTitle || record.barcode || record.username);
+        if (name) entry.name = name;
+
+        if (action === 'update' && isObject(before) && isObject(after)) {
+            const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+                .filter(field => !IGNORED_FIELDS.includes(field))
+                .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+            if (fields.length === 0) return null;
+
+            entry.before = redact(pick(before, fields));
+            entry.after = redact(pick(after, fields));
+        } else {
+            entry.before = redact(before === undefined ? null : before);
+            entry.after = redact(after === undefined ? null : after);
+        }
+
+        return entry;
+    }
+
+    // Catatan yang tidak berasal dari perbandingan record (restore, pemulihan)
+    static log(entry, now = new Date()) {
+        this.pending.push({
+            time: now.toISOString(),
+            batch: Utils.generateId(),
+            actor: this.actor,
+            source: this.source,
+            ...entry
+        });
+    }
+
+    // Tulis catatan yang tertunda ke file log; dipanggil setelah data tersimpan
+    static flush(file = CONFIG.AUDIT_FILE) {
+        if (this.pending.length === 0) return 0;
+
+        const lines = this.pending.map(entry => JSON.stringify(entry) + '\n').join('');
+        const fd = fs.openSync(file, 'a');
+
+        try {
+            fs.writeSync(fd, lines);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        const written = this.pending.length;
+        this.pending = [];
+        return written;
+    }
+
+    // Semua catatan, dari yang paling lama. Baris rusak (misal terpotong) dilewati.
+    static read(file = CONFIG.AUDIT_FILE) {
+        if (!fs.existsSync(file)) return [];
+
+        return fs.readFileSync(file, 'utf8').split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+}
+
+// Diisi oleh lapisan login (AuthService) dan titik masuk (menu, cli, api)
+AuditLog.actor = null;
+AuditLog.source = null;
+AuditLog.snapshot = null;
+AuditLog.pending = [];
+
+function parse(json) {
+    return json === undefined ? undefined : JSON.parse(json);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pick(record, fields) {
+    return Object.fromEntries(fields.map(field => [field, record[field] === undefined ? null : record[field]]));
+}
+
+function redact(value) {
+    if (!isObject(value)) return value;
+    return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) =>
+        [field, REDACTED_FIELDS.includes(field) && fieldValue ? REDACTED : fieldValue]));
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const { writeFileAtomic } = require('./storage/atomic-write');
+const { NotFoundError, ValidationError } = require('./errors');
+
+// Backup dengan rotasi, dipakai semua jenis penyimpanan
+class Backups {
+    static nextPath(now = Date.now()) {
+        // Pastikan direktori backup ada
+        if (!fs.existsSync(CONFIG.BACKUP_DIR)) {
+            fs.mkdirSync(CONFIG.BACKUP_DIR, { recursive: true });
+        }
+
+        // Rotasi backup - simpan maksimal MAX_BACKUP_FILES file backup
+        const backupFiles = fs.readdirSync(CONFIG.BACKUP_DIR)
+            .filter(f => f.startsWith('backup_') && f.endsWith('.json'))
+            .sort()
+            .reverse();
+
+        if (backupFiles.length >= CONFIG.MAX_BACKUP_FILES) {
+            for (let i = CONFIG.MAX_BACKUP_FILES - 1; i < backupFiles.length; i++) {
+                fs.unlinkSync(path.join(CONFIG.BACKUP_DIR, backupFiles[i]));
+            }
+        }
+
+        return path.join(CONFIG.BACKUP_DIR, `backup_${now}.json`);
+    }
+
+    // Salin file data lama sebelum ditimpa
+    static copyFile(file) {
+        if (!fs.existsSync(file)) return null;
+
+        const backupFile = this.nextPath();
+        fs.copyFileSync(file, backupFile);
+        return backupFile;
+    }
+
+    // Tulis isi database saat ini sebagai backup JSON
+    static writeSnapshot(data) {
+        const backupFile = this.nextPath();
+        writeFileAtomic(backupFile, JSON.stringify(data, null, 2));
+        return backupFile;
+    }
+
+    static list() {
+        if (!fs.existsSync(CONFIG.BACKUP_DIR)) return [];
+
+        return fs.readdirSync(CONFIG.BACKUP_DIR)
+            .filter(f => f.endsWith('.json'))
+            .map(f => {
+                const stats = fs.statSync(path.join(CONFIG.BACKUP_DIR, f));
+                return {
+                    name: f,
+                    size: stats.size,
+                    date: stats.mtime
+                };
+            })
+            .sort((a, b) => b.date - a.date);
+    }
+
+    static read(name) {
+        const backupPath = path.join(CONFIG.BACKUP_DIR, path.basename(name));
+        if (!fs.existsSync(backupPath)) {
+            throw new NotFoundError('BACKUP_NOT_FOUND', `File backup tidak ditemukan: ${name}`);
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(backupPath, 'utf8'));
+        } catch (error) {
+            throw new ValidationError('BACKUP_INVALID', `File backup rusak: ${error.message}`);
+        }
+    }
+
+    static cleanOld(keepDays, now = new Date()) {
+        const cutoffDate = new Date(now);
+        cutoffDate.setDate(cutoffDate.getDate() - keepDays);
+
+        const oldBackups = this.list().filter(file => file.date < cutoffDate);
+        oldBackups.forEach(file => fs.unlinkSync(path.join(CONFIG.BACKUP_DIR, file.name)));
+
+        return oldBackups.length;
+    }
+}
+
+module.exports = Backups;
@@ -0,0 +1,86 @@
+const { ValidationError } = require('./errors');
+
+// Lebar bar/spasi (dalam modul) untuk nilai Code128 0-105, lalu pola stop
+const PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232'
+];
+const STOP = '2331112';
+
+const CODE_C = 99;
+const CODE_B = 100;
+const START_B = 104;
+const START_C = 105;
+
+// Margin kosong di kiri dan kanan yang dibutuhkan scanner (dalam modul)
+const QUIET_ZONE = 10;
+
+// Nilai-nilai Code128 untuk teks ASCII yang bisa dicetak. Deretan angka
+// (minimal 4, atau seluruh teks) dipadatkan dengan set C, dua digit per simbol.
+function encode(text) {
+    const value = String(text);
+    if (!value || !/^[\x20-\x7E]+$/.test(value)) {
+        throw new ValidationError('BARCODE_INVALID', `Teks barcode hanya boleh berisi huruf, angka dan tanda baca ASCII: ${text}`);
+    }
+
+    const codes = [];
+    let set = null;
+    let i = 0;
+
+    while (i < value.length) {
+        const digits = value.slice(i).match(/^\d+/);
+        const run = digits ? digits[0].length : 0;
+        const useC = run >= 4 || (run >= 2 && run === value.length - i && set === 'C');
+
+        if (useC) {
+            const length = run - (run % 2);
+            if (set !== 'C') codes.push(set ? CODE_C : START_C);
+            set = 'C';
+            for (let j = 0; j < length; j += 2) codes.push(Number(value.slice(i + j, i + j + 2)));
+            i += length;
+            continue;
+        }
+
+        if (set !== 'B') codes.push(set ? CODE_B : START_B);
+        set = 'B';
+        codes.push(value.charCodeAt(i) - 32);
+        i++;
+    }
+
+    const checksum = codes.reduce((sum, code, index) => sum + code * Math.max(index, 1), 0) % 103;
+    return [...codes, checksum];
+}
+
+// Lebar bar dan spasi bergantian (dimulai dari bar), termasuk pola stop
+function modules(text) {
+    return (encode(text).map(code => PATTERNS[code]).join('') + STOP).split('').map(Number);
+}
+
+// Bar hitam sebagai [{ x, width }] dalam satuan modul, dihitung dari tepi quiet zone
+function bars(text) {
+    const widths = modules(text);
+    const result = [];
+    let x = QUIET_ZONE;
+
+    widths.forEach((width, index) => {
+        if (index % 2 === 0) result.push({ x, width });
+        x += width;
+    });
+
+    return { bars: result, width: x + QUIET_ZONE };
+}
+
+module.exports = {
+    encode,
+    bars,
+    QUIET_ZONE
+};
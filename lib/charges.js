@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const Utils = require('./utils');
+
+// Buku besar denda (database.charges). Setiap denda adalah satu tagihan yang
+// menunjuk ke transaksinya; pembayaran dan penghapusan denda (waive) dicatat
+// per tagihan. Angka member.fines hanya ringkasan sisa tagihan yang dihitung
+// ulang dari sini, jangan diubah langsung.
+const TYPES = {
+    overdue: 'Keterlambatan',
+    replacement: 'Penggantian buku',
+    processing_fee: 'Biaya administrasi',
+    legacy: 'Saldo denda lama'
+};
+
+const STATUSES = {
+    open: 'Belum lunas',
+    paid: 'Lunas',
+    waived: 'Dihapuskan',
+    reversed: 'Dibatalkan'
+};
+
+const RECEIPT_PREFIX = 'KW-';
+
+// Rupiah dibulatkan ke sen supaya pecahan tidak menumpuk
+function round(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function balanceOf(charge) {
+    if (charge.status === 'reversed') return 0;
+    return round(charge.amount - (charge.paid || 0) - (charge.waived || 0));
+}
+
+// Tagihan seorang anggota, yang terlama lebih dulu
+function chargesOf(data, memberId) {
+    return (data.charges || [])
+        .filter(charge => charge.memberId === memberId)
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+function openChargesOf(data, memberId) {
+    return chargesOf(data, memberId).filter(charge => charge.status === 'open');
+}
+
+function buildCharge({ member, transaction = null, type = 'overdue', amount, daysLate, id, now = new Date() }) {
+    return {
+        id: id || Utils.generateId(),
+        memberId: member.id,
+        memberName: member.name,
+        transactionId: transaction ? transaction.id : null,
+        bookId: transaction ? transaction.bookId : null,
+        bookTitle: transaction ? transaction.bookTitle : null,
+        type,
+        amount: round(amount),
+        daysLate: daysLate === undefined ? null : daysLate,
+        paid: 0,
+        waived: 0,
+        waivers: [],
+        status: 'open',
+        date: now.toISOString()
+    };
+}
+
+// Tagihan yang sisanya habis menjadi lunas hanya jika seluruhnya dibayar; jika
+// ada bagian yang dihapuskan (misal 1.000 dibayar, 9.000 dihapuskan) statusnya
+// dihapuskan, supaya laporan tidak menganggapnya dibayar penuh
+function settle(charge) {
+    if (balanceOf(charge) > 0) charge.status = 'open';
+    else charge.status = charge.waived > 0 ? 'waived' : 'paid';
+    return charge;
+}
+
+// Batalkan tagihan (misal buku yang diganti ternyata ditemukan): sisanya tidak
+// ditagih lagi, dan yang sudah dibayar dicatat untuk dikembalikan ke anggota
+function reverse(charge, { reason, by = null, now = new Date() }) {
+    const refund = round(charge.paid || 0);
+    charge.status = 'reversed';
+    charge.reversal = { reason, by, refund, date: now.toISOString() };
+    return refund;
+}
+
+function syncMember(data, member) {
+    member.fines = round(openChargesOf(data, member.id).reduce((sum, charge) => sum + balanceOf(charge), 0));
+    return member;
+}
+
+function syncMemberById(data, memberId) {
+    const member = data.members.find(m => m.id === memberId);
+    return member ? syncMember(data, member) : null;
+}
+
+function receiptNumberOf(payment) {
+    return payment.receiptNumber ? parseInt(payment.receiptNumber.slice(RECEIPT_PREFIX.length)) || 0 : 0;
+}
+
+// Nomor kuitansi berurutan: KW-000001, KW-000002, ... Kuitansi terakhir dicatat
+// di data.lastReceipt beserta ID pembayarannya. Dua proses yang mencatat pembayaran
+// bersamaan sama-sama mengubah field itu dengan isi berbeda, jadi penyimpanan yang
+// belakangan ditolak sebagai bentrok (STALE_DATA) dan nomornya tidak pernah ganda.
+function nextReceiptNumber(data, paymentId) {
+    const last = Math.max(0, receiptNumberOf(data.lastReceipt || {}), ...(data.payments || []).map(receiptNumberOf));
+    const receiptNumber = `${RECEIPT_PREFIX}${String(last + 1).padStart(6, '0')}`;
+    data.lastReceipt = { receiptNumber, paymentId };
+    return receiptNumber;
+}
+
+// Data lama hanya punya angka member.fines dan pembayaran tanpa nomor kuitansi.
+// Sisa denda lama menjadi satu tagihan "saldo denda lama" (ID tetap, supaya dua
+// proses yang meng-upgrade file yang sama tidak membuat tagihan ganda), dan
+// pembayaran lama diberi nomor kuitansi sesuai urutan tanggalnya.
+// Mengembalikan true jika ada yang diubah.
+function upgradeCharges(data, now = new Date()) {
+    if (!data.charges) data.charges = [];
+    let changed = false;
+
+    const withCharges = new Set(data.charges.map(charge => charge.memberId));
+    data.members.filter(member => !withCharges.has(member.id) && member.fines > 0).forEach(member => {
+        const id = crypto.createHash('sha1').update(`legacy:${member.id}`).digest('hex').slice(0, 8).toUpperCase();
+        data.charges.push(buildCharge({ member, type: 'legacy', amount: member.fines, id, now }));
+        changed = true;
+    });
+
+    (data.payments || [])
+        .filter(payment => !payment.receiptNumber)
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .forEach(payment => {
+            payment.receiptNumber = nextReceiptNumber(data, payment.id);
+            changed = true;
+        });
+
+    // Versi sebelumnya mencatat tagihan yang dibayar sebagian dan sisanya dihapuskan sebagai lunas
+    data.charges.filter(charge => charge.status === 'paid' && charge.waived > 0).forEach(charge => {
+        settle(charge);
+        changed = true;
+    });
+
+    data.members.forEach(member => {
+        const before = member.fines;
+        syncMember(data, member);
+        if (member.fines !== before) changed = true;
+    });
+
+    return changed;
+}
+
+module.exports = {
+    TYPES,
+    STATUSES,
+    round,
+    balanceOf,
+    chargesOf,
+    openChargesOf,
+    buildCharge,
+    settle,
+    reverse,
+    syncMember,
+    syncMemberById,
+    nextReceiptNumber,
+    upgradeCharges
+};
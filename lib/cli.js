@@ -0,0 +1,1304 @@
+const fs = require('fs');
+const CONFIG = require('./config');
+const { database } = require('./database');
+const Utils = require('./utils');
+const Charges = require('./charges');
+const Notices = require('./notices');
+const { SmtpSink } = require('./smtp');
+const DataManager = require('./data-manager');
+const BookService = require('./services/book-service');
+const MemberService = require('./services/member-service');
+const TransactionService = require('./services/transaction-service');
+const FineService = require('./services/fine-service');
+const ReportService = require('./services/report-service');
+const SettingsService = require('./services/settings-service');
+const PolicyService = require('./services/policy-service');
+const CalendarService = require('./services/calendar-service');
+const ReservationService = require('./services/reservation-service');
+const ItemService = require('./services/item-service');
+const ImportService = require('./services/import-service');
+const ExportService = require('./services/export-service');
+const LabelService = require('./services/label-service');
+const LookupService = require('./services/lookup-service');
+const AuthService = require('./services/auth-service');
+const AuditService = require('./services/audit-service');
+const NotificationService = require('./services/notification-service');
+const AuditLog = require('./audit');
+const Settings = require('./settings');
+const ApiServer = require('./server');
+const { LibraryError, NotFoundError, ConflictError, AuthenticationError } = require('./errors');
+
+// Mode perintah (non-interaktif) untuk skrip, cron dan pipeline shell
+class UsageError extends Error {}
+
+class CommandLine {
+    // Kode keluar: 0 = berhasil, 1 = operasi gagal, 2 = perintah/opsi salah
+    static async run(argv) {
+        let args;
+        try {
+            args = this.parseArgs(argv);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            return 2;
+        }
+
+        const [groupName, actionName, ...positionals] = args.positionals;
+        const { options } = args;
+
+        if (!groupName || groupName === 'help') {
+            this.printHelp();
+            return 0;
+        }
+
+        const group = this.COMMANDS[groupName];
+        if (!group) {
+            console.error(`❌ Perintah tidak dikenal: ${groupName}`);
+            this.printHelp(console.error);
+            return 2;
+        }
+
+        // Perintah tanpa subperintah (misal "serve") punya handler sendiri
+        if (group.handler) {
+            if (options.help || actionName === 'help') {
+                this.printActionHelp(group);
+                return 0;
+            }
+            return this.execute(groupName, group, options, args.positionals.slice(1));
+        }
+
+        if (!actionName || actionName === 'help') {
+            const asked = actionName === 'help' || options.help;
+            this.printGroupHelp(groupName, asked ? console.log : console.error);
+            return asked ? 0 : 2;
+        }
+
+        const action = group.actions[actionName];
+        if (!action) {
+            console.error(`❌ Subperintah tidak dikenal: ${groupName} ${actionName}`);
+            this.printGroupHelp(groupName, console.error);
+            return 2;
+        }
+
+        if (options.help) {
+            this.printActionHelp(action);
+            return 0;
+        }
+
+        return this.execute(groupName, action, options, positionals);
+    }
+
+    static async execute(groupName, action, options, positionals) {
+        DataManager.quiet = true;
+        AuditLog.source = 'cli';
+
+        try {
+            if (!this.NO_LOAD.includes(groupName)) DataManager.loadData();
+            Settings.warnings.forEach(warning => console.error(`⚠️ ${warning}`));
+            if (this.NO_LOAD.includes(groupName)) this.authorizeWithoutLoad(action, options);
+            else this.authorize(action, options);
+            await action.handler.call(this, options, positionals);
+
+            // Mode perintah selalu menyimpan hasilnya; AUTO_SAVE hanya berlaku di menu interaktif
+            if (!CONFIG.AUTO_SAVE && !this.NO_LOAD.includes(groupName)) DataManager.persist();
+            return 0;
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            if (error.code === 'DATA_CORRUPT') {
+                console.error('Pulihkan dengan: perpustakaan storage recover [--source journal|backup|empty]');
+            }
+            if (error instanceof UsageError) {
+                console.error(`Penggunaan: perpustakaan ${action.usage}`);
+                return 2;
+            }
+            return 1;
+        }
+    }
+
+    // Setelah ada akun petugas, setiap perintah dengan `permission` harus login
+    // lewat PERPUSTAKAAN_USER (atau --user) dan PERPUSTAKAAN_PASSWORD.
+    // `permission: null` berarti cukup login, tanpa hak akses khusus.
+    static authorize(action, options) {
+        if (action.permission === undefined || !AuthService.hasAccounts()) return;
+
+        const username = options.user || process.env.PERPUSTAKAAN_USER;
+        const password = process.env.PERPUSTAKAAN_PASSWORD;
+        if (!username || password === undefined) {
+            throw new AuthenticationError(
+                'LOGIN_REQUIRED',
+                'Perintah ini membutuhkan login: isi PERPUSTAKAAN_USER (atau --user) dan PERPUSTAKAAN_PASSWORD'
+            );
+        }
+
+        AuthService.login(username, password);
+        if (action.permission) AuthService.assert(action.permission);
+    }
+
+    // Perintah yang tidak memuat data (storage) tetap butuh login jika ada akun petugas.
+    // Akun dibaca dari file data, atau dari backup terbaru jika file data rusak.
+    static authorizeWithoutLoad(action, options) {
+        if (action.permission === undefined) return;
+
+        try {
+            DataManager.loadData();
+        } catch (error) {
+            if (error.code !== 'DATA_CORRUPT') throw error;
+            database.staff = DataManager.recoveryStaff();
+        }
+        this.authorize(action, options);
+    }
+
+    // Password baru dibaca dari baris pertama stdin, supaya tidak tersimpan di riwayat shell
+    static readPassword() {
+        if (process.stdin.isTTY) {
+            throw new UsageError('Kirim password lewat stdin, misal: echo "$PASSWORD_BARU" | perpustakaan ...');
+        }
+        return fs.readFileSync(0, 'utf8').split(/\r?\n/)[0];
+    }
+
+    static parseArgs(argv) {
+        const positionals = [];
+        const options = {};
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+
+            if (arg === '-h') {
+                options.help = true;
+                continue;
+            }
+
+            if (!arg.startsWith('--')) {
+                positionals.push(arg);
+                continue;
+            }
+
+            const separator = arg.indexOf('=');
+            const key = separator > -1 ? arg.slice(2, separator) : arg.slice(2);
+
+            if (separator > -1) {
+                options[key] = arg.slice(separator + 1);
+            } else if (this.BOOLEAN_OPTIONS.includes(key)) {
+                options[key] = true;
+            } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                options[key] = argv[++i];
+            } else {
+                throw new UsageError(`Opsi --${key} membutuhkan nilai`);
+            }
+        }
+
+        return { positionals, options };
+    }
+
+    static require(options, ...keys) {
+        keys.forEach(key => {
+            if (options[key] === undefined || options[key] === '') {
+                throw new UsageError(`Opsi --${key} wajib diisi`);
+            }
+        });
+    }
+
+    // Hanya kecocokan persis (ID, ISBN, barcode, judul atau nama lengkap), karena
+    // skrip tidak bisa memilih dari beberapa kandidat; lihat LookupService
+    static findMember(query) {
+        return LookupService.findMember(query);
+    }
+
+    static findBook(query) {
+        return LookupService.findBook(query);
+    }
+
+    // Pinjaman aktif dari --transaction, --item (barcode) atau --member dan --book
+    static findLoan(options) {
+        let transaction;
+
+        if (options.transaction) {
+            transaction = TransactionService.get(options.transaction);
+        } else if (options.item) {
+            const item = ItemService.find(options.item);
+            transaction = TransactionService.findActive({ bookId: item.bookId }).find(t => t.itemId === item.id);
+        } else {
+            this.require(options, 'member', 'book');
+            const member = this.findMember(options.member);
+            const book = this.findBook(options.book);
+            transaction = TransactionService.findActive({ memberId: member.id, bookId: book.id })[0];
+        }
+
+        if (!transaction) throw new NotFoundError('LOAN_NOT_FOUND', 'Tidak ada peminjaman aktif ditemukan');
+        return transaction;
+    }
+
+    static print(options, data, formatLine) {
+        if (options.json) {
+            console.log(JSON.stringify(data, null, 2));
+        } else if (Array.isArray(data)) {
+            data.forEach(item => console.log(formatLine(item)));
+        } else {
+            console.log(formatLine(data));
+        }
+    }
+
+    // Satu file SVG per lembar A4
+    static writeLabels(options, pages, summary) {
+        const files = LabelService.pageFiles(options.output, pages.length);
+        files.forEach((file, index) => fs.writeFileSync(file, pages[index]));
+        console.log(`✅ ${summary} ditulis ke ${files.join(', ')}`);
+    }
+
+    static printHelp(log = console.log) {
+        log('Penggunaan: perpustakaan [perintah] [subperintah] [opsi]');
+        log('Tanpa argumen, menu interaktif akan dijalankan.\n');
+        log('Perintah:');
+        Object.entries(this.COMMANDS).forEach(([name, group]) => {
+            log(`  ${name.padEnd(12)} ${group.description}`);
+        });
+        log('\nGunakan "perpustakaan <perintah> --help" untuk melihat subperintah.');
+        log('Setelah ada akun petugas, login lewat PERPUSTAKAAN_USER (atau --user) dan PERPUSTAKAAN_PASSWORD.');
+    }
+
+    static printGroupHelp(groupName, log = console.log) {
+        const group = this.COMMANDS[groupName];
+        log(`${group.description}\n`);
+        log('Subperintah:');
+        Object.values(group.actions).forEach(action => {
+            log(`  perpustakaan ${action.usage}`);
+            log(`      ${action.description}`);
+        });
+    }
+
+    static printActionHelp(action) {
+        console.log(`Penggunaan: perpustakaan ${action.usage}\n`);
+        console.log(action.description);
+    }
+}
+
+CommandLine.BOOLEAN_OPTIONS = ['help', 'json', 'force', 'yes', 'archive', 'dry-run', 'add-categories', 'reset'];
+
+// Nama opsi baris perintah untuk field aturan peminjaman
+CommandLine.POLICY_OPTIONS = {
+    loanDays: 'loan-days',
+    maxLoans: 'max-loans',
+    finePerDay: 'fine-per-day',
+    maxFine: 'max-fine',
+    maxRenewals: 'max-renewals'
+};
+
+// Perintah yang tidak membutuhkan database dimuat terlebih dahulu
+CommandLine.NO_LOAD = ['storage'];
+
+CommandLine.COMMANDS = {
+    book: {
+        description: 'Manajemen buku',
+        actions: {
+            add: {
+                usage: 'book add --title <judul> [--author <penulis>] [--isbn <isbn>] [--category <kategori>] ' +
+                    '[--publisher <penerbit>] [--year <tahun>] [--pages <halaman>] [--copies <jumlah>] ' +
+                    '[--description <teks>] [--location <rak>] [--price <harga>] [--json]',
+                description: 'Tambah buku baru. Harga dipakai sebagai biaya penggantian jika buku hilang atau rusak.',
+                permission: 'book.edit',
+                handler(options) {
+                    this.require(options, 'title');
+                    if (options.isbn && !Utils.validateISBN(options.isbn)) {
+                        console.error('⚠️ Format ISBN tidak valid, tetapi buku akan tetap ditambahkan');
+                    }
+                    const book = BookService.create(options);
+                    this.print(options, book, b => `✅ Buku "${b.title}" ditambahkan dengan ID ${b.id}`);
+                }
+            },
+            update: {
+                usage: 'book update --book <ID/ISBN/judul> [--title <judul>] [--author <penulis>] [--isbn <isbn>] ' +
+                    '[--category <kategori>] [--publisher <penerbit>] [--year <tahun>] [--pages <halaman>] ' +
+                    '[--description <teks>] [--location <rak>] [--price <harga>] [--json]',
+                description: 'Ubah data buku; hanya opsi yang diisi yang diubah',
+                permission: 'book.edit',
+                handler(options) {
+                    this.require(options, 'book');
+                    const book = BookService.update(this.findBook(options.book).id, options);
+                    this.print(options, book, b => `✅ Buku "${b.title}" diperbarui`);
+                }
+            },
+            import: {
+                usage: 'book import --file <csv|mrc|xml> [--format csv|marc|marcxml] [--dry-run] [--add-categories] ' +
+                    '[--delimiter ,|;|tab] [--json]',
+                description: 'Import buku dari CSV, MARC21 biner atau MARCXML (format dari ekstensi file jika --format tidak diisi). ' +
+                    'Semua record diperiksa dulu; jika ada yang salah, tidak ada yang disimpan. ' +
+                    'Buku yang sudah ada (ISBN atau judul+penulis sama) mendapat tambahan eksemplar.',
+                permission: 'book.edit',
+                handler(options) {
+                    this.require(options, 'file');
+                    if (!fs.existsSync(options.file)) throw new NotFoundError('FILE_NOT_FOUND', `File tidak ditemukan: ${options.file}`);
+
+                    const content = fs.readFileSync(options.file);
+                    const format = options.format || ImportService.detectFormat(options.file, content);
+                    const delimiter = options.delimiter === 'tab' ? '\t' : options.delimiter;
+                    const { records, warnings, unit } = ImportService.read(content, { format, delimiter });
+                    const plan = ImportService.plan(records, { addCategories: options['add-categories'], warnings, unit });
+                    const result = plan.valid && !options['dry-run'] ? ImportService.apply(plan) : null;
+
+                    if (options.json) {
+                        console.log(JSON.stringify({ plan, result }, null, 2));
+                    } else {
+                        ImportService.report(plan).forEach(line => console.log(line));
+                        if (result) {
+                            console.log(`✅ ${result.created.length} buku baru ditambahkan, ${result.merged.length} digabung ke buku yang sudah ada`);
+                        } else if (plan.valid) {
+                            console.log('ℹ️ Pratinjau saja (--dry-run), tidak ada data yang diubah');
+                        }
+                    }
+                    ImportService.assertValid(plan);
+                }
+            },
+            list: {
+                usage: 'book list [--json]',
+                description: 'Tampilkan semua buku',
+                permission: 'book.view',
+                handler(options) {
+                    this.print(options, BookService.list(), b =>
+                        `${b.id}\t${b.title}\t${b.author}\t${b.category}\t${b.availableCopies}/${b.copies}`);
+                }
+            },
+            search: {
+                usage: 'book search <kueri> [--json]',
+                description: 'Cari buku (teks penuh, urut relevansi). Kueri: kata, "frasa", penulis:kata, ' +
+                    'tahun>1980, AND/OR/NOT, -kata, (kurung)',
+                permission: 'book.view',
+                handler(options, positionals) {
+                    const query = positionals.join(' ');
+                    if (!query) throw new UsageError('Kata kunci pencarian wajib diisi');
+                    this.print(options, BookService.search(query), b =>
+                        `${b.id}\t${b.title}\t${b.author}\t${b.category}\t${b.availableCopies}/${b.copies}`);
+                }
+            },
+            delete: {
+                usage: 'book delete --book <ID/ISBN/judul> --yes',
+                description: 'Hapus buku (wajib dikonfirmasi dengan --yes)',
+                permission: 'book.delete',
+                handler(options) {
+                    this.require(options, 'book');
+                    const book = this.findBook(options.book);
+                    if (!options.yes) throw new UsageError(`Tambahkan --yes untuk menghapus "${book.title}"`);
+                    BookService.remove(book.id);
+                    console.log(`✅ Buku "${book.title}" berhasil dihapus`);
+                }
+            }
+        }
+    },
+    item: {
+        description: 'Eksemplar (barcode, kondisi, status, lokasi)',
+        actions: {
+            list: {
+                usage: 'item list --book <ID/ISBN/judul> [--json]',
+                description: 'Tampilkan eksemplar sebuah buku',
+                permission: 'book.view',
+                handler(options) {
+                    this.require(options, 'book');
+                    const book = this.findBook(options.book);
+                    this.print(options, ItemService.forBook(book.id), i =>
+                        `${i.barcode}\t${i.status}${ItemService.isHeld(i) ? ' (disisihkan)' : ''}\t${i.condition}\t${i.location}`);
+                }
+            },
+            add: {
+                usage: 'item add --book <ID/ISBN/judul> [--count <jumlah>] [--barcode <barcode>] ' +
+                    '[--condition good|fair|poor|damaged] [--location <rak>] [--json]',
+                description: 'Tambah eksemplar baru (barcode dibuat otomatis jika tidak diisi)',
+                permission: 'book.edit',
+                handler(options) {
+                    this.require(options, 'book');
+                    const items = ItemService.add({
+                        bookId: this.findBook(options.book).id,
+                        count: options.count || 1,
+                        barcode: options.barcode,
+                        condition: options.condition,
+                        location: options.location
+                    });
+                    this.print(options, items, i => `✅ Eksemplar ${i.barcode} ditambahkan`);
+                }
+            },
+            edit: {
+                usage: 'item edit --item <barcode> [--status available|lost|repair|withdrawn] ' +
+                    '[--condition good|fair|poor|damaged] [--location <rak>] [--barcode <barcode baru>] [--json]',
+                description: 'Ubah status, kondisi, lokasi atau barcode eksemplar',
+                permission: 'book.edit',
+                handler(options) {
+                    this.require(options, 'item');
+                    const item = ItemService.update(ItemService.find(options.item).id, {
+                        status: options.status,
+                        condition: options.condition,
+                        location: options.location,
+                        barcode: options.barcode
+                    });
+                    this.print(options, item, i =>
+                        `✅ Eksemplar ${i.barcode}: ${ItemService.STATUSES[i.status]}, kondisi ${ItemService.CONDITIONS[i.condition]}, lokasi ${i.location || '-'}`);
+                }
+            }
+        }
+    },
+    member: {
+        description: 'Manajemen anggota',
+        actions: {
+            add: {
+                usage: 'member add --name <nama> [--email <email>] [--phone <telepon>] [--address <alamat>] [--type <jenis>] ' +
+                    '[--language id|en] [--json]',
+                description: 'Daftarkan anggota baru (jenis: student/siswa, teacher/guru, staff/staf, general/umum; ' +
+                    'bahasa pemberitahuan: id atau en)',
+                permission: 'member.edit',
+                handler(options) {
+                    this.require(options, 'name');
+                    const member = MemberService.create(options);
+                    this.print(options, member, m => `✅ Anggota "${m.name}" didaftarkan dengan ID ${m.id}`);
+                }
+            },
+            list: {
+                usage: 'member list [--json]',
+                description: 'Tampilkan semua anggota',
+                permission: 'member.view',
+                handler(options) {
+                    this.print(options, MemberService.list(), m =>
+                        `${m.id}\t${m.name}\t${PolicyService.memberTypeOf(m)}\t${m.email}\t${m.borrowedBooks.length} dipinjam\t${Utils.formatCurrency(m.fines)}\t${m.status}`);
+                }
+            },
+            edit: {
+                usage: 'member edit --member <ID/nama> [--name <nama>] [--email <email>] [--phone <telepon>] [--address <alamat>] ' +
+                    '[--type <jenis>] [--language id|en] [--json]',
+                description: 'Ubah data anggota',
+                permission: 'member.edit',
+                handler(options) {
+                    this.require(options, 'member');
+                    const member = this.findMember(options.member);
+                    MemberService.update(member.id, options);
+                    this.print(options, member, m => `✅ Data anggota "${m.name}" diperbarui`);
+                }
+            },
+            delete: {
+                usage: 'member delete --member <ID/nama> (--yes | --archive)',
+                description: 'Hapus anggota (--yes), atau arsipkan supaya tidak bisa meminjam lagi (--archive)',
+                permission: 'member.delete',
+                handler(options) {
+                    this.require(options, 'member');
+                    const member = this.findMember(options.member);
+                    
+                    if (options.archive) {
+                        MemberService.archive(member.id);
+                        console.log(`🗄️ Anggota "${member.name}" diarsipkan`);
+                        return;
+                    }
+                    
+                    if (!options.yes) throw new UsageError(`Tambahkan --yes untuk menghapus "${member.name}"`);
+                    MemberService.remove(member.id);
+                    console.log(`✅ Anggota "${member.name}" berhasil dihapus`);
+                }
+            }
+        }
+    },
+    loan: {
+        description: 'Peminjaman dan pengembalian',
+        actions: {
+            borrow: {
+                usage: 'loan borrow --member <ID/nama> (--book <ID/ISBN/judul> | --item <barcode>) [--force] [--json]',
+                description: 'Pinjam buku, atau eksemplar tertentu lewat barcode (--force untuk tetap meminjamkan ke anggota yang memiliki denda)',
+                permission: 'loan',
+                handler(options) {
+                    this.require(options, 'member');
+                    if (!options.book && !options.item) throw new UsageError('Isi --book atau --item');
+                    const member = this.findMember(options.member);
+                    const book = options.book ? this.findBook(options.book) : null;
+
+                    if (member.fines > 0 && !options.force) {
+                        throw new ConflictError(
+                            'MEMBER_HAS_FINES',
+                            `Anggota memiliki denda ${Utils.formatCurrency(member.fines)}, gunakan --force untuk melanjutkan`
+                        );
+                    }
+
+                    const { transaction } = TransactionService.borrow({
+                        memberId: member.id,
+                        bookId: book ? book.id : undefined,
+                        itemId: options.item,
+                        allowFines: true
+                    });
+                    this.print(options, transaction, t =>
+                        `✅ [${t.id}] "${t.bookTitle}" (${t.barcode}) dipinjam oleh ${t.memberName}, jatuh tempo ${Utils.formatDate(t.dueDate)}`);
+                }
+            },
+            return: {
+                usage: 'loan return (--transaction <ID> | --item <barcode> | --member <ID/nama> --book <ID/ISBN/judul>) ' +
+                    '[--condition good|fair|poor|damaged] [--json]',
+                description: 'Kembalikan buku, sekaligus catat kondisi eksemplarnya',
+                permission: 'loan',
+                handler(options) {
+                    const transaction = this.findLoan(options);
+                    const { fine, hold } = TransactionService.returnBook({
+                        transactionId: transaction.id,
+                        condition: options.condition
+                    });
+                    this.print(options, transaction, t =>
+                        `✅ [${t.id}] "${t.bookTitle}" dikembalikan oleh ${t.memberName}` +
+                        (fine > 0 ? `, denda ${Utils.formatCurrency(fine)}` : '') +
+                        (hold ? `\n📝 Sisihkan untuk ${hold.memberName} (reservasi ${hold.id}), ambil sebelum ${Utils.formatDate(hold.holdExpires)}` : ''));
+                }
+            },
+            resolve: {
+                usage: 'loan resolve (--transaction <ID> | --item <barcode> | --member <ID/nama> --book <ID/ISBN/judul>) ' +
+                    '--outcome lost|damaged|claimed_returned [--cost <biaya penggantian>] [--json]',
+                description: 'Tutup pinjaman buku yang hilang, rusak atau diklaim sudah dikembalikan. Anggota ditagih ' +
+                    'denda keterlambatan, harga buku (atau --cost) dan biaya administrasi.',
+                permission: 'loan',
+                handler(options) {
+                    this.require(options, 'outcome');
+                    const transaction = this.findLoan(options);
+                    const result = TransactionService.resolveLoan({
+                        transactionId: transaction.id,
+                        outcome: options.outcome,
+                        replacementCost: options.cost
+                    });
+                    this.print(options, result, ({ transaction: t, charges, member }) => [
+                        `✅ [${t.id}] "${t.bookTitle}" dicatat ${TransactionService.OUTCOMES[t.status].label.toLowerCase()}`,
+                        ...charges.map(c => `   ${Charges.TYPES[c.type]}: ${Utils.formatCurrency(c.amount)}`),
+                        `💰 Total denda ${member.name}: ${Utils.formatCurrency(member.fines)}`
+                    ].join('\n'));
+                }
+            },
+            found: {
+                usage: 'loan found (--transaction <ID> | --item <barcode>) [--condition good|fair|poor|damaged] [--json]',
+                description: 'Buku yang hilang atau diklaim sudah dikembalikan ditemukan: tagihan penggantian dan ' +
+                    'biaya administrasinya dibatalkan, eksemplar kembali tersedia',
+                permission: 'fine.waive',
+                handler(options) {
+                    let transactionId = options.transaction;
+                    if (!transactionId) {
+                        this.require(options, 'item');
+                        const item = ItemService.find(options.item);
+                        const missing = TransactionService.filter('all')
+                            .filter(t => t.itemId === item.id && TransactionService.FOUND_OUTCOMES.includes(t.status))
+                            .pop();
+                        if (!missing) throw new NotFoundError('LOAN_NOT_FOUND', `Eksemplar ${item.barcode} tidak tercatat hilang`);
+                        transactionId = missing.id;
+                    }
+
+                    const result = TransactionService.markFound({ transactionId, condition: options.condition });
+                    this.print(options, result, ({ transaction: t, charges, refund, hold }) => [
+                        `✅ [${t.id}] "${t.bookTitle}" ditemukan, ${charges.length} tagihan dibatalkan`,
+                        ...(refund > 0 ? [`💵 Kembalikan ${Utils.formatCurrency(refund)} yang sudah dibayar ke ${t.memberName}`] : []),
+                        ...(hold ? [`📝 Sisihkan untuk ${hold.memberName} (reservasi ${hold.id}), ambil sebelum ${Utils.formatDate(hold.holdExpires)}`] : [])
+                    ].join('\n'));
+                }
+            },
+            extend: {
+                usage: 'loan extend --transaction <ID> [--json]',
+                description: 'Perpanjang peminjaman, jatuh tempo dihitung ulang dari hari ini',
+                permission: 'loan',
+                handler(options) {
+                    this.require(options, 'transaction');
+                    const transaction = TransactionService.extendLoan({ transactionId: options.transaction });
+                    this.print(options, transaction, t =>
+                        `✅ [${t.id}] "${t.bookTitle}" diperpanjang, jatuh tempo baru ${Utils.formatDate(t.dueDate)}`);
+                }
+            },
+            list: {
+                usage: 'loan list [--status all|borrowed|returned|overdue|lost|damaged|claimed_returned] [--json]',
+                description: 'Tampilkan riwayat transaksi',
+                permission: 'loan',
+                handler(options) {
+                    const status = options.status || 'all';
+                    if (!TransactionService.FILTERS.includes(status)) {
+                        throw new UsageError(`Status tidak valid: ${status} (pilih: ${TransactionService.FILTERS.join(', ')})`);
+                    }
+                    this.print(options, TransactionService.filter(status), t =>
+                        `${t.id}\t${t.bookTitle}\t${t.memberName}\t${t.status}\t${t.dueDate}`);
+                }
+            }
+        }
+    },
+    reservation: {
+        description: 'Antrean reservasi buku',
+        actions: {
+            add: {
+                usage: 'reservation add --member <ID/nama> --book <ID/ISBN/judul> [--json]',
+                description: 'Masukkan anggota ke antrean buku yang sedang tidak tersedia',
+                permission: 'loan',
+                handler(options) {
+                    this.require(options, 'member', 'book');
+                    const reservation = ReservationService.reserve({
+                        memberId: this.findMember(options.member).id,
+                        bookId: this.findBook(options.book).id
+                    });
+                    this.print(options, reservation, r =>
+                        `✅ [${r.id}] ${r.memberName} mengantre untuk "${r.bookTitle}" (urutan ke-${ReservationService.position(r)})`);
+                }
+            },
+            list: {
+                usage: 'reservation list [--book <ID/ISBN/judul>] [--json]',
+                description: 'Tampilkan reservasi yang menunggu atau siap diambil',
+                permission: 'loan',
+                handler(options) {
+                    ReservationService.expireHolds();
+                    const book = options.book ? this.findBook(options.book) : null;
+                    const reservations = ReservationService.listOpen().filter(r => !book || r.bookId === book.id);
+                    this.print(options, reservations, r =>
+                        `${r.id}\t${r.bookTitle}\t${r.memberName}\t` +
+                        (r.status === 'ready'
+                            ? `siap diambil sampai ${Utils.formatDate(r.holdExpires)}`
+                            : `antrean ke-${ReservationService.position(r)}`));
+                }
+            },
+            cancel: {
+                usage: 'reservation cancel --reservation <ID> [--json]',
+                description: 'Batalkan reservasi; buku yang sudah disisihkan berpindah ke antrean berikutnya',
+                permission: 'loan',
+                handler(options) {
+                    this.require(options, 'reservation');
+                    const { reservation, next } = ReservationService.cancel({ reservationId: options.reservation });
+                    this.print(options, reservation, r =>
+                        `✅ Reservasi ${r.memberName} untuk "${r.bookTitle}" dibatalkan` +
+                        (next ? `\n📝 Buku disisihkan untuk ${next.memberName} (reservasi ${next.id})` : ''));
+                }
+            },
+            expire: {
+                usage: 'reservation expire [--json]',
+                description: 'Proses reservasi yang melewati batas pengambilan (cocok untuk cron)',
+                permission: 'loan',
+                handler(options) {
+                    const released = ReservationService.expireHolds().map(({ reservation, next }) => ({
+                        ...reservation,
+                        nextReservationId: next ? next.id : null
+                    }));
+                    if (released.length === 0 && !options.json) {
+                        console.log('Tidak ada reservasi yang kedaluwarsa');
+                        return;
+                    }
+                    this.print(options, released, r =>
+                        `⌛ [${r.id}] ${r.memberName} - "${r.bookTitle}" kedaluwarsa` +
+                        (r.nextReservationId ? `, pindah ke reservasi ${r.nextReservationId}` : ', buku kembali tersedia'));
+                }
+            }
+        }
+    },
+    fine: {
+        description: 'Manajemen denda',
+        actions: {
+            list: {
+                usage: 'fine list [--json]',
+                description: 'Tampilkan anggota yang memiliki denda',
+                permission: 'fine.view',
+                handler(options) {
+                    this.print(options, FineService.listMembersWithFines(), m =>
+                        `${m.id}\t${m.name}\t${Utils.formatCurrency(m.fines)}`);
+                }
+            },
+            charges: {
+                usage: 'fine charges [--member <ID/nama>] [--status open|paid|waived] [--json]',
+                description: 'Tampilkan tagihan denda per transaksi beserta sisa dan penghapusannya',
+                permission: 'fine.view',
+                handler(options) {
+                    const charges = FineService.listCharges({
+                        memberId: options.member ? this.findMember(options.member).id : undefined,
+                        status: options.status
+                    });
+                    this.print(options, charges, c =>
+                        `${c.id}\t${c.memberName}\t${Charges.TYPES[c.type]}${c.bookTitle ? `: ${c.bookTitle}` : ''}\t${Utils.formatCurrency(c.amount)}\t` +
+                        `sisa ${Utils.formatCurrency(c.balance)}\t${c.status}`);
+                }
+            },
+            pay: {
+                usage: 'fine pay --member <ID/nama> --amount <jumlah> [--charge <ID,...>] [--json]',
+                description: 'Catat pembayaran denda (tanpa --charge: tagihan terlama dibayar lebih dulu)',
+                permission: 'fine.pay',
+                handler(options) {
+                    this.require(options, 'member', 'amount');
+                    const member = this.findMember(options.member);
+                    const { payment } = FineService.pay({
+                        memberId: member.id,
+                        amount: parseFloat(options.amount),
+                        chargeIds: options.charge ? String(options.charge).split(',').map(id => id.trim()) : undefined
+                    });
+                    this.print(options, payment, p =>
+                        `✅ Pembayaran ${Utils.formatCurrency(p.amount)} dicatat (kuitansi ${p.receiptNumber}), ` +
+                        `sisa denda ${Utils.formatCurrency(p.remaining)}`);
+                }
+            },
+            waive: {
+                usage: 'fine waive --charge <ID> --reason <alasan> [--amount <jumlah>] [--json]',
+                description: 'Hapuskan denda sebuah tagihan (tanpa --amount: seluruh sisanya)',
+                permission: 'fine.waive',
+                handler(options) {
+                    this.require(options, 'charge', 'reason');
+                    const result = FineService.waive({
+                        chargeId: options.charge,
+                        reason: options.reason,
+                        amount: options.amount === undefined ? undefined : parseFloat(options.amount)
+                    });
+                    this.print(options, result.charge, () =>
+                        `✅ Denda ${Utils.formatCurrency(result.amount)} dihapuskan, sisa denda ${result.member.name} ` +
+                        `${Utils.formatCurrency(result.member.fines)}`);
+                }
+            },
+            receipt: {
+                usage: 'fine receipt --payment <ID/nomor kuitansi> [--output <file.txt>]',
+                description: 'Cetak (ulang) kuitansi pembayaran denda',
+                permission: 'fine.view',
+                handler(options) {
+                    this.require(options, 'payment');
+                    const text = FineService.receipt(options.payment);
+                    if (!options.output) {
+                        process.stdout.write(text);
+                        return;
+                    }
+                    fs.writeFileSync(options.output, text);
+                    console.log(`✅ Kuitansi ditulis ke ${options.output}`);
+                }
+            }
+        }
+    },
+    report: {
+        description: 'Laporan perpustakaan',
+        actions: {
+            stats: {
+                usage: 'report stats [--json]',
+                description: 'Statistik ringkas perpustakaan',
+                permission: 'report.view',
+                handler(options) {
+                    this.print(options, ReportService.getStatistics(), stats =>
+                        Object.entries(stats)
+                            .filter(([key]) => key !== 'topCategories')
+                            .map(([key, value]) => `${key}\t${value}`)
+                            .join('\n'));
+                }
+            },
+            books: {
+                usage: 'report books [--json]',
+                description: 'Laporan status semua buku',
+                permission: 'report.view',
+                handler(options) {
+                    this.print(options, BookService.list(), b =>
+                        `${b.id}\t${b.title}\t${b.available ? 'tersedia' : 'dipinjam'}\t${b.availableCopies}/${b.copies}`);
+                }
+            },
+            members: {
+                usage: 'report members [--json]',
+                description: 'Laporan anggota: pinjaman aktif, total peminjaman dan denda',
+                permission: 'report.view',
+                handler(options) {
+                    this.print(options, ReportService.getMembersReport(), r =>
+                        `${r.member.id}\t${r.member.name}\t${r.activeLoans} dipinjam\t${r.totalLoans} total\t${Utils.formatCurrency(r.fines)}`);
+                }
+            },
+            circulation: {
+                usage: 'report circulation [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--limit <n>] [--json]',
+                description: 'Analitik sirkulasi: judul, penulis dan anggota teratas, per kategori/bulan, ' +
+                    'lama pinjam, ketepatan waktu, eksemplar yang tidak pernah dipinjam',
+                permission: 'report.view',
+                handler(options) {
+                    const report = ReportService.getCirculationReport({ from: options.from, to: options.to, limit: options.limit });
+                    this.print(options, report, r => [
+                        `peminjaman\t${r.totalLoans}`,
+                        `dikembalikan\t${r.returnedLoans}`,
+                        `rata_rata_hari\t${r.averageLoanDays === null ? '-' : r.averageLoanDays}`,
+                        `tepat_waktu_persen\t${r.onTimeRate === null ? '-' : r.onTimeRate}`,
+                        ...r.topTitles.map(t => `judul\t${t.bookId}\t${t.title}\t${t.loans}`),
+                        ...r.topAuthors.map(a => `penulis\t${a.author}\t${a.loans}`),
+                        ...r.topMembers.map(m => `anggota\t${m.memberId}\t${m.name}\t${m.loans}`),
+                        ...r.byCategory.map(c => `kategori\t${c.category}\t${c.loans}\t${c.copies}\t${c.turnover === null ? '-' : c.turnover}`),
+                        ...r.byMonth.map(m => `bulan\t${m.month}\t${m.loans}`),
+                        ...r.neverCirculated.map(i => `tidak_dipinjam\t${i.barcode}\t${i.title}\t${i.location}`)
+                    ].join('\n'));
+                }
+            },
+            overdue: {
+                usage: 'report overdue [--json]',
+                description: 'Laporan peminjaman yang terlambat beserta perkiraan denda',
+                permission: 'report.view',
+                handler(options) {
+                    const report = ReportService.getOverdueReport().map(({ transaction, daysLate, potentialFine }) => ({
+                        ...transaction,
+                        daysLate,
+                        potentialFine
+                    }));
+                    this.print(options, report, r =>
+                        `${r.id}\t${r.bookTitle}\t${r.memberName}\t${r.daysLate} hari\t${Utils.formatCurrency(r.potentialFine)}`);
+                }
+            }
+        }
+    },
+    export: {
+        description: 'Export data ke CSV, TSV atau JSON',
+        actions: Object.fromEntries(Object.entries(ExportService.DATASETS).map(([dataset, definition]) => [dataset, {
+            usage: `export ${dataset} [--format csv|tsv|json${dataset === 'books' ? '|marcxml' : ''}] [--columns <kolom,...>]` +
+                (definition.filtered ? ` [--status ${ExportService.STATUS_FILTERS.join('|')}]` : '') + ' [--output <file>]',
+            description: `Export ${definition.label.toLowerCase()} ke stdout atau --output. ` +
+                `Kolom: ${Object.keys(definition.columns).join(', ')}`,
+            permission: 'report.view',
+            handler(options) {
+                const result = ExportService.render(dataset, {
+                    format: options.format,
+                    columns: options.columns,
+                    status: options.status
+                });
+
+                if (!options.output) {
+                    process.stdout.write(result.content);
+                    return;
+                }
+                fs.writeFileSync(options.output, result.content);
+                console.log(`✅ ${result.rows.length} baris ${definition.label.toLowerCase()} diekspor ke ${options.output}`);
+            }
+        }]))
+    },
+    label: {
+        description: 'Cetak kartu anggota dan label punggung buku (SVG A4 dengan barcode)',
+        actions: {
+            cards: {
+                usage: 'label cards --output <file.svg> [--member <ID/nama,...>] [--sheet card-10|label-24|label-65] [--skip <n>]',
+                description: 'Kartu anggota dengan nama, ID dan barcode (tanpa --member: semua anggota aktif)',
+                permission: 'member.view',
+                handler(options) {
+                    this.require(options, 'output');
+                    const members = LabelService.membersFor(
+                        options.member ? String(options.member).split(',').map(query => this.findMember(query.trim()).id) : []);
+                    this.writeLabels(options, LabelService.memberCards(members, options), `${members.length} kartu anggota`);
+                }
+            },
+            spines: {
+                usage: 'label spines --output <file.svg> [--book <ID/ISBN/judul>] [--item <barcode,...>] ' +
+                    '[--sheet label-24|label-65|card-10] [--skip <n>]',
+                description: 'Label punggung per eksemplar: judul, nomor panggil, lokasi dan barcode ' +
+                    '(tanpa --book/--item: seluruh koleksi)',
+                permission: 'book.view',
+                handler(options) {
+                    this.require(options, 'output');
+                    const items = options.item
+                        ? String(options.item).split(',').map(barcode => ItemService.find(barcode.trim()))
+                        : LabelService.itemsFor(options.book ? [this.findBook(options.book).id] : []);
+                    this.writeLabels(options, LabelService.spineLabels(items, options), `${items.length} label punggung`);
+                }
+            }
+        }
+    },
+    policy: {
+        description: 'Aturan peminjaman per jenis anggota dan kategori buku',
+        actions: {
+            list: {
+                usage: 'policy list [--json]',
+                description: 'Tampilkan aturan umum dan aturan khusus',
+                permission: 'settings.view',
+                handler(options) {
+                    const defaults = { memberType: PolicyService.ANY, category: PolicyService.ANY, ...PolicyService.defaults() };
+                    this.print(options, [defaults, ...PolicyService.list()], rule =>
+                        `${rule.memberType}\t${rule.category}\t` + Object.keys(PolicyService.FIELDS)
+                            .map(field => `${this.POLICY_OPTIONS[field]}=${rule[field] === undefined ? '-' : rule[field] === null ? 'tidak' : rule[field]}`)
+                            .join(' '));
+                }
+            },
+            set: {
+                usage: 'policy set [--member-type <jenis>] [--category <kategori>] [--loan-days <n>] [--max-loans <n>] ' +
+                    '[--fine-per-day <n>] [--max-fine <n|tidak>] [--max-renewals <n>] [--clear <field,...>] [--json]',
+                description: 'Buat atau ubah aturan; --max-loans 0 berarti tidak boleh dipinjam, --clear kembali ke aturan yang lebih umum',
+                permission: 'settings',
+                handler(options) {
+                    if (!options['member-type'] && !options.category) {
+                        throw new UsageError('Isi --member-type dan/atau --category');
+                    }
+
+                    const values = {};
+                    Object.entries(this.POLICY_OPTIONS).forEach(([field, option]) => {
+                        if (options[option] !== undefined) values[field] = options[option];
+                    });
+                    const clearFields = options.clear ? options.clear.split(',').map(name => {
+                        const field = Object.keys(this.POLICY_OPTIONS).find(f => this.POLICY_OPTIONS[f] === name.trim() || f === name.trim());
+                        if (!field) throw new UsageError(`Field aturan tidak dikenal: ${name}`);
+                        return field;
+                    }) : [];
+
+                    const rule = PolicyService.set({ memberType: options['member-type'], category: options.category, clearFields, ...values });
+                    this.print(options, rule, r => `✅ Aturan untuk ${PolicyService.describeScope(r)} disimpan`);
+                }
+            },
+            remove: {
+                usage: 'policy remove [--member-type <jenis>] [--category <kategori>]',
+                description: 'Hapus aturan khusus',
+                permission: 'settings',
+                handler(options) {
+                    const rule = PolicyService.remove({ memberType: options['member-type'], category: options.category });
+                    console.log(`✅ Aturan untuk ${PolicyService.describeScope(rule)} dihapus`);
+                }
+            },
+            show: {
+                usage: 'policy show --member <ID/nama> --book <ID/ISBN/judul> [--json]',
+                description: 'Tampilkan aturan yang berlaku untuk anggota dan buku tertentu',
+                permission: 'settings.view',
+                handler(options) {
+                    this.require(options, 'member', 'book');
+                    const { sources, ...policy } = PolicyService.forLoan(this.findMember(options.member), this.findBook(options.book));
+                    this.print(options, policy, p =>
+                        `${PolicyService.MEMBER_TYPES[p.memberType]} / ${p.category}: ${p.loanDays} hari, maks. ${p.maxLoans} buku, ` +
+                        `denda ${Utils.formatCurrency(p.finePerDay)}/hari` +
+                        (p.maxFine === null ? '' : ` (maks. ${Utils.formatCurrency(p.maxFine)})`) +
+                        `, maks. ${p.maxRenewals}x perpanjangan`);
+                }
+            }
+        }
+    },
+    calendar: {
+        description: 'Kalender perpustakaan: hari buka (pengaturan OPEN_DAYS) dan hari tutup',
+        actions: {
+            list: {
+                usage: 'calendar list [--all] [--json]',
+                description: 'Tampilkan hari tutup yang akan datang (--all: termasuk yang sudah lewat)',
+                permission: 'settings.view',
+                handler(options) {
+                    const closures = CalendarService.listClosures({ all: Boolean(options.all) });
+                    this.print(options, closures, c => `${c.id}\t${c.from}\t${c.to}\t${c.reason}`);
+                }
+            },
+            add: {
+                usage: 'calendar add --from <YYYY-MM-DD> [--to <YYYY-MM-DD>] --reason <keterangan> [--json]',
+                description: 'Tambah hari tutup (libur nasional, libur sekolah, ...); tanpa --to hanya satu hari',
+                permission: 'settings',
+                handler(options) {
+                    this.require(options, 'from', 'reason');
+                    const closure = CalendarService.addClosure({ from: options.from, to: options.to, reason: options.reason });
+                    this.print(options, closure, c => `✅ Hari tutup ${c.from}${c.to === c.from ? '' : ` s.d. ${c.to}`} ditambahkan (${c.id})`);
+                }
+            },
+            remove: {
+                usage: 'calendar remove --closure <ID>',
+                description: 'Hapus hari tutup',
+                permission: 'settings',
+                handler(options) {
+                    this.require(options, 'closure');
+                    const closure = CalendarService.removeClosure(options.closure);
+                    console.log(`✅ Hari tutup ${closure.from} (${closure.reason}) dihapus`);
+                }
+            },
+            show: {
+                usage: 'calendar show [--from <YYYY-MM-DD>] [--days <n>] [--json]',
+                description: 'Status buka/tutup per tanggal (bawaan 14 hari mulai hari ini)',
+                permission: 'settings.view',
+                handler(options) {
+                    const days = CalendarService.upcoming({
+                        from: options.from ? AuditService.parseDate(options.from) : new Date(),
+                        days: options.days === undefined ? 14 : parseInt(options.days) || 14
+                    });
+                    this.print(options, days, d =>
+                        `${d.date}\t${d.weekday}\t${d.open ? 'buka' : `tutup${d.reason ? ` (${d.reason})` : ''}`}`);
+                }
+            }
+        }
+    },
+    notice: {
+        description: 'Pemberitahuan email untuk anggota (pengingat jatuh tempo, keterlambatan, reservasi siap)',
+        actions: {
+            run: {
+                usage: 'notice run [--dry-run] [--json]',
+                description: 'Kirim semua pemberitahuan yang belum terkirim lewat SMTP; --dry-run hanya menampilkan isinya. ' +
+                    'Cocok dijalankan harian lewat cron.',
+                permission: 'loan',
+                async handler(options) {
+                    const result = await NotificationService.run({ dryRun: Boolean(options['dry-run']) });
+                    if (options.json) {
+                        console.log(JSON.stringify(result, null, 2));
+                        return;
+                    }
+
+                    result.preview.forEach(n => {
+                        console.log(`✉️ ${Notices.TYPES[n.type]} → ${n.memberName} <${n.to}> (${n.language})`);
+                        console.log(`   Subjek: ${n.subject}`);
+                        console.log(n.text.split('\n').map(line => `   ${line}`).join('\n'));
+                    });
+                    result.sent.forEach(n => console.log(`✅ ${Notices.TYPES[n.type]} terkirim ke ${n.memberName} <${n.to}>: ${n.bookTitle}`));
+                    result.failed.forEach(n => console.error(`❌ Gagal mengirim ke ${n.memberName} <${n.to}>: ${n.error}`));
+                    result.skipped.forEach(n => console.log(
+                        `⚠️ ${n.memberName} tidak punya email${n.phone ? ` (telepon ${n.phone})` : ''}: ${Notices.TYPES[n.type]} "${n.bookTitle}" tidak dikirim`));
+
+                    const total = result.preview.length + result.sent.length + result.failed.length + result.skipped.length;
+                    if (total === 0) console.log('Tidak ada pemberitahuan yang perlu dikirim');
+                    else if (!options['dry-run']) console.log(`${result.sent.length} terkirim, ${result.failed.length} gagal, ${result.skipped.length} dilewati`);
+
+                    // Kode keluar 1 supaya cron melaporkannya; yang gagal dicoba lagi di jalankan berikutnya
+                    if (result.failed.length > 0) {
+                        throw new LibraryError('NOTICES_FAILED', `${result.failed.length} pemberitahuan gagal dikirim`);
+                    }
+                }
+            },
+            log: {
+                usage: 'notice log [--member <ID/nama>] [--status sent|failed] [--limit <n>] [--json]',
+                description: 'Tampilkan riwayat pemberitahuan yang dikirim, terbaru lebih dulu',
+                permission: 'loan',
+                handler(options) {
+                    const limit = options.limit === undefined ? undefined : Number(options.limit);
+                    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+                        throw new UsageError(`Nilai --limit tidak valid: ${options.limit}`);
+                    }
+
+                    const notices = NotificationService.listLog({
+                        memberId: options.member ? this.findMember(options.member).id : undefined,
+                        status: options.status,
+                        limit
+                    });
+                    if (!options.json && notices.length === 0) console.log('Belum ada pemberitahuan');
+                    this.print(options, notices, n =>
+                        `${Utils.formatDate(n.date)}\t${Notices.STATUSES[n.status]}\t${Notices.TYPES[n.type]}\t` +
+                        `${n.memberName} <${n.to}>\t${n.bookTitle}${n.error ? `\t${n.error}` : ''}`);
+                }
+            },
+            templates: {
+                usage: 'notice templates [--json]',
+                description: 'Tampilkan semua template pemberitahuan (Indonesia dan Inggris) beserta isian yang bisa dipakai',
+                permission: 'settings.view',
+                handler(options) {
+                    this.print(options, NotificationService.listTemplates(), t => [
+                        `== ${t.type}.${t.language}: ${Notices.TYPES[t.type]} (${Notices.LANGUAGES[t.language].label})` +
+                            `${t.custom ? ', diubah' : ', bawaan'}`,
+                        `Subjek: ${t.subject}`,
+                        t.body,
+                        `Isian: ${t.placeholders.map(name => `{{${name}}}`).join(' ')}`,
+                        ''
+                    ].join('\n'));
+                }
+            },
+            template: {
+                usage: 'notice template --type courtesy|overdue|hold_ready --language id|en [--subject <teks>] ' +
+                    '[--body-file <file.txt>] [--reset] [--json]',
+                description: 'Ubah subjek dan/atau isi template (isi dibaca dari file), atau kembalikan ke bawaan dengan --reset',
+                permission: 'settings',
+                handler(options) {
+                    this.require(options, 'type', 'language');
+                    const { type, language } = options;
+                    let template;
+
+                    if (options.reset) {
+                        template = NotificationService.resetTemplate({ type, language });
+                    } else if (options.subject !== undefined || options['body-file'] !== undefined) {
+                        template = NotificationService.updateTemplate({
+                            type,
+                            language,
+                            subject: options.subject,
+                            body: options['body-file'] === undefined ? undefined : fs.readFileSync(options['body-file'], 'utf8')
+                        });
+                    } else {
+                        template = NotificationService.getTemplate(type, language);
+                    }
+
+                    this.print(options, template, t => [
+                        options.reset || options.subject !== undefined || options['body-file'] !== undefined
+                            ? `✅ Template ${t.type}.${t.language} ${t.custom ? 'disimpan' : 'dikembalikan ke bawaan'}`
+                            : `== ${t.type}.${t.language}${t.custom ? ' (diubah)' : ' (bawaan)'}`,
+                        `Subjek: ${t.subject}`,
+                        t.body
+                    ].join('\n'));
+                }
+            },
+            test: {
+                usage: 'notice test --to <email>',
+                description: 'Kirim email percobaan untuk memeriksa pengaturan SMTP_*',
+                permission: 'settings',
+                async handler(options) {
+                    this.require(options, 'to');
+                    await NotificationService.sendTest({ to: options.to });
+                    console.log(`✅ Email percobaan terkirim ke ${options.to} lewat ${CONFIG.SMTP_HOST}:${CONFIG.SMTP_PORT}`);
+                }
+            },
+            sink: {
+                usage: 'notice sink [--port <port>] [--host <alamat>] [--output <direktori>]',
+                description: 'Jalankan server SMTP tiruan untuk mencoba pengiriman: email ditampilkan (dan disimpan ke ' +
+                    '--output sebagai .eml), tidak ada yang dikirim keluar. Pakai bersama SMTP_SECURITY=none.',
+                async handler(options) {
+                    const port = options.port === undefined ? 2525 : Number(options.port);
+                    if (!Number.isInteger(port) || port < 0 || port > 65535) throw new UsageError(`Port tidak valid: ${options.port}`);
+                    if (options.output) fs.mkdirSync(options.output, { recursive: true });
+
+                    const sink = new SmtpSink({
+                        onMessage: message => {
+                            console.log(`✉️ ${message.from} → ${message.to.join(', ')}`);
+                            console.log(`   Subjek: ${message.subject}`);
+                            console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+                            if (options.output) {
+                                const file = `${options.output}/${Date.now()}-${sink.count}.eml`;
+                                fs.writeFileSync(file, message.content);
+                                console.log(`   Disimpan ke ${file}`);
+                            }
+                        }
+                    });
+
+                    const address = await sink.listen({ port, host: options.host || '127.0.0.1' });
+                    console.log(`📮 SMTP tiruan berjalan di ${address.address}:${address.port} (Ctrl+C untuk berhenti)`);
+
+                    await new Promise(resolve => {
+                        process.once('SIGINT', resolve);
+                        process.once('SIGTERM', resolve);
+                    });
+                    await sink.close();
+                    console.log(`${sink.count} email diterima`);
+                }
+            }
+        }
+    },
+    settings: {
+        description: 'Pengaturan sistem',
+        actions: {
+            get: {
+                usage: 'settings get [<nama>] [--json]',
+                description: 'Tampilkan pengaturan beserta asalnya (bawaan, file data, file konfigurasi, variabel lingkungan)',
+                permission: 'settings.view',
+                handler(options, [key]) {
+                    const settings = key ? SettingsService.describe(key) : SettingsService.list();
+                    this.print(options, settings, setting =>
+                        `${setting.key}=${setting.value}\t(${Settings.SOURCE_LABELS[setting.source]})`);
+                }
+            },
+            set: {
+                usage: 'settings set <nama> <nilai> [--json]',
+                description: 'Ubah pengaturan dan simpan ke file data',
+                permission: 'settings',
+                handler(options, [key, value]) {
+                    if (key === undefined || value === undefined) throw new UsageError('Nama dan nilai pengaturan wajib diisi');
+
+                    const setting = SettingsService.update(key, value);
+                    this.print(options, setting, s => s.source === 'file' || s.source === 'env'
+                        ? `⚠️ ${s.key}=${s.saved} disimpan, tetapi saat ini ditimpa ${Settings.SOURCE_LABELS[s.source]} (${s.value})`
+                        : `✅ ${s.key}=${s.value}`);
+                }
+            }
+        }
+    },
+    staff: {
+        description: 'Akun petugas dan perannya',
+        actions: {
+            list: {
+                usage: 'staff list [--json]',
+                description: 'Tampilkan semua akun petugas',
+                permission: 'staff',
+                handler(options) {
+                    this.print(options, AuthService.list().map(s => AuthService.publicView(s)), s =>
+                        `${s.username}\t${s.name}\t${AuthService.roleLabel(s.role)}\t${AuthService.STATUSES[s.status]}`);
+                }
+            },
+            add: {
+                usage: 'staff add --username <username> [--name <nama>] [--role admin|librarian|circulation] [--json] < password',
+                description: 'Buat akun petugas; password dibaca dari stdin. Akun pertama selalu admin.',
+                permission: 'staff',
+                handler(options) {
+                    this.require(options, 'username');
+                    const staff = AuthService.create({
+                        username: options.username,
+                        name: options.name,
+                        role: options.role,
+                        password: this.readPassword()
+                    });
+                    this.print(options, AuthService.publicView(staff), s =>
+                        `✅ Akun ${s.username} (${AuthService.roleLabel(s.role)}) berhasil dibuat`);
+                }
+            },
+            edit: {
+                usage: 'staff edit --username <username> [--name <nama>] [--role <peran>] [--status active|disabled] [--json]',
+                description: 'Ubah nama, peran atau status akun petugas',
+                permission: 'staff',
+                handler(options) {
+                    this.require(options, 'username');
+                    const staff = AuthService.update(AuthService.findByUsername(options.username).id, options);
+                    this.print(options, AuthService.publicView(staff), s =>
+                        `✅ Akun ${s.username}: ${AuthService.roleLabel(s.role)}, ${AuthService.STATUSES[s.status]}`);
+                }
+            },
+            passwd: {
+                usage: 'staff passwd [--username <username>] < password',
+                description: 'Ganti password sendiri, atau (admin) password petugas lain; password baru dibaca dari stdin',
+                permission: null,
+                handler(options) {
+                    const target = options.username ? AuthService.findByUsername(options.username) : AuthService.current;
+                    if (!target) throw new UsageError('Opsi --username wajib diisi');
+                    if (!AuthService.current || target.id !== AuthService.current.id) AuthService.assert('staff');
+
+                    AuthService.setPassword(target.id, this.readPassword());
+                    console.log(`✅ Password ${target.username} berhasil diganti`);
+                }
+            },
+            remove: {
+                usage: 'staff remove --username <username> --yes',
+                description: 'Hapus akun petugas (wajib dikonfirmasi dengan --yes)',
+                permission: 'staff',
+                handler(options) {
+                    this.require(options, 'username');
+                    const staff = AuthService.findByUsername(options.username);
+                    if (!options.yes) throw new UsageError(`Tambahkan --yes untuk menghapus akun ${staff.username}`);
+                    AuthService.remove(staff.id);
+                    console.log(`✅ Akun ${staff.username} berhasil dihapus`);
+                }
+            }
+        }
+    },
+    audit: {
+        description: 'Log audit perubahan data',
+        actions: {
+            list: {
+                usage: 'audit list [--entity <jenis>] [--id <ID>] [--actor <username>] [--from YYYY-MM-DD] [--to YYYY-MM-DD] ' +
+                    '[--limit <n>] [--json]',
+                description: 'Tampilkan siapa mengubah apa dan kapan, beserta nilai lama dan barunya',
+                permission: 'audit.view',
+                handler(options) {
+                    const entries = AuditService.list(options);
+                    if (!options.json && entries.length === 0) console.log('Tidak ada catatan audit yang cocok');
+                    this.print(options, entries, entry => AuditService.format(entry).join('\n'));
+                }
+            }
+        }
+    },
+    serve: {
+        description: 'Jalankan REST API lokal (JSON) untuk aplikasi web atau kiosk',
+        usage: 'serve [--port <port>] [--host <alamat>]',
+        handler(options) {
+            const port = options.port === undefined ? 3000 : Number(options.port);
+            if (!Number.isInteger(port) || port < 0 || port > 65535) throw new UsageError(`Port tidak valid: ${options.port}`);
+
+            // Hanya bisa diakses dari komputer ini, kecuali --host diisi (misal 0.0.0.0)
+            return ApiServer.listen({ port, host: options.host || '127.0.0.1' });
+        }
+    },
+    storage: {
+        description: 'Penyimpanan data (JSON atau SQLite)',
+        actions: {
+            info: {
+                usage: 'storage info [--json]',
+                description: 'Tampilkan penyimpanan yang sedang dipakai (atur lewat pengaturan STORAGE: json|sqlite)',
+                handler(options) {
+                    const storage = DataManager.getStorage();
+                    this.print(options, { type: CONFIG.STORAGE, location: storage.describe(), exists: storage.exists() }, info =>
+                        `${info.location}${info.exists ? '' : ' (belum ada data)'}`);
+                }
+            },
+            migrate: {
+                usage: 'storage migrate [--from <file.json>] [--to <file.sqlite>] [--force] [--json]',
+                description: 'Pindahkan isi library_data.json ke database SQLite',
+                permission: 'restore',
+                handler(options) {
+                    const counts = DataManager.migrate({
+                        from: options.from,
+                        to: options.to,
+                        force: Boolean(options.force)
+                    });
+                    this.print(options, counts, c =>
+                        '✅ Migrasi selesai: ' + Object.entries(c).map(([table, count]) => `${count} ${table}`).join(', ') +
+                        '\nJalankan dengan PERPUSTAKAAN_STORAGE=sqlite untuk memakai database baru');
+                }
+            },
+            recover: {
+                usage: 'storage recover [--source journal|backup|empty] [--force] [--json]',
+                description: 'Pulihkan file data yang rusak dari backup terbaru (dan jurnal perubahan)',
+                permission: 'restore',
+                handler(options) {
+                    const source = options.source || 'journal';
+                    if (!['journal', 'backup', 'empty'].includes(source)) {
+                        throw new UsageError(`Sumber pemulihan tidak dikenal: ${source}`);
+                    }
+
+                    const result = DataManager.recover(source, { force: Boolean(options.force) });
+                    this.print(options, result, r => [
+                        r.backup ? `✅ Dipulihkan dari backup ${r.backup.name}` : '✅ Database baru dibuat',
+                        r.replayed ? `   ${r.replayed} perubahan diputar ulang dari jurnal` : null,
+                        r.quarantined ? `   File rusak disimpan sebagai ${r.quarantined}` : null
+                    ].filter(Boolean).join('\n'));
+                }
+            }
+        }
+    }
+};
+
+module.exports = CommandLine;
@@ -0,0 +1,9 @@
+const Settings = require('./settings');
+
+// Konfigurasi aktif. Daftar pengaturan, nilai bawaan dan validasinya ada di
+// lib/settings.js. Urutan prioritas: bawaan < tersimpan di file data
+// < perpustakaan.config.json < variabel lingkungan PERPUSTAKAAN_<NAMA>.
+// Pengaturan tersimpan diterapkan saat data dimuat.
+const CONFIG = Settings.apply({});
+
+module.exports = CONFIG;
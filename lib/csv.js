@@ -0,0 +1,100 @@
+const { ValidationError } = require('./errors');
+
+const BOM = '\uFEFF';
+
+// Pembaca CSV sesuai RFC 4180: field boleh diapit tanda kutip, kutip di dalam
+// field ditulis ganda (""), dan field berkutip boleh berisi pemisah atau baris
+// baru. Baris boleh diakhiri CRLF, LF atau CR; BOM UTF-8 di awal file dibuang.
+// Menghasilkan [{ line, values }] dengan nomor baris fisik awal setiap record.
+function parse(text, { delimiter = detectDelimiter(text) } = {}) {
+    const input = text.startsWith(BOM) ? text.slice(1) : text;
+    const rows = [];
+
+    let values = [];
+    let field = '';
+    let quoted = false;
+    let fieldStarted = false;
+    let line = 1;
+    let rowLine = 1;
+    let quoteLine = 1;
+
+    const endField = () => {
+        values.push(field);
+        field = '';
+        fieldStarted = false;
+    };
+    const endRow = () => {
+        endField();
+        // Baris kosong (termasuk di akhir file) dilewati
+        if (!(values.length === 1 && values[0] === '')) rows.push({ line: rowLine, values });
+        values = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && !fieldStarted) {
+            quoted = true;
+            fieldStarted = true;
+            quoteLine = line;
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            // Karakter setelah kutip penutup (misal "abc"x) tetap diterima apa adanya
+            field += char;
+            fieldStarted = true;
+        }
+    }
+
+    if (quoted) {
+        throw new ValidationError('CSV_UNTERMINATED_QUOTE', `Tanda kutip di baris ${quoteLine} tidak ditutup`, { line: quoteLine });
+    }
+    if (field !== '' || fieldStarted || values.length > 0) endRow();
+
+    return rows;
+}
+
+// Pemisah dari baris judul: titik koma (CSV Excel berbahasa Indonesia), tab atau koma
+function detectDelimiter(text) {
+    const header = (text.startsWith(BOM) ? text.slice(1) : text).split(/\r?\n|\r/)[0].replace(/"[^"]*"/g, '');
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, header.split(delimiter).length - 1]);
+    const [best] = counts.sort((a, b) => b[1] - a[1]);
+    return best[1] > 0 ? best[0] : ',';
+}
+
+// Kebalikan parse(): field yang berisi pemisah, kutip, baris baru atau spasi
+// di tepinya diapit kutip, dan setiap baris diakhiri CRLF
+function stringify(rows, { delimiter = ',' } = {}) {
+    return rows.map(values => values.map(value => quote(value, delimiter)).join(delimiter) + '\r\n').join('');
+}
+
+function quote(value, delimiter) {
+    const text = value === undefined || value === null ? '' : String(value);
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+    BOM,
+    parse,
+    stringify,
+    detectDelimiter
+};
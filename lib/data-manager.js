@@ -0,0 +1,316 @@
+const CONFIG = require('./config');
+const { database, createEmptyDatabase, replaceDatabase } = require('./database');
+const Backups = require('./backups');
+const AuditLog = require('./audit');
+const SearchIndex = require('./search-index');
+const Settings = require('./settings');
+const { upgradeItems } = require('./items');
+const { upgradeCharges } = require('./charges');
+const { createStorage } = require('./storage');
+const { LibraryError, NotFoundError, ConflictError } = require('./errors');
+
+// Data Management: memuat dan menyimpan database lewat adapter penyimpanan
+class DataManager {
+    static getStorage() {
+        if (!this.storage) this.storage = createStorage(CONFIG.STORAGE);
+        return this.storage;
+    }
+
+    // Ganti adapter penyimpanan, misal untuk memakai file lain dari kode
+    static useStorage(storage) {
+        if (this.storage && this.storage !== storage) this.storage.close();
+        this.storage = storage;
+    }
+
+    // Simpan tanpa menangkap error. Perubahan pengguna lain yang tidak
+    // bertabrakan digabung oleh adapter dan ikut dimuat ke database.
+    static persist() {
+        // Jangan menimpa file data yang rusak atau yang belum berhasil dimuat
+        if (this.loadError) {
+            throw new LibraryError(this.loadError.code, `Data tidak disimpan karena gagal dimuat: ${this.loadError.message}`);
+        }
+
+        // Perubahan yang belum lewat commit() ikut dicatat
+        AuditLog.track(database);
+
+        const merged = this.getStorage().save(database);
+        this.flushAudit();
+
+        if (merged) {
+            replaceDatabase(merged);
+            this.applySettings();
+            this.updateStats();
+            AuditLog.reset(database);
+        }
+    }
+
+    // Data sudah tersimpan; kegagalan menulis log audit cukup dilaporkan
+    static flushAudit() {
+        try {
+            AuditLog.flush();
+        } catch (error) {
+            this.log(false, '✗ Gagal menulis log audit:', error.message);
+        }
+    }
+
+    static saveData() {
+        try {
+            this.persist();
+            this.log(true, '✓ Data berhasil disimpan');
+            return true;
+        } catch (error) {
+            this.log(false, '✗ Gagal menyimpan data:', error.message);
+            if (error.code === 'STALE_DATA') this.reloadAfterConflict();
+            return false;
+        }
+    }
+
+    // Buang perubahan yang ditolak dan pakai data terbaru dari penyimpanan
+    static reloadAfterConflict() {
+        this.loadData();
+        this.log(false, 'ℹ️ Data terbaru sudah dimuat ulang, silakan ulangi perubahan tersebut');
+    }
+
+    // Muat ulang jika proses lain sudah menyimpan sejak data terakhir dimuat.
+    // Hanya saat auto-save aktif, supaya perubahan yang belum disimpan tidak hilang.
+    static refresh() {
+        const storage = this.getStorage();
+        if (!CONFIG.AUTO_SAVE || this.loadError || typeof storage.hasExternalChanges !== 'function') return false;
+        if (!storage.exists() || !storage.hasExternalChanges()) return false;
+        return this.loadData();
+    }
+
+    // File data yang rusak atau sedang dikunci proses lain tidak diperlakukan
+    // sebagai database kosong: error DATA_CORRUPT/DATA_LOCKED dilempar supaya
+    // pemanggil bisa menawarkan pemulihan atau mencoba lagi
+    static loadData() {
+        try {
+            const storage = this.getStorage();
+            const parsedData = storage.load();
+            this.loadError = null;
+            if (!parsedData) {
+                AuditLog.reset(database);
+                return false;
+            }
+
+            // Merge dengan database default
+            replaceDatabase(parsedData);
+            this.applySettings();
+
+            // Data versi lama belum punya eksemplar dan tagihan denda; disimpan bersama perubahan berikutnya
+            upgradeItems(database);
+            upgradeCharges(database);
+
+            this.updateStats();
+            AuditLog.reset(database);
+            this.log(true, '✓ Data berhasil dimuat');
+            if (storage.replayed) this.log(true, `✓ ${storage.replayed} perubahan dipulihkan dari jurnal`);
+            return true;
+        } catch (error) {
+            if (error.code === 'DATA_CORRUPT' || error.code === 'DATA_LOCKED') {
+                this.loadError = error;
+                throw error;
+            }
+            this.log(false, '✗ Gagal memuat data:', error.message);
+            return false;
+        }
+    }
+
+    // Sumber pemulihan yang tersedia untuk file data yang rusak
+    static getRecoveryPlan() {
+        const storage = this.getStorage();
+        if (typeof storage.recoveryPlan !== 'function') {
+            throw new LibraryError('RECOVERY_UNSUPPORTED', `Pemulihan tidak tersedia untuk ${storage.describe()}`);
+        }
+
+        const { backup, entries, gap, damaged } = storage.recoveryPlan();
+        return { backup, journalEntries: entries.length, gap, damaged };
+    }
+
+    // Akun petugas dari backup terbaru yang valid, untuk memeriksa login saat file data rusak
+    static recoveryStaff() {
+        const storage = this.getStorage();
+        if (typeof storage.recoveryPlan !== 'function') return [];
+
+        const { backupData } = storage.recoveryPlan();
+        return (backupData && backupData.staff) || [];
+    }
+
+    // source: 'journal' (backup terbaru + jurnal), 'backup' (backup terbaru saja)
+    // atau 'empty' (mulai database baru). Setelah itu data dimuat ulang.
+    static recover(source = 'journal', { force = false } = {}) {
+        const storage = this.getStorage();
+        if (typeof storage.recover !== 'function') {
+            throw new LibraryError('RECOVERY_UNSUPPORTED', `Pemulihan tidak tersedia untuk ${storage.describe()}`);
+        }
+
+        const corrupt = this.loadError && this.loadError.code === 'DATA_CORRUPT';
+        if (!force && !corrupt) {
+            try {
+                storage.load();
+                throw new ConflictError(
+                    'DATA_NOT_CORRUPT',
+                    'File data dalam keadaan baik, gunakan --force untuk tetap memulihkan dari backup'
+                );
+            } catch (error) {
+                if (error.code !== 'DATA_CORRUPT') throw error;
+            }
+        }
+
+        const result = storage.recover(source);
+        this.loadError = null;
+
+        if (!this.loadData()) {
+            replaceDatabase(createEmptyDatabase());
+            this.updateStats();
+            AuditLog.reset(database);
+        }
+
+        AuditLog.log({
+            action: 'recover',
+            entity: 'data',
+            id: source,
+            after: { backup: result.backup ? result.backup.name : null, replayed: result.replayed || 0 }
+        });
+        this.flushAudit();
+
+        return result;
+    }
+
+    // Terapkan pengaturan yang tersimpan di database ke CONFIG. Pengaturan
+    // lama yang tidak dikenal atau tidak boleh disimpan di file data dibuang.
+    static applySettings() {
+        database.settings = Settings.pickPersisted(database.settings);
+        Settings.apply(CONFIG, database.settings);
+    }
+
+    // Dipanggil setiap kali layanan selesai mengubah data. Penyimpanan yang
+    // ditolak karena bentrok dengan pengguna lain dilempar sebagai ConflictError
+    // supaya operasi yang baru dijalankan ikut gagal.
+    static commit({ save = CONFIG.AUTO_SAVE } = {}) {
+        AuditLog.track(database);
+        this.updateStats();
+        SearchIndex.sync(database.books);
+        if (!save) return;
+
+        try {
+            this.persist();
+            this.log(true, '✓ Data berhasil disimpan');
+        } catch (error) {
+            if (error.code !== 'STALE_DATA') {
+                this.log(false, '✗ Gagal menyimpan data:', error.message);
+                return;
+            }
+
+            this.loadData();
+            throw new ConflictError('STALE_DATA', `${error.message} Data terbaru sudah dimuat ulang, silakan ulangi.`, error.details);
+        }
+    }
+
+    // Pada mode senyap hanya pesan kegagalan yang ditampilkan, lewat stderr
+    static log(success, ...args) {
+        if (!this.quiet) console.log(...args);
+        else if (!success) console.error(...args);
+    }
+
+    static updateStats() {
+        database.stats = {
+            totalBooks: database.books.length,
+            totalMembers: database.members.length,
+            totalTransactions: database.transactions.length,
+            booksOnLoan: database.books.filter(book => !book.available).length,
+            overdueBooks: this.getOverdueBooks().length
+        };
+    }
+
+    static getOverdueBooks(now = new Date()) {
+        return database.transactions.filter(t =>
+            t.status === 'borrowed' && new Date(t.dueDate) < now
+        );
+    }
+
+    // Backup manual: simpan isi database saat ini sebagai file JSON di direktori backup
+    static createBackup() {
+        const storage = this.getStorage();
+        const file = Backups.writeSnapshot(storage.snapshot ? storage.snapshot(database) : database);
+        this.log(true, `✓ Backup dibuat: ${file}`);
+        return file;
+    }
+
+    static listBackups() {
+        return Backups.list();
+    }
+
+    static restoreBackup(name) {
+        // Posisi jurnal milik backup tidak ikut dipulihkan ke database. Akun petugas
+        // juga tidak: backup lama bisa berisi password lama atau belum punya akun
+        // sama sekali, yang berarti semua orang bisa masuk tanpa login.
+        const { journalSeq, staff, ...data } = Backups.read(name);
+        const before = counts(database);
+
+        // Dibangun ulang dari database kosong: koleksi yang tidak ada di backup
+        // (backup versi lama) menjadi kosong, bukan tetap berisi data saat ini.
+        // Restore dicatat sebagai satu catatan (jumlah record sebelum/sesudah),
+        // bukan sebagai ribuan perubahan record
+        replaceDatabase({ ...createEmptyDatabase(), ...data, staff: database.staff });
+        this.applySettings();
+        upgradeItems(database);
+        upgradeCharges(database);
+        this.updateStats();
+        AuditLog.reset(database);
+        AuditLog.log({ action: 'restore', entity: 'backup', id: name, before, after: counts(database) });
+        this.saveData();
+        return database;
+    }
+
+    static cleanOldBackups(keepDays, now = new Date()) {
+        return Backups.cleanOld(keepDays, now);
+    }
+
+    // Pindahkan isi file JSON ke database SQLite. Database tujuan yang
+    // sudah berisi data hanya ditimpa jika `force` bernilai true.
+    static migrate({ from = CONFIG.DATA_FILE, to = CONFIG.SQLITE_FILE, force = false } = {}) {
+        const source = createStorage('json', { file: from });
+        const target = createStorage('sqlite', { file: to });
+
+        try {
+            const data = source.load();
+            if (!data) throw new NotFoundError('SOURCE_NOT_FOUND', `File data tidak ditemukan: ${from}`);
+
+            if (target.exists()) {
+                if (!force) {
+                    throw new ConflictError(
+                        'TARGET_NOT_EMPTY',
+                        `Database ${to} sudah berisi data, gunakan --force untuk menimpanya`
+                    );
+                }
+
+                // Muat isi lama supaya baris yang tidak ada di sumber ikut dihapus saat disimpan
+                target.load();
+            }
+
+            target.save(data);
+
+            return Object.keys(target.constructor.TABLES).reduce((counts, table) => {
+                counts[table] = (data[table] || []).length;
+                return counts;
+            }, {});
+        } finally {
+            source.close();
+            target.close();
+        }
+    }
+}
+
+// Senyap secara default supaya aman dipakai sebagai library;
+// menu interaktif menyalakan pesan status saat dijalankan
+DataManager.quiet = true;
+
+// Jumlah record per koleksi, untuk catatan audit restore
+function counts(data) {
+    return Object.fromEntries(Object.keys(data)
+        .filter(key => Array.isArray(data[key]))
+        .map(key => [key, data[key].length]));
+}
+
+module.exports = DataManager;
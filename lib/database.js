@@ -0,0 +1,55 @@
+// Database dengan inisialisasi yang lebih aman.
+// Objek ini tidak pernah diganti, hanya isinya, supaya semua modul
+// yang sudah me-require-nya tetap melihat data yang sama.
+const database = createEmptyDatabase();
+
+function createEmptyDatabase() {
+    return {
+        books: [],
+        members: [],
+        transactions: [],
+        // Antrean reservasi buku; lihat lib/services/reservation-service.js
+        reservations: [],
+        // Eksemplar fisik setiap buku; lihat lib/items.js
+        items: [],
+        // Tagihan denda per transaksi; lihat lib/charges.js
+        charges: [],
+        // Pembayaran denda beserta nomor kuitansinya; lihat lib/services/fine-service.js
+        payments: [],
+        // Kuitansi terakhir yang diterbitkan; lihat nextReceiptNumber di lib/charges.js
+        lastReceipt: null,
+        categories: ['Fiksi', 'Non-Fiksi', 'Sains', 'Teknologi', 'Sejarah', 'Biografi', 'Pendidikan', 'Agama', 'Seni', 'Olahraga'],
+        // Hari tutup perpustakaan; lihat lib/services/calendar-service.js
+        closures: [],
+        // Aturan peminjaman per jenis anggota/kategori; lihat lib/services/policy-service.js
+        policies: [],
+        // Pemberitahuan yang sudah dikirim ke anggota, dan template yang diubah
+        // pengguna; lihat lib/notices.js
+        notices: [],
+        noticeTemplates: {},
+        // Akun petugas dan perannya; lihat lib/services/auth-service.js
+        staff: [],
+        // Hanya pengaturan yang diubah pengguna; lihat lib/settings.js
+        settings: {},
+        stats: {
+            totalBooks: 0,
+            totalMembers: 0,
+            totalTransactions: 0,
+            booksOnLoan: 0,
+            overdueBooks: 0
+        }
+    };
+}
+
+function replaceDatabase(data) {
+    const merged = { ...database, ...data };
+    Object.keys(database).forEach(key => delete database[key]);
+    Object.assign(database, merged);
+    return database;
+}
+
+module.exports = {
+    database,
+    createEmptyDatabase,
+    replaceDatabase
+};
@@ -0,0 +1,34 @@
+// Error bertipe untuk lapisan layanan. `code` stabil dan bisa dicek oleh
+// pemanggil (menu, mode perintah, atau kode lain), `message` untuk ditampilkan.
+class LibraryError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Data yang dicari tidak ada (buku, anggota, transaksi, ...)
+class NotFoundError extends LibraryError {}
+
+// Input tidak valid
+class ValidationError extends LibraryError {}
+
+// Input valid, tetapi melanggar aturan perpustakaan (stok habis, batas pinjam, ...)
+class ConflictError extends LibraryError {}
+
+// Belum login, atau username/password salah
+class AuthenticationError extends LibraryError {}
+
+// Sudah login, tetapi peran petugas tidak punya hak untuk aksi ini
+class PermissionError extends LibraryError {}
+
+module.exports = {
+    LibraryError,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+    AuthenticationError,
+    PermissionError
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const Utils = require('./utils');
+
+// Eksemplar fisik sebuah buku (database.items). Setiap eksemplar punya barcode,
+// kondisi, status dan lokasi rak sendiri; transaksi menunjuk ke eksemplar lewat
+// itemId. Angka copies/availableCopies/available pada buku hanya ringkasan yang
+// dihitung ulang dari eksemplar, jangan diubah langsung.
+const STATUSES = {
+    available: 'Tersedia',
+    on_loan: 'Dipinjam',
+    lost: 'Hilang',
+    claimed: 'Diklaim sudah kembali',
+    repair: 'Diperbaiki',
+    withdrawn: 'Ditarik'
+};
+
+const CONDITIONS = {
+    good: 'Baik',
+    fair: 'Cukup',
+    poor: 'Buruk',
+    damaged: 'Rusak'
+};
+
+const DEFAULT_CONDITION = 'good';
+
+// Status yang tidak lagi dihitung sebagai koleksi perpustakaan. Eksemplar
+// 'claimed' (anggota mengaku sudah mengembalikan, tetapi bukunya tidak ada)
+// dihitung hilang sampai ditemukan.
+const OUT_OF_COLLECTION = ['lost', 'claimed', 'withdrawn'];
+
+function itemsOf(data, bookId) {
+    return (data.items || []).filter(item => item.bookId === bookId);
+}
+
+// Eksemplar yang sedang disisihkan untuk reservasi (lihat ReservationService)
+function heldItemIds(data) {
+    return new Set((data.reservations || []).filter(r => r.status === 'ready').map(r => r.itemId));
+}
+
+function isHeld(data, item) {
+    return heldItemIds(data).has(item.id);
+}
+
+// Barcode bawaan: ID buku dan nomor urut eksemplar, misal "82BF2F1C-003"
+function nextBarcode(data, book) {
+    const prefix = `${book.id}-`;
+    const used = itemsOf(data, book.id)
+        .map(item => item.barcode.startsWith(prefix) ? parseInt(item.barcode.slice(prefix.length)) : 0)
+        .filter(Number.isInteger);
+    const next = Math.max(0, ...used) + 1;
+    return `${prefix}${String(next).padStart(3, '0')}`;
+}
+
+function buildItem(data, book, { id, barcode, condition = DEFAULT_CONDITION, location, now = new Date() } = {}) {
+    return {
+        id: id || Utils.generateId(),
+        bookId: book.id,
+        barcode: barcode || nextBarcode(data, book),
+        condition,
+        status: 'available',
+        location: location === undefined || location === '' ? book.location || '' : location,
+        addedDate: now.toISOString()
+    };
+}
+
+// Hitung ulang ringkasan eksemplar pada buku. `items` dan `held` boleh diisi
+// pemanggil yang menghitung banyak buku sekaligus.
+function syncBook(data, book, { items = itemsOf(data, book.id), held = heldItemIds(data) } = {}) {
+    book.copies = items.filter(item => !OUT_OF_COLLECTION.includes(item.status)).length;
+    book.availableCopies = items.filter(item => item.status === 'available' && !held.has(item.id)).length;
+    book.available = book.availableCopies > 0;
+    return book;
+}
+
+function syncBookById(data, bookId) {
+    const book = data.books.find(b => b.id === bookId);
+    return book ? syncBook(data, book) : null;
+}
+
+// Eksemplar hasil upgrade mendapat ID tetap (dari barcode-nya), supaya dua proses
+// yang meng-upgrade file yang sama tidak membuat eksemplar ganda saat digabung
+function upgradedItem(data, book, now) {
+    const barcode = nextBarcode(data, book);
+    const id = crypto.createHash('sha1').update(barcode).digest('hex').slice(0, 8).toUpperCase();
+    return buildItem(data, book, { id, barcode, now });
+}
+
+// Data lama hanya punya angka copies/availableCopies. Buat eksemplar untuk buku
+// yang belum punya, lalu hubungkan pinjaman aktif dan reservasi yang sudah
+// disisihkan ke eksemplarnya. Mengembalikan true jika ada yang diubah.
+function upgradeItems(data, now = new Date()) {
+    if (!data.items) data.items = [];
+    let changed = false;
+
+    const withItems = new Set(data.items.map(item => item.bookId));
+    data.books.filter(book => !withItems.has(book.id)).forEach(book => {
+        const count = Math.max(parseInt(book.copies) || 0, 0);
+        for (let i = 0; i < count; i++) {
+            data.items.push(upgradedItem(data, book, book.addedDate ? new Date(book.addedDate) : now));
+            changed = true;
+        }
+    });
+
+    const free = book => data.items.find(item => item.bookId === book.id && item.status === 'available' && !isHeld(data, item));
+
+    data.transactions.filter(t => t.status === 'borrowed' && !t.itemId).forEach(transaction => {
+        const book = data.books.find(b => b.id === transaction.bookId);
+        if (!book) return;
+
+        // Angka lama bisa saja lebih kecil dari jumlah pinjaman aktif
+        let item = free(book);
+        if (!item) {
+            item = upgradedItem(data, book, new Date(transaction.borrowDate || now));
+            data.items.push(item);
+        }
+
+        item.status = 'on_loan';
+        transaction.itemId = item.id;
+        transaction.barcode = item.barcode;
+        changed = true;
+    });
+
+    (data.reservations || []).filter(r => r.status === 'ready' && !r.itemId).forEach(reservation => {
+        const book = data.books.find(b => b.id === reservation.bookId);
+        const item = book && free(book);
+        if (!item) return;
+
+        reservation.itemId = item.id;
+        changed = true;
+    });
+
+    const held = heldItemIds(data);
+    const byBook = new Map();
+    data.items.forEach(item => {
+        if (!byBook.has(item.bookId)) byBook.set(item.bookId, []);
+        byBook.get(item.bookId).push(item);
+    });
+
+    data.books.forEach(book => {
+        const before = `${book.copies}/${book.availableCopies}/${book.available}`;
+        syncBook(data, book, { items: byBook.get(book.id) || [], held });
+        if (`${book.copies}/${book.availableCopies}/${book.available}` !== before) changed = true;
+    });
+
+    return changed;
+}
+
+module.exports = {
+    STATUSES,
+    CONDITIONS,
+    DEFAULT_CONDITION,
+    OUT_OF_COLLECTION,
+    itemsOf,
+    heldItemIds,
+    isHeld,
+    buildItem,
+    syncBook,
+    syncBookById,
+    upgradeItems
+};
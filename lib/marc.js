@@ -0,0 +1,334 @@
+const { ValidationError } = require('./errors');
+
+// Pemisah ISO 2709 (format biner MARC21)
+const SUBFIELD = 0x1F;
+const FIELD_END = 0x1E;
+const RECORD_END = 0x1D;
+
+const LEADER_LENGTH = 24;
+const DIRECTORY_ENTRY = 12;
+
+const MARCXML_NS = 'http://www.loc.gov/MARC21/slim';
+
+// Record MARC dalam bentuk { leader, fields }, dengan field kontrol (001-009)
+// { tag, value } dan field data { tag, ind1, ind2, subfields: [{ code, value }] }.
+// Record yang rusak menjadi { error } supaya record lain tetap bisa diperiksa.
+
+// Baca file MARC21 biner (ISO 2709). Panjang dan posisi di direktori dihitung
+// dalam byte, jadi teks baru di-decode setelah setiap field dipotong.
+function parseBinary(buffer) {
+    const data = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer, 'latin1');
+    const records = [];
+    let start = 0;
+
+    while (start < data.length) {
+        let end = data.indexOf(RECORD_END, start);
+        if (end === -1) end = data.length;
+
+        const chunk = trimBytes(data.subarray(start, end));
+        if (chunk.length > 0) records.push(parseBinaryRecord(chunk));
+        start = end + 1;
+    }
+
+    return records;
+}
+
+function parseBinaryRecord(chunk) {
+    if (chunk.length < LEADER_LENGTH) return { error: 'Record terlalu pendek untuk berisi leader' };
+
+    const leader = chunk.subarray(0, LEADER_LENGTH).toString('latin1');
+    const baseAddress = Number(leader.slice(12, 17));
+    if (!/^\d{5}$/.test(leader.slice(12, 17)) || baseAddress <= LEADER_LENGTH || baseAddress > chunk.length) {
+        return { leader, error: `Alamat data di leader tidak valid: "${leader.slice(12, 17)}"` };
+    }
+
+    // Posisi 9 leader: "a" berarti UTF-8. Selain itu MARC-8, yang dibaca sebagai
+    // Latin-1 (huruf beraksen bisa salah tampil)
+    const encoding = leader[9] === 'a' ? 'utf8' : 'latin1';
+    const directory = chunk.subarray(LEADER_LENGTH, baseAddress - 1).toString('latin1');
+    const fields = [];
+
+    for (let i = 0; i + DIRECTORY_ENTRY <= directory.length; i += DIRECTORY_ENTRY) {
+        const entry = directory.slice(i, i + DIRECTORY_ENTRY);
+        if (!/^[0-9A-Za-z]{3}\d{9}$/.test(entry)) {
+            return { leader, error: `Direktori record rusak di posisi ${LEADER_LENGTH + i}` };
+        }
+
+        const tag = entry.slice(0, 3);
+        const length = Number(entry.slice(3, 7));
+        const offset = baseAddress + Number(entry.slice(7, 12));
+        if (offset + length > chunk.length) {
+            return { leader, error: `Field ${tag} melewati akhir record` };
+        }
+
+        let bytes = chunk.subarray(offset, offset + length);
+        if (bytes[bytes.length - 1] === FIELD_END) bytes = bytes.subarray(0, bytes.length - 1);
+
+        if (isControlTag(tag)) {
+            fields.push({ tag, value: bytes.toString(encoding) });
+            continue;
+        }
+
+        const parts = split(bytes, SUBFIELD);
+        const indicators = parts.shift().toString('latin1').padEnd(2, ' ');
+        fields.push({
+            tag,
+            ind1: indicators[0],
+            ind2: indicators[1],
+            subfields: parts.filter(part => part.length > 0).map(part => ({
+                code: String.fromCharCode(part[0]),
+                value: part.subarray(1).toString(encoding)
+            }))
+        });
+    }
+
+    return { leader, fields };
+}
+
+// Baca MARCXML (MARC21 slim), dengan atau tanpa awalan namespace (marc:record)
+function parseXml(text) {
+    const xml = String(text).replace(/^\uFEFF/, '');
+    const records = [];
+    const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+
+    let record = null;
+    let field = null;
+    let subfield = null;
+    let target = null;
+    let content = '';
+    let position = 0;
+    let match;
+
+    while ((match = pattern.exec(xml)) !== null) {
+        if (target) content += decodeEntities(xml.slice(position, match.index));
+        position = pattern.lastIndex;
+
+        if (match[1] !== undefined) {
+            if (target) content += match[1];
+            continue;
+        }
+        if (!match[3]) continue;
+
+        const closing = match[2] === '/';
+        const selfClosing = match[5] === '/';
+        const name = match[3].replace(/^.*:/, '');
+        const attributes = closing ? {} : parseAttributes(match[4]);
+
+        if (!closing && name === 'record') {
+            record = { leader: '', fields: [] };
+        } else if (!closing && record && name === 'leader') {
+            target = 'leader';
+            content = '';
+        } else if (!closing && record && name === 'controlfield') {
+            field = { tag: attributes.tag || '', value: '' };
+            target = 'controlfield';
+            content = '';
+        } else if (!closing && record && name === 'datafield') {
+            field = { tag: attributes.tag || '', ind1: attributes.ind1 || ' ', ind2: attributes.ind2 || ' ', subfields: [] };
+        } else if (!closing && field && field.subfields && name === 'subfield') {
+            subfield = { code: attributes.code || '', value: '' };
+            target = 'subfield';
+            content = '';
+        }
+
+        if (!closing && !selfClosing) continue;
+
+        if (name === 'leader' && record && target === 'leader') {
+            record.leader = content;
+            target = null;
+        } else if (name === 'controlfield' && field && target === 'controlfield') {
+            field.value = content;
+            record.fields.push(field);
+            field = null;
+            target = null;
+        } else if (name === 'subfield' && subfield) {
+            subfield.value = content;
+            field.subfields.push(subfield);
+            subfield = null;
+            target = null;
+        } else if (name === 'datafield' && field) {
+            record.fields.push(field);
+            field = null;
+        } else if (name === 'record' && record) {
+            records.push(record);
+            record = null;
+        }
+    }
+
+    if (record) throw new ValidationError('MARC_INVALID', 'MARCXML tidak lengkap: tag <record> tidak ditutup');
+    return records;
+}
+
+// Tulis record ke MARCXML (satu <collection>)
+function toXml(records) {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', `<collection xmlns="${MARCXML_NS}">`];
+
+    records.forEach(record => {
+        lines.push('  <record>');
+        lines.push(`    <leader>${escapeXml(record.leader)}</leader>`);
+        record.fields.forEach(field => {
+            if (field.subfields) {
+                lines.push(`    <datafield tag="${field.tag}" ind1="${escapeXml(field.ind1)}" ind2="${escapeXml(field.ind2)}">`);
+                field.subfields.forEach(({ code, value }) => {
+                    lines.push(`      <subfield code="${escapeXml(code)}">${escapeXml(value)}</subfield>`);
+                });
+                lines.push('    </datafield>');
+            } else {
+                lines.push(`    <controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`);
+            }
+        });
+        lines.push('  </record>');
+    });
+
+    lines.push('</collection>');
+    return lines.join('\n') + '\n';
+}
+
+// Field buku dari record: judul 245, penulis 100 (atau 110/111), ISBN 020,
+// penerbit dan tahun 264 (atau 260), halaman 300, ringkasan 520,
+// subjek 650 dan lokasi rak 852. Nilai yang tidak ada dibiarkan kosong.
+function toBook(record) {
+    const title = [subfield(record, '245', 'a'), subfield(record, '245', 'b'), subfield(record, '245', 'n'), subfield(record, '245', 'p')]
+        .filter(Boolean)
+        .map(stripPunctuation)
+        .join(': ');
+
+    const author = subfield(record, '100', 'a') || subfield(record, '110', 'a') || subfield(record, '111', 'a');
+    const isbn = (subfield(record, '020', 'a') || '').match(/^[\dXx-]+/);
+
+    // 264 ind2 "1" = penerbitan; 260 untuk record yang lebih lama
+    const publication = record.fields.find(f => f.tag === '264' && f.ind2 === '1') ||
+        record.fields.find(f => f.tag === '260') ||
+        record.fields.find(f => f.tag === '264');
+    const date = publication && valueOf(publication, 'c');
+    const controlYear = (controlField(record, '008') || '').slice(7, 11);
+    const year = (date && date.match(/\d{4}/)) || (/^\d{4}$/.test(controlYear) ? [controlYear] : null);
+
+    const extent = subfield(record, '300', 'a') || '';
+    const pages = extent.match(/(\d+)\s*(?:p\b|pages|hlm|hal|halaman)/i) || extent.match(/\d+/);
+
+    return {
+        title,
+        author: author ? stripPunctuation(author) : '',
+        isbn: isbn ? isbn[0] : '',
+        publisher: publication && valueOf(publication, 'b') ? stripPunctuation(valueOf(publication, 'b')) : '',
+        year: year ? year[0].match(/\d{4}/)[0] : '',
+        pages: pages ? (pages[1] || pages[0]) : '',
+        description: subfield(record, '520', 'a') || '',
+        subjects: record.fields.filter(f => f.tag === '650').map(f => valueOf(f, 'a')).filter(Boolean).map(stripPunctuation),
+        location: subfield(record, '852', 'c') || ''
+    };
+}
+
+function fromBook(book) {
+    const fields = [{ tag: '001', value: book.id }];
+
+    const added = new Date(book.addedDate || Date.now());
+    const entered = Number.isNaN(added.getTime()) ? '000000' : added.toISOString().slice(2, 10).replace(/-/g, '');
+    const year = /^\d{4}$/.test(String(book.year)) ? String(book.year) : '    ';
+    fields.push({ tag: '008', value: `${entered}s${year}    xx ${' '.repeat(17)}und d` });
+
+    const data = (tag, ind1, ind2, subfields) => {
+        const filled = subfields.filter(([, value]) => value !== undefined && value !== null && value !== '');
+        if (filled.length > 0) fields.push({ tag, ind1, ind2, subfields: filled.map(([code, value]) => ({ code, value: String(value) })) });
+    };
+
+    data('020', ' ', ' ', [['a', book.isbn]]);
+    data('100', '1', ' ', [['a', book.author]]);
+    data('245', book.author ? '1' : '0', '0', [['a', book.title]]);
+    data('264', ' ', '1', [['b', book.publisher], ['c', book.year]]);
+    data('300', ' ', ' ', [['a', book.pages ? `${book.pages} hlm.` : '']]);
+    data('520', ' ', ' ', [['a', book.description]]);
+    data('650', ' ', '4', [['a', book.category]]);
+    data('852', ' ', ' ', [['c', book.location]]);
+
+    return { leader: '00000nam a2200000 i 4500', fields };
+}
+
+function isControlTag(tag) {
+    return /^00\d$/.test(tag);
+}
+
+function controlField(record, tag) {
+    const field = record.fields.find(f => f.tag === tag && !f.subfields);
+    return field ? field.value : null;
+}
+
+function subfield(record, tag, code) {
+    const field = record.fields.find(f => f.tag === tag && f.subfields);
+    return field ? valueOf(field, code) : null;
+}
+
+function valueOf(field, code) {
+    const found = field.subfields.find(s => s.code === code);
+    return found ? found.value.trim() : null;
+}
+
+// Tanda baca ISBD di akhir subfield (" /", " :", ",", ".")
+function stripPunctuation(value) {
+    return value.replace(/[\s/:;,=]+$/, '').replace(/(\S{2,})\.$/, '$1').trim();
+}
+
+function split(bytes, separator) {
+    const parts = [];
+    let start = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        if (bytes[i] === separator) {
+            parts.push(bytes.subarray(start, i));
+            start = i;
+        }
+    }
+    parts.push(bytes.subarray(start));
+
+    // Bagian pertama berisi indikator; bagian berikutnya diawali pemisah
+    return parts.map((part, index) => index === 0 ? part : part.subarray(1));
+}
+
+function trimBytes(bytes) {
+    let start = 0;
+    let end = bytes.length;
+    while (start < end && [0x0A, 0x0D, 0x20].includes(bytes[start])) start++;
+    while (end > start && [0x0A, 0x0D].includes(bytes[end - 1])) end--;
+    return bytes.subarray(start, end);
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    const pattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        attributes[match[1].replace(/^.*:/, '')] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, name) => {
+        const lower = name.toLowerCase();
+        if (lower.startsWith('#')) {
+            const code = lower.startsWith('#x') ? parseInt(lower.slice(2), 16) : parseInt(lower.slice(1), 10);
+            // Di luar Unicode atau separuh pasangan surrogate
+            if (code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+                throw new ValidationError('MARC_INVALID', `MARCXML berisi karakter tidak valid: ${entity}`);
+            }
+            return String.fromCodePoint(code);
+        }
+        return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[lower];
+    });
+}
+
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    parseBinary,
+    parseXml,
+    toXml,
+    toBook,
+    fromBook
+};
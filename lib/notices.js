@@ -0,0 +1,166 @@
+const { ValidationError } = require('./errors');
+
+// Pemberitahuan ke anggota (database.notices) dan templatenya. Setiap
+// pemberitahuan yang dikirim dicatat dengan `key` yang menunjuk ke pinjaman
+// atau reservasinya, supaya pemberitahuan yang sama tidak dikirim dua kali.
+const TYPES = {
+    courtesy: 'Pengingat jatuh tempo',
+    overdue: 'Pemberitahuan keterlambatan',
+    hold_ready: 'Reservasi siap diambil'
+};
+
+const LANGUAGES = {
+    id: { label: 'Indonesia', locale: 'id-ID' },
+    en: { label: 'English', locale: 'en-GB' }
+};
+
+const STATUSES = {
+    sent: 'Terkirim',
+    failed: 'Gagal'
+};
+
+// Isian yang boleh dipakai di template, selain yang berlaku untuk semua jenis
+const COMMON_PLACEHOLDERS = ['name', 'memberId', 'library', 'title', 'barcode'];
+const PLACEHOLDERS = {
+    courtesy: [...COMMON_PLACEHOLDERS, 'dueDate', 'daysLeft'],
+    overdue: [...COMMON_PLACEHOLDERS, 'dueDate', 'daysLate', 'fine'],
+    hold_ready: [...COMMON_PLACEHOLDERS, 'holdExpires']
+};
+
+const DEFAULT_TEMPLATES = {
+    'courtesy.id': {
+        subject: 'Pengingat: "{{title}}" jatuh tempo {{dueDate}}',
+        body: [
+            'Halo {{name}},',
+            '',
+            'Buku "{{title}}" yang Anda pinjam dari {{library}} jatuh tempo pada {{dueDate}} ({{daysLeft}} hari lagi).',
+            'Silakan kembalikan atau perpanjang sebelum tanggal tersebut supaya tidak terkena denda.',
+            '',
+            'Terima kasih,',
+            '{{library}}'
+        ].join('\n')
+    },
+    'courtesy.en': {
+        subject: 'Reminder: "{{title}}" is due on {{dueDate}}',
+        body: [
+            'Dear {{name}},',
+            '',
+            'The book "{{title}}" you borrowed from {{library}} is due on {{dueDate}} ({{daysLeft}} day(s) from now).',
+            'Please return or renew it before then to avoid a fine.',
+            '',
+            'Thank you,',
+            '{{library}}'
+        ].join('\n')
+    },
+    'overdue.id': {
+        subject: 'Buku terlambat: "{{title}}"',
+        body: [
+            'Halo {{name}},',
+            '',
+            'Buku "{{title}}" yang jatuh tempo pada {{dueDate}} sudah terlambat {{daysLate}} hari.',
+            'Denda sampai hari ini: {{fine}}. Mohon segera kembalikan buku tersebut ke {{library}}.',
+            '',
+            'Terima kasih,',
+            '{{library}}'
+        ].join('\n')
+    },
+    'overdue.en': {
+        subject: 'Overdue: "{{title}}"',
+        body: [
+            'Dear {{name}},',
+            '',
+            'The book "{{title}}" was due on {{dueDate}} and is now {{daysLate}} day(s) overdue.',
+            'The fine so far is {{fine}}. Please return it to {{library}} as soon as possible.',
+            '',
+            'Thank you,',
+            '{{library}}'
+        ].join('\n')
+    },
+    'hold_ready.id': {
+        subject: 'Reservasi siap diambil: "{{title}}"',
+        body: [
+            'Halo {{name}},',
+            '',
+            'Buku "{{title}}" yang Anda reservasi sudah tersedia dan disisihkan untuk Anda.',
+            'Silakan ambil di {{library}} sebelum {{holdExpires}}.',
+            '',
+            'Terima kasih,',
+            '{{library}}'
+        ].join('\n')
+    },
+    'hold_ready.en': {
+        subject: 'Your reserved book is ready: "{{title}}"',
+        body: [
+            'Dear {{name}},',
+            '',
+            'The book "{{title}}" you reserved is now available and being held for you.',
+            'Please collect it from {{library}} before {{holdExpires}}.',
+            '',
+            'Thank you,',
+            '{{library}}'
+        ].join('\n')
+    }
+};
+
+function templateKey(type, language) {
+    return `${type}.${language}`;
+}
+
+// Template yang diubah pengguna (data.noticeTemplates), atau bawaannya
+function templateOf(data, type, language) {
+    const key = templateKey(type, language);
+    const custom = (data.noticeTemplates || {})[key];
+    return custom ? { ...custom, custom: true } : { ...DEFAULT_TEMPLATES[key], custom: false };
+}
+
+// Isian di template yang tidak dikenal untuk jenis pemberitahuan ini
+function unknownPlaceholders(type, text) {
+    const names = [...String(text).matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+    return [...new Set(names.filter(name => !PLACEHOLDERS[type].includes(name)))];
+}
+
+function fill(text, values) {
+    return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        values[name] === undefined || values[name] === null ? '' : String(values[name]));
+}
+
+function render(data, type, language, values) {
+    const template = templateOf(data, type, language);
+    return { subject: fill(template.subject, values).replace(/[\r\n]+/g, ' '), text: fill(template.body, values) };
+}
+
+function parseLanguage(language) {
+    const key = String(language || '').trim().toLowerCase();
+    const found = LANGUAGES[key] ? key : Object.keys(LANGUAGES).find(k => LANGUAGES[k].label.toLowerCase() === key);
+    if (!found) {
+        throw new ValidationError('INVALID_LANGUAGE', `Bahasa tidak dikenal: ${language} (pilih: ${Object.keys(LANGUAGES).join(', ')})`);
+    }
+    return found;
+}
+
+function parseType(type) {
+    const key = String(type || '').trim().toLowerCase().replace(/-/g, '_');
+    if (!TYPES[key]) {
+        throw new ValidationError('INVALID_NOTICE_TYPE', `Jenis pemberitahuan tidak dikenal: ${type} (pilih: ${Object.keys(TYPES).join(', ')})`);
+    }
+    return key;
+}
+
+function isSent(data, key) {
+    return (data.notices || []).some(notice => notice.key === key && notice.status === 'sent');
+}
+
+module.exports = {
+    TYPES,
+    LANGUAGES,
+    STATUSES,
+    PLACEHOLDERS,
+    DEFAULT_TEMPLATES,
+    templateKey,
+    templateOf,
+    unknownPlaceholders,
+    render,
+    parseLanguage,
+    parseType,
+    isSent
+};
@@ -0,0 +1,353 @@
+const { tokenize } = require('./stemmer');
+const { ValidationError } = require('./errors');
+
+// Field teks buku yang diindeks, bobotnya untuk peringkat, dan nama lain yang
+// boleh dipakai di kueri (misal "penulis:Pramoedya")
+const FIELDS = {
+    title: { weight: 3, aliases: ['judul'] },
+    author: { weight: 2.5, aliases: ['penulis', 'pengarang'] },
+    isbn: { weight: 3, aliases: [] },
+    category: { weight: 1.5, aliases: ['kategori'] },
+    publisher: { weight: 1, aliases: ['penerbit'] },
+    description: { weight: 1, aliases: ['deskripsi'] },
+    location: { weight: 1, aliases: ['lokasi', 'rak'] }
+};
+
+// Field angka untuk perbandingan (year>1980, pages<=200, available>0)
+const NUMBER_FIELDS = {
+    year: { aliases: ['tahun'], value: book => book.year },
+    pages: { aliases: ['halaman'], value: book => book.pages },
+    copies: { aliases: ['jumlah'], value: book => book.copies },
+    available: { aliases: ['tersedia'], value: book => book.availableCopies }
+};
+
+const OPERATORS = {
+    AND: 'AND', DAN: 'AND', '&&': 'AND',
+    OR: 'OR', ATAU: 'OR', '||': 'OR',
+    NOT: 'NOT', BUKAN: 'NOT'
+};
+
+const COMPARISONS = {
+    '=': (a, b) => a === b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b
+};
+
+// Kata yang hanya cocok di awal kata lain ("pram" untuk "Pramoedya") dihitung setengah
+const PREFIX_FACTOR = 0.5;
+// Bonus jika kata yang diketik sama persis, bukan hanya kata dasarnya
+const EXACT_WORD_BONUS = 0.5;
+const PHRASE_BONUS = 1.5;
+
+function fieldName(name, fields) {
+    const key = name.toLowerCase();
+    return Object.keys(fields).find(field => field === key || fields[field].aliases.includes(key)) || null;
+}
+
+// Isi field yang diindeks; jika berubah, buku diindeks ulang
+function signatureOf(book) {
+    return JSON.stringify([
+        ...Object.keys(FIELDS).map(field => book[field] || ''),
+        ...Object.values(NUMBER_FIELDS).map(field => field.value(book))
+    ]);
+}
+
+// Indeks terbalik (kata -> buku dan posisinya) untuk pencarian teks penuh.
+// Disinkronkan dengan daftar buku setiap kali data di-commit dan sebelum
+// setiap pencarian; hanya buku yang isinya berubah yang diindeks ulang.
+class SearchIndex {
+    static reset() {
+        this.documents = new Map();
+        this.postings = new Map();
+    }
+
+    static sync(books) {
+        if (!this.documents) this.reset();
+
+        const seen = new Set();
+        books.forEach(book => {
+            seen.add(book.id);
+            const signature = signatureOf(book);
+            const document = this.documents.get(book.id);
+
+            if (document && document.signature === signature) {
+                document.book = book;
+                return;
+            }
+            if (document) this.remove(book.id);
+            this.add(book, signature);
+        });
+
+        [...this.documents.keys()].filter(id => !seen.has(id)).forEach(id => this.remove(id));
+    }
+
+    static add(book, signature) {
+        const keys = new Set();
+        const post = (key, field, position) => {
+            if (!this.postings.has(key)) this.postings.set(key, new Map());
+            const docs = this.postings.get(key);
+            if (!docs.has(book.id)) docs.set(book.id, []);
+            docs.get(book.id).push({ field, position });
+            keys.add(key);
+        };
+
+        Object.keys(FIELDS).forEach(field => {
+            const tokens = tokenize(book[field]);
+            // ISBN juga dicari tanpa tanda hubung
+            if (field === 'isbn' && tokens.length > 1) {
+                const clean = tokens.map(t => t.word).join('');
+                tokens.push({ word: clean, stem: clean });
+            }
+            tokens.forEach(({ word, stem }, position) => {
+                post(`s:${stem}`, field, position);
+                // Kata utuh juga menjadi kata dasar cadangan, untuk kueri yang
+                // kata dasarnya sama dengan kata ini apa adanya
+                if (stem !== word) post(`s:${word}`, field, position);
+                post(`w:${word}`, field, position);
+            });
+        });
+
+        this.documents.set(book.id, { book, signature, keys });
+    }
+
+    static remove(bookId) {
+        const document = this.documents.get(bookId);
+        if (!document) return;
+
+        document.keys.forEach(key => {
+            const docs = this.postings.get(key);
+            docs.delete(bookId);
+            if (docs.size === 0) this.postings.delete(key);
+        });
+        this.documents.delete(bookId);
+    }
+
+    // [{ book, score }] urut dari yang paling relevan. Kueri kosong = semua buku.
+    static search(books, query) {
+        this.sync(books);
+
+        if (!String(query || '').trim()) return books.map(book => ({ book, score: 0 }));
+
+        const scores = this.evaluate(parse(query));
+        return [...scores.entries()]
+            .map(([bookId, score]) => ({ book: this.documents.get(bookId).book, score }))
+            .sort((a, b) => b.score - a.score || a.book.title.localeCompare(b.book.title));
+    }
+
+    // Map bookId -> skor untuk sebuah node kueri
+    static evaluate(node) {
+        switch (node.type) {
+            case 'and': {
+                const left = this.evaluate(node.left);
+                const right = this.evaluate(node.right);
+                return new Map([...left].filter(([id]) => right.has(id)).map(([id, score]) => [id, score + right.get(id)]));
+            }
+            case 'or': {
+                const result = this.evaluate(node.left);
+                this.evaluate(node.right).forEach((score, id) => result.set(id, (result.get(id) || 0) + score));
+                return result;
+            }
+            case 'not': {
+                const excluded = this.evaluate(node.operand);
+                return new Map([...this.documents.keys()].filter(id => !excluded.has(id)).map(id => [id, 0]));
+            }
+            case 'compare': {
+                const { value } = NUMBER_FIELDS[node.field];
+                const test = COMPARISONS[node.operator];
+                return new Map([...this.documents.values()]
+                    .filter(document => {
+                        const raw = value(document.book);
+                        return raw !== undefined && raw !== null && raw !== '' && test(Number(raw), node.value);
+                    })
+                    .map(document => [document.book.id, 0]));
+            }
+            default:
+                return this.matchText(node);
+        }
+    }
+
+    static matchText({ field, text, quoted }) {
+        const tokens = tokenize(text);
+        if (tokens.length === 0) return new Map();
+        if (tokens.length > 1) return this.matchPhrase(tokens, field);
+
+        const [{ word, stem }] = tokens;
+        const result = new Map();
+        const add = (key, factor) => {
+            this.occurrences(key, field).forEach((occurrences, id) => {
+                result.set(id, (result.get(id) || 0) + this.score(key, occurrences) * factor);
+            });
+        };
+
+        add(`s:${stem}`, 1);
+        add(`w:${word}`, EXACT_WORD_BONUS);
+
+        // Kata yang belum selesai diketik cocok dengan awal kata di indeks
+        if (!quoted && word.length >= 2) {
+            [...this.postings.keys()]
+                .filter(key => key.startsWith(`w:${word}`) && key !== `w:${word}`)
+                .forEach(key => add(key, PREFIX_FACTOR));
+        }
+        return result;
+    }
+
+    // Semua kata harus berurutan di field yang sama
+    static matchPhrase(tokens, field) {
+        const lists = tokens.map(token => this.occurrences(`s:${token.stem}`, field));
+        const result = new Map();
+
+        lists[0].forEach((first, id) => {
+            if (!lists.every(list => list.has(id))) return;
+
+            const found = first.some(start => lists.every((list, offset) =>
+                list.get(id).some(o => o.field === start.field && o.position === start.position + offset)));
+            if (!found) return;
+
+            const score = tokens.reduce((total, token, index) =>
+                total + this.score(`s:${token.stem}`, lists[index].get(id)), 0);
+            result.set(id, score * PHRASE_BONUS);
+        });
+        return result;
+    }
+
+    // Map bookId -> kemunculan sebuah kata, hanya di `field` jika diisi
+    static occurrences(key, field) {
+        const docs = this.postings.get(key) || new Map();
+        if (!field) return docs;
+
+        const result = new Map();
+        docs.forEach((occurrences, id) => {
+            const inField = occurrences.filter(o => o.field === field);
+            if (inField.length > 0) result.set(id, inField);
+        });
+        return result;
+    }
+
+    // Bobot field x frekuensi (diredam log) x kelangkaan kata di seluruh koleksi
+    static score(key, occurrences) {
+        const docs = this.postings.get(key);
+        const idf = Math.log(1 + this.documents.size / docs.size);
+        const counts = {};
+        occurrences.forEach(o => { counts[o.field] = (counts[o.field] || 0) + 1; });
+        return Object.entries(counts).reduce((total, [field, count]) =>
+            total + FIELDS[field].weight * (1 + Math.log(count)) * idf, 0);
+    }
+}
+
+// Kueri: kata, "frasa", field:kata, field:"frasa", angka (year>1980), AND/OR/NOT
+// (juga DAN/ATAU/BUKAN), -kata, dan kurung. Kata berdampingan berarti AND.
+function parse(query) {
+    const tokens = lex(String(query));
+    let index = 0;
+    const peek = () => tokens[index];
+
+    function parseOr() {
+        let left = parseAnd();
+        while (peek() && peek().type === 'OR') {
+            index++;
+            left = { type: 'or', left, right: parseAnd() };
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseUnary();
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            if (peek().type === 'AND') index++;
+            left = { type: 'and', left, right: parseUnary() };
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (peek() && peek().type === 'NOT') {
+            index++;
+            return { type: 'not', operand: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = tokens[index++];
+        if (!token) throw new ValidationError('INVALID_QUERY', 'Kueri pencarian tidak lengkap: operator di akhir kueri');
+        if (token.type === '(') {
+            const node = parseOr();
+            if (!peek() || peek().type !== ')') throw new ValidationError('INVALID_QUERY', 'Kurung pada kueri pencarian tidak ditutup');
+            index++;
+            return node;
+        }
+        if (token.type === 'term' || token.type === 'compare') return token;
+        throw new ValidationError('INVALID_QUERY', `Kueri pencarian tidak valid di dekat "${token.type}"`);
+    }
+
+    const node = parseOr();
+    if (index < tokens.length) throw new ValidationError('INVALID_QUERY', 'Kurung tutup tanpa kurung buka pada kueri pencarian');
+    return node;
+}
+
+function lex(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+        if (/\s/.test(query[i])) {
+            i++;
+            continue;
+        }
+        if (query[i] === '(' || query[i] === ')') {
+            tokens.push({ type: query[i++] });
+            continue;
+        }
+
+        // Satu kata sampai spasi/kurung; teks dalam kutip boleh berisi spasi
+        let raw = '';
+        while (i < query.length && !/[\s()]/.test(query[i])) {
+            if (query[i] === '"') {
+                const end = query.indexOf('"', i + 1);
+                const stop = end === -1 ? query.length : end + 1;
+                raw += query.slice(i, stop);
+                i = stop;
+                continue;
+            }
+            raw += query[i++];
+        }
+
+        if (OPERATORS[raw]) {
+            tokens.push({ type: OPERATORS[raw] });
+        } else if (raw.length > 1 && raw.startsWith('-')) {
+            tokens.push({ type: 'NOT' }, classify(raw.slice(1)));
+        } else {
+            tokens.push(classify(raw));
+        }
+    }
+    return tokens;
+}
+
+function classify(raw) {
+    const match = raw.match(/^([a-z]+)(:|>=|<=|>|<|=)(.*)$/i);
+    const textField = match && fieldName(match[1], FIELDS);
+    const numberField = match && fieldName(match[1], NUMBER_FIELDS);
+
+    if (numberField) {
+        const value = Number(match[3].replace(/"/g, ''));
+        if (match[3] === '' || Number.isNaN(value)) {
+            throw new ValidationError('INVALID_QUERY', `Nilai ${match[1]} harus berupa angka: ${raw}`);
+        }
+        return { type: 'compare', field: numberField, operator: match[2] === ':' ? '=' : match[2], value };
+    }
+    if (textField && match[2] !== ':') {
+        throw new ValidationError('INVALID_QUERY', `${match[1]} bukan field angka, gunakan ${match[1]}:kata`);
+    }
+
+    const value = textField ? match[3] : raw;
+    const quoted = value.startsWith('"');
+    return { type: 'term', field: textField, text: value.replace(/"/g, ''), quoted };
+}
+
+SearchIndex.FIELDS = FIELDS;
+SearchIndex.NUMBER_FIELDS = NUMBER_FIELDS;
+SearchIndex.parse = parse;
+
+module.exports = SearchIndex;
@@ -0,0 +1,747 @@
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const CONFIG = require('./config');
+const Settings = require('./settings');
+const DataManager = require('./data-manager');
+const BookService = require('./services/book-service');
+const MemberService = require('./services/member-service');
+const TransactionService = require('./services/transaction-service');
+const FineService = require('./services/fine-service');
+const ReservationService = require('./services/reservation-service');
+const ItemService = require('./services/item-service');
+const ImportService = require('./services/import-service');
+const ExportService = require('./services/export-service');
+const ReportService = require('./services/report-service');
+const CalendarService = require('./services/calendar-service');
+const AuthService = require('./services/auth-service');
+const AuditService = require('./services/audit-service');
+const NotificationService = require('./services/notification-service');
+const AuditLog = require('./audit');
+const {
+    LibraryError,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+    AuthenticationError,
+    PermissionError
+} = require('./errors');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const EXPORT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    tsv: 'text/tab-separated-values; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    marcxml: 'application/marcxml+xml; charset=utf-8'
+};
+
+// REST API lokal (JSON) di atas layanan yang sama dengan menu dan mode perintah,
+// untuk meja layanan berbasis web atau kiosk. Validasi sepenuhnya dilakukan
+// layanan; di sini error layanan hanya dipetakan ke kode HTTP.
+class ApiServer {
+    static createServer() {
+        return http.createServer((req, res) => {
+            this.handle(req, res).catch(error => this.sendError(res, error));
+        });
+    }
+
+    // Mulai melayani sampai proses dihentikan (Ctrl+C atau SIGTERM)
+    static listen({ port = 3000, host = '127.0.0.1', log = console.log } = {}) {
+        AuditLog.source = 'api';
+        const server = this.createServer();
+        server.on('request', (req, res) => {
+            res.on('finish', () => log(`${req.method} ${req.url} ${res.statusCode}`));
+        });
+
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                const address = server.address();
+                log(`🌐 REST API berjalan di http://${address.address}:${address.port}/api (Ctrl+C untuk berhenti)`);
+
+                const stop = () => server.close(() => resolve(server));
+                process.once('SIGINT', stop);
+                process.once('SIGTERM', stop);
+            });
+        });
+    }
+
+    static async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const route = this.match(req.method, url.pathname);
+
+        if (!route) throw new NotFoundError('ROUTE_NOT_FOUND', `Endpoint tidak ditemukan: ${req.method} ${url.pathname}`);
+        if (!route.handler) {
+            res.setHeader('Allow', route.allowed.join(', '));
+            throw new HttpError(405, 'METHOD_NOT_ALLOWED', `Metode ${req.method} tidak didukung untuk ${url.pathname}`);
+        }
+
+        // Ambil perubahan dari proses lain (menu atau mode perintah) sebelum melayani
+        DataManager.refresh();
+
+        const staff = this.authenticate(req);
+        AuthService.assert(route.permission, staff);
+
+        const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await this.readBody(req) : {};
+        const query = Object.fromEntries(url.searchParams);
+
+        // Handler berjalan sinkron, jadi sesi petugas tidak tertukar antarpermintaan
+        let result;
+        AuthService.setCurrent(staff);
+        try {
+            result = route.handler.call(this, { params: route.params, query, body });
+        } finally {
+            AuthService.setCurrent(null);
+        }
+
+        // Sama seperti mode perintah: perubahan selalu disimpan walau AUTO_SAVE dimatikan
+        if (req.method !== 'GET' && !CONFIG.AUTO_SAVE) DataManager.persist();
+
+        const status = route.status || 200;
+        if (route.raw) {
+            this.sendRaw(res, status, result);
+            return;
+        }
+        this.send(res, status, result === undefined ? null : result);
+    }
+
+    // HTTP Basic auth dengan akun petugas, setelah ada akun. Hasil scrypt
+    // disimpan per header supaya tidak dihitung ulang di setiap permintaan;
+    // berlaku sampai password akun tersebut diganti.
+    static authenticate(req) {
+        if (!AuthService.hasAccounts()) return null;
+
+        const match = /^Basic\s+(\S+)$/i.exec(req.headers.authorization || '');
+        if (!match) throw new AuthenticationError('LOGIN_REQUIRED', 'Login dengan HTTP Basic auth (username dan password petugas)');
+
+        const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        const username = separator > -1 ? decoded.slice(0, separator) : decoded;
+        const password = separator > -1 ? decoded.slice(separator + 1) : '';
+
+        const key = crypto.createHash('sha256').update(match[1]).digest('hex');
+        const staff = AuthService.list().find(s => s.username === username.trim().toLowerCase());
+        if (staff && staff.status === 'active' && this.credentials.get(key) === staff.passwordHash) return staff;
+
+        const authenticated = AuthService.authenticate(username, password);
+        this.credentials.set(key, authenticated.passwordHash);
+        return authenticated;
+    }
+
+    // Cocokkan metode dan path dengan ROUTES; `:nama` di pola menjadi params.nama
+    static match(method, pathname) {
+        const parts = pathname.replace(/\/+$/, '').split('/').filter(Boolean);
+        const allowed = [];
+
+        for (const route of this.ROUTES) {
+            const pattern = route.path.split('/').filter(Boolean);
+            if (pattern.length !== parts.length) continue;
+
+            const params = {};
+            const matched = pattern.every((segment, index) => {
+                if (segment.startsWith(':')) {
+                    params[segment.slice(1)] = this.decode(parts[index]);
+                    return true;
+                }
+                return segment === parts[index];
+            });
+
+            if (!matched) continue;
+            if (route.method === method) return { ...route, params };
+            allowed.push(route.method);
+        }
+
+        return allowed.length > 0 ? { allowed } : null;
+    }
+
+    // Escape `%` yang salah (misal /api/books/%E0) adalah kesalahan klien, bukan server
+    static decode(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            if (!(error instanceof URIError)) throw error;
+            throw new HttpError(400, 'INVALID_PATH', `Path tidak valid: ${segment}`);
+        }
+    }
+
+    static readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    reject(new HttpError(413, 'BODY_TOO_LARGE', 'Isi permintaan terlalu besar'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8').trim();
+                if (!text) return resolve({});
+
+                try {
+                    const body = JSON.parse(text);
+                    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                        throw new Error('isi harus berupa objek JSON');
+                    }
+                    resolve(body);
+                } catch (error) {
+                    reject(new ValidationError('INVALID_JSON', `Isi permintaan bukan JSON yang valid: ${error.message}`));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    static send(res, status, data) {
+        if (res.headersSent) return;
+        const json = JSON.stringify(data);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(json)
+        });
+        res.end(json);
+    }
+
+    // Respons selain JSON (file export): { contentType, filename, content }
+    static sendRaw(res, status, { contentType, filename, content }) {
+        if (res.headersSent) return;
+        res.writeHead(status, {
+            'Content-Type': contentType,
+            'Content-Length': Buffer.byteLength(content),
+            ...(filename ? { 'Content-Disposition': `attachment; filename="${filename}"` } : {})
+        });
+        res.end(content);
+    }
+
+    static statusFor(error) {
+        if (error instanceof HttpError) return error.status;
+        if (error instanceof AuthenticationError) return 401;
+        if (error instanceof PermissionError) return 403;
+        if (error instanceof NotFoundError) return 404;
+        if (error instanceof ValidationError) return 400;
+        if (error instanceof ConflictError) return 409;
+        return 500;
+    }
+
+    static sendError(res, error) {
+        const status = this.statusFor(error);
+        const known = error instanceof LibraryError || error instanceof HttpError;
+
+        if (status === 401 && !res.headersSent) res.setHeader('WWW-Authenticate', 'Basic realm="perpustakaan", charset="UTF-8"');
+
+        this.send(res, status, {
+            error: {
+                code: known ? error.code : 'INTERNAL_ERROR',
+                message: known ? error.message : 'Terjadi kesalahan pada server',
+                ...(known && Object.keys(error.details || {}).length > 0 ? { details: error.details } : {})
+            }
+        });
+
+        if (!known) console.error(error);
+    }
+
+    static require(body, ...keys) {
+        keys.forEach(key => {
+            if (body[key] === undefined || body[key] === null || body[key] === '') {
+                throw new ValidationError('FIELD_REQUIRED', `Field "${key}" wajib diisi`, { field: key });
+            }
+        });
+    }
+}
+
+// Error khusus HTTP yang tidak berasal dari layanan (400 path tidak valid, 405, 413)
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = {};
+    }
+}
+
+// Daftar endpoint. `status` adalah kode HTTP untuk respons berhasil (bawaan 200),
+// `permission` hak akses petugas yang dibutuhkan (lihat AuthService), dan
+// `raw` berarti handler mengembalikan isi file, bukan JSON (lihat sendRaw).
+ApiServer.ROUTES = [
+    // Buku dan eksemplar
+    {
+        method: 'GET', path: '/api/books',
+        permission: 'book.view',
+        handler({ query }) {
+            return query.q ? BookService.search(query.q) : BookService.list();
+        }
+    },
+    {
+        method: 'POST', path: '/api/books', status: 201,
+        permission: 'book.edit',
+        handler({ body }) {
+            return BookService.create(body);
+        }
+    },
+    {
+        // Isi: { csv | marcxml | marc (base64), dryRun, addCategories, delimiter }.
+        // Dengan dryRun hanya mengembalikan rencana; tanpa dryRun, satu record
+        // yang salah membatalkan semuanya.
+        method: 'POST', path: '/api/books/import',
+        permission: 'book.edit',
+        handler({ body }) {
+            const format = ['csv', 'marcxml', 'marc'].find(key => typeof body[key] === 'string');
+            if (!format) throw new ValidationError('FIELD_REQUIRED', 'Isi salah satu field "csv", "marcxml" atau "marc" (base64)', { field: 'csv' });
+
+            const content = format === 'marc' ? Buffer.from(body.marc, 'base64') : body[format];
+            return ImportService.importData(content, {
+                format,
+                dryRun: body.dryRun === true,
+                addCategories: body.addCategories === true,
+                delimiter: body.delimiter
+            });
+        }
+    },
+    {
+        method: 'GET', path: '/api/books/:id',
+        permission: 'book.view',
+        handler({ params }) {
+            const book = BookService.get(params.id);
+            return { ...book, items: ItemService.forBook(book.id) };
+        }
+    },
+    {
+        method: 'PATCH', path: '/api/books/:id',
+        permission: 'book.edit',
+        handler({ params, body }) {
+            return BookService.update(params.id, body);
+        }
+    },
+    {
+        method: 'DELETE', path: '/api/books/:id',
+        permission: 'book.delete',
+        handler({ params }) {
+            return BookService.remove(params.id);
+        }
+    },
+    {
+        method: 'GET', path: '/api/books/:id/items',
+        permission: 'book.view',
+        handler({ params }) {
+            return ItemService.forBook(BookService.get(params.id).id);
+        }
+    },
+    {
+        method: 'POST', path: '/api/books/:id/items', status: 201,
+        permission: 'book.edit',
+        handler({ params, body }) {
+            return ItemService.add({ ...body, bookId: params.id });
+        }
+    },
+    {
+        method: 'GET', path: '/api/items/:barcode',
+        permission: 'book.view',
+        handler({ params }) {
+            return ItemService.find(params.barcode);
+        }
+    },
+    {
+        method: 'PATCH', path: '/api/items/:barcode',
+        permission: 'book.edit',
+        handler({ params, body }) {
+            return ItemService.update(ItemService.find(params.barcode).id, body);
+        }
+    },
+
+    // Anggota
+    {
+        method: 'GET', path: '/api/members',
+        permission: 'member.view',
+        handler({ query }) {
+            return query.q ? MemberService.search(query.q) : MemberService.list();
+        }
+    },
+    {
+        method: 'POST', path: '/api/members', status: 201,
+        permission: 'member.edit',
+        handler({ body }) {
+            return MemberService.create(body);
+        }
+    },
+    {
+        method: 'GET', path: '/api/members/:id',
+        permission: 'member.view',
+        handler({ params }) {
+            return MemberService.get(params.id);
+        }
+    },
+    {
+        method: 'PATCH', path: '/api/members/:id',
+        permission: 'member.edit',
+        handler({ params, body }) {
+            return MemberService.update(params.id, body);
+        }
+    },
+    {
+        // ?archive=true mengarsipkan anggota alih-alih menghapusnya
+        method: 'DELETE', path: '/api/members/:id',
+        permission: 'member.delete',
+        handler({ params, query }) {
+            return query.archive === 'true' ? MemberService.archive(params.id) : MemberService.remove(params.id);
+        }
+    },
+    {
+        method: 'GET', path: '/api/members/:id/fines',
+        permission: 'fine.view',
+        handler({ params }) {
+            const member = MemberService.get(params.id);
+            return {
+                memberId: member.id,
+                fines: member.fines,
+                charges: FineService.listCharges({ memberId: member.id }),
+                projected: FineService.getProjectedFines(member.id)
+            };
+        }
+    },
+
+    // Transaksi
+    {
+        method: 'GET', path: '/api/transactions',
+        permission: 'loan',
+        handler({ query }) {
+            const status = query.status || 'all';
+            if (!TransactionService.FILTERS.includes(status)) {
+                throw new ValidationError('INVALID_STATUS', `Status tidak valid: ${status}`);
+            }
+            return TransactionService.filter(status)
+                .filter(t => !query.memberId || t.memberId === query.memberId.toUpperCase());
+        }
+    },
+    {
+        // Pinjam: { memberId, bookId atau itemId (barcode), allowFines }
+        method: 'POST', path: '/api/transactions', status: 201,
+        permission: 'loan',
+        handler({ body }) {
+            this.require(body, 'memberId');
+            if (!body.bookId && !body.itemId) {
+                throw new ValidationError('FIELD_REQUIRED', 'Field "bookId" atau "itemId" wajib diisi', { field: 'bookId' });
+            }
+            const { transaction } = TransactionService.borrow({
+                memberId: body.memberId,
+                bookId: body.bookId,
+                itemId: body.itemId,
+                allowFines: body.allowFines === true
+            });
+            return transaction;
+        }
+    },
+    {
+        method: 'GET', path: '/api/transactions/:id',
+        permission: 'loan',
+        handler({ params }) {
+            return TransactionService.get(params.id);
+        }
+    },
+    {
+        method: 'POST', path: '/api/transactions/:id/return',
+        permission: 'loan',
+        handler({ params, body }) {
+            const { transaction, fine, hold } = TransactionService.returnBook({
+                transactionId: params.id,
+                condition: body.condition
+            });
+            return { transaction, fine, hold };
+        }
+    },
+    {
+        // Buku hilang/rusak/diklaim sudah dikembalikan: { outcome, replacementCost }
+        method: 'POST', path: '/api/transactions/:id/resolve',
+        permission: 'loan',
+        handler({ params, body }) {
+            this.require(body, 'outcome');
+            const { transaction, fine, charges } = TransactionService.resolveLoan({
+                transactionId: params.id,
+                outcome: body.outcome,
+                replacementCost: body.replacementCost
+            });
+            return { transaction, fine, charges };
+        }
+    },
+    {
+        // Buku yang hilang ditemukan: { condition }
+        method: 'POST', path: '/api/transactions/:id/found',
+        permission: 'fine.waive',
+        handler({ params, body }) {
+            const { transaction, charges, refund, hold } = TransactionService.markFound({
+                transactionId: params.id,
+                condition: body.condition
+            });
+            return { transaction, charges, refund, hold };
+        }
+    },
+    {
+        method: 'POST', path: '/api/transactions/:id/extend',
+        permission: 'loan',
+        handler({ params }) {
+            return TransactionService.extendLoan({ transactionId: params.id });
+        }
+    },
+
+    // Reservasi
+    {
+        method: 'GET', path: '/api/reservations',
+        permission: 'loan',
+        handler({ query }) {
+            // GET tidak mengubah data: hold yang lewat batas tidak ditampilkan, dan
+            // diproses saat peminjaman/pengembalian atau lewat POST /api/reservations/expire
+            const now = new Date();
+            return ReservationService.listOpen()
+                .filter(r => r.status !== 'ready' || new Date(r.holdExpires) >= now)
+                .filter(r => !query.bookId || r.bookId === query.bookId.toUpperCase())
+                .map(r => ({ ...r, position: r.status === 'active' ? ReservationService.position(r) : 0 }));
+        }
+    },
+    {
+        method: 'POST', path: '/api/reservations', status: 201,
+        permission: 'loan',
+        handler({ body }) {
+            this.require(body, 'memberId', 'bookId');
+            return ReservationService.reserve({ memberId: body.memberId, bookId: body.bookId });
+        }
+    },
+    {
+        // Sama seperti `reservation expire`, untuk dijalankan berkala
+        method: 'POST', path: '/api/reservations/expire',
+        permission: 'loan',
+        handler() {
+            return ReservationService.expireHolds().map(({ reservation, next }) => ({
+                ...reservation,
+                nextReservationId: next ? next.id : null
+            }));
+        }
+    },
+    {
+        method: 'DELETE', path: '/api/reservations/:id',
+        permission: 'loan',
+        handler({ params }) {
+            return ReservationService.cancel({ reservationId: params.id });
+        }
+    },
+
+    // Denda dan pembayaran
+    {
+        method: 'GET', path: '/api/fines',
+        permission: 'fine.view',
+        handler() {
+            return FineService.listMembersWithFines();
+        }
+    },
+    {
+        method: 'GET', path: '/api/payments',
+        permission: 'fine.view',
+        handler({ query }) {
+            return FineService.listPayments()
+                .filter(p => !query.memberId || p.memberId === query.memberId.toUpperCase());
+        }
+    },
+    {
+        // Bayar denda: { memberId, amount, chargeIds? }; tanpa chargeIds tagihan terlama dibayar lebih dulu
+        method: 'POST', path: '/api/payments', status: 201,
+        permission: 'fine.pay',
+        handler({ body }) {
+            this.require(body, 'memberId', 'amount');
+            const { payment, member } = FineService.pay({ memberId: body.memberId, amount: body.amount, chargeIds: body.chargeIds });
+            return { payment, remaining: member.fines };
+        }
+    },
+    {
+        // Kuitansi teks; :id boleh ID pembayaran atau nomor kuitansi
+        method: 'GET', path: '/api/payments/:id/receipt',
+        permission: 'fine.view',
+        raw: true,
+        handler({ params }) {
+            const payment = FineService.getPayment(params.id);
+            return {
+                contentType: 'text/plain; charset=utf-8',
+                content: FineService.receipt(payment.id)
+            };
+        }
+    },
+    {
+        // ?memberId=&status=open|paid|waived
+        method: 'GET', path: '/api/charges',
+        permission: 'fine.view',
+        handler({ query }) {
+            return FineService.listCharges({ memberId: query.memberId, status: query.status });
+        }
+    },
+    {
+        // Hapuskan denda: { reason, amount? }
+        method: 'POST', path: '/api/charges/:id/waive',
+        permission: 'fine.waive',
+        handler({ params, body }) {
+            this.require(body, 'reason');
+            const { charge, member, amount } = FineService.waive({ chargeId: params.id, reason: body.reason, amount: body.amount });
+            return { charge, waived: amount, remaining: member.fines };
+        }
+    },
+
+    // Kalender: hari buka dan hari tutup
+    {
+        // ?from=YYYY-MM-DD&days= (bawaan 14 hari mulai hari ini)
+        method: 'GET', path: '/api/calendar',
+        permission: 'settings.view',
+        handler({ query }) {
+            return {
+                openDays: CalendarService.openWeekdays().map(day => Settings.WEEKDAYS[day]),
+                closures: CalendarService.listClosures({ all: query.all === 'true' }),
+                days: CalendarService.upcoming({
+                    from: query.from ? AuditService.parseDate(query.from) : new Date(),
+                    days: query.days === undefined ? 14 : Number(query.days) || 14
+                })
+            };
+        }
+    },
+    {
+        // Tambah hari tutup: { from, to?, reason }
+        method: 'POST', path: '/api/calendar/closures', status: 201,
+        permission: 'settings',
+        handler({ body }) {
+            this.require(body, 'from', 'reason');
+            return CalendarService.addClosure({ from: body.from, to: body.to, reason: body.reason });
+        }
+    },
+    {
+        method: 'DELETE', path: '/api/calendar/closures/:id',
+        permission: 'settings',
+        handler({ params }) {
+            return CalendarService.removeClosure(params.id);
+        }
+    },
+
+    // Pemberitahuan email. Pengirimannya lewat `perpustakaan notice run` (misal dari cron),
+    // tidak lewat API. Riwayat: ?memberId=&status=sent|failed&limit=
+    {
+        method: 'GET', path: '/api/notices',
+        permission: 'loan',
+        handler({ query }) {
+            const limit = query.limit === undefined ? undefined : Number(query.limit);
+            if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+                throw new ValidationError('INVALID_NUMBER', 'Parameter limit harus bilangan bulat > 0');
+            }
+            return NotificationService.listLog({ memberId: query.memberId, status: query.status, limit });
+        }
+    },
+    {
+        method: 'GET', path: '/api/notices/pending',
+        permission: 'loan',
+        handler() {
+            return NotificationService.pending().map(notice => ({
+                ...NotificationService.summary(notice),
+                to: notice.member.email || null
+            }));
+        }
+    },
+    {
+        method: 'GET', path: '/api/notices/templates',
+        permission: 'settings.view',
+        handler() {
+            return NotificationService.listTemplates();
+        }
+    },
+    {
+        // Ubah template: { subject?, body? }
+        method: 'PUT', path: '/api/notices/templates/:type/:language',
+        permission: 'settings',
+        handler({ params, body }) {
+            return NotificationService.updateTemplate({ ...params, subject: body.subject, body: body.body });
+        }
+    },
+    {
+        method: 'DELETE', path: '/api/notices/templates/:type/:language',
+        permission: 'settings',
+        handler({ params }) {
+            return NotificationService.resetTemplate(params);
+        }
+    },
+
+    // Laporan
+    {
+        method: 'GET', path: '/api/reports/stats',
+        permission: 'report.view',
+        handler() {
+            return ReportService.getStatistics();
+        }
+    },
+    {
+        method: 'GET', path: '/api/reports/overdue',
+        permission: 'report.view',
+        handler() {
+            return ReportService.getOverdueReport();
+        }
+    },
+    {
+        method: 'GET', path: '/api/reports/upcoming',
+        permission: 'report.view',
+        handler({ query }) {
+            const days = query.days === undefined ? 3 : Number(query.days);
+            if (!Number.isInteger(days) || days < 0) throw new ValidationError('INVALID_NUMBER', 'Parameter days harus bilangan bulat >= 0');
+            return ReportService.getUpcomingDue(new Date(), days);
+        }
+    },
+    {
+        method: 'GET', path: '/api/reports/members',
+        permission: 'report.view',
+        handler() {
+            return ReportService.getMembersReport();
+        }
+    },
+    // ?from=YYYY-MM-DD&to=YYYY-MM-DD&limit=
+    {
+        method: 'GET', path: '/api/reports/circulation',
+        permission: 'report.view',
+        handler({ query }) {
+            return ReportService.getCirculationReport({ from: query.from, to: query.to, limit: query.limit });
+        }
+    },
+    {
+        method: 'GET', path: '/api/reports/financial',
+        permission: 'report.view',
+        handler() {
+            return ReportService.getFinancialReport();
+        }
+    },
+
+    // Export: ?format=csv|tsv|json&columns=a,b&status= (status hanya untuk transaksi)
+    {
+        method: 'GET', path: '/api/export/:dataset',
+        permission: 'report.view',
+        raw: true,
+        handler({ params, query }) {
+            const result = ExportService.render(params.dataset, query);
+            return {
+                contentType: EXPORT_TYPES[result.format],
+                filename: `${result.dataset}.${ExportService.EXTENSIONS[result.format]}`,
+                content: result.content
+            };
+        }
+    },
+
+    // Log audit: ?entity=&id=&actor=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=
+    {
+        method: 'GET', path: '/api/audit',
+        permission: 'audit.view',
+        handler({ query }) {
+            return AuditService.list(query);
+        }
+    }
+];
+
+// Header Basic auth yang sudah diverifikasi -> hash password akun saat diverifikasi
+ApiServer.credentials = new Map();
+
+ApiServer.HttpError = HttpError;
+
+module.exports = ApiServer;
@@ -0,0 +1,125 @@
+const AuditLog = require('../audit');
+const Utils = require('../utils');
+const { LABELS } = require('../storage/changes');
+const { ValidationError } = require('../errors');
+
+const ENTITY_LABELS = {
+    ...LABELS,
+    backup: 'backup',
+    data: 'file data'
+};
+
+const ACTION_LABELS = {
+    create: 'tambah',
+    update: 'ubah',
+    delete: 'hapus',
+    restore: 'restore',
+    recover: 'pulihkan'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Membaca dan menyaring log audit (lihat lib/audit.js untuk pencatatannya)
+class AuditService {
+    // Terima nama koleksi ("books"), bentuk tunggalnya ("book") atau labelnya ("buku")
+    static normalizeEntity(entity) {
+        const name = String(entity).trim().toLowerCase();
+        const key = Object.keys(ENTITY_LABELS).find(k =>
+            k === name ||
+            k.replace(/ies$/, 'y').replace(/s$/, '') === name ||
+            ENTITY_LABELS[k] === name
+        );
+
+        if (!key) {
+            throw new ValidationError('INVALID_ENTITY', `Jenis data tidak dikenal: ${entity} (pilih: ${Object.keys(ENTITY_LABELS).join(', ')})`);
+        }
+        return key;
+    }
+
+    // Tanggal YYYY-MM-DD (waktu lokal); `endOfDay` untuk batas akhir rentang
+    static parseDate(value, { endOfDay = false } = {}) {
+        const text = String(value).trim();
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00`) : new Date(NaN);
+
+        if (Number.isNaN(date.getTime())) {
+            throw new ValidationError('INVALID_DATE', `Tanggal tidak valid: ${value} (format YYYY-MM-DD)`);
+        }
+        return endOfDay ? new Date(date.getTime() + DAY_MS) : date;
+    }
+
+    // Filter: entity, id (ID record), actor (username), from/to (YYYY-MM-DD,
+    // keduanya termasuk) dan limit (catatan terbaru). Hasil urut dari yang lama.
+    static list({ entity, id, actor, from, to, limit } = {}) {
+        const entityKey = entity ? this.normalizeEntity(entity) : null;
+        const start = from ? this.parseDate(from) : null;
+        const end = to ? this.parseDate(to, { endOfDay: true }) : null;
+        const max = limit === undefined || limit === '' ? null : parseInt(limit);
+
+        if (max !== null && (!Number.isInteger(max) || max < 1)) {
+            throw new ValidationError('INVALID_NUMBER', 'Batas jumlah catatan harus bilangan bulat >= 1');
+        }
+
+        const entries = AuditLog.read().filter(entry => {
+            const time = new Date(entry.time);
+            return (!entityKey || entry.entity === entityKey) &&
+                (!id || String(entry.id || '').toUpperCase() === String(id).trim().toUpperCase()) &&
+                (!actor || String(entry.actor || '').toLowerCase() === String(actor).trim().toLowerCase()) &&
+                (!start || time >= start) &&
+                (!end || time < end);
+        });
+
+        return max ? entries.slice(-max) : entries;
+    }
+
+    static describe(entry) {
+        const label = ENTITY_LABELS[entry.entity] || entry.entity;
+        const target = [entry.name ? `"${entry.name}"` : null, entry.id ? `(${entry.id})` : null].filter(Boolean).join(' ');
+        return `${ACTION_LABELS[entry.action] || entry.action} ${label}${target ? ' ' + target : ''}`;
+    }
+
+    // Baris-baris untuk ditampilkan: ringkasan, lalu satu baris per field yang berubah
+    static format(entry) {
+        const lines = [
+            `${Utils.formatDate(entry.time)} | ${entry.actor || '-'}${entry.source ? ` (${entry.source})` : ''} | ${this.describe(entry)}`
+        ];
+
+        const { before, after } = entry;
+        if (entry.action === 'update' && isObject(before) && isObject(after)) {
+            Object.keys(after).forEach(field => {
+                lines.push(`    ${field}: ${formatValue(before[field])} → ${formatValue(after[field])}`);
+            });
+        } else if (entry.action === 'update' && Array.isArray(before) && Array.isArray(after)) {
+            // Daftar nilai (misal kategori): tampilkan yang dihapus dan ditambah saja
+            const removed = before.filter(value => !after.includes(value));
+            const added = after.filter(value => !before.includes(value));
+            if (removed.length > 0) lines.push(`    dihapus: ${removed.map(formatValue).join(', ')}`);
+            if (added.length > 0) lines.push(`    ditambah: ${added.map(formatValue).join(', ')}`);
+        } else if (entry.action === 'update') {
+            lines.push(`    ${formatValue(before)} → ${formatValue(after)}`);
+        } else if (entry.action === 'create') {
+            lines.push(`    data: ${formatValue(after)}`);
+        } else if (entry.action === 'delete') {
+            lines.push(`    data lama: ${formatValue(before)}`);
+        } else {
+            if (before) lines.push(`    sebelum: ${formatValue(before)}`);
+            if (after) lines.push(`    sesudah: ${formatValue(after)}`);
+        }
+
+        return lines;
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null) return '-';
+    const text = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+AuditService.ENTITY_LABELS = ENTITY_LABELS;
+AuditService.ACTION_LABELS = ACTION_LABELS;
+
+module.exports = AuditService;
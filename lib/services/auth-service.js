@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const { database } = require('../database');
+const DataManager = require('../data-manager');
+const AuditLog = require('../audit');
+const Utils = require('../utils');
+const {
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+    AuthenticationError,
+    PermissionError
+} = require('../errors');
+
+// Hak akses yang dicek oleh menu, mode perintah dan REST API
+const PERMISSIONS = {
+    'book.view': 'Lihat dan cari katalog',
+    'book.edit': 'Tambah/ubah buku dan eksemplar, import',
+    'book.delete': 'Hapus buku',
+    'member.view': 'Lihat anggota',
+    'member.edit': 'Tambah/ubah anggota',
+    'member.delete': 'Hapus/arsipkan anggota',
+    'loan': 'Peminjaman, pengembalian, perpanjangan dan reservasi',
+    'fine.view': 'Lihat denda dan riwayat pembayaran',
+    'fine.pay': 'Catat pembayaran denda',
+    'fine.waive': 'Hapuskan denda (dengan alasan)',
+    'report.view': 'Laporan dan export',
+    'settings.view': 'Lihat pengaturan dan aturan peminjaman',
+    'settings': 'Ubah pengaturan, kategori dan aturan peminjaman',
+    'backup': 'Buat backup',
+    'restore': 'Restore dan hapus backup',
+    'staff': 'Kelola akun petugas',
+    'audit.view': 'Lihat log audit'
+};
+
+const ROLES = {
+    admin: {
+        label: 'Admin',
+        permissions: Object.keys(PERMISSIONS)
+    },
+    librarian: {
+        label: 'Pustakawan',
+        permissions: [
+            'book.view', 'book.edit', 'member.view', 'member.edit', 'loan',
+            'fine.view', 'fine.pay', 'fine.waive', 'report.view', 'settings.view', 'backup', 'audit.view'
+        ]
+    },
+    circulation: {
+        label: 'Sirkulasi',
+        permissions: ['book.view', 'member.view', 'member.edit', 'loan', 'fine.view', 'settings.view']
+    }
+};
+
+const STATUSES = {
+    active: 'Aktif',
+    disabled: 'Nonaktif'
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+// Akun petugas (database.staff) dan sesi login proses ini. Password disimpan
+// sebagai hash scrypt dengan salt acak per akun ("scrypt$<salt>$<hash>").
+// Selama belum ada akun sama sekali, semua aksi diizinkan supaya instalasi
+// lama tetap berjalan; akun pertama wajib admin.
+class AuthService {
+    static list() {
+        if (!database.staff) database.staff = [];
+        return database.staff;
+    }
+
+    static hasAccounts() {
+        return this.list().length > 0;
+    }
+
+    static get(staffId) {
+        const staff = this.list().find(s => s.id === String(staffId).toUpperCase());
+        if (!staff) throw new NotFoundError('STAFF_NOT_FOUND', 'Akun petugas tidak ditemukan', { staffId });
+        return staff;
+    }
+
+    static findByUsername(username) {
+        const name = String(username || '').trim().toLowerCase();
+        const staff = this.list().find(s => s.username === name);
+        if (!staff) throw new NotFoundError('STAFF_NOT_FOUND', `Akun petugas tidak ditemukan: ${username}`, { username });
+        return staff;
+    }
+
+    // Data akun tanpa hash password, untuk ditampilkan atau dikirim lewat API
+    static publicView(staff) {
+        const { passwordHash, ...view } = staff;
+        return view;
+    }
+
+    static hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+        return `scrypt$${salt}$${hash}`;
+    }
+
+    static verifyPassword(password, passwordHash) {
+        const [scheme, salt, hash] = String(passwordHash || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+        const expected = Buffer.from(hash, 'hex');
+        const actual = crypto.scryptSync(String(password), salt, expected.length);
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    static parseRole(role) {
+        const normalized = String(role || '').trim().toLowerCase();
+        const key = ROLES[normalized]
+            ? normalized
+            : Object.keys(ROLES).find(k => ROLES[k].label.toLowerCase() === normalized);
+
+        if (!key) {
+            throw new ValidationError('INVALID_ROLE', `Peran tidak dikenal: ${role} (pilih: ${Object.keys(ROLES).join(', ')})`);
+        }
+        return key;
+    }
+
+    static validatePassword(password) {
+        if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+            throw new ValidationError('PASSWORD_TOO_SHORT', `Password minimal ${MIN_PASSWORD_LENGTH} karakter`);
+        }
+        return String(password);
+    }
+
+    static create({ username, name, role, password, now = new Date() }) {
+        const login = String(username || '').trim().toLowerCase();
+        if (!/^[a-z0-9._-]{3,32}$/.test(login)) {
+            throw new ValidationError(
+                'INVALID_USERNAME',
+                'Username 3-32 karakter, hanya huruf kecil, angka, titik, garis bawah atau tanda hubung'
+            );
+        }
+        if (this.list().some(s => s.username === login)) {
+            throw new ConflictError('USERNAME_TAKEN', `Username ${login} sudah dipakai`);
+        }
+
+        const parsedRole = this.parseRole(role || (this.hasAccounts() ? 'circulation' : 'admin'));
+        if (!this.hasAccounts() && parsedRole !== 'admin') {
+            throw new ValidationError('FIRST_STAFF_ADMIN', 'Akun petugas pertama harus berperan admin');
+        }
+
+        const staff = {
+            id: Utils.generateId(),
+            username: login,
+            name: name ? String(name).trim() : login,
+            role: parsedRole,
+            status: 'active',
+            passwordHash: this.hashPassword(this.validatePassword(password)),
+            createdDate: now.toISOString()
+        };
+
+        this.list().push(staff);
+
+        // Akun selalu disimpan, juga saat auto-save dimatikan
+        DataManager.commit({ save: true });
+        return staff;
+    }
+
+    // Hanya field yang diisi yang diubah
+    static update(staffId, { name, role, status } = {}) {
+        const staff = this.get(staffId);
+        const nextRole = role ? this.parseRole(role) : staff.role;
+        const nextStatus = status ? this.parseStatus(status) : staff.status;
+
+        if ((nextRole !== 'admin' || nextStatus !== 'active') && this.isLastAdmin(staff)) {
+            throw new ConflictError('LAST_ADMIN', 'Harus ada minimal satu admin aktif');
+        }
+
+        if (name) staff.name = String(name).trim();
+        staff.role = nextRole;
+        staff.status = nextStatus;
+
+        DataManager.commit({ save: true });
+        return staff;
+    }
+
+    static parseStatus(status) {
+        const normalized = String(status).trim().toLowerCase();
+        const key = STATUSES[normalized]
+            ? normalized
+            : Object.keys(STATUSES).find(k => STATUSES[k].toLowerCase() === normalized);
+        if (!key) {
+            throw new ValidationError('INVALID_STAFF_STATUS', `Status tidak dikenal: ${status} (pilih: ${Object.keys(STATUSES).join(', ')})`);
+        }
+        return key;
+    }
+
+    static setPassword(staffId, password) {
+        const staff = this.get(staffId);
+        staff.passwordHash = this.hashPassword(this.validatePassword(password));
+        staff.passwordChangedDate = new Date().toISOString();
+
+        DataManager.commit({ save: true });
+        return staff;
+    }
+
+    static remove(staffId) {
+        const staff = this.get(staffId);
+        if (this.isLastAdmin(staff)) {
+            throw new ConflictError('LAST_ADMIN', 'Admin aktif terakhir tidak bisa dihapus');
+        }
+        if (this.current && this.current.id === staff.id) {
+            throw new ConflictError('STAFF_LOGGED_IN', 'Akun yang sedang dipakai tidak bisa dihapus');
+        }
+
+        this.list().splice(this.list().indexOf(staff), 1);
+        DataManager.commit({ save: true });
+        return staff;
+    }
+
+    static isLastAdmin(staff) {
+        return staff.role === 'admin' && staff.status === 'active' &&
+            this.list().filter(s => s.role === 'admin' && s.status === 'active').length === 1;
+    }
+
+    // Cek username dan password tanpa mengubah sesi. Pesan error sengaja sama
+    // untuk username dan password yang salah.
+    static authenticate(username, password) {
+        const login = String(username || '').trim().toLowerCase();
+        const staff = this.list().find(s => s.username === login);
+
+        if (!staff || !this.verifyPassword(password, staff.passwordHash)) {
+            throw new AuthenticationError('INVALID_CREDENTIALS', 'Username atau password salah');
+        }
+        if (staff.status !== 'active') {
+            throw new AuthenticationError('STAFF_DISABLED', `Akun ${staff.username} dinonaktifkan`);
+        }
+        return staff;
+    }
+
+    // Login untuk sesi proses ini (menu interaktif atau satu perintah)
+    static login(username, password) {
+        const staff = this.authenticate(username, password);
+        this.setCurrent(staff);
+        return staff;
+    }
+
+    static logout() {
+        this.setCurrent(null);
+    }
+
+    // Petugas yang sedang login juga menjadi pelaku di log audit
+    static setCurrent(staff) {
+        this.current = staff;
+        AuditLog.actor = staff ? staff.username : null;
+    }
+
+    static can(permission, staff = this.current) {
+        if (!this.hasAccounts()) return true;
+
+        // Baca ulang akunnya: peran atau status bisa diubah admin lain selama sesi berjalan
+        const account = staff && this.list().find(s => s.id === staff.id);
+        if (!account || account.status !== 'active' || !ROLES[account.role]) return false;
+        return ROLES[account.role].permissions.includes(permission);
+    }
+
+    static assert(permission, staff = this.current) {
+        if (this.can(permission, staff)) return;
+
+        if (!staff) throw new AuthenticationError('LOGIN_REQUIRED', 'Silakan login terlebih dahulu');
+        throw new PermissionError(
+            'PERMISSION_DENIED',
+            `Akses ditolak: ${PERMISSIONS[permission] || permission} tidak diizinkan untuk peran ${this.roleLabel(staff.role)}`,
+            { permission, role: staff.role }
+        );
+    }
+
+    static roleLabel(role) {
+        return ROLES[role] ? ROLES[role].label : role;
+    }
+}
+
+// Petugas yang sedang login di proses ini
+AuthService.current = null;
+
+AuthService.PERMISSIONS = PERMISSIONS;
+AuthService.ROLES = ROLES;
+AuthService.STATUSES = STATUSES;
+AuthService.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+module.exports = AuthService;
@@ -0,0 +1,125 @@
+const { database } = require('../database');
+const DataManager = require('../data-manager');
+const Utils = require('../utils');
+const Items = require('../items');
+const SearchIndex = require('../search-index');
+const { NotFoundError, ValidationError, ConflictError } = require('../errors');
+
+const EDITABLE_FIELDS = ['title', 'author', 'isbn', 'category', 'publisher', 'year', 'pages', 'description', 'location', 'price'];
+
+class BookService {
+    static list() {
+        return database.books;
+    }
+
+    static get(bookId) {
+        const book = database.books.find(b => b.id === String(bookId).toUpperCase());
+        if (!book) throw new NotFoundError('BOOK_NOT_FOUND', 'Buku tidak ditemukan', { bookId });
+        return book;
+    }
+
+    // Pencarian teks penuh, urut dari yang paling relevan (lihat lib/search-index.js)
+    static search(query) {
+        return SearchIndex.search(database.books, query).map(result => result.book);
+    }
+
+    static create(data) {
+        const book = this.buildBook(data);
+
+        database.books.push(book);
+        this.addItems(book, book.copies);
+        DataManager.commit();
+
+        return book;
+    }
+
+    // Eksemplar awal buku baru, ditaruh di lokasi rak buku tersebut
+    static addItems(book, count) {
+        if (!database.items) database.items = [];
+        for (let i = 0; i < count; i++) {
+            database.items.push(Items.buildItem(database, book));
+        }
+        Items.syncBook(database, book);
+    }
+
+    static buildBook(data) {
+        if (!data.title) throw new ValidationError('TITLE_REQUIRED', 'Judul buku wajib diisi');
+
+        const copies = parseInt(data.copies) || 1;
+        return {
+            id: Utils.generateId(),
+            title: data.title,
+            author: data.author || '',
+            isbn: data.isbn || '',
+            category: database.categories.includes(data.category) ? data.category : 'Lainnya',
+            publisher: data.publisher || '',
+            year: parseInt(data.year) || new Date().getFullYear(),
+            pages: parseInt(data.pages) || 0,
+            copies: copies,
+            available: true,
+            availableCopies: copies,
+            addedDate: new Date().toISOString(),
+            description: data.description || '',
+            location: data.location || '',
+            price: this.parsePrice(data.price)
+        };
+    }
+
+    // Harga buku (Rp) dipakai sebagai biaya penggantian jika buku hilang atau rusak;
+    // kosong berarti belum diisi (null)
+    static parsePrice(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const price = Number(value);
+        if (!Number.isInteger(price) || price < 0) {
+            throw new ValidationError('INVALID_PRICE', `Harga buku harus bilangan bulat >= 0: ${value}`);
+        }
+        return price;
+    }
+
+    // Hanya field yang diisi yang diubah, sama seperti "Enter untuk tidak mengubah" di menu
+    static update(bookId, changes) {
+        const book = this.get(bookId);
+
+        EDITABLE_FIELDS.forEach(field => {
+            const value = changes[field];
+            if (value === undefined || value === null || value === '') return;
+
+            if (field === 'year' || field === 'pages') {
+                const number = parseInt(value);
+                if (isNaN(number)) throw new ValidationError('INVALID_NUMBER', `Nilai ${field} harus berupa angka`);
+                book[field] = number;
+            } else if (field === 'price') {
+                book.price = this.parsePrice(value);
+            } else {
+                book[field] = String(value);
+            }
+        });
+
+        DataManager.commit();
+        return book;
+    }
+
+    static remove(bookId) {
+        const book = this.get(bookId);
+
+        const onLoan = database.transactions.some(t => t.status === 'borrowed' && t.bookId === book.id) ||
+            Items.itemsOf(database, book.id).some(item => item.status === 'on_loan');
+        if (onLoan) {
+            throw new ConflictError('BOOK_ON_LOAN', 'Tidak dapat menghapus buku yang sedang dipinjam');
+        }
+
+        const reserved = (database.reservations || []).some(r => r.bookId === book.id && ['active', 'ready'].includes(r.status));
+        if (reserved) {
+            throw new ConflictError('BOOK_RESERVED', 'Tidak dapat menghapus buku yang masih direservasi, batalkan reservasinya dulu');
+        }
+
+        database.books.splice(database.books.indexOf(book), 1);
+        database.items = (database.items || []).filter(item => item.bookId !== book.id);
+        DataManager.commit();
+
+        return book;
+    }
+}
+
+module.exports = BookService;
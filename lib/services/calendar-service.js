@@ -0,0 +1,139 @@
+const CONFIG = require('../config');
+const Settings = require('../settings');
+const { database } = require('../database');
+const DataManager = require('../data-manager');
+const Utils = require('../utils');
+const AuditService = require('./audit-service');
+const { NotFoundError, ValidationError } = require('../errors');
+
+// Batas pencarian hari buka berikutnya, supaya kalender yang tutup terus tidak membuat loop tanpa akhir
+const MAX_SEARCH_DAYS = 366;
+
+function dateKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function startOfDay(date) {
+    const result = new Date(date);
+    result.setHours(0, 0, 0, 0);
+    return result;
+}
+
+function endOfDay(date) {
+    const result = new Date(date);
+    result.setHours(23, 59, 59, 999);
+    return result;
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+// Kalender perpustakaan: hari buka setiap minggu (pengaturan OPEN_DAYS) dan
+// hari tutup seperti libur nasional atau libur sekolah (database.closures,
+// rentang tanggal YYYY-MM-DD waktu lokal). Jatuh tempo selalu di akhir hari
+// buka, dan keterlambatan dihitung dalam hari buka.
+class CalendarService {
+    static list() {
+        if (!database.closures) database.closures = [];
+        return database.closures;
+    }
+
+    // Hari tutup yang belum lewat (atau semuanya), urut tanggal
+    static listClosures({ all = false, now = new Date() } = {}) {
+        const today = dateKey(now);
+        return this.list()
+            .filter(closure => all || closure.to >= today)
+            .sort((a, b) => a.from.localeCompare(b.from));
+    }
+
+    static addClosure({ from, to, reason }) {
+        const start = AuditService.parseDate(from);
+        const end = to ? AuditService.parseDate(to) : start;
+        reason = String(reason || '').trim();
+
+        if (!reason) throw new ValidationError('CLOSURE_REASON_REQUIRED', 'Keterangan hari tutup wajib diisi');
+        if (end < start) {
+            throw new ValidationError('INVALID_DATE_RANGE', 'Tanggal akhir tidak boleh sebelum tanggal awal', { from, to });
+        }
+
+        const closure = { id: Utils.generateId(), from: dateKey(start), to: dateKey(end), reason };
+        this.list().push(closure);
+
+        DataManager.commit();
+        return closure;
+    }
+
+    static removeClosure(closureId) {
+        const index = this.list().findIndex(c => c.id === String(closureId).trim().toUpperCase());
+        if (index === -1) throw new NotFoundError('CLOSURE_NOT_FOUND', 'Hari tutup tidak ditemukan', { closureId });
+
+        const [closure] = this.list().splice(index, 1);
+        DataManager.commit();
+        return closure;
+    }
+
+    static openWeekdays() {
+        return Settings.weekdayNumbers(CONFIG.OPEN_DAYS);
+    }
+
+    static closureOn(date) {
+        const key = dateKey(date);
+        return this.list().find(closure => closure.from <= key && key <= closure.to) || null;
+    }
+
+    static isOpen(date) {
+        return this.openWeekdays().includes(date.getDay()) && !this.closureOn(date);
+    }
+
+    // Hari itu sendiri jika buka, atau hari buka berikutnya
+    static nextOpenDay(date) {
+        let day = new Date(date);
+        for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+            if (this.isOpen(day)) return day;
+            day = addDays(day, 1);
+        }
+        return new Date(date);
+    }
+
+    // Jatuh tempo `days` hari dari `from`: akhir hari tersebut, dimundurkan ke
+    // hari buka berikutnya jika perpustakaan tutup
+    static dueDate(from, days) {
+        return endOfDay(this.nextOpenDay(addDays(from, days)));
+    }
+
+    // Jumlah hari buka setelah tanggal jatuh tempo sampai tanggal `at` (termasuk).
+    // Hanya tanggal yang dihitung, jadi terlambat beberapa jam di hari yang sama tidak dihitung.
+    static openDaysLate(dueDate, at) {
+        let day = addDays(startOfDay(dueDate), 1);
+        const last = startOfDay(at);
+        let count = 0;
+
+        while (day <= last) {
+            if (this.isOpen(day)) count++;
+            day = addDays(day, 1);
+        }
+        return count;
+    }
+
+    // Status setiap tanggal dalam `days` hari (paling banyak setahun) mulai `from`, untuk ditampilkan
+    static upcoming({ from = new Date(), days = 14 } = {}) {
+        return Array.from({ length: Math.min(Math.max(days, 1), MAX_SEARCH_DAYS) }, (_, index) => {
+            const date = addDays(startOfDay(from), index);
+            const closure = this.closureOn(date);
+            return {
+                date: dateKey(date),
+                weekday: Settings.WEEKDAYS[date.getDay()],
+                open: this.isOpen(date),
+                reason: closure ? closure.reason : null
+            };
+        });
+    }
+}
+
+CalendarService.dateKey = dateKey;
+
+module.exports = CalendarService;
@@ -0,0 +1,80 @@
+const { database } = require('../database');
+const MemberService = require('./member-service');
+const ItemService = require('./item-service');
+const TransactionService = require('./transaction-service');
+const { NotFoundError, ConflictError } = require('../errors');
+
+// Sirkulasi cepat untuk scanner barcode: kartu anggota, lalu barcode eksemplar
+// atau ISBN. Pencocokan selalu persis (ID anggota, barcode, ID buku atau ISBN
+// tanpa tanda hubung); tidak pernah memakai hasil pencarian pertama.
+class CirculationService {
+    static findMember(code) {
+        const id = String(code || '').trim().toUpperCase();
+        const member = database.members.find(m => m.id === id);
+        if (!member) throw new NotFoundError('MEMBER_NOT_FOUND', `Kartu anggota tidak dikenal: ${code}`, { code });
+        return member;
+    }
+
+    // Eksemplar (barcode) atau buku (ID atau ISBN) untuk sebuah hasil scan
+    static identify(code) {
+        const text = String(code || '').trim();
+
+        const item = ItemService.list().find(i => i.barcode === text) ||
+            ItemService.list().find(i => i.barcode.toUpperCase() === text.toUpperCase());
+        if (item) return { item, book: database.books.find(b => b.id === item.bookId) };
+
+        const byId = database.books.find(b => b.id === text.toUpperCase());
+        if (byId) return { book: byId };
+
+        const isbn = cleanIsbn(text);
+        const byIsbn = isbn ? database.books.filter(b => b.isbn && cleanIsbn(b.isbn) === isbn) : [];
+        if (byIsbn.length > 1) {
+            throw new ConflictError(
+                'AMBIGUOUS_ISBN',
+                `ISBN ${text} dipakai ${byIsbn.length} buku, scan barcode eksemplarnya`,
+                { bookIds: byIsbn.map(b => b.id) }
+            );
+        }
+        if (byIsbn.length === 1) return { book: byIsbn[0] };
+
+        throw new NotFoundError('SCAN_NOT_FOUND', `Barcode atau ISBN tidak dikenal: ${text}`, { code: text });
+    }
+
+    // Satu scan: eksemplar yang sedang dipinjam dikembalikan (siapa pun
+    // peminjamnya), selain itu dipinjamkan ke anggota. Scan ISBN mengembalikan
+    // pinjaman anggota untuk buku itu (jatuh tempo paling awal) jika ada.
+    static scan({ memberId, code, allowFines = false, now = new Date() }) {
+        const member = MemberService.get(memberId);
+        const { item, book } = this.identify(code);
+
+        const active = item
+            ? TransactionService.findActive().find(t => t.itemId === item.id)
+            : TransactionService.findActive({ memberId: member.id, bookId: book.id })
+                .sort((a, b) => a.dueDate.localeCompare(b.dueDate))[0];
+
+        if (active) {
+            const result = TransactionService.returnBook({ transactionId: active.id, now });
+            return {
+                action: 'return',
+                ...result,
+                otherMember: active.memberId !== member.id ? active.memberName : null
+            };
+        }
+
+        const result = TransactionService.borrow({
+            memberId: member.id,
+            bookId: book.id,
+            itemId: item ? item.id : undefined,
+            allowFines,
+            now
+        });
+        return { action: 'borrow', ...result };
+    }
+}
+
+function cleanIsbn(text) {
+    const clean = text.replace(/[-\s]/g, '').toUpperCase();
+    return /^(\d{9}[\dX]|\d{13})$/.test(clean) ? clean : null;
+}
+
+module.exports = CirculationService;
@@ -0,0 +1,270 @@
+const { database } = require('../database');
+const Csv = require('../csv');
+const Marc = require('../marc');
+const TransactionService = require('./transaction-service');
+const ReservationService = require('./reservation-service');
+const FineService = require('./fine-service');
+const { ValidationError } = require('../errors');
+
+// Kolom setiap jenis data. `date: true` ditulis sebagai "YYYY-MM-DD HH:MM"
+// (waktu lokal) di CSV/TSV supaya dikenali spreadsheet; JSON tetap ISO.
+const DATASETS = {
+    books: {
+        label: 'Buku',
+        list: () => database.books,
+        columns: {
+            id: b => b.id,
+            title: b => b.title,
+            author: b => b.author,
+            isbn: b => b.isbn || '',
+            category: b => b.category,
+            publisher: b => b.publisher,
+            year: b => b.year,
+            pages: b => b.pages,
+            copies: b => b.copies,
+            available_copies: b => b.availableCopies,
+            location: b => b.location || '',
+            description: b => b.description || '',
+            price: b => b.price === undefined || b.price === null ? '' : b.price,
+            added_date: { value: b => b.addedDate, date: true }
+        },
+        // Kolom export lama ditambah harga, supaya import ulang lewat `book import` tidak kehilangan biaya penggantian
+        defaults: ['id', 'title', 'author', 'isbn', 'category', 'publisher', 'year', 'pages', 'copies', 'available_copies', 'location', 'description', 'price']
+    },
+    members: {
+        label: 'Anggota',
+        list: () => database.members,
+        columns: {
+            id: m => m.id,
+            name: m => m.name,
+            type: m => m.type,
+            email: m => m.email || '',
+            phone: m => m.phone || '',
+            address: m => m.address || '',
+            status: m => m.status,
+            join_date: { value: m => m.joinDate, date: true },
+            borrowed: m => (m.borrowedBooks || []).length,
+            fines: m => m.fines || 0
+        }
+    },
+    transactions: {
+        label: 'Transaksi',
+        list: ({ status, now }) => TransactionService.filter(status, now),
+        filtered: true,
+        columns: {
+            id: t => t.id,
+            member_id: t => t.memberId,
+            member_name: t => t.memberName,
+            book_id: t => t.bookId,
+            book_title: t => t.bookTitle,
+            barcode: t => t.barcode || '',
+            borrow_date: { value: t => t.borrowDate, date: true },
+            due_date: { value: t => t.dueDate, date: true },
+            return_date: { value: t => t.returnDate, date: true },
+            status: t => t.status,
+            outcome: t => t.outcome || '',
+            overdue: (t, now) => TransactionService.isOverdue(t, now),
+            fine: t => t.fine || 0
+        }
+    },
+    reservations: {
+        label: 'Reservasi',
+        list: () => ReservationService.list(),
+        columns: {
+            id: r => r.id,
+            member_id: r => r.memberId,
+            member_name: r => r.memberName,
+            book_id: r => r.bookId,
+            book_title: r => r.bookTitle,
+            reservation_date: { value: r => r.reservationDate, date: true },
+            status: r => r.status,
+            queue_position: r => r.status === 'active' ? ReservationService.position(r) : '',
+            hold_expires: { value: r => r.holdExpires, date: true }
+        }
+    },
+    charges: {
+        label: 'Tagihan',
+        list: () => FineService.listCharges(),
+        columns: {
+            id: c => c.id,
+            member_id: c => c.memberId,
+            member_name: c => c.memberName,
+            transaction_id: c => c.transactionId || '',
+            book_title: c => c.bookTitle || '',
+            type: c => c.type,
+            amount: c => c.amount,
+            paid: c => c.paid || 0,
+            waived: c => c.waived || 0,
+            balance: c => c.balance,
+            status: c => c.status,
+            waive_reason: c => (c.waivers || []).map(w => w.reason).join('; '),
+            date: { value: c => c.date, date: true }
+        }
+    },
+    payments: {
+        label: 'Pembayaran',
+        list: () => FineService.listPayments(),
+        columns: {
+            id: p => p.id,
+            receipt_number: p => p.receiptNumber || '',
+            member_id: p => p.memberId,
+            member_name: p => p.memberName,
+            amount: p => p.amount,
+            date: { value: p => p.date, date: true },
+            type: p => p.type,
+            charges: p => (p.allocations || []).map(a => a.chargeId).join(' ')
+        }
+    }
+};
+
+const FORMATS = {
+    csv: 'CSV (dipisah koma)',
+    tsv: 'TSV (dipisah tab)',
+    json: 'JSON',
+    marcxml: 'MARCXML (hanya buku)'
+};
+
+const EXTENSIONS = {
+    csv: 'csv',
+    tsv: 'tsv',
+    json: 'json',
+    marcxml: 'xml'
+};
+
+const STATUS_FILTERS = TransactionService.FILTERS;
+
+// Export data ke CSV, TSV atau JSON dengan pilihan kolom. Transaksi bisa
+// disaring seperti di Riwayat Transaksi (borrowed/returned/overdue/lost/...).
+class ExportService {
+    static parseDataset(dataset) {
+        const name = String(dataset || '').trim().toLowerCase();
+        const key = DATASETS[name]
+            ? name
+            : Object.keys(DATASETS).find(k => DATASETS[k].label.toLowerCase() === name);
+
+        if (!key) {
+            throw new ValidationError('INVALID_DATASET', `Jenis data tidak dikenal: ${dataset} (pilih: ${Object.keys(DATASETS).join(', ')})`);
+        }
+        return key;
+    }
+
+    static parseFormat(format) {
+        const key = String(format || 'csv').trim().toLowerCase();
+        if (!FORMATS[key]) {
+            throw new ValidationError('INVALID_FORMAT', `Format tidak dikenal: ${format} (pilih: ${Object.keys(FORMATS).join(', ')})`);
+        }
+        return key;
+    }
+
+    static columnsOf(dataset) {
+        return Object.keys(DATASETS[this.parseDataset(dataset)].columns);
+    }
+
+    // Kolom dari daftar ("title,author") atau array; kosong berarti kolom bawaan
+    static parseColumns(dataset, columns) {
+        const definition = DATASETS[dataset];
+        const available = Object.keys(definition.columns);
+        const names = (Array.isArray(columns) ? columns : String(columns || '').split(','))
+            .map(name => String(name).trim().toLowerCase())
+            .filter(Boolean);
+
+        if (names.length === 0) return definition.defaults || available;
+
+        const unknown = names.filter(name => !available.includes(name));
+        if (unknown.length > 0) {
+            throw new ValidationError(
+                'INVALID_COLUMN',
+                `Kolom tidak dikenal untuk ${definition.label.toLowerCase()}: ${unknown.join(', ')} (pilih: ${available.join(', ')})`
+            );
+        }
+        return [...new Set(names)];
+    }
+
+    static parseStatus(status) {
+        const key = String(status || 'all').trim().toLowerCase();
+        if (!STATUS_FILTERS.includes(key)) {
+            throw new ValidationError('INVALID_STATUS_FILTER', `Filter tidak dikenal: ${status} (pilih: ${STATUS_FILTERS.join(', ')})`);
+        }
+        return key;
+    }
+
+    // Baris-baris data dengan kolom terpilih: { dataset, columns, rows: [[...]] }
+    static collect(dataset, { columns, status, now = new Date() } = {}) {
+        const key = this.parseDataset(dataset);
+        const definition = DATASETS[key];
+        const selected = this.parseColumns(key, columns);
+
+        if (status && !definition.filtered && this.parseStatus(status) !== 'all') {
+            throw new ValidationError('FILTER_NOT_SUPPORTED', 'Filter status hanya berlaku untuk transaksi');
+        }
+
+        const records = definition.list({ status: this.parseStatus(status), now });
+        const rows = records.map(record => selected.map(name => {
+            const column = definition.columns[name];
+            const value = (typeof column === 'function' ? column : column.value)(record, now);
+            return value === undefined ? null : value;
+        }));
+
+        return { dataset: key, columns: selected, rows };
+    }
+
+    // Isi file siap tulis. CSV/TSV diawali BOM supaya Excel membaca UTF-8 dengan benar.
+    static render(dataset, { format, columns, status, now = new Date() } = {}) {
+        const type = this.parseFormat(format);
+
+        // Katalog untuk sistem perpustakaan lain; pilihan kolom tidak berlaku
+        if (type === 'marcxml') {
+            if (this.parseDataset(dataset) !== 'books') {
+                throw new ValidationError('FORMAT_NOT_SUPPORTED', 'Format MARCXML hanya untuk data buku');
+            }
+            const books = DATASETS.books.list();
+            return {
+                dataset: 'books',
+                columns: [],
+                rows: books,
+                format: type,
+                content: Marc.toXml(books.map(book => Marc.fromBook(book)))
+            };
+        }
+        const data = this.collect(dataset, { columns, status, now });
+        const definition = DATASETS[data.dataset];
+
+        if (type === 'json') {
+            const objects = data.rows.map(row => Object.fromEntries(data.columns.map((name, index) => [name, row[index]])));
+            return { ...data, format: type, content: JSON.stringify(objects, null, 2) + '\n' };
+        }
+
+        const dates = data.columns.map(name => Boolean(definition.columns[name].date));
+        const cells = data.rows.map(row => row.map((value, index) =>
+            dates[index] ? formatDateTime(value) : spreadsheetValue(value)));
+        const content = Csv.BOM + Csv.stringify([data.columns, ...cells], { delimiter: type === 'tsv' ? '\t' : ',' });
+
+        return { ...data, format: type, content };
+    }
+}
+
+function formatDateTime(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return String(value);
+
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Teks yang diawali =, +, - atau @ akan dijalankan sebagai rumus oleh
+// spreadsheet; awali dengan kutip tunggal supaya tetap dibaca sebagai teks
+function spreadsheetValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean') return value ? 'ya' : 'tidak';
+    if (typeof value === 'string' && /^[=+\-@]/.test(value)) return `'${value}`;
+    return value;
+}
+
+ExportService.DATASETS = DATASETS;
+ExportService.FORMATS = FORMATS;
+ExportService.EXTENSIONS = EXTENSIONS;
+ExportService.STATUS_FILTERS = STATUS_FILTERS;
+
+module.exports = ExportService;
@@ -0,0 +1,245 @@
+const { database } = require('../database');
+const DataManager = require('../data-manager');
+const AuditLog = require('../audit');
+const CONFIG = require('../config');
+const Utils = require('../utils');
+const Charges = require('../charges');
+const MemberService = require('./member-service');
+const PolicyService = require('./policy-service');
+const CalendarService = require('./calendar-service');
+const { NotFoundError, ValidationError, ConflictError } = require('../errors');
+
+const RECEIPT_WIDTH = 48;
+
+class FineService {
+    // `policy` berisi finePerDay dan maxFine (lihat PolicyService); tanpa policy dipakai aturan umum.
+    // Hanya hari buka yang dihitung. Keterlambatan dalam masa tenggang (GRACE_PERIOD_DAYS)
+    // tidak didenda; lewat dari itu denda dihitung sejak jatuh tempo.
+    static calculateOverdueFine(dueDate, at = new Date(), policy = PolicyService.defaults()) {
+        dueDate = new Date(dueDate);
+        if (at <= dueDate) return { daysLate: 0, fine: 0 };
+
+        const daysLate = CalendarService.openDaysLate(dueDate, at);
+        if (daysLate <= CONFIG.GRACE_PERIOD_DAYS) return { daysLate, fine: 0 };
+
+        const fine = daysLate * policy.finePerDay;
+        return { daysLate, fine: policy.maxFine === null ? fine : Math.min(fine, policy.maxFine) };
+    }
+
+    // Denda untuk sebuah transaksi sesuai aturan jenis anggota dan kategori bukunya
+    static calculateTransactionFine(transaction, at = new Date()) {
+        const member = database.members.find(m => m.id === transaction.memberId);
+        const book = database.books.find(b => b.id === transaction.bookId);
+        return this.calculateOverdueFine(transaction.dueDate, at, PolicyService.forLoan(member, book));
+    }
+
+    static listMembersWithFines() {
+        return database.members.filter(m => m.fines > 0);
+    }
+
+    // Perkiraan denda untuk pinjaman yang masih terlambat dan belum dikembalikan.
+    // Belum menjadi tagihan: denda baru ditagih saat buku dikembalikan.
+    static getProjectedFines(memberId, now = new Date()) {
+        const member = MemberService.get(memberId);
+
+        return database.transactions
+            .filter(t => t.memberId === member.id && t.status === 'borrowed' && new Date(t.dueDate) < now)
+            .map(transaction => ({ transaction, ...this.calculateTransactionFine(transaction, now) }));
+    }
+
+    static listCharges({ memberId, status } = {}) {
+        if (!database.charges) database.charges = [];
+        const member = memberId ? MemberService.get(memberId) : null;
+
+        if (status && !Charges.STATUSES[status]) {
+            throw new ValidationError('INVALID_CHARGE_STATUS', `Status tagihan tidak dikenal: ${status}`, {
+                allowed: Object.keys(Charges.STATUSES)
+            });
+        }
+
+        return (member ? Charges.chargesOf(database, member.id) : database.charges.slice())
+            .filter(charge => !status || charge.status === status)
+            .map(charge => ({ ...charge, balance: Charges.balanceOf(charge) }));
+    }
+
+    static getCharge(chargeId) {
+        const charge = (database.charges || []).find(c => c.id === String(chargeId).trim().toUpperCase());
+        if (!charge) throw new NotFoundError('CHARGE_NOT_FOUND', 'Tagihan denda tidak ditemukan', { chargeId });
+        return charge;
+    }
+
+    // Tagihan yang dibayar: yang dipilih (`chargeIds`), atau semua tagihan
+    // terbuka anggota mulai dari yang terlama
+    static chargesToPay(member, chargeIds) {
+        if (!chargeIds || chargeIds.length === 0) return Charges.openChargesOf(database, member.id);
+
+        return chargeIds.map(chargeId => {
+            const charge = this.getCharge(chargeId);
+            if (charge.memberId !== member.id) {
+                throw new ValidationError('CHARGE_MEMBER_MISMATCH', `Tagihan ${charge.id} bukan milik ${member.name}`, {
+                    chargeId: charge.id,
+                    memberId: member.id
+                });
+            }
+            if (charge.status !== 'open') {
+                throw new ConflictError('CHARGE_CLOSED', `Tagihan ${charge.id} sudah ${Charges.STATUSES[charge.status].toLowerCase()}`, {
+                    chargeId: charge.id,
+                    status: charge.status
+                });
+            }
+            return charge;
+        });
+    }
+
+    // Pembayaran dibagi ke tagihan satu per satu sesuai urutan; boleh kurang
+    // dari total (bayar sebagian), tidak boleh lebih
+    static pay({ memberId, amount, chargeIds, now = new Date() }) {
+        const member = MemberService.get(memberId);
+        const charges = this.chargesToPay(member, chargeIds);
+        const outstanding = Charges.round(charges.reduce((sum, charge) => sum + Charges.balanceOf(charge), 0));
+        amount = Charges.round(Number(amount));
+
+        if (!(amount > 0) || amount > outstanding) {
+            throw new ValidationError(
+                'INVALID_PAYMENT_AMOUNT',
+                `Jumlah pembayaran tidak valid (sisa tagihan ${Utils.formatCurrency(outstanding)})`,
+                { amount, outstanding }
+            );
+        }
+
+        let left = amount;
+        const allocations = [];
+        charges.forEach(charge => {
+            const part = Math.min(left, Charges.balanceOf(charge));
+            if (part <= 0) return;
+
+            charge.paid = Charges.round((charge.paid || 0) + part);
+            Charges.settle(charge);
+            left = Charges.round(left - part);
+            allocations.push({
+                chargeId: charge.id,
+                transactionId: charge.transactionId,
+                bookTitle: charge.bookTitle,
+                type: charge.type,
+                amount: part
+            });
+        });
+
+        Charges.syncMember(database, member);
+
+        // Catat pembayaran
+        const id = Utils.generateId();
+        const payment = {
+            id,
+            receiptNumber: Charges.nextReceiptNumber(database, id),
+            memberId: member.id,
+            memberName: member.name,
+            amount: amount,
+            allocations,
+            remaining: member.fines,
+            receivedBy: AuditLog.actor,
+            date: now.toISOString(),
+            type: 'fine_payment'
+        };
+
+        if (!database.payments) database.payments = [];
+        database.payments.push(payment);
+
+        DataManager.commit();
+
+        return { payment, member };
+    }
+
+    // Hapuskan denda (seluruh sisa tagihan, atau sebagian lewat `amount`); alasan wajib diisi
+    static waive({ chargeId, reason, amount, now = new Date() }) {
+        const charge = this.getCharge(chargeId);
+        reason = String(reason || '').trim();
+
+        if (!reason) {
+            throw new ValidationError('WAIVE_REASON_REQUIRED', 'Alasan penghapusan denda wajib diisi', { chargeId: charge.id });
+        }
+        if (charge.status !== 'open') {
+            throw new ConflictError('CHARGE_CLOSED', `Tagihan ${charge.id} sudah ${Charges.STATUSES[charge.status].toLowerCase()}`, {
+                chargeId: charge.id,
+                status: charge.status
+            });
+        }
+
+        const balance = Charges.balanceOf(charge);
+        amount = amount === undefined || amount === null || amount === '' ? balance : Charges.round(Number(amount));
+        if (!(amount > 0) || amount > balance) {
+            throw new ValidationError(
+                'INVALID_WAIVE_AMOUNT',
+                `Jumlah denda yang dihapuskan tidak valid (sisa tagihan ${Utils.formatCurrency(balance)})`,
+                { amount, balance }
+            );
+        }
+
+        charge.waived = Charges.round((charge.waived || 0) + amount);
+        if (!charge.waivers) charge.waivers = [];
+        charge.waivers.push({ amount, reason, by: AuditLog.actor, date: now.toISOString() });
+        Charges.settle(charge);
+
+        const member = Charges.syncMemberById(database, charge.memberId);
+
+        DataManager.commit();
+
+        return { charge, member, amount };
+    }
+
+    static listPayments() {
+        return (database.payments || [])
+            .slice()
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    // Cari pembayaran lewat ID atau nomor kuitansinya
+    static getPayment(paymentId) {
+        const key = String(paymentId).trim().toUpperCase();
+        const payment = (database.payments || []).find(p => p.id === key || p.receiptNumber === key);
+        if (!payment) throw new NotFoundError('PAYMENT_NOT_FOUND', 'Pembayaran tidak ditemukan', { paymentId });
+        return payment;
+    }
+
+    // Kuitansi teks untuk dicetak; bisa dicetak ulang kapan saja dari riwayat pembayaran
+    static receipt(paymentId) {
+        const payment = this.getPayment(paymentId);
+        const line = '='.repeat(RECEIPT_WIDTH);
+        const thin = '-'.repeat(RECEIPT_WIDTH);
+        const center = text => ' '.repeat(Math.max(0, Math.floor((RECEIPT_WIDTH - text.length) / 2))) + text;
+        const row = (label, value) => {
+            const gap = RECEIPT_WIDTH - label.length - value.length;
+            return gap > 0 ? label + ' '.repeat(gap) + value : `${label}\n${' '.repeat(Math.max(0, RECEIPT_WIDTH - value.length))}${value}`;
+        };
+
+        // Pembayaran lama (sebelum ada tagihan per transaksi) tidak punya rincian
+        const allocations = payment.allocations && payment.allocations.length > 0
+            ? payment.allocations
+            : [{ amount: payment.amount }];
+        const describe = a => {
+            const type = Charges.TYPES[a.type] || a.type || 'Pembayaran denda';
+            return a.bookTitle ? `${type}: ${a.bookTitle}` : type;
+        };
+
+        return [
+            line,
+            center(CONFIG.LIBRARY_NAME.toUpperCase()),
+            center('KUITANSI PEMBAYARAN DENDA'),
+            line,
+            `No. Kuitansi : ${payment.receiptNumber || payment.id}`,
+            `Tanggal      : ${Utils.formatDate(payment.date)}`,
+            `Anggota      : ${payment.memberName} (${payment.memberId})`,
+            ...(payment.receivedBy ? [`Petugas      : ${payment.receivedBy}`] : []),
+            thin,
+            ...allocations.map(a => row(describe(a), Utils.formatCurrency(a.amount))),
+            thin,
+            row('TOTAL DIBAYAR', Utils.formatCurrency(payment.amount)),
+            ...(payment.remaining === undefined ? [] : [row('Sisa denda', Utils.formatCurrency(payment.remaining))]),
+            line,
+            center('Terima kasih'),
+            ''
+        ].join('\n');
+    }
+}
+
+module.exports = FineService;
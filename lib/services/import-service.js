@@ -0,0 +1,368 @@
+const { database } = require('../database');
+const DataManager = require('../data-manager');
+const Utils = require('../utils');
+const Csv = require('../csv');
+const Marc = require('../marc');
+const BookService = require('./book-service');
+const ItemService = require('./item-service');
+const { ValidationError } = require('../errors');
+
+// Nama kolom yang diterima untuk setiap field buku (huruf besar/kecil diabaikan)
+const COLUMNS = {
+    title: ['title', 'judul'],
+    author: ['author', 'penulis', 'pengarang'],
+    isbn: ['isbn'],
+    category: ['category', 'kategori'],
+    publisher: ['publisher', 'penerbit'],
+    year: ['year', 'tahun'],
+    pages: ['pages', 'halaman'],
+    copies: ['copies', 'jumlah', 'eksemplar'],
+    description: ['description', 'deskripsi'],
+    location: ['location', 'lokasi', 'rak'],
+    price: ['price', 'harga']
+};
+
+// Kolom hasil export yang tidak dipakai saat import
+const IGNORED_COLUMNS = ['id', 'available_copies'];
+
+const DEFAULT_CATEGORY = 'Lainnya';
+
+const FORMATS = {
+    csv: 'CSV',
+    marc: 'MARC21 biner (ISO 2709)',
+    marcxml: 'MARCXML'
+};
+
+// Import buku dalam dua langkah: plan() memeriksa setiap baris tanpa mengubah
+// data (untuk pratinjau dan laporan error), apply() menjalankan rencana yang
+// valid sekaligus. Buku yang sudah ada (ISBN sama, atau judul+penulis sama)
+// tidak dibuat ulang; eksemplarnya ditambahkan ke buku tersebut.
+class ImportService {
+    static parseFormat(format) {
+        const key = String(format || 'csv').trim().toLowerCase();
+        if (!FORMATS[key]) {
+            throw new ValidationError('INVALID_FORMAT', `Format import tidak dikenal: ${format} (pilih: ${Object.keys(FORMATS).join(', ')})`);
+        }
+        return key;
+    }
+
+    // Format dari ekstensi file, atau dari isinya jika ekstensinya tidak dikenal
+    static detectFormat(filename, content) {
+        const extension = String(filename || '').toLowerCase().split('.').pop();
+        if (['mrc', 'marc', 'iso'].includes(extension)) return 'marc';
+        if (extension === 'xml') return 'marcxml';
+        if (extension === 'csv' || extension === 'tsv' || !content) return 'csv';
+
+        const start = Buffer.from(content).subarray(0, 64).toString('latin1').replace(/^\xEF\xBB\xBF/, '').trimStart();
+        if (start.startsWith('<')) return 'marcxml';
+        if (/^\d{5}[a-z ]{5}\d\d/.test(start)) return 'marc';
+        return 'csv';
+    }
+
+    // Baca file menjadi [{ line, data }] sesuai formatnya. `line` adalah nomor
+    // baris (CSV) atau nomor record (MARC), lihat `unit`.
+    static read(content, { format = 'csv', delimiter } = {}) {
+        const type = this.parseFormat(format);
+        if (type === 'csv') return { ...this.readCsv(Buffer.isBuffer(content) ? content.toString('utf8') : content, { delimiter }), unit: 'Baris' };
+        return { ...this.readMarc(content, { format: type }), unit: 'Record' };
+    }
+
+    // Baca CSV menjadi [{ line, data }] berdasarkan baris judul kolom
+    static readCsv(text, { delimiter } = {}) {
+        const rows = Csv.parse(String(text || ''), delimiter ? { delimiter } : {});
+        if (rows.length === 0) throw new ValidationError('CSV_EMPTY', 'File CSV kosong');
+
+        const [header, ...body] = rows;
+        const warnings = [];
+        const fields = header.values.map(name => {
+            const column = name.trim().toLowerCase();
+            const field = Object.keys(COLUMNS).find(key => COLUMNS[key].includes(column));
+            if (!field && !IGNORED_COLUMNS.includes(column) && column) {
+                warnings.push(`Kolom "${name.trim()}" tidak dikenal dan diabaikan`);
+            }
+            return field || null;
+        });
+
+        if (!fields.includes('title')) {
+            throw new ValidationError('CSV_MISSING_COLUMN', 'Kolom "title" (atau "judul") wajib ada di baris pertama');
+        }
+        const duplicate = fields.find((field, index) => field && fields.indexOf(field) !== index);
+        if (duplicate) {
+            throw new ValidationError('CSV_DUPLICATE_COLUMN', `Kolom untuk "${duplicate}" muncul lebih dari sekali`);
+        }
+
+        const records = body.map(({ line, values }) => {
+            const data = {};
+            fields.forEach((field, index) => {
+                // Kutip tunggal pelindung rumus dari export dibuang lagi
+                if (field) data[field] = (values[index] || '').trim().replace(/^'(?=[=+\-@])/, '');
+            });
+
+            const record = { line, data };
+            if (values.length !== fields.length) {
+                record.error = `Jumlah kolom ${values.length}, seharusnya ${fields.length}`;
+            }
+            return record;
+        });
+
+        return { records, warnings };
+    }
+
+    // Record MARC21 biner atau MARCXML. Kategori diambil dari subjek (650) yang
+    // sama dengan kategori terdaftar; selain itu masuk kategori bawaan.
+    static readMarc(content, { format = 'marcxml' } = {}) {
+        const marcRecords = format === 'marc'
+            ? Marc.parseBinary(Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8'))
+            : Marc.parseXml(Buffer.isBuffer(content) ? content.toString('utf8') : content);
+        if (marcRecords.length === 0) throw new ValidationError('MARC_EMPTY', 'File tidak berisi record MARC');
+
+        const warnings = [];
+        if (format === 'marc' && marcRecords.some(record => record.leader && record.leader[9] !== 'a')) {
+            warnings.push('Sebagian record memakai pengkodean MARC-8; huruf beraksen mungkin tidak terbaca dengan benar');
+        }
+
+        const records = marcRecords.map((record, index) => {
+            if (record.error) return { line: index + 1, data: {}, error: record.error };
+
+            const { subjects, ...data } = Marc.toBook(record);
+            const category = subjects
+                .map(subject => database.categories.find(c => c.toLowerCase() === subject.toLowerCase()))
+                .find(Boolean);
+            return { line: index + 1, data: { ...data, category: category || '' } };
+        });
+
+        return { records, warnings };
+    }
+
+    // Periksa setiap baris tanpa mengubah data. `addCategories` membuat kategori
+    // yang belum ada alih-alih menolaknya.
+    static plan(records, { addCategories = false, warnings = [], unit = 'Baris' } = {}) {
+        const rows = [];
+        const newCategories = [];
+        const unknownCategories = [];
+
+        records.forEach(({ line, data, error }) => {
+            const row = { line, title: data.title || '', errors: error ? [error] : [], warnings: [] };
+            rows.push(row);
+
+            // Record MARC yang rusak tidak punya data untuk diperiksa
+            if (error && Object.keys(data).length === 0) {
+                row.action = 'error';
+                return;
+            }
+
+            const book = this.validate(data, row, { addCategories, newCategories, unknownCategories });
+            if (row.errors.length > 0) {
+                row.action = 'error';
+                return;
+            }
+
+            row.data = book;
+            row.copies = book.copies;
+
+            const existing = this.findExisting(book, database.books);
+            const earlier = !existing && this.findExisting(book, rows.filter(r => r.action === 'create').map(r => r.data));
+
+            if (existing) {
+                row.action = 'merge';
+                row.bookId = existing.id;
+                row.target = existing.title;
+                if (book.isbn && existing.isbn && existing.title.toLowerCase() !== book.title.toLowerCase()) {
+                    row.warnings.push(`ISBN sama dengan "${existing.title}", eksemplar digabung ke buku tersebut`);
+                }
+            } else if (earlier) {
+                const target = rows.find(r => r.data === earlier);
+                row.action = 'merge';
+                row.mergeWith = target.line;
+                row.target = target.title;
+            } else {
+                row.action = 'create';
+            }
+        });
+
+        const summary = {
+            rows: rows.length,
+            create: rows.filter(r => r.action === 'create').length,
+            merge: rows.filter(r => r.action === 'merge').length,
+            errors: rows.filter(r => r.action === 'error').length,
+            copies: rows.filter(r => r.action !== 'error').reduce((total, r) => total + r.copies, 0)
+        };
+
+        return {
+            unit,
+            rows,
+            warnings,
+            newCategories,
+            unknownCategories,
+            summary,
+            valid: rows.length > 0 && summary.errors === 0
+        };
+    }
+
+    static validate(data, row, { addCategories, newCategories, unknownCategories }) {
+        const book = {
+            title: data.title || '',
+            author: data.author || '',
+            isbn: data.isbn || '',
+            publisher: data.publisher || '',
+            description: data.description || '',
+            location: data.location || ''
+        };
+
+        if (!book.title) row.errors.push('Judul wajib diisi');
+
+        if (book.isbn && !Utils.validateISBNChecksum(book.isbn)) {
+            row.errors.push(`ISBN tidak valid: ${book.isbn}`);
+        }
+
+        book.category = DEFAULT_CATEGORY;
+        if (data.category) {
+            const category = data.category;
+            const existing = [DEFAULT_CATEGORY, ...database.categories, ...newCategories]
+                .find(c => c.toLowerCase() === category.toLowerCase());
+
+            if (existing) {
+                book.category = existing;
+            } else if (addCategories) {
+                newCategories.push(category);
+                book.category = category;
+                row.warnings.push(`Kategori baru "${category}" akan dibuat`);
+            } else {
+                if (!unknownCategories.some(c => c.toLowerCase() === category.toLowerCase())) unknownCategories.push(category);
+                row.errors.push(`Kategori tidak dikenal: ${category}`);
+            }
+        }
+
+        const maxYear = new Date().getFullYear() + 1;
+        book.year = this.parseInteger(data.year, { min: 0, max: maxYear, label: 'Tahun', row });
+        book.pages = this.parseInteger(data.pages, { min: 0, label: 'Halaman', row });
+        book.copies = this.parseInteger(data.copies, { min: 1, label: 'Jumlah eksemplar', row }) || 1;
+        book.price = this.parseInteger(data.price, { min: 0, label: 'Harga', row });
+
+        return book;
+    }
+
+    static parseInteger(value, { min, max = Infinity, label, row }) {
+        if (value === undefined || value === '') return undefined;
+
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            const range = max === Infinity ? `>= ${min}` : `${min}-${max}`;
+            row.errors.push(`${label} harus bilangan bulat ${range}: ${value}`);
+            return undefined;
+        }
+        return number;
+    }
+
+    // ISBN yang sama selalu cocok (tanpa tanda hubung). Judul+penulis hanya cocok
+    // jika salah satu tidak punya ISBN, supaya edisi lain tetap menjadi buku baru.
+    static findExisting(book, books) {
+        if (book.isbn) {
+            const byIsbn = books.find(b => b.isbn && cleanIsbn(b.isbn) === cleanIsbn(book.isbn));
+            if (byIsbn) return byIsbn;
+        }
+
+        const key = `${normalize(book.title)}|${normalize(book.author)}`;
+        return books.find(b =>
+            `${normalize(b.title)}|${normalize(b.author)}` === key && (!b.isbn || !book.isbn)
+        ) || null;
+    }
+
+    static assertValid(plan) {
+        if (plan.valid) return;
+
+        const message = plan.rows.length === 0
+            ? 'File tidak berisi data buku'
+            : `Import dibatalkan: ${plan.summary.errors} ${(plan.unit || 'Baris').toLowerCase()} bermasalah, tidak ada data yang diubah`;
+        throw new ValidationError('IMPORT_INVALID', message, {
+            errors: plan.rows.filter(r => r.errors.length > 0).map(({ line, errors }) => ({ line, errors }))
+        });
+    }
+
+    // Jalankan rencana yang valid. Jika satu baris gagal, semua perubahan dibatalkan.
+    static apply(plan, { now = new Date() } = {}) {
+        this.assertValid(plan);
+
+        const keys = ['books', 'items', 'categories', 'reservations'];
+        const snapshot = JSON.stringify(keys.map(key => database[key]));
+        const created = new Map();
+        const result = { created: [], merged: [] };
+
+        try {
+            plan.newCategories.forEach(category => database.categories.push(category));
+
+            plan.rows.forEach(row => {
+                if (row.action === 'create') {
+                    const book = BookService.buildBook({ ...row.data, copies: 0 });
+                    book.addedDate = now.toISOString();
+                    database.books.push(book);
+                    ItemService.addCopies(book, row.copies, { now });
+                    created.set(row.line, book);
+                    result.created.push(book);
+                    return;
+                }
+
+                const book = row.bookId ? BookService.get(row.bookId) : created.get(row.mergeWith);
+                const items = ItemService.addCopies(book, row.copies, { now });
+                result.merged.push({ book, items, line: row.line });
+            });
+        } catch (error) {
+            // Kembalikan data persis seperti sebelum import
+            JSON.parse(snapshot).forEach((value, index) => {
+                database[keys[index]] = value;
+            });
+            throw new ValidationError('IMPORT_FAILED', `Import dibatalkan, tidak ada data yang berubah: ${error.message}`);
+        }
+
+        DataManager.commit();
+        return result;
+    }
+
+    static importData(content, { format = 'csv', dryRun = false, addCategories = false, delimiter, now = new Date() } = {}) {
+        const { records, warnings, unit } = this.read(content, { format, delimiter });
+        const plan = this.plan(records, { addCategories, warnings, unit });
+
+        if (dryRun) return { plan, result: null };
+        return { plan, result: this.apply(plan, { now }) };
+    }
+
+    // Baris-baris pratinjau: satu baris per record, lalu error/peringatannya
+    static report(plan) {
+        const unit = plan.unit || 'Baris';
+        const lines = plan.warnings.map(warning => `⚠️  ${warning}`);
+
+        plan.rows.forEach(row => {
+            const title = row.title ? `"${row.title}"` : '(tanpa judul)';
+            if (row.action === 'create') {
+                lines.push(`  ${unit} ${row.line}: tambah ${title}, ${row.copies} eksemplar`);
+            } else if (row.action === 'merge') {
+                const target = row.bookId ? `buku ${row.bookId}` : `${unit.toLowerCase()} ${row.mergeWith}`;
+                lines.push(`  ${unit} ${row.line}: gabung ${title} ke ${target}, +${row.copies} eksemplar`);
+            } else {
+                lines.push(`❌ ${unit} ${row.line}: ${title}`);
+            }
+            row.errors.forEach(error => lines.push(`      - ${error}`));
+            row.warnings.forEach(warning => lines.push(`      ⚠️  ${warning}`));
+        });
+
+        const { summary } = plan;
+        lines.push(
+            `Total ${summary.rows} ${unit.toLowerCase()}: ${summary.create} buku baru, ${summary.merge} digabung, ` +
+            `${summary.copies} eksemplar, ${summary.errors} bermasalah`
+        );
+        return lines;
+    }
+}
+
+function cleanIsbn(isbn) {
+    return String(isbn).replace(/[-\s]/g, '').toUpperCase();
+}
+
+function normalize(text) {
+    return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+ImportService.COLUMNS = COLUMNS;
+ImportService.FORMATS = FORMATS;
+
+module.exports = ImportService;
@@ -0,0 +1,181 @@
+const { database } = require('../database');
+const DataManager = require('../data-manager');
+const Items = require('../items');
+const BookService = require('./book-service');
+const ReservationService = require('./reservation-service');
+const { NotFoundError, ValidationError, ConflictError } = require('../errors');
+
+// Status yang boleh diatur langsung; 'on_loan' hanya lewat peminjaman dan pengembalian
+const SETTABLE_STATUSES = ['available', 'lost', 'repair', 'withdrawn'];
+
+// Status eksemplar dari pinjaman yang hilang atau diklaim sudah dikembalikan
+const MISSING_STATUSES = ['lost', 'claimed'];
+const MISSING_LOANS = ['lost', 'claimed_returned'];
+
+class ItemService {
+    static list() {
+        if (!database.items) database.items = [];
+        return database.items;
+    }
+
+    static forBook(bookId) {
+        return Items.itemsOf(database, bookId);
+    }
+
+    static get(itemId) {
+        const item = this.list().find(i => i.id === String(itemId).toUpperCase());
+        if (!item) throw new NotFoundError('ITEM_NOT_FOUND', 'Eksemplar tidak ditemukan', { itemId });
+        return item;
+    }
+
+    // Cari eksemplar dari barcode (hasil scan) atau ID eksemplar, secara persis
+    static find(query) {
+        const text = String(query || '').trim();
+        const item = this.list().find(i => i.barcode === text) ||
+            this.list().find(i => i.barcode.toUpperCase() === text.toUpperCase() || i.id === text.toUpperCase());
+        if (!item) throw new NotFoundError('ITEM_NOT_FOUND', `Eksemplar tidak ditemukan: ${query}`, { query });
+        return item;
+    }
+
+    static isHeld(item) {
+        return Items.isHeld(database, item);
+    }
+
+    // Eksemplar tersedia yang tidak sedang disisihkan untuk reservasi
+    static pickAvailable(bookId) {
+        const held = Items.heldItemIds(database);
+        return this.forBook(bookId).find(item => item.status === 'available' && !held.has(item.id)) || null;
+    }
+
+    // Terima kunci ("good") atau label ("Baik")
+    static parseCondition(condition) {
+        return this.parseOption(condition, Items.CONDITIONS, 'INVALID_CONDITION', 'Kondisi');
+    }
+
+    static parseStatus(status) {
+        const key = this.parseOption(status, Items.STATUSES, 'INVALID_ITEM_STATUS', 'Status');
+        if (!SETTABLE_STATUSES.includes(key)) {
+            throw new ValidationError(
+                'INVALID_ITEM_STATUS',
+                `Status ${Items.STATUSES[key]} diatur lewat peminjaman (pilih: ${SETTABLE_STATUSES.join(', ')})`
+            );
+        }
+        return key;
+    }
+
+    static parseOption(value, options, code, label) {
+        const normalized = String(value || '').trim().toLowerCase();
+        const key = options[normalized]
+            ? normalized
+            : Object.keys(options).find(k => options[k].toLowerCase() === normalized);
+
+        if (!key) {
+            throw new ValidationError(code, `${label} tidak dikenal: ${value} (pilih: ${Object.keys(options).join(', ')})`);
+        }
+        return key;
+    }
+
+    static assertUniqueBarcode(barcode, item = null) {
+        const used = this.list().find(i => i !== item && i.barcode.toUpperCase() === barcode.toUpperCase());
+        if (used) {
+            throw new ConflictError('DUPLICATE_BARCODE', `Barcode ${barcode} sudah dipakai eksemplar lain`, { itemId: used.id });
+        }
+    }
+
+    // Tambah eksemplar baru; barcode sendiri hanya bisa diisi untuk satu eksemplar
+    static add({ bookId, count = 1, barcode, condition, location, now = new Date() }) {
+        const book = BookService.get(bookId);
+        const total = parseInt(count);
+
+        if (!Number.isInteger(total) || total < 1) {
+            throw new ValidationError('INVALID_NUMBER', 'Jumlah eksemplar harus bilangan bulat >= 1');
+        }
+
+        const code = barcode ? String(barcode).trim() : '';
+        if (code) {
+            if (total > 1) throw new ValidationError('INVALID_BARCODE', 'Barcode hanya bisa diisi untuk satu eksemplar');
+            this.assertUniqueBarcode(code);
+        }
+
+        const items = this.addCopies(book, total, {
+            barcode: code || undefined,
+            condition: condition ? this.parseCondition(condition) : Items.DEFAULT_CONDITION,
+            location,
+            now
+        });
+        DataManager.commit();
+
+        return items;
+    }
+
+    // Tambah eksemplar tanpa validasi dan tanpa menyimpan (dipakai juga oleh import)
+    static addCopies(book, total, options = {}) {
+        const now = options.now || new Date();
+        const items = [];
+
+        for (let i = 0; i < total; i++) {
+            const item = Items.buildItem(database, book, { ...options, now });
+            this.list().push(item);
+            items.push(item);
+
+            // Eksemplar baru langsung melayani antrean reservasi jika ada
+            ReservationService.assignCopy(item, now);
+        }
+
+        Items.syncBook(database, book);
+        return items;
+    }
+
+    // Hanya field yang diisi yang diubah
+    static update(itemId, { barcode, condition, location, status, now = new Date() } = {}) {
+        const item = this.get(itemId);
+        const nextStatus = status ? this.parseStatus(status) : undefined;
+        const nextCondition = condition ? this.parseCondition(condition) : undefined;
+
+        if (nextStatus && nextStatus !== item.status && item.status === 'on_loan') {
+            throw new ConflictError('ITEM_ON_LOAN', `Eksemplar ${item.barcode} sedang dipinjam, kembalikan lewat pengembalian buku`);
+        }
+
+        // Eksemplar yang hilang/diklaim pada sebuah pinjaman masih punya tagihan
+        // penggantian; hanya alur "ditemukan" yang membatalkannya
+        const missingLoan = nextStatus && nextStatus !== item.status && MISSING_STATUSES.includes(item.status)
+            ? database.transactions.find(t => t.itemId === item.id && MISSING_LOANS.includes(t.status))
+            : null;
+        if (missingLoan) {
+            throw new ConflictError(
+                'ITEM_MISSING',
+                `Eksemplar ${item.barcode} ${Items.STATUSES[item.status].toLowerCase()} pada pinjaman ${missingLoan.id}, tandai ditemukan lewat "loan found --item ${item.barcode}"`,
+                { transactionId: missingLoan.id, status: item.status }
+            );
+        }
+
+        if (barcode) {
+            this.assertUniqueBarcode(String(barcode).trim(), item);
+            item.barcode = String(barcode).trim();
+        }
+        if (nextCondition) item.condition = nextCondition;
+        if (location !== undefined && location !== null && location !== '') item.location = String(location);
+
+        if (nextStatus && nextStatus !== item.status) {
+            const previous = item.status;
+            item.status = nextStatus;
+            item.statusDate = now.toISOString();
+
+            // Eksemplar yang disisihkan tidak bisa diambil lagi: pindahkan hold-nya.
+            // Eksemplar yang kembali tersedia melayani antrean reservasi.
+            if (previous === 'available') ReservationService.reassignHold(item, now);
+            if (nextStatus === 'available') ReservationService.assignCopy(item, now);
+        }
+
+        Items.syncBookById(database, item.bookId);
+        DataManager.commit();
+
+        return item;
+    }
+}
+
+ItemService.STATUSES = Items.STATUSES;
+ItemService.CONDITIONS = Items.CONDITIONS;
+ItemService.SETTABLE_STATUSES = SETTABLE_STATUSES;
+
+module.exports = ItemService;
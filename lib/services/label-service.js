@@ -0,0 +1,197 @@
+const path = require('path');
+const { database } = require('../database');
+const Barcode = require('../barcode');
+const Items = require('../items');
+const { ValidationError } = require('../errors');
+
+// Lembar label A4 (ukuran dalam mm). Posisi label dihitung dari margin kiri/atas
+// dan jarak antarlabel, sama seperti template label yang dijual di toko.
+const SHEETS = {
+    'card-10': {
+        label: 'Kartu 85 x 54 mm, 2 x 5 per lembar',
+        columns: 2, rows: 5, width: 85, height: 54,
+        left: 15, top: 13.5, gapX: 10, gapY: 0
+    },
+    'label-24': {
+        label: 'Label 70 x 37 mm, 3 x 8 per lembar',
+        columns: 3, rows: 8, width: 70, height: 37,
+        left: 0, top: 0.5, gapX: 0, gapY: 0
+    },
+    'label-65': {
+        label: 'Label kecil 38,1 x 21,2 mm, 5 x 13 per lembar',
+        columns: 5, rows: 13, width: 38.1, height: 21.2,
+        left: 4.65, top: 10.7, gapX: 2.5, gapY: 0
+    }
+};
+
+const PAGE = { width: 210, height: 297 };
+
+// Lebar satu modul barcode paling besar (mm); lebih kecil jika label sempit
+const MAX_MODULE = 0.33;
+
+// Eksemplar yang sudah keluar dari koleksi tidak perlu dibuatkan label
+const SKIPPED_ITEM_STATUSES = ['lost', 'claimed', 'withdrawn'];
+
+// Kartu anggota dan label punggung buku dengan barcode Code128, sebagai SVG
+// siap cetak (satu SVG per lembar A4, tanpa font atau layanan dari luar)
+class LabelService {
+    static parseSheet(sheet, fallback) {
+        const key = String(sheet || fallback).trim().toLowerCase();
+        if (!SHEETS[key]) {
+            throw new ValidationError('INVALID_SHEET', `Lembar label tidak dikenal: ${sheet} (pilih: ${Object.keys(SHEETS).join(', ')})`);
+        }
+        return key;
+    }
+
+    // Nomor panggil sederhana: 3 huruf pertama penulis dan huruf pertama judul
+    // (misal "HIR l"), atau `callNumber` buku jika sudah diisi
+    static callNumber(book) {
+        if (book.callNumber) return book.callNumber;
+
+        const author = String(book.author || '').split(',')[0].trim();
+        const surname = book.author && book.author.includes(',') ? author : author.split(/\s+/).pop() || '';
+        const title = String(book.title || '').replace(/^\W+/, '');
+        return [surname.slice(0, 3).toUpperCase(), title.charAt(0).toLowerCase()].filter(Boolean).join(' ');
+    }
+
+    // Anggota aktif, atau anggota tertentu (ID) sesuai urutan yang diminta
+    static membersFor(memberIds) {
+        if (!memberIds || memberIds.length === 0) return database.members.filter(m => m.status !== 'archived');
+
+        return memberIds.map(id => {
+            const member = database.members.find(m => m.id === String(id).trim().toUpperCase());
+            if (!member) throw new ValidationError('MEMBER_NOT_FOUND', `Anggota tidak ditemukan: ${id}`);
+            return member;
+        });
+    }
+
+    // Semua eksemplar buku-buku tersebut (atau seluruh koleksi) yang masih dipakai
+    static itemsFor(bookIds) {
+        const books = bookIds && bookIds.length > 0 ? bookIds : database.books.map(b => b.id);
+        return books.flatMap(bookId => Items.itemsOf(database, bookId))
+            .filter(item => !SKIPPED_ITEM_STATUSES.includes(item.status));
+    }
+
+    // `skip` melewati label pertama di lembar yang sudah terpakai sebagian
+    static memberCards(members, { sheet, skip = 0 } = {}) {
+        return this.layout(members, this.parseSheet(sheet, 'card-10'), skip, (member, box) => [
+            text(box.x + 4, box.y + 7, 'KARTU ANGGOTA PERPUSTAKAAN', { size: 3, weight: 'bold', width: box.width - 8 }),
+            `<line x1="${fixed(box.x + 4)}" y1="${fixed(box.y + 9)}" x2="${fixed(box.x + box.width - 4)}" y2="${fixed(box.y + 9)}" stroke="#000" stroke-width="0.3"/>`,
+            text(box.x + 4, box.y + 16, member.name, { size: 4.2, weight: 'bold', width: box.width - 8 }),
+            text(box.x + 4, box.y + 21, `ID ${member.id}`, { size: 3, width: box.width - 8 }),
+            barcode(member.id, { x: box.x + 4, y: box.y + 25, width: box.width - 8, height: 16 }),
+            text(box.x + box.width / 2, box.y + 45, member.id, { size: 3, anchor: 'middle', mono: true })
+        ]);
+    }
+
+    static spineLabels(items, { sheet, skip = 0 } = {}) {
+        return this.layout(items, this.parseSheet(sheet, 'label-24'), skip, (item, box) => {
+            const book = database.books.find(b => b.id === item.bookId) || { title: '', author: '' };
+            const small = box.height < 30;
+            const size = small ? 2.2 : 3;
+            const pad = small ? 1.5 : 3;
+            const location = item.location || book.location || '';
+
+            return [
+                text(box.x + pad, box.y + pad + size, book.title, { size, weight: 'bold', width: box.width - pad * 2 }),
+                text(box.x + pad, box.y + pad + size * 2.2,
+                    [this.callNumber(book), location].filter(Boolean).join(' | '), { size, width: box.width - pad * 2 }),
+                barcode(item.barcode, {
+                    x: box.x + pad,
+                    y: box.y + pad + size * 2.8,
+                    width: box.width - pad * 2,
+                    height: box.height - pad * 2 - size * 4.2
+                }),
+                text(box.x + box.width / 2, box.y + box.height - pad, item.barcode, { size: size * 0.9, anchor: 'middle', mono: true })
+            ];
+        });
+    }
+
+    // Bagi record ke lembar-lembar A4; menghasilkan array berisi SVG per lembar
+    static layout(records, sheetKey, skip, draw) {
+        const sheet = SHEETS[sheetKey];
+        const perPage = sheet.columns * sheet.rows;
+        const offset = parseInt(skip) || 0;
+
+        if (offset < 0 || offset >= perPage) {
+            throw new ValidationError('INVALID_SKIP', `Jumlah label yang dilewati harus 0-${perPage - 1}`);
+        }
+        if (records.length === 0) throw new ValidationError('NOTHING_TO_PRINT', 'Tidak ada data untuk dicetak');
+
+        const pages = [];
+        records.forEach((record, index) => {
+            const slot = index + offset;
+            const page = Math.floor(slot / perPage);
+            const position = slot % perPage;
+            const box = {
+                x: sheet.left + (position % sheet.columns) * (sheet.width + sheet.gapX),
+                y: sheet.top + Math.floor(position / sheet.columns) * (sheet.height + sheet.gapY),
+                width: sheet.width,
+                height: sheet.height
+            };
+
+            if (!pages[page]) pages[page] = [];
+            // Garis potong tipis, membantu saat dicetak di kertas biasa
+            pages[page].push(`<rect x="${fixed(box.x)}" y="${fixed(box.y)}" width="${fixed(box.width)}" height="${fixed(box.height)}" fill="none" stroke="#ccc" stroke-width="0.1"/>`);
+            pages[page].push(...draw(record, box));
+        });
+
+        return pages.map(elements => [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE.width}mm" height="${PAGE.height}mm" viewBox="0 0 ${PAGE.width} ${PAGE.height}">`,
+            '<rect width="100%" height="100%" fill="#fff"/>',
+            ...elements,
+            '</svg>'
+        ].join('\n') + '\n');
+    }
+
+    // Nama file per lembar: "kartu.svg" menjadi kartu-1.svg, kartu-2.svg, ...
+    // jika lebih dari satu lembar
+    static pageFiles(output, count) {
+        const extension = path.extname(output) || '.svg';
+        const base = output.slice(0, output.length - path.extname(output).length);
+        if (count === 1) return [base + extension];
+        return Array.from({ length: count }, (_, index) => `${base}-${index + 1}${extension}`);
+    }
+}
+
+function barcode(value, { x, y, width, height }) {
+    const { bars, width: modules } = Barcode.bars(value);
+    const module = Math.min(MAX_MODULE, width / modules);
+    const left = x + (width - modules * module) / 2;
+
+    const rects = bars.map(bar =>
+        `<rect x="${fixed(left + bar.x * module)}" y="${fixed(y)}" width="${fixed(bar.width * module)}" height="${fixed(height)}"/>`);
+    return `<g fill="#000">${rects.join('')}</g>`;
+}
+
+// Teks satu baris; dipotong dengan "…" jika diperkirakan lebih lebar dari `width`
+function text(x, y, value, { size, weight, anchor, width, mono } = {}) {
+    let content = String(value || '');
+    if (width) {
+        const maxChars = Math.floor(width / (size * 0.55));
+        if (content.length > maxChars) content = content.slice(0, Math.max(maxChars - 1, 1)).trimEnd() + '…';
+    }
+
+    const attributes = [
+        `x="${fixed(x)}"`,
+        `y="${fixed(y)}"`,
+        `font-size="${fixed(size)}"`,
+        `font-family="${mono ? 'monospace' : 'Arial, Helvetica, sans-serif'}"`,
+        weight ? `font-weight="${weight}"` : null,
+        anchor ? `text-anchor="${anchor}"` : null
+    ].filter(Boolean).join(' ');
+    return `<text ${attributes}>${escapeXml(content)}</text>`;
+}
+
+function fixed(number) {
+    return Number(number.toFixed(3)).toString();
+}
+
+function escapeXml(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+LabelService.SHEETS = SHEETS;
+
+module.exports = LabelService;
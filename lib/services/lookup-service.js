@@ -0,0 +1,164 @@
+const { database } = require('../database');
+const Utils = require('../utils');
+const { NotFoundError, ConflictError } = require('../errors');
+
+// Jenis kecocokan, urut dari yang paling pasti. Kecocokan persis (EXACT) boleh
+// dipakai langsung; sisanya hanya usulan yang harus dipilih petugas.
+const MATCHES = {
+    id: 'ID',
+    isbn: 'ISBN',
+    barcode: 'barcode eksemplar',
+    title: 'judul persis',
+    name: 'nama persis',
+    email: 'email',
+    partial: 'sebagian',
+    fuzzy: 'ejaan mirip'
+};
+const RANKS = Object.keys(MATCHES);
+const EXACT = ['id', 'isbn', 'barcode', 'title', 'name', 'email'];
+
+// Batas salah ketik per kata, tergantung panjang kata yang diketik
+function allowedTypos(word) {
+    if (word.length <= 3) return 0;
+    return word.length <= 6 ? 1 : 2;
+}
+
+// Pencarian buku dan anggota yang dipakai semua alur (menu, mode perintah).
+// Hasilnya daftar kandidat berperingkat, bukan hasil pertama yang kebetulan cocok.
+class LookupService {
+    // [{ record, match, score }]: urut per jenis kecocokan, lalu skor (kecil = lebih dekat)
+    static books(query) {
+        const text = String(query || '').trim();
+        if (!text) return [];
+
+        const upper = text.toUpperCase();
+        const isbn = text.replace(/[-\s]/g, '').toUpperCase();
+        const normalized = Utils.normalizeText(text);
+        const barcodeBookIds = new Set((database.items || [])
+            .filter(item => item.barcode.toUpperCase() === upper)
+            .map(item => item.bookId));
+
+        return rank(database.books, book => {
+            if (book.id === upper) return { match: 'id' };
+            if (book.isbn && /^[\dX]{10,13}$/.test(isbn) && book.isbn.replace(/[-\s]/g, '').toUpperCase() === isbn) {
+                return { match: 'isbn' };
+            }
+            if (barcodeBookIds.has(book.id)) return { match: 'barcode' };
+
+            const title = Utils.normalizeText(book.title);
+            if (normalized && title === normalized) return { match: 'title' };
+            return partialOrFuzzy(normalized, [title, Utils.normalizeText(book.author)]);
+        }, book => book.title);
+    }
+
+    static members(query) {
+        const text = String(query || '').trim();
+        if (!text) return [];
+
+        const upper = text.toUpperCase();
+        const normalized = Utils.normalizeText(text);
+
+        return rank(database.members, member => {
+            if (member.id === upper) return { match: 'id' };
+
+            const name = Utils.normalizeText(member.name);
+            if (normalized && name === normalized) return { match: 'name' };
+            if (member.email && member.email.toLowerCase() === text.toLowerCase()) return { match: 'email' };
+            return partialOrFuzzy(normalized, [name]);
+        }, member => member.name);
+    }
+
+    // Kandidat yang bisa dipakai tanpa bertanya: satu-satunya kecocokan persis
+    // di peringkat teratas, atau satu-satunya hasil jika cocok sebagian.
+    // Ejaan mirip selalu dikonfirmasi dulu.
+    static unique(candidates) {
+        const [best] = candidates;
+        if (!best) return null;
+
+        const tied = candidates.filter(c => c.match === best.match).length;
+        if (EXACT.includes(best.match) && tied === 1) return best.record;
+        if (best.match === 'partial' && candidates.length === 1) return best.record;
+        return null;
+    }
+
+    // Untuk mode perintah dan API yang tidak bisa memilih dari daftar: hanya
+    // kecocokan persis yang dipakai, selain itu error berisi usulan
+    static findBook(query) {
+        return this.exact(this.books(query), query, {
+            notFound: 'BOOK_NOT_FOUND',
+            ambiguous: 'AMBIGUOUS_BOOK',
+            noun: 'Buku',
+            hint: 'gunakan ID buku',
+            describe: book => `${book.id} "${book.title}"`
+        });
+    }
+
+    static findMember(query) {
+        return this.exact(this.members(query), query, {
+            notFound: 'MEMBER_NOT_FOUND',
+            ambiguous: 'AMBIGUOUS_MEMBER',
+            noun: 'Anggota',
+            hint: 'gunakan ID anggota',
+            describe: member => `${member.id} ${member.name}`
+        });
+    }
+
+    static exact(candidates, query, { notFound, ambiguous, noun, hint, describe }) {
+        const exact = candidates.filter(c => EXACT.includes(c.match));
+        const best = exact.filter(c => c.match === exact[0].match);
+        const suggestions = candidates.slice(0, 3).map(c => describe(c.record));
+
+        if (best.length === 1) return best[0].record;
+        if (best.length > 1) {
+            throw new ConflictError(ambiguous, `${noun} "${query}" tidak unik (${best.slice(0, 5).map(c => describe(c.record)).join(', ')}), ${hint}`, {
+                candidates: best.map(c => c.record.id)
+            });
+        }
+        throw new NotFoundError(
+            notFound,
+            `${noun} tidak ditemukan: ${query}` + (suggestions.length ? `. Mungkin maksud Anda: ${suggestions.join(', ')}` : ''),
+            { query, candidates: candidates.map(c => c.record.id) }
+        );
+    }
+}
+
+function rank(records, matchOf, labelOf) {
+    return records
+        .map(record => ({ record, score: 0, ...matchOf(record) }))
+        .filter(candidate => candidate.match)
+        .sort((a, b) =>
+            RANKS.indexOf(a.match) - RANKS.indexOf(b.match) ||
+            a.score - b.score ||
+            labelOf(a.record).localeCompare(labelOf(b.record)));
+}
+
+// Cocok sebagian: teks yang diketik ada di salah satu field (awal field lebih
+// dekat). Ejaan mirip: setiap kata yang diketik mirip awal sebuah kata di field.
+function partialOrFuzzy(normalized, fields) {
+    if (!normalized) return {};
+
+    const position = fields.reduce((best, field, index) => {
+        const at = field.indexOf(normalized);
+        return at === -1 || best !== null ? best : index * 100 + at;
+    }, null);
+    if (position !== null) return { match: 'partial', score: position };
+
+    const words = normalized.split(' ');
+    const distances = fields.map(field => {
+        const fieldWords = field.split(' ');
+        let total = 0;
+        for (const word of words) {
+            const distance = Math.min(...fieldWords.map(candidate =>
+                Math.min(Utils.editDistance(word, candidate), Utils.editDistance(word, candidate.slice(0, word.length)))));
+            if (distance > allowedTypos(word)) return null;
+            total += distance;
+        }
+        return total;
+    }).filter(distance => distance !== null);
+
+    return distances.length ? { match: 'fuzzy', score: Math.min(...distances) } : {};
+}
+
+LookupService.MATCHES = MATCHES;
+
+module.exports = LookupService;
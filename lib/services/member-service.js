@@ -0,0 +1,134 @@
+const { database } = require('../database');
+const DataManager = require('../data-manager');
+const Utils = require('../utils');
+const Notices = require('../notices');
+const PolicyService = require('./policy-service');
+const { NotFoundError, ValidationError, ConflictError } = require('../errors');
+
+const EDITABLE_FIELDS = ['name', 'email', 'phone', 'address', 'type', 'language'];
+
+class MemberService {
+    static list() {
+        return database.members;
+    }
+
+    static get(memberId) {
+        const member = database.members.find(m => m.id === String(memberId).toUpperCase());
+        if (!member) throw new NotFoundError('MEMBER_NOT_FOUND', 'Anggota tidak ditemukan', { memberId });
+        return member;
+    }
+
+    static search(query) {
+        return database.members.filter(m =>
+            m.id === query.toUpperCase() ||
+            Utils.searchText(m.name, query)
+        );
+    }
+
+    // Jenis anggota menentukan aturan peminjaman (lihat PolicyService)
+    static parseType(type) {
+        const normalized = PolicyService.normalizeMemberType(type || PolicyService.DEFAULT_MEMBER_TYPE);
+        if (normalized === PolicyService.ANY) {
+            throw new ValidationError('INVALID_MEMBER_TYPE', 'Jenis anggota wajib dipilih');
+        }
+        return normalized;
+    }
+
+    static create(data) {
+        if (!data.name) throw new ValidationError('NAME_REQUIRED', 'Nama anggota wajib diisi');
+
+        const member = {
+            id: Utils.generateId(),
+            name: data.name,
+            type: this.parseType(data.type),
+            email: data.email || '',
+            phone: data.phone || '',
+            address: data.address || '',
+            // Bahasa pemberitahuan; kosong berarti mengikuti pengaturan NOTICE_LANGUAGE
+            language: data.language ? Notices.parseLanguage(data.language) : '',
+            joinDate: new Date().toISOString(),
+            status: 'active',
+            borrowedBooks: [],
+            borrowHistory: [],
+            fines: 0
+        };
+
+        database.members.push(member);
+        DataManager.commit();
+
+        return member;
+    }
+
+    // Hanya field yang diisi yang diubah
+    static update(memberId, changes) {
+        const member = this.get(memberId);
+        const parsed = {
+            type: changes.type ? this.parseType(changes.type) : undefined,
+            language: changes.language ? Notices.parseLanguage(changes.language) : undefined
+        };
+
+        EDITABLE_FIELDS.forEach(field => {
+            const value = field in parsed ? parsed[field] : changes[field];
+            if (value === undefined || value === null || value === '') return;
+            member[field] = String(value);
+        });
+
+        DataManager.commit();
+        return member;
+    }
+
+    // Anggota yang masih meminjam atau punya denda tidak boleh dihapus,
+    // gunakan archive() supaya riwayatnya tetap tersimpan
+    static remove(memberId) {
+        const member = this.get(memberId);
+        this.assertSettled(member);
+
+        database.members.splice(database.members.indexOf(member), 1);
+        this.cancelReservations(member);
+        DataManager.commit();
+
+        return member;
+    }
+
+    // Anggota yang diarsipkan tetap tersimpan tetapi tidak bisa meminjam lagi
+    static archive(memberId, now = new Date()) {
+        const member = this.get(memberId);
+
+        if (member.status === 'archived') {
+            throw new ConflictError('MEMBER_ARCHIVED', 'Anggota sudah diarsipkan');
+        }
+
+        member.status = 'archived';
+        member.archivedDate = now.toISOString();
+        this.cancelReservations(member, now);
+        DataManager.commit();
+
+        return member;
+    }
+
+    // Eksemplar yang disisihkan untuk anggota ini berpindah ke antrean berikutnya.
+    // Di-require di sini karena ReservationService sendiri memakai MemberService.
+    static cancelReservations(member, now = new Date()) {
+        require('./reservation-service').cancelForMember(member, now);
+    }
+
+    static assertSettled(member) {
+        if (member.borrowedBooks.length > 0) {
+            throw new ConflictError(
+                'MEMBER_HAS_LOANS',
+                `Anggota masih meminjam ${member.borrowedBooks.length} buku`,
+                { loans: member.borrowedBooks.length }
+            );
+        }
+
+        if (member.fines > 0) {
+            throw new ConflictError(
+                'MEMBER_HAS_FINES',
+                `Anggota masih memiliki denda: ${Utils.formatCurrency(member.fines)}`,
+                { fines: member.fines }
+            );
+        }
+    }
+}
+
+module.exports = MemberService;
@@ -0,0 +1,271 @@
+const CONFIG = require('../config');
+const { database } = require('../database');
+const DataManager = require('../data-manager');
+const AuditLog = require('../audit');
+const Utils = require('../utils');
+const Notices = require('../notices');
+const { SmtpClient, addressOf } = require('../smtp');
+const MemberService = require('./member-service');
+const FineService = require('./fine-service');
+const ReservationService = require('./reservation-service');
+const TransactionService = require('./transaction-service');
+const { ValidationError } = require('../errors');
+
+// Pengingat untuk anggota lewat email: sebelum jatuh tempo (NOTICE_DAYS_BEFORE),
+// saat terlambat, dan saat buku reservasi siap diambil. Dijalankan berkala
+// (misal lewat cron: `node library.js notice run`); pemberitahuan yang sudah
+// terkirim dicatat di database.notices dan tidak dikirim lagi, yang gagal
+// dicoba lagi di jalankan berikutnya.
+class NotificationService {
+    static list() {
+        if (!database.notices) database.notices = [];
+        return database.notices;
+    }
+
+    static templates() {
+        if (!database.noticeTemplates) database.noticeTemplates = {};
+        return database.noticeTemplates;
+    }
+
+    static languageOf(member) {
+        return member && Notices.LANGUAGES[member.language] ? member.language : CONFIG.NOTICE_LANGUAGE;
+    }
+
+    static formatDate(date, language, withTime = false) {
+        return new Date(date).toLocaleDateString(Notices.LANGUAGES[language].locale, {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            ...(withTime ? { hour: '2-digit', minute: '2-digit' } : {})
+        });
+    }
+
+    static notice(type, key, member, book, values, extra) {
+        const language = this.languageOf(member);
+        return {
+            type,
+            key,
+            member,
+            language,
+            bookTitle: book.title,
+            values: {
+                name: member.name,
+                memberId: member.id,
+                library: CONFIG.LIBRARY_NAME,
+                title: book.title,
+                barcode: book.barcode || '',
+                ...values(language)
+            },
+            ...extra
+        };
+    }
+
+    // Pemberitahuan yang seharusnya dikirim saat `now` dan belum pernah terkirim
+    static pending(now = new Date()) {
+        const notices = [];
+        const memberOf = id => database.members.find(m => m.id === id);
+        const barcodeOf = t => ((database.items || []).find(item => item.id === t.itemId) || {}).barcode;
+
+        database.transactions.filter(t => t.status === 'borrowed').forEach(transaction => {
+            const member = memberOf(transaction.memberId);
+            if (!member) return;
+            const book = { title: transaction.bookTitle, barcode: barcodeOf(transaction) };
+            const extra = { transactionId: transaction.id };
+
+            if (TransactionService.isOverdue(transaction, now)) {
+                const { daysLate, fine } = FineService.calculateTransactionFine(transaction, now);
+                notices.push(this.notice('overdue', `overdue:${transaction.id}:${transaction.dueDate}`, member, book, language => ({
+                    dueDate: this.formatDate(transaction.dueDate, language),
+                    daysLate,
+                    fine: Utils.formatCurrency(fine)
+                }), extra));
+                return;
+            }
+
+            const daysLeft = Utils.calculateDaysDiff(now, transaction.dueDate);
+            if (CONFIG.NOTICE_DAYS_BEFORE > 0 && daysLeft <= CONFIG.NOTICE_DAYS_BEFORE) {
+                notices.push(this.notice('courtesy', `courtesy:${transaction.id}:${transaction.dueDate}`, member, book, language => ({
+                    dueDate: this.formatDate(transaction.dueDate, language),
+                    daysLeft
+                }), extra));
+            }
+        });
+
+        ReservationService.list()
+            .filter(r => r.status === 'ready' && new Date(r.holdExpires) >= now)
+            .forEach(reservation => {
+                const member = memberOf(reservation.memberId);
+                if (!member) return;
+                const book = { title: reservation.bookTitle, barcode: barcodeOf(reservation) };
+
+                notices.push(this.notice('hold_ready', `hold_ready:${reservation.id}:${reservation.holdExpires}`, member, book, language => ({
+                    holdExpires: this.formatDate(reservation.holdExpires, language, true)
+                }), { reservationId: reservation.id }));
+            });
+
+        return notices.filter(notice => !Notices.isSent(database, notice.key));
+    }
+
+    // Alamat pengirim: SMTP_FROM, atau nama pengguna SMTP jika berupa alamat email
+    static sender() {
+        const from = CONFIG.SMTP_FROM || (/@/.test(CONFIG.SMTP_USER) ? `${CONFIG.LIBRARY_NAME} <${CONFIG.SMTP_USER}>` : '');
+        if (!from) {
+            throw new ValidationError('SMTP_FROM_REQUIRED', 'Alamat pengirim email belum diatur (pengaturan SMTP_FROM)');
+        }
+        addressOf(from);
+        return from;
+    }
+
+    static transport() {
+        return new SmtpClient({
+            host: CONFIG.SMTP_HOST,
+            port: CONFIG.SMTP_PORT,
+            security: CONFIG.SMTP_SECURITY,
+            user: CONFIG.SMTP_USER,
+            password: CONFIG.SMTP_PASSWORD
+        });
+    }
+
+    // Kirim semua pemberitahuan yang tertunda. `dryRun` hanya menampilkan isinya.
+    // Anggota tanpa email dilewati (tidak dicatat, jadi terkirim begitu emailnya diisi).
+    static async run({ now = new Date(), dryRun = false, transport } = {}) {
+        if (!dryRun) {
+            transport = transport || this.transport();
+            if (ReservationService.releaseExpired(now).length > 0) DataManager.commit();
+        }
+        const from = dryRun ? null : this.sender();
+
+        const result = { sent: [], failed: [], skipped: [], preview: [] };
+
+        for (const notice of this.pending(now)) {
+            const message = Notices.render(database, notice.type, notice.language, notice.values);
+
+            if (!notice.member.email) {
+                result.skipped.push({ ...this.summary(notice), phone: notice.member.phone || '', reason: 'Anggota tidak punya email' });
+                continue;
+            }
+            if (dryRun) {
+                result.preview.push({ ...this.summary(notice), to: notice.member.email, ...message });
+                continue;
+            }
+
+            const entry = {
+                id: Utils.generateId(),
+                type: notice.type,
+                key: notice.key,
+                memberId: notice.member.id,
+                memberName: notice.member.name,
+                transactionId: notice.transactionId || null,
+                reservationId: notice.reservationId || null,
+                bookTitle: notice.bookTitle,
+                channel: 'email',
+                to: notice.member.email,
+                language: notice.language,
+                subject: message.subject,
+                status: 'sent',
+                error: null,
+                sentBy: AuditLog.actor,
+                date: now.toISOString()
+            };
+
+            try {
+                await transport.send({ from, to: notice.member.email, subject: message.subject, text: message.text });
+                result.sent.push(entry);
+            } catch (error) {
+                entry.status = 'failed';
+                entry.error = error.message;
+                result.failed.push(entry);
+            }
+
+            // Disimpan satu per satu (juga saat auto-save dimatikan) supaya yang sudah
+            // terkirim tetap tercatat jika proses terhenti dan tidak dikirim ulang
+            this.list().push(entry);
+            DataManager.commit({ save: true });
+        }
+
+        return result;
+    }
+
+    static summary(notice) {
+        return {
+            type: notice.type,
+            key: notice.key,
+            memberId: notice.member.id,
+            memberName: notice.member.name,
+            bookTitle: notice.bookTitle,
+            language: notice.language
+        };
+    }
+
+    // Kirim satu email percobaan untuk memeriksa pengaturan SMTP; tidak dicatat
+    static async sendTest({ to, transport = this.transport() }) {
+        addressOf(to);
+        return transport.send({
+            from: this.sender(),
+            to,
+            subject: `Email percobaan dari ${CONFIG.LIBRARY_NAME}`,
+            text: `Pengaturan SMTP ${CONFIG.SMTP_HOST}:${CONFIG.SMTP_PORT} (${CONFIG.SMTP_SECURITY}) berhasil dipakai untuk mengirim email.`
+        });
+    }
+
+    // Riwayat pemberitahuan, terbaru lebih dulu
+    static listLog({ memberId, status, limit } = {}) {
+        const member = memberId ? MemberService.get(memberId) : null;
+        if (status && !Notices.STATUSES[status]) {
+            throw new ValidationError('INVALID_NOTICE_STATUS', `Status pemberitahuan tidak dikenal: ${status}`, {
+                allowed: Object.keys(Notices.STATUSES)
+            });
+        }
+
+        const notices = this.list()
+            .filter(n => (!member || n.memberId === member.id) && (!status || n.status === status))
+            .sort((a, b) => b.date.localeCompare(a.date));
+        return limit ? notices.slice(0, limit) : notices;
+    }
+
+    static listTemplates() {
+        return Object.keys(Notices.TYPES).flatMap(type =>
+            Object.keys(Notices.LANGUAGES).map(language => this.getTemplate(type, language)));
+    }
+
+    static getTemplate(type, language) {
+        type = Notices.parseType(type);
+        language = Notices.parseLanguage(language);
+        return { type, language, ...Notices.templateOf(database, type, language), placeholders: Notices.PLACEHOLDERS[type] };
+    }
+
+    // Ubah subjek dan/atau isi template; yang tidak diisi tetap seperti sebelumnya
+    static updateTemplate({ type, language, subject, body }) {
+        const current = this.getTemplate(type, language);
+        const next = {
+            subject: subject === undefined || subject === null ? current.subject : String(subject).trim(),
+            body: body === undefined || body === null ? current.body : String(body).replace(/\r\n/g, '\n')
+        };
+
+        if (!next.subject || !next.body.trim()) {
+            throw new ValidationError('TEMPLATE_REQUIRED', 'Subjek dan isi template wajib diisi');
+        }
+        const unknown = Notices.unknownPlaceholders(current.type, `${next.subject}\n${next.body}`);
+        if (unknown.length > 0) {
+            throw new ValidationError(
+                'UNKNOWN_PLACEHOLDER',
+                `Isian tidak dikenal: ${unknown.map(name => `{{${name}}}`).join(', ')} (bisa dipakai: ${current.placeholders.join(', ')})`,
+                { unknown, allowed: current.placeholders }
+            );
+        }
+
+        this.templates()[Notices.templateKey(current.type, current.language)] = next;
+        DataManager.commit();
+        return this.getTemplate(current.type, current.language);
+    }
+
+    // Kembalikan template ke bawaannya
+    static resetTemplate({ type, language }) {
+        const current = this.getTemplate(type, language);
+        delete this.templates()[Notices.templateKey(current.type, current.language)];
+        DataManager.commit();
+        return this.getTemplate(current.type, current.language);
+    }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,220 @@
+const CONFIG = require('../config');
+const { database } = require('../database');
+const DataManager = require('../data-manager');
+const Utils = require('../utils');
+const { NotFoundError, ValidationError } = require('../errors');
+
+// Jenis anggota dan labelnya
+const MEMBER_TYPES = {
+    student: 'Siswa',
+    teacher: 'Guru',
+    staff: 'Staf',
+    general: 'Umum'
+};
+
+const DEFAULT_MEMBER_TYPE = 'general';
+
+// Field aturan peminjaman beserta batas nilainya.
+// maxLoans 0 berarti buku tidak boleh dipinjam; maxFine null atau 0 berarti tanpa
+// batas, sama seperti MAX_FINE_PER_ITEM 0 di pengaturan umum.
+const FIELDS = {
+    loanDays: { min: 1, label: 'Lama pinjam (hari)' },
+    maxLoans: { min: 0, label: 'Maksimal pinjaman aktif' },
+    finePerDay: { min: 0, label: 'Denda per hari' },
+    maxFine: { min: 0, nullable: true, label: 'Batas denda per pinjaman' },
+    maxRenewals: { min: 0, label: 'Maksimal perpanjangan' }
+};
+
+const ANY = '*';
+
+// Aturan peminjaman per jenis anggota dan per kategori buku. Setiap aturan
+// boleh mengisi sebagian field saja; untuk satu pinjaman, setiap field diambil
+// dari aturan pertama yang mengisinya, dengan urutan:
+//   (jenis, kategori) > (*, kategori) > (jenis, *) > pengaturan umum (CONFIG)
+// Aturan kategori didahulukan supaya batasan buku referensi/pelajaran tetap
+// berlaku untuk semua jenis anggota, kecuali ada aturan khusus jenis+kategori.
+class PolicyService {
+    static list() {
+        if (!database.policies) database.policies = [];
+        return database.policies;
+    }
+
+    static memberTypeOf(member) {
+        return member && MEMBER_TYPES[member.type] ? member.type : DEFAULT_MEMBER_TYPE;
+    }
+
+    static normalizeMemberType(type) {
+        if (type === undefined || type === null || type === '') return ANY;
+        const normalized = String(type).trim().toLowerCase();
+        if (normalized === ANY) return ANY;
+
+        // Terima juga label, misal "Guru"
+        const key = MEMBER_TYPES[normalized]
+            ? normalized
+            : Object.keys(MEMBER_TYPES).find(k => MEMBER_TYPES[k].toLowerCase() === normalized);
+
+        if (!key) {
+            throw new ValidationError(
+                'INVALID_MEMBER_TYPE',
+                `Jenis anggota tidak dikenal: ${type} (pilih: ${Object.keys(MEMBER_TYPES).join(', ')})`
+            );
+        }
+        return key;
+    }
+
+    static normalizeCategory(category) {
+        if (category === undefined || category === null || String(category).trim() === '') return ANY;
+        const name = String(category).trim();
+        if (name === ANY) return ANY;
+
+        const existing = database.categories.find(c => c.toLowerCase() === name.toLowerCase());
+        if (!existing) throw new ValidationError('CATEGORY_NOT_FOUND', `Kategori "${name}" tidak ditemukan`);
+        return existing;
+    }
+
+    // Aturan umum dari pengaturan sistem
+    static defaults() {
+        return {
+            loanDays: CONFIG.MAX_BORROW_DAYS,
+            maxLoans: CONFIG.MAX_BOOKS_PER_USER,
+            finePerDay: CONFIG.FINE_PER_DAY,
+            maxFine: CONFIG.MAX_FINE_PER_ITEM > 0 ? CONFIG.MAX_FINE_PER_ITEM : null,
+            maxRenewals: CONFIG.MAX_RENEWALS
+        };
+    }
+
+    // Aturan yang berlaku untuk pasangan jenis anggota dan kategori buku.
+    // `sources` mencatat aturan asal setiap field (null = pengaturan umum).
+    static resolve({ memberType = DEFAULT_MEMBER_TYPE, category = ANY } = {}) {
+        const candidates = [
+            [memberType, category],
+            [ANY, category],
+            [memberType, ANY]
+        ];
+        const rules = candidates
+            .map(([type, cat]) => this.list().find(rule => rule.memberType === type && rule.category === cat))
+            .filter(Boolean);
+
+        const policy = this.defaults();
+        const sources = {};
+
+        Object.keys(FIELDS).forEach(field => {
+            const rule = rules.find(r => r[field] !== undefined);
+            sources[field] = rule || null;
+            if (rule) policy[field] = rule[field];
+        });
+
+        // Aturan lama mungkin menyimpan maxFine 0
+        if (policy.maxFine === 0) policy.maxFine = null;
+
+        return { ...policy, memberType, category, sources };
+    }
+
+    static forLoan(member, book) {
+        return this.resolve({
+            memberType: this.memberTypeOf(member),
+            category: book ? book.category : ANY
+        });
+    }
+
+    // Batas pinjaman aktif yang berlaku untuk sebuah pinjaman. Batas dari aturan
+    // kategori hanya menghitung pinjaman buku kategori itu, dan tidak menggantikan
+    // batas jenis anggota/umum: keduanya diperiksa terpisah.
+    static loanLimits(member, book) {
+        const memberType = this.memberTypeOf(member);
+        const overall = this.resolve({ memberType });
+        const limits = [{ maxLoans: overall.maxLoans, count: member.borrowedBooks.length, category: null }];
+
+        const policy = this.forLoan(member, book);
+        const rule = policy.sources.maxLoans;
+        if (rule && rule.category !== ANY) {
+            const count = database.transactions.filter(t => {
+                if (t.memberId !== member.id || t.status !== 'borrowed') return false;
+                const loaned = database.books.find(b => b.id === t.bookId);
+                return loaned && loaned.category === rule.category;
+            }).length;
+            limits.unshift({ maxLoans: policy.maxLoans, count, category: rule.category });
+        }
+
+        return limits;
+    }
+
+    static parseValue(field, value) {
+        const spec = FIELDS[field];
+        if (value === null || (spec.nullable && ['', 'none', 'tidak'].includes(String(value).toLowerCase()))) {
+            if (!spec.nullable) throw new ValidationError('INVALID_POLICY', `${spec.label} wajib diisi`);
+            return null;
+        }
+
+        // Batas denda 0 berarti tanpa batas, sama seperti MAX_FINE_PER_ITEM
+        if (spec.nullable && Number(value) === 0 && String(value).trim() !== '') return null;
+
+        const number = typeof value === 'number' ? value : (/^\d+$/.test(String(value).trim()) ? Number(value) : NaN);
+        if (!Number.isInteger(number) || number < spec.min) {
+            throw new ValidationError('INVALID_POLICY', `${spec.label} harus bilangan bulat >= ${spec.min}: ${value}`);
+        }
+        return number;
+    }
+
+    // Buat atau ubah aturan untuk pasangan jenis anggota/kategori. Field bernilai
+    // undefined tidak diubah; gunakan clearFields untuk kembali ke aturan umum.
+    static set({ memberType, category, clearFields = [], ...values }) {
+        const type = this.normalizeMemberType(memberType);
+        const cat = this.normalizeCategory(category);
+
+        if (type === ANY && cat === ANY) {
+            throw new ValidationError(
+                'INVALID_POLICY',
+                'Aturan umum diatur lewat pengaturan sistem (MAX_BORROW_DAYS, MAX_BOOKS_PER_USER, FINE_PER_DAY, MAX_FINE_PER_ITEM, MAX_RENEWALS)'
+            );
+        }
+
+        const unknown = Object.keys(values).filter(field => !FIELDS[field] && values[field] !== undefined);
+        if (unknown.length > 0) throw new ValidationError('INVALID_POLICY', `Field aturan tidak dikenal: ${unknown.join(', ')}`);
+
+        const parsed = {};
+        Object.keys(FIELDS).forEach(field => {
+            if (values[field] !== undefined) parsed[field] = this.parseValue(field, values[field]);
+        });
+
+        let rule = this.list().find(r => r.memberType === type && r.category === cat);
+        if (!rule) {
+            rule = { id: Utils.generateId(), memberType: type, category: cat };
+            this.list().push(rule);
+        }
+
+        Object.assign(rule, parsed);
+        clearFields.forEach(field => delete rule[field]);
+
+        DataManager.commit();
+        return rule;
+    }
+
+    static remove({ memberType, category }) {
+        const type = this.normalizeMemberType(memberType);
+        const cat = category === undefined || category === null || category === '' ? ANY : String(category).trim();
+        const rules = this.list();
+        const index = rules.findIndex(r => r.memberType === type && r.category.toLowerCase() === cat.toLowerCase());
+
+        if (index === -1) {
+            throw new NotFoundError('POLICY_NOT_FOUND', `Aturan untuk ${this.describeScope({ memberType: type, category: cat })} tidak ditemukan`);
+        }
+
+        const [rule] = rules.splice(index, 1);
+        DataManager.commit();
+        return rule;
+    }
+
+    static describeScope({ memberType, category }) {
+        const type = memberType === ANY ? 'semua anggota' : `anggota ${MEMBER_TYPES[memberType] || memberType}`;
+        const cat = category === ANY ? 'semua kategori' : `kategori ${category}`;
+        return `${type}, ${cat}`;
+    }
+}
+
+PolicyService.MEMBER_TYPES = MEMBER_TYPES;
+PolicyService.DEFAULT_MEMBER_TYPE = DEFAULT_MEMBER_TYPE;
+PolicyService.FIELDS = FIELDS;
+PolicyService.ANY = ANY;
+
+module.exports = PolicyService;
@@ -0,0 +1,231 @@
+const { database } = require('../database');
+const DataManager = require('../data-manager');
+const FineService = require('./fine-service');
+const AuditService = require('./audit-service');
+const Items = require('../items');
+const { ValidationError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReportService {
+    static getStatistics() {
+        DataManager.updateStats();
+
+        // Kategori terpopuler, beserta jumlah peminjamannya sepanjang waktu
+        const categoryCount = {};
+        database.books.forEach(book => {
+            categoryCount[book.category] = (categoryCount[book.category] || 0) + 1;
+        });
+        const books = new Map(database.books.map(book => [book.id, book]));
+        const loans = countBy(database.transactions, t => categoryOf(t, books));
+
+        const topCategories = Object.entries(categoryCount)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 5)
+            .map(([category, count]) => ({ category, count, loans: loans[category] || 0 }));
+
+        return { ...database.stats, topCategories };
+    }
+
+    // Anggota beserta pinjaman aktif, total pinjaman dan denda, urut nama
+    static getMembersReport(now = new Date()) {
+        return database.members
+            .map(member => {
+                const loans = database.transactions.filter(t => t.memberId === member.id);
+                const active = loans.filter(t => t.status === 'borrowed');
+                return {
+                    member,
+                    totalLoans: loans.length,
+                    activeLoans: active.length,
+                    overdueLoans: active.filter(t => new Date(t.dueDate) < now).length,
+                    lastLoan: loans.reduce((last, t) => (!last || t.borrowDate > last ? t.borrowDate : last), null),
+                    fines: member.fines
+                };
+            })
+            .sort((a, b) => a.member.name.localeCompare(b.member.name));
+    }
+
+    // Analitik sirkulasi dari peminjaman yang dimulai dalam rentang `from`-`to`
+    // (YYYY-MM-DD, keduanya termasuk; kosong = sejak awal/sampai sekarang)
+    static getCirculationReport({ from, to, limit = 10, now = new Date() } = {}) {
+        const start = from ? AuditService.parseDate(from) : null;
+        const end = to ? AuditService.parseDate(to, { endOfDay: true }) : null;
+        const top = limit === undefined || limit === '' ? 10 : parseInt(limit);
+
+        if (start && end && start >= end) {
+            throw new ValidationError('INVALID_DATE', 'Tanggal awal harus sebelum tanggal akhir');
+        }
+        if (!Number.isInteger(top) || top < 1) {
+            throw new ValidationError('INVALID_NUMBER', 'Jumlah peringkat harus bilangan bulat >= 1');
+        }
+
+        const loans = database.transactions.filter(t => {
+            const borrowed = new Date(t.borrowDate);
+            return (!start || borrowed >= start) && (!end || borrowed < end);
+        });
+        const returned = loans.filter(t => t.status === 'returned' && t.returnDate);
+        const onTime = returned.filter(t => new Date(t.returnDate) <= new Date(t.dueDate));
+        const loanDays = returned.map(t => (new Date(t.returnDate) - new Date(t.borrowDate)) / DAY_MS);
+
+        const books = new Map(database.books.map(book => [book.id, book]));
+        const authorOf = t => (books.get(t.bookId) || {}).author || 'Tidak diketahui';
+
+        const titles = ranked(loans, t => t.bookId, top).map(({ key, count }) => ({
+            bookId: key,
+            title: books.has(key) ? books.get(key).title : loans.find(t => t.bookId === key).bookTitle,
+            author: books.has(key) ? books.get(key).author : 'Tidak diketahui',
+            loans: count
+        }));
+        const authors = ranked(loans, authorOf, top).map(({ key, count }) => ({ author: key, loans: count }));
+        const members = ranked(loans, t => t.memberId, top).map(({ key, count }) => ({
+            memberId: key,
+            name: loans.find(t => t.memberId === key).memberName,
+            loans: count
+        }));
+
+        // Perputaran = peminjaman per eksemplar di kategori tersebut
+        const copies = countBy(database.books, book => book.category, book => book.copies || 0);
+        const categoryLoans = countBy(loans, t => categoryOf(t, books));
+        const categories = Object.keys({ ...copies, ...categoryLoans })
+            .map(category => ({
+                category,
+                loans: categoryLoans[category] || 0,
+                copies: copies[category] || 0,
+                turnover: copies[category] ? round(((categoryLoans[category] || 0) / copies[category])) : null
+            }))
+            .sort((a, b) => b.loans - a.loans || a.category.localeCompare(b.category));
+
+        // Eksemplar yang tidak pernah dipinjam dalam rentang ini (kandidat penyiangan);
+        // eksemplar yang baru ditambahkan setelah rentang berakhir tidak dihitung
+        const circulated = new Set(loans.map(t => t.itemId));
+        const neverCirculated = (database.items || [])
+            .filter(item => !Items.OUT_OF_COLLECTION.includes(item.status) && !circulated.has(item.id))
+            .filter(item => !end || !item.addedDate || new Date(item.addedDate) < end)
+            .map(item => ({
+                itemId: item.id,
+                barcode: item.barcode,
+                bookId: item.bookId,
+                title: (books.get(item.bookId) || {}).title || '',
+                location: item.location || '',
+                addedDate: item.addedDate || null
+            }))
+            .sort((a, b) => a.title.localeCompare(b.title) || a.barcode.localeCompare(b.barcode));
+
+        return {
+            from: start ? start.toISOString() : null,
+            to: end ? end.toISOString() : null,
+            totalLoans: loans.length,
+            returnedLoans: returned.length,
+            activeLoans: loans.filter(t => t.status === 'borrowed').length,
+            overdueLoans: loans.filter(t => t.status === 'borrowed' && new Date(t.dueDate) < now).length,
+            averageLoanDays: loanDays.length ? round(loanDays.reduce((sum, days) => sum + days, 0) / loanDays.length) : null,
+            onTimeRate: returned.length ? round((onTime.length / returned.length) * 100) : null,
+            onTimeReturns: onTime.length,
+            lateReturns: returned.length - onTime.length,
+            topTitles: titles,
+            topAuthors: authors,
+            topMembers: members,
+            byCategory: categories,
+            byMonth: monthly(loans, start, end),
+            neverCirculated
+        };
+    }
+
+    static getOverdueReport(now = new Date()) {
+        return DataManager.getOverdueBooks(now).map(transaction => {
+            const { daysLate, fine } = FineService.calculateTransactionFine(transaction, now);
+            return { transaction, daysLate, potentialFine: fine };
+        });
+    }
+
+    static getUpcomingDue(now = new Date(), days = 3) {
+        const limit = new Date(now.getTime() + days * DAY_MS);
+
+        return database.transactions.filter(t =>
+            t.status === 'borrowed' &&
+            new Date(t.dueDate) >= now &&
+            new Date(t.dueDate) <= limit
+        );
+    }
+
+    static getFinancialReport(now = new Date()) {
+        const payments = database.payments || [];
+        const totalFines = database.members.reduce((sum, member) => sum + member.fines, 0);
+        const totalPayments = payments.reduce((sum, payment) => sum + payment.amount, 0);
+        // Biaya penggantian yang dikembalikan karena bukunya ditemukan
+        const totalRefunds = (database.charges || [])
+            .filter(charge => charge.reversal)
+            .reduce((sum, charge) => sum + charge.reversal.refund, 0);
+
+        // Pembayaran per bulan (6 bulan terakhir)
+        const monthlyPayments = {};
+        const sixMonthsAgo = new Date(now);
+        sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+
+        payments
+            .filter(p => new Date(p.date) >= sixMonthsAgo)
+            .forEach(payment => {
+                const month = new Date(payment.date).toLocaleDateString('id-ID', {
+                    year: 'numeric',
+                    month: 'short'
+                });
+                monthlyPayments[month] = (monthlyPayments[month] || 0) + payment.amount;
+            });
+
+        return { totalFines, totalPayments, totalRefunds, netIncome: totalPayments - totalRefunds, monthlyPayments };
+    }
+}
+
+function countBy(records, keyOf, amountOf = () => 1) {
+    return records.reduce((counts, record) => {
+        const key = keyOf(record);
+        counts[key] = (counts[key] || 0) + amountOf(record);
+        return counts;
+    }, {});
+}
+
+// [{ key, count }] terbanyak lebih dulu, maksimal `limit`
+function ranked(records, keyOf, limit) {
+    return Object.entries(countBy(records, keyOf))
+        .map(([key, count]) => ({ key, count }))
+        .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+        .slice(0, limit);
+}
+
+// Kategori buku yang dipinjam; buku yang sudah dihapus masuk "Tidak diketahui"
+function categoryOf(transaction, books) {
+    const book = books.get(transaction.bookId);
+    return book ? book.category : 'Tidak diketahui';
+}
+
+// Peminjaman per bulan (YYYY-MM), termasuk bulan tanpa peminjaman di tengah rentang
+function monthly(loans, start, end) {
+    const counts = countBy(loans, t => monthKey(new Date(t.borrowDate)));
+    const keys = Object.keys(counts).sort();
+    const first = start ? monthKey(start) : keys[0];
+    const last = end ? monthKey(new Date(end.getTime() - 1)) : keys[keys.length - 1];
+    if (!first || !last) return [];
+
+    const months = [];
+    let [year, month] = first.split('-').map(Number);
+    while (`${year}-${String(month).padStart(2, '0')}` <= last) {
+        const key = `${year}-${String(month).padStart(2, '0')}`;
+        months.push({ month: key, loans: counts[key] || 0 });
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+    return months;
+}
+
+function monthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function round(number) {
+    return Math.round(number * 10) / 10;
+}
+
+module.exports = ReportService;
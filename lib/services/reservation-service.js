@@ -0,0 +1,218 @@
+const CONFIG = require('../config');
+const { database } = require('../database');
+const DataManager = require('../data-manager');
+const Utils = require('../utils');
+const Items = require('../items');
+const BookService = require('./book-service');
+const MemberService = require('./member-service');
+const { NotFoundError, ConflictError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Status reservasi:
+//   active    = menunggu giliran di antrean
+//   ready     = eksemplar sudah disisihkan, menunggu diambil sampai holdExpires
+//   fulfilled = sudah dipinjam, cancelled = dibatalkan, expired = tidak diambil
+const STATUS_LABELS = {
+    active: 'Menunggu',
+    ready: 'Siap diambil',
+    fulfilled: 'Sudah dipinjam',
+    cancelled: 'Dibatalkan',
+    expired: 'Kedaluwarsa'
+};
+
+const OPEN_STATUSES = ['active', 'ready'];
+
+// Antrean reservasi per buku (FIFO). Eksemplar yang kembali disisihkan untuk
+// reservasi terdepan (itemId) dan tidak dihitung di availableCopies sampai
+// diambil, dibatalkan, atau melewati batas pengambilan.
+class ReservationService {
+    static list() {
+        if (!database.reservations) database.reservations = [];
+        return database.reservations;
+    }
+
+    static get(reservationId) {
+        const reservation = this.list().find(r => r.id === String(reservationId).toUpperCase());
+        if (!reservation) {
+            throw new NotFoundError('RESERVATION_NOT_FOUND', 'Reservasi tidak ditemukan', { reservationId });
+        }
+        return reservation;
+    }
+
+    // Reservasi yang masih menunggu giliran
+    static listActive() {
+        return this.list().filter(r => r.status === 'active');
+    }
+
+    // Reservasi yang masih berjalan: menunggu atau siap diambil
+    static listOpen() {
+        return this.list().filter(r => OPEN_STATUSES.includes(r.status));
+    }
+
+    // Antrean tunggu sebuah buku, urut dari yang paling awal mereservasi
+    static queue(bookId) {
+        return this.listActive()
+            .filter(r => r.bookId === bookId)
+            .sort((a, b) => a.reservationDate.localeCompare(b.reservationDate));
+    }
+
+    static position(reservation) {
+        return this.queue(reservation.bookId).indexOf(reservation) + 1;
+    }
+
+    static findHold(memberId, bookId) {
+        return this.list().find(r => r.status === 'ready' && r.memberId === memberId && r.bookId === bookId);
+    }
+
+    static countHolds(bookId) {
+        return this.list().filter(r => r.status === 'ready' && r.bookId === bookId).length;
+    }
+
+    static reserve({ memberId, bookId, now = new Date() }) {
+        const member = MemberService.get(memberId);
+        const book = BookService.get(bookId);
+
+        this.releaseExpired(now);
+
+        if (member.status === 'archived') {
+            throw new ConflictError('MEMBER_ARCHIVED', 'Anggota sudah diarsipkan dan tidak dapat mereservasi');
+        }
+
+        if (book.availableCopies > 0) {
+            throw new ConflictError('BOOK_AVAILABLE', 'Buku tersedia, tidak perlu reservasi');
+        }
+
+        const existing = this.listOpen().find(r => r.memberId === member.id && r.bookId === book.id);
+        if (existing) {
+            throw new ConflictError(
+                'ALREADY_RESERVED',
+                existing.status === 'ready'
+                    ? `Buku sudah disisihkan untuk anggota ini sampai ${Utils.formatDate(existing.holdExpires)}`
+                    : `Anggota sudah mengantre untuk buku ini (urutan ke-${this.position(existing)})`,
+                { reservationId: existing.id }
+            );
+        }
+
+        // Buat reservasi
+        const reservation = {
+            id: Utils.generateId(),
+            memberId: member.id,
+            memberName: member.name,
+            bookId: book.id,
+            bookTitle: book.title,
+            reservationDate: now.toISOString(),
+            status: 'active'
+        };
+
+        this.list().push(reservation);
+        DataManager.commit();
+
+        return reservation;
+    }
+
+    static cancel({ reservationId, now = new Date() }) {
+        const reservation = this.get(reservationId);
+
+        if (!OPEN_STATUSES.includes(reservation.status)) {
+            throw new ConflictError(
+                'RESERVATION_CLOSED',
+                `Reservasi sudah tidak berjalan (${STATUS_LABELS[reservation.status] || reservation.status})`
+            );
+        }
+
+        const next = this.close(reservation, 'cancelled', now);
+        DataManager.commit();
+
+        return { reservation, next };
+    }
+
+    // Batalkan semua reservasi anggota (saat dihapus atau diarsipkan), tanpa menyimpan
+    static cancelForMember(member, now = new Date()) {
+        this.listOpen()
+            .filter(r => r.memberId === member.id)
+            .forEach(r => this.close(r, 'cancelled', now));
+    }
+
+    // Eksemplar yang tersedia (baru kembali, dilepas dari hold, atau eksemplar baru)
+    // disisihkan untuk antrean terdepan. Mengembalikan reservasi yang mendapat
+    // eksemplar, atau null jika antrean kosong. Tidak menyimpan.
+    static assignCopy(item, now = new Date()) {
+        const next = this.queue(item.bookId)[0] || null;
+
+        if (next) {
+            next.status = 'ready';
+            next.itemId = item.id;
+            next.holdDate = now.toISOString();
+            next.holdExpires = new Date(now.getTime() + CONFIG.HOLD_PICKUP_DAYS * DAY_MS).toISOString();
+        }
+
+        Items.syncBookById(database, item.bookId);
+        return next;
+    }
+
+    // Eksemplar yang disisihkan tidak bisa dipakai lagi (hilang, diperbaiki, ...):
+    // hold pindah ke eksemplar lain yang tersedia, atau reservasi kembali ke
+    // depan antrean. Tidak menyimpan.
+    static reassignHold(item, now = new Date()) {
+        const reservation = this.list().find(r => r.status === 'ready' && r.itemId === item.id);
+        if (!reservation) return null;
+
+        const held = Items.heldItemIds(database);
+        const other = Items.itemsOf(database, item.bookId)
+            .find(i => i.id !== item.id && i.status === 'available' && !held.has(i.id));
+
+        if (other) {
+            reservation.itemId = other.id;
+        } else {
+            reservation.status = 'active';
+            delete reservation.itemId;
+            delete reservation.holdDate;
+            delete reservation.holdExpires;
+        }
+
+        Items.syncBookById(database, item.bookId);
+        return reservation;
+    }
+
+    // Tutup reservasi; eksemplar yang sedang disisihkan berpindah ke antrean berikutnya
+    static close(reservation, status, now) {
+        const wasHeld = reservation.status === 'ready';
+
+        reservation.status = status;
+        reservation[`${status}Date`] = now.toISOString();
+
+        if (!wasHeld) return null;
+
+        const item = (database.items || []).find(i => i.id === reservation.itemId);
+        if (item && item.status === 'available') return this.assignCopy(item, now);
+
+        Items.syncBookById(database, reservation.bookId);
+        return null;
+    }
+
+    // Hold yang melewati batas pengambilan dinyatakan kedaluwarsa dan eksemplarnya
+    // berpindah ke antrean berikutnya. Tidak menyimpan; lihat expireHolds().
+    static releaseExpired(now = new Date()) {
+        return this.list()
+            .filter(r => r.status === 'ready' && new Date(r.holdExpires) < now)
+            .map(reservation => ({ reservation, next: this.close(reservation, 'expired', now) }));
+    }
+
+    static expireHolds(now = new Date()) {
+        const released = this.releaseExpired(now);
+        if (released.length > 0) DataManager.commit();
+        return released;
+    }
+
+    // Dipanggil saat anggota meminjam buku yang direservasinya
+    static fulfill(reservation, transaction, now = new Date()) {
+        reservation.status = 'fulfilled';
+        reservation.fulfilledDate = now.toISOString();
+        reservation.transactionId = transaction.id;
+    }
+}
+
+ReservationService.STATUS_LABELS = STATUS_LABELS;
+
+module.exports = ReservationService;
@@ -0,0 +1,73 @@
+const CONFIG = require('../config');
+const Settings = require('../settings');
+const { database } = require('../database');
+const DataManager = require('../data-manager');
+const { ValidationError, ConflictError } = require('../errors');
+
+class SettingsService {
+    static get() {
+        return { ...CONFIG };
+    }
+
+    // Semua pengaturan beserta nilai aktif dan asalnya (bawaan, file data,
+    // file konfigurasi, atau variabel lingkungan)
+    static list() {
+        return Settings.describe(CONFIG);
+    }
+
+    static describe(key) {
+        const name = Settings.normalizeKey(key);
+        return {
+            ...this.list().find(setting => setting.key === name),
+            saved: database.settings[name]
+        };
+    }
+
+    // Simpan pengaturan ke file data. Nilai teks (dari baris perintah) diubah
+    // ke tipe yang sesuai lebih dulu. Nilai yang ditimpa file konfigurasi atau
+    // variabel lingkungan tetap disimpan, tetapi belum berlaku.
+    static update(key, value) {
+        const name = Settings.normalizeKey(key);
+
+        if (Settings.SCHEMA[name].persisted === false) {
+            throw new ValidationError(
+                'SETTING_NOT_PERSISTED',
+                `${name} hanya bisa diatur lewat ${Settings.configFile()} atau variabel lingkungan ${Settings.envName(name)}`
+            );
+        }
+
+        const parsed = Settings.validate(name, Settings.parse(name, value), value);
+        database.settings = { ...database.settings, [name]: parsed };
+        DataManager.applySettings();
+
+        // Perubahan pengaturan selalu disimpan, juga saat auto-save dimatikan
+        DataManager.commit({ save: true });
+        return this.describe(name);
+    }
+
+    static listCategories() {
+        return database.categories;
+    }
+
+    static addCategory(name) {
+        if (!name) throw new ValidationError('CATEGORY_REQUIRED', 'Nama kategori wajib diisi');
+        if (database.categories.includes(name)) {
+            throw new ConflictError('CATEGORY_EXISTS', `Kategori "${name}" sudah ada`);
+        }
+
+        database.categories.push(name);
+        DataManager.commit();
+        return database.categories;
+    }
+
+    static removeCategory(name) {
+        const index = database.categories.indexOf(name);
+        if (index === -1) throw new ValidationError('CATEGORY_NOT_FOUND', `Kategori "${name}" tidak ditemukan`);
+
+        database.categories.splice(index, 1);
+        DataManager.commit();
+        return database.categories;
+    }
+}
+
+module.exports = SettingsService;
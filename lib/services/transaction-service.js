@@ -0,0 +1,409 @@
+const { database } = require('../database');
+const CONFIG = require('../config');
+const AuditLog = require('../audit');
+const DataManager = require('../data-manager');
+const Utils = require('../utils');
+const BookService = require('./book-service');
+const MemberService = require('./member-service');
+const FineService = require('./fine-service');
+const ReservationService = require('./reservation-service');
+const PolicyService = require('./policy-service');
+const CalendarService = require('./calendar-service');
+const ItemService = require('./item-service');
+const Items = require('../items');
+const Charges = require('../charges');
+const { NotFoundError, ValidationError, ConflictError } = require('../errors');
+
+// Akhir pinjaman selain pengembalian biasa. Statusnya menjadi status transaksi,
+// dan eksemplarnya keluar dari koleksi (lihat Items.OUT_OF_COLLECTION).
+const OUTCOMES = {
+    lost: { label: 'Hilang', itemStatus: 'lost' },
+    damaged: { label: 'Rusak', itemStatus: 'withdrawn', condition: 'damaged' },
+    claimed_returned: { label: 'Diklaim sudah dikembalikan', itemStatus: 'claimed' }
+};
+
+// Hanya buku yang tidak ada di perpustakaan yang bisa ditemukan kembali
+const FOUND_OUTCOMES = ['lost', 'claimed_returned'];
+
+// Tagihan yang dibatalkan jika bukunya ditemukan; denda keterlambatan tetap berlaku
+const REPLACEMENT_CHARGES = ['replacement', 'processing_fee'];
+
+const FILTERS = ['all', 'borrowed', 'returned', 'overdue', ...Object.keys(OUTCOMES)];
+
+class TransactionService {
+    static get(transactionId) {
+        const transaction = database.transactions.find(t => t.id === String(transactionId).toUpperCase());
+        if (!transaction) {
+            throw new NotFoundError('TRANSACTION_NOT_FOUND', 'Transaksi tidak ditemukan', { transactionId });
+        }
+        return transaction;
+    }
+
+    static isOverdue(transaction, now = new Date()) {
+        return transaction.status === 'borrowed' && new Date(transaction.dueDate) < now;
+    }
+
+    static filter(status = 'all', now = new Date()) {
+        switch (status.toLowerCase()) {
+            case 'borrowed':
+                return database.transactions.filter(t => t.status === 'borrowed');
+            case 'returned':
+                return database.transactions.filter(t => t.status === 'returned');
+            case 'overdue':
+                return database.transactions.filter(t => this.isOverdue(t, now));
+            case 'lost':
+            case 'damaged':
+            case 'claimed_returned':
+                return database.transactions.filter(t => t.status === status.toLowerCase());
+            default:
+                return database.transactions;
+        }
+    }
+
+    static findActive({ memberId, bookId } = {}) {
+        return database.transactions.filter(t =>
+            t.status === 'borrowed' &&
+            (!memberId || t.memberId === memberId) &&
+            (!bookId || t.bookId === bookId)
+        );
+    }
+
+    // Aturan peminjaman yang berlaku untuk sebuah transaksi. Anggota atau buku
+    // yang sudah dihapus dihitung dengan aturan umum.
+    static getPolicy(transaction) {
+        const member = database.members.find(m => m.id === transaction.memberId);
+        const book = database.books.find(b => b.id === transaction.bookId);
+        return PolicyService.forLoan(member, book);
+    }
+
+    // Anggota yang masih memiliki denda ditolak kecuali `allowFines` bernilai true.
+    // `itemId` (ID atau barcode) memilih eksemplar tertentu; tanpa itu dipilih
+    // eksemplar yang disisihkan untuk anggota ini atau eksemplar tersedia pertama.
+    static borrow({ memberId, bookId, itemId, now = new Date(), allowFines = false }) {
+        const member = MemberService.get(memberId);
+        const item = itemId ? ItemService.find(itemId) : null;
+        const book = BookService.get(item ? item.bookId : bookId);
+
+        if (item && bookId && String(bookId).toUpperCase() !== book.id) {
+            throw new ValidationError('ITEM_BOOK_MISMATCH', `Eksemplar ${item.barcode} bukan eksemplar buku yang dipilih`);
+        }
+
+        ReservationService.releaseExpired(now);
+
+        if (member.status === 'archived') {
+            throw new ConflictError('MEMBER_ARCHIVED', 'Anggota sudah diarsipkan dan tidak dapat meminjam');
+        }
+
+        // Batas pinjaman dan lama pinjam mengikuti aturan jenis anggota dan kategori buku
+        const policy = PolicyService.forLoan(member, book);
+
+        if (policy.maxLoans === 0) {
+            throw new ConflictError(
+                'LOAN_NOT_ALLOWED',
+                `Buku kategori ${book.category} tidak dapat dipinjam oleh anggota ${PolicyService.MEMBER_TYPES[policy.memberType]}`,
+                { memberType: policy.memberType, category: book.category }
+            );
+        }
+
+        // Batas kategori dan batas jenis anggota/umum diperiksa terpisah; keduanya harus terpenuhi
+        const reached = PolicyService.loanLimits(member, book).find(limit => limit.count >= limit.maxLoans);
+        if (reached) {
+            throw new ConflictError(
+                'BORROW_LIMIT_REACHED',
+                `Anggota sudah mencapai batas maksimum (${reached.maxLoans} buku${reached.category ? ` kategori ${reached.category}` : ''})`,
+                { maxLoans: reached.maxLoans, category: reached.category }
+            );
+        }
+
+        if (member.fines > 0 && !allowFines) {
+            throw new ConflictError(
+                'MEMBER_HAS_FINES',
+                `Anggota memiliki denda: ${Utils.formatCurrency(member.fines)}`,
+                { fines: member.fines }
+            );
+        }
+
+        // Eksemplar yang disisihkan hanya boleh dipinjam anggota yang mereservasinya
+        const hold = ReservationService.findHold(member.id, book.id);
+        const loanItem = this.pickItem({ book, item, hold });
+
+        // Buat transaksi
+        const transaction = {
+            id: Utils.generateId(),
+            memberId: member.id,
+            memberName: member.name,
+            bookId: book.id,
+            bookTitle: book.title,
+            itemId: loanItem.id,
+            barcode: loanItem.barcode,
+            borrowDate: now.toISOString(),
+            dueDate: CalendarService.dueDate(now, policy.loanDays).toISOString(),
+            returnDate: null,
+            status: 'borrowed',
+            fine: 0
+        };
+
+        // Update data
+        database.transactions.push(transaction);
+        member.borrowedBooks.push(book.id);
+        loanItem.status = 'on_loan';
+
+        if (hold) {
+            ReservationService.fulfill(hold, transaction, now);
+
+            // Anggota mengambil eksemplar lain, eksemplar yang tadinya disisihkan dilepas
+            const heldItem = database.items.find(i => i.id === hold.itemId);
+            if (heldItem && heldItem !== loanItem && heldItem.status === 'available') {
+                ReservationService.assignCopy(heldItem, now);
+            }
+        } else {
+            // Anggota yang masih mengantre tidak perlu menunggu lagi
+            const queued = ReservationService.queue(book.id).find(r => r.memberId === member.id);
+            if (queued) ReservationService.fulfill(queued, transaction, now);
+        }
+
+        Items.syncBook(database, book);
+        DataManager.commit();
+
+        return { transaction, member, book, item: loanItem, reservation: hold || null };
+    }
+
+    static pickItem({ book, item, hold }) {
+        if (item) {
+            if (item.status !== 'available') {
+                throw new ConflictError(
+                    'ITEM_UNAVAILABLE',
+                    `Eksemplar ${item.barcode} berstatus ${ItemService.STATUSES[item.status]}`,
+                    { itemId: item.id, status: item.status }
+                );
+            }
+            if (ItemService.isHeld(item) && !(hold && hold.itemId === item.id)) {
+                throw new ConflictError(
+                    'ITEM_ON_HOLD',
+                    `Eksemplar ${item.barcode} sedang disisihkan untuk anggota yang mereservasi`,
+                    { itemId: item.id }
+                );
+            }
+            return item;
+        }
+
+        const heldItem = hold && database.items.find(i => i.id === hold.itemId);
+        const available = heldItem || ItemService.pickAvailable(book.id);
+
+        if (!available) {
+            const held = ReservationService.countHolds(book.id) > 0;
+            throw new ConflictError(
+                'BOOK_UNAVAILABLE',
+                held ? 'Eksemplar yang ada sedang disisihkan untuk anggota yang mereservasi' : 'Buku sedang tidak tersedia'
+            );
+        }
+        return available;
+    }
+
+    // `condition` (opsional) mencatat kondisi eksemplar saat dikembalikan
+    static returnBook({ transactionId, condition, now = new Date() }) {
+        const transaction = this.get(transactionId);
+
+        if (transaction.status !== 'borrowed') {
+            throw new ConflictError('ALREADY_RETURNED', 'Transaksi ini sudah dikembalikan');
+        }
+
+        const member = MemberService.get(transaction.memberId);
+        const book = BookService.get(transaction.bookId);
+        const item = database.items.find(i => i.id === transaction.itemId);
+        const nextCondition = condition ? ItemService.parseCondition(condition) : undefined;
+
+        // Hitung denda jika terlambat, dengan tarif dan batas sesuai aturan peminjaman
+        const { fine, daysLate } = FineService.calculateOverdueFine(transaction.dueDate, now, PolicyService.forLoan(member, book));
+
+        // Update transaksi
+        transaction.returnDate = now.toISOString();
+        transaction.status = 'returned';
+        transaction.fine = fine;
+
+        // Update member
+        const loanIndex = member.borrowedBooks.indexOf(book.id);
+        if (loanIndex > -1) member.borrowedBooks.splice(loanIndex, 1);
+        member.borrowHistory.push(transaction.id);
+
+        // Denda menjadi tagihan tersendiri yang menunjuk ke transaksi ini
+        const charge = fine > 0 ? this.addCharge({ member, transaction, amount: fine, daysLate, now }) : null;
+
+        // Eksemplar disisihkan untuk antrean reservasi terdepan, atau kembali tersedia
+        ReservationService.releaseExpired(now);
+        let hold = null;
+        if (item) {
+            item.status = 'available';
+            if (nextCondition) item.condition = nextCondition;
+            hold = ReservationService.assignCopy(item, now);
+        }
+        Items.syncBook(database, book);
+
+        DataManager.commit();
+
+        return { transaction, member, book, item, fine, charge, hold };
+    }
+
+    static addCharge({ member, transaction, type, amount, daysLate, now }) {
+        if (!database.charges) database.charges = [];
+        const charge = Charges.buildCharge({ member, transaction, type, amount, daysLate, now });
+        database.charges.push(charge);
+        Charges.syncMember(database, member);
+        return charge;
+    }
+
+    // Terima kunci ("lost") atau label ("Hilang")
+    static parseOutcome(outcome) {
+        const normalized = String(outcome || '').trim().toLowerCase();
+        const key = OUTCOMES[normalized]
+            ? normalized
+            : Object.keys(OUTCOMES).find(k => OUTCOMES[k].label.toLowerCase() === normalized);
+
+        if (!key) {
+            throw new ValidationError('INVALID_OUTCOME', `Status pengembalian tidak dikenal: ${outcome} (pilih: ${Object.keys(OUTCOMES).join(', ')})`);
+        }
+        return key;
+    }
+
+    // Pinjaman yang berakhir tanpa buku kembali utuh (lihat OUTCOMES). Selain denda
+    // keterlambatan sampai hari ini, anggota ditagih harga buku sebagai biaya
+    // penggantian (atau `replacementCost` jika diisi) dan biaya administrasi.
+    static resolveLoan({ transactionId, outcome, replacementCost, now = new Date() }) {
+        const transaction = this.get(transactionId);
+        const key = this.parseOutcome(outcome);
+
+        if (transaction.status !== 'borrowed') {
+            throw new ConflictError('ALREADY_RETURNED', 'Transaksi ini sudah dikembalikan');
+        }
+
+        const member = MemberService.get(transaction.memberId);
+        const book = BookService.get(transaction.bookId);
+        const item = database.items.find(i => i.id === transaction.itemId);
+
+        const price = replacementCost === undefined || replacementCost === null || replacementCost === ''
+            ? book.price
+            : BookService.parsePrice(replacementCost);
+        if (price === undefined || price === null) {
+            throw new ValidationError(
+                'BOOK_PRICE_REQUIRED',
+                `Harga buku "${book.title}" belum diisi, isi harganya atau tentukan biaya penggantian`,
+                { bookId: book.id }
+            );
+        }
+
+        const { fine, daysLate } = FineService.calculateOverdueFine(transaction.dueDate, now, PolicyService.forLoan(member, book));
+
+        transaction.returnDate = now.toISOString();
+        transaction.status = key;
+        transaction.outcome = key;
+        transaction.fine = fine;
+
+        const loanIndex = member.borrowedBooks.indexOf(book.id);
+        if (loanIndex > -1) member.borrowedBooks.splice(loanIndex, 1);
+        member.borrowHistory.push(transaction.id);
+
+        const charges = [
+            fine > 0 && this.addCharge({ member, transaction, amount: fine, daysLate, now }),
+            price > 0 && this.addCharge({ member, transaction, type: 'replacement', amount: price, now }),
+            CONFIG.PROCESSING_FEE > 0 && this.addCharge({ member, transaction, type: 'processing_fee', amount: CONFIG.PROCESSING_FEE, now })
+        ].filter(Boolean);
+
+        if (item) {
+            item.status = OUTCOMES[key].itemStatus;
+            if (OUTCOMES[key].condition) item.condition = OUTCOMES[key].condition;
+        }
+        Items.syncBook(database, book);
+
+        DataManager.commit();
+
+        return { transaction, member, book, item, fine, charges };
+    }
+
+    // Buku yang hilang atau diklaim sudah dikembalikan ternyata ditemukan: tagihan
+    // penggantian dan biaya administrasinya dibatalkan (yang sudah dibayar dikembalikan
+    // ke anggota, lihat `refund`), dan eksemplarnya kembali ke koleksi
+    static markFound({ transactionId, condition, now = new Date() }) {
+        const transaction = this.get(transactionId);
+
+        if (!FOUND_OUTCOMES.includes(transaction.status)) {
+            throw new ConflictError(
+                'LOAN_NOT_MISSING',
+                'Hanya pinjaman yang hilang atau diklaim sudah dikembalikan yang dapat ditandai ditemukan',
+                { status: transaction.status }
+            );
+        }
+
+        const nextCondition = condition ? ItemService.parseCondition(condition) : undefined;
+        const reason = `Buku ditemukan kembali (${OUTCOMES[transaction.status].label.toLowerCase()})`;
+
+        const charges = (database.charges || []).filter(c =>
+            c.transactionId === transaction.id && REPLACEMENT_CHARGES.includes(c.type) && c.status !== 'reversed'
+        );
+        const refund = Charges.round(charges.reduce((sum, charge) =>
+            sum + Charges.reverse(charge, { reason, by: AuditLog.actor, now }), 0));
+        const member = Charges.syncMemberById(database, transaction.memberId);
+
+        transaction.status = 'returned';
+        transaction.foundDate = now.toISOString();
+
+        // Buku dan eksemplarnya bisa saja sudah dihapus selama hilang
+        const book = database.books.find(b => b.id === transaction.bookId) || null;
+        const item = database.items.find(i => i.id === transaction.itemId) || null;
+        ReservationService.releaseExpired(now);
+        let hold = null;
+        if (item) {
+            item.status = 'available';
+            if (nextCondition) item.condition = nextCondition;
+            hold = ReservationService.assignCopy(item, now);
+        }
+        if (book) Items.syncBook(database, book);
+
+        DataManager.commit();
+
+        return { transaction, member, book, item, charges, refund, hold };
+    }
+
+    // Perpanjangan: jatuh tempo dihitung ulang dari hari ini
+    static extendLoan({ transactionId, now = new Date() }) {
+        const transaction = this.get(transactionId);
+
+        if (transaction.status !== 'borrowed') {
+            throw new ConflictError('ALREADY_RETURNED', 'Transaksi ini sudah dikembalikan');
+        }
+
+        if (this.isOverdue(transaction, now)) {
+            throw new ConflictError(
+                'LOAN_OVERDUE',
+                'Peminjaman sudah terlambat, kembalikan buku dan selesaikan denda terlebih dahulu'
+            );
+        }
+
+        const policy = this.getPolicy(transaction);
+        const renewals = transaction.renewals || 0;
+        if (renewals >= policy.maxRenewals) {
+            throw new ConflictError(
+                'RENEWAL_LIMIT_REACHED',
+                `Batas perpanjangan sudah tercapai (${policy.maxRenewals} kali)`
+            );
+        }
+
+        const reserved = ReservationService.listActive().some(r => r.bookId === transaction.bookId);
+        if (reserved) {
+            throw new ConflictError('BOOK_RESERVED', 'Buku sudah direservasi anggota lain, tidak dapat diperpanjang');
+        }
+
+        transaction.dueDate = CalendarService.dueDate(now, policy.loanDays).toISOString();
+        transaction.renewals = renewals + 1;
+        transaction.lastRenewalDate = now.toISOString();
+
+        DataManager.commit();
+
+        return transaction;
+    }
+}
+
+TransactionService.OUTCOMES = OUTCOMES;
+TransactionService.FOUND_OUTCOMES = FOUND_OUTCOMES;
+TransactionService.FILTERS = FILTERS;
+
+module.exports = TransactionService;
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const { ValidationError } = require('./errors');
+
+// Semua pengaturan sistem beserta nilai bawaan dan validasinya.
+// `persisted: false` berarti pengaturan dibutuhkan sebelum file data dibaca,
+// jadi hanya bisa diatur lewat file konfigurasi atau variabel lingkungan.
+// `optional: true` berarti teks boleh kosong, `secret: true` berarti nilainya
+// tidak pernah ditampilkan.
+const SCHEMA = {
+    STORAGE: { type: 'enum', values: ['json', 'sqlite'], default: 'json', persisted: false, description: 'Jenis penyimpanan data' },
+    DATA_FILE: { type: 'string', default: 'library_data.json', persisted: false, description: 'File data JSON' },
+    SQLITE_FILE: { type: 'string', default: 'library_data.sqlite', persisted: false, description: 'File database SQLite' },
+    BACKUP_DIR: { type: 'string', default: 'backups', persisted: false, description: 'Direktori backup' },
+    AUDIT_FILE: { type: 'string', default: 'audit_log.jsonl', persisted: false, description: 'File log audit (hanya ditambah, tidak pernah ditulis ulang)' },
+    LIBRARY_NAME: { type: 'string', default: 'Perpustakaan', description: 'Nama perpustakaan (dicetak di kuitansi)' },
+    MAX_BORROW_DAYS: { type: 'integer', min: 1, default: 14, description: 'Maksimal hari peminjaman' },
+    MAX_BOOKS_PER_USER: { type: 'integer', min: 1, default: 5, description: 'Maksimal buku per anggota' },
+    MAX_RENEWALS: { type: 'integer', min: 0, default: 2, description: 'Maksimal perpanjangan' },
+    FINE_PER_DAY: { type: 'integer', min: 0, default: 2000, description: 'Denda per hari (Rp)' },
+    GRACE_PERIOD_DAYS: { type: 'integer', min: 0, default: 0, description: 'Masa tenggang (hari buka) sebelum keterlambatan didenda' },
+    MAX_FINE_PER_ITEM: { type: 'integer', min: 0, default: 0, description: 'Batas denda per pinjaman (Rp, 0 = tanpa batas)' },
+    PROCESSING_FEE: { type: 'integer', min: 0, default: 5000, description: 'Biaya administrasi buku hilang/rusak (Rp)' },
+    OPEN_DAYS: { type: 'weekdays', default: 'senin,selasa,rabu,kamis,jumat,sabtu', description: 'Hari buka perpustakaan setiap minggu' },
+    SMTP_HOST: { type: 'string', optional: true, default: '', description: 'Server SMTP untuk mengirim email pemberitahuan (kosong = tidak mengirim)' },
+    SMTP_PORT: { type: 'integer', min: 1, default: 587, description: 'Port server SMTP' },
+    SMTP_SECURITY: { type: 'enum', values: ['starttls', 'tls', 'none'], default: 'starttls', description: 'Keamanan koneksi SMTP' },
+    SMTP_USER: { type: 'string', optional: true, default: '', description: 'Nama pengguna SMTP (kosong = tanpa login)' },
+    SMTP_PASSWORD: { type: 'string', optional: true, secret: true, default: '', persisted: false, description: 'Kata sandi SMTP' },
+    SMTP_FROM: { type: 'string', optional: true, default: '', description: 'Alamat pengirim email, misal "Perpustakaan <perpus@contoh.id>"' },
+    NOTICE_DAYS_BEFORE: { type: 'integer', min: 0, default: 2, description: 'Kirim pengingat sekian hari sebelum jatuh tempo (0 = tidak dikirim)' },
+    NOTICE_LANGUAGE: { type: 'enum', values: ['id', 'en'], default: 'id', description: 'Bahasa pemberitahuan untuk anggota yang belum memilih bahasa' },
+    HOLD_PICKUP_DAYS: { type: 'integer', min: 1, default: 3, description: 'Batas hari pengambilan buku reservasi' },
+    AUTO_SAVE: { type: 'boolean', default: true, description: 'Simpan otomatis setiap perubahan' },
+    MAX_BACKUP_FILES: { type: 'integer', min: 1, default: 10, description: 'Jumlah file backup yang disimpan' }
+};
+
+// Nama hari sesuai Date#getDay() (0 = Minggu), beserta nama Inggrisnya
+const WEEKDAYS = ['minggu', 'senin', 'selasa', 'rabu', 'kamis', 'jumat', 'sabtu'];
+const WEEKDAY_ALIASES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TRUE_WORDS = ['true', '1', 'ya', 'yes', 'on', 'aktif'];
+const FALSE_WORDS = ['false', '0', 'tidak', 'no', 'off', 'nonaktif'];
+
+// Urutan sumber dari yang paling lemah; sumber berikutnya menimpa sebelumnya
+const SOURCES = ['default', 'data', 'file', 'env'];
+
+const SOURCE_LABELS = {
+    default: 'bawaan',
+    data: 'file data',
+    file: 'file konfigurasi',
+    env: 'variabel lingkungan'
+};
+
+class Settings {
+    // Terima nama seperti "max-borrow-days" atau "max_borrow_days"
+    static normalizeKey(key) {
+        const normalized = String(key || '').trim().toUpperCase().replace(/-/g, '_');
+        if (!SCHEMA[normalized]) throw new ValidationError('UNKNOWN_SETTING', `Pengaturan tidak dikenal: ${key}`);
+        return normalized;
+    }
+
+    static envName(key) {
+        return `PERPUSTAKAAN_${key}`;
+    }
+
+    static configFile(env = process.env) {
+        return env.PERPUSTAKAAN_CONFIG || 'perpustakaan.config.json';
+    }
+
+    // Ubah teks (dari variabel lingkungan atau baris perintah) ke tipe pengaturan
+    static parse(key, raw) {
+        const spec = SCHEMA[key];
+        if (typeof raw !== 'string') return raw;
+
+        const text = raw.trim();
+        if (spec.type === 'integer') return /^-?\d+$/.test(text) ? Number(text) : NaN;
+        if (spec.type === 'boolean') {
+            if (TRUE_WORDS.includes(text.toLowerCase())) return true;
+            if (FALSE_WORDS.includes(text.toLowerCase())) return false;
+            return text;
+        }
+        return text;
+    }
+
+    // `shown` adalah nilai asli yang ditampilkan di pesan error (misal teks sebelum diubah ke angka)
+    static validate(key, value, shown = value) {
+        const spec = SCHEMA[key];
+        let valid;
+
+        if (spec.type === 'integer') valid = Number.isInteger(value) && value >= spec.min;
+        else if (spec.type === 'boolean') valid = typeof value === 'boolean';
+        else if (spec.type === 'enum') valid = spec.values.includes(value);
+        else if (spec.type === 'weekdays') valid = (value = this.normalizeWeekdays(value)) !== null;
+        else valid = typeof value === 'string' && (spec.optional || value.trim() !== '');
+
+        if (!valid) {
+            const expected = {
+                integer: `bilangan bulat >= ${spec.min}`,
+                boolean: 'true atau false',
+                enum: spec.values && spec.values.join(' atau '),
+                weekdays: 'nama hari dipisah koma, misal senin,selasa,rabu',
+                string: spec.optional ? 'teks' : 'teks tidak kosong'
+            }[spec.type];
+            throw new ValidationError('INVALID_SETTING', `Nilai tidak valid untuk ${key}: ${shown} (harus ${expected})`);
+        }
+
+        return value;
+    }
+
+    // "Sabtu, senin,monday" menjadi "senin,sabtu" (urut Senin-Minggu), atau null jika ada nama yang tidak dikenal
+    static normalizeWeekdays(value) {
+        const names = String(value || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+        const days = new Set(names.map(name => {
+            const index = WEEKDAYS.indexOf(name);
+            return index > -1 ? index : WEEKDAY_ALIASES.indexOf(name);
+        }));
+        if (days.size === 0 || days.has(-1)) return null;
+        return [1, 2, 3, 4, 5, 6, 0].filter(day => days.has(day)).map(day => WEEKDAYS[day]).join(',');
+    }
+
+    // Nomor hari (Date#getDay()) dari nilai OPEN_DAYS yang sudah dinormalisasi
+    static weekdayNumbers(value) {
+        return String(value).split(',').map(name => WEEKDAYS.indexOf(name));
+    }
+
+    // Ambil nilai yang valid dari sebuah sumber; nilai yang tidak valid dilewati
+    // dan dicatat sebagai peringatan supaya aplikasi tetap bisa berjalan
+    static collect(values, source, { parse = false, persistedOnly = false } = {}) {
+        const result = {};
+
+        Object.entries(values || {}).forEach(([name, raw]) => {
+            const key = String(name).toUpperCase().replace(/-/g, '_');
+            if (!SCHEMA[key]) {
+                if (source !== 'data') this.warnings.push(`Pengaturan tidak dikenal di ${SOURCE_LABELS[source]}: ${name}`);
+                return;
+            }
+            if (persistedOnly && SCHEMA[key].persisted === false) return;
+
+            try {
+                result[key] = this.validate(key, parse ? this.parse(key, raw) : raw, raw);
+            } catch (error) {
+                this.warnings.push(`${error.message} (${SOURCE_LABELS[source]})`);
+            }
+        });
+
+        return result;
+    }
+
+    static readConfigFile(file = this.configFile()) {
+        if (!fs.existsSync(file)) return {};
+
+        try {
+            const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!content || typeof content !== 'object' || Array.isArray(content)) throw new Error('isi harus berupa objek');
+            return content;
+        } catch (error) {
+            this.warnings.push(`File konfigurasi ${file} diabaikan: ${error.message}`);
+            return {};
+        }
+    }
+
+    static readEnv(env = process.env) {
+        const values = {};
+        Object.keys(SCHEMA).forEach(key => {
+            if (env[this.envName(key)] !== undefined) values[key] = env[this.envName(key)];
+        });
+        return values;
+    }
+
+    // Pengaturan tersimpan (database.settings) yang valid, tanpa pengaturan awal
+    static pickPersisted(saved) {
+        return this.collect(saved, 'data', { persistedOnly: true });
+    }
+
+    // Hitung ulang isi CONFIG dari semua sumber. Objek CONFIG diubah di tempat
+    // karena semua modul memegang referensi yang sama.
+    static apply(config, saved = {}, env = process.env) {
+        this.warnings = [];
+
+        const layers = {
+            default: Object.fromEntries(Object.entries(SCHEMA).map(([key, spec]) => [key, spec.default])),
+            data: this.pickPersisted(saved),
+            file: this.collect(this.readConfigFile(this.configFile(env)), 'file'),
+            env: this.collect(this.readEnv(env), 'env', { parse: true })
+        };
+
+        this.sources = {};
+        SOURCES.forEach(source => {
+            Object.entries(layers[source]).forEach(([key, value]) => {
+                config[key] = value;
+                this.sources[key] = source;
+            });
+        });
+
+        return config;
+    }
+
+    static describe(config) {
+        return Object.entries(SCHEMA).map(([key, spec]) => ({
+            key,
+            value: spec.secret && config[key] ? '********' : config[key],
+            source: this.sources[key],
+            persisted: spec.persisted !== false,
+            description: spec.description
+        }));
+    }
+}
+
+Settings.SCHEMA = SCHEMA;
+Settings.WEEKDAYS = WEEKDAYS;
+Settings.SOURCE_LABELS = SOURCE_LABELS;
+Settings.warnings = [];
+Settings.sources = {};
+
+module.exports = Settings;
@@ -0,0 +1,401 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+const { LibraryError, ValidationError } = require('./errors');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const LINE_LENGTH = 76;
+const SECURITY_MODES = ['starttls', 'tls', 'none'];
+
+function smtpError(code, message, details = {}) {
+    return new LibraryError(code, message, details);
+}
+
+// Alamat email saja dari "Nama <alamat>" atau "alamat". CR/LF ditolak supaya
+// isi pemberitahuan tidak bisa menyisipkan header atau perintah SMTP.
+function addressOf(value) {
+    const text = String(value || '').trim();
+    const match = /<([^<>]*)>\s*$/.exec(text);
+    const address = (match ? match[1] : text).trim();
+    if (!/^[^\s@<>]+@[^\s@<>]+$/.test(address) || /[\r\n]/.test(text)) {
+        throw new ValidationError('INVALID_EMAIL', `Alamat email tidak valid: ${text}`);
+    }
+    return address;
+}
+
+// Header dengan huruf non-ASCII ditulis sebagai encoded-word UTF-8 (RFC 2047)
+function encodeHeader(text) {
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function encodeMailbox(value) {
+    const text = String(value).trim();
+    const match = /^(.*?)\s*<([^<>]*)>\s*$/.exec(text);
+    if (!match || !match[1]) return addressOf(text);
+    const name = match[1].replace(/^"|"$/g, '');
+    return `${/^[\x20-\x7e]*$/.test(name) ? `"${name.replace(/"/g, '')}"` : encodeHeader(name)} <${addressOf(text)}>`;
+}
+
+function wrap(text, length = LINE_LENGTH) {
+    return text.match(new RegExp(`.{1,${length}}`, 'g')) || [''];
+}
+
+// Pesan teks UTF-8, isinya base64 supaya aman untuk server yang tidak mendukung 8BITMIME
+function buildMessage({ from, to, subject, text, date = new Date(), messageId }) {
+    const domain = addressOf(from).split('@')[1];
+    const id = messageId || `${Date.now().toString(36)}.${crypto.randomBytes(6).toString('hex')}@${domain}`;
+
+    const headers = [
+        `From: ${encodeMailbox(from)}`,
+        `To: ${encodeMailbox(to)}`,
+        `Subject: ${encodeHeader(String(subject || '').replace(/[\r\n]+/g, ' '))}`,
+        `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${id}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    ];
+    const body = wrap(Buffer.from(String(text || '').replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64'));
+
+    return { messageId: id, content: [...headers, '', ...body].join('\r\n') };
+}
+
+function decodeHeader(value) {
+    return value.replace(/=\?utf-8\?([bq])\?([^?]*)\?=/gi, (match, encoding, text) => (
+        encoding.toLowerCase() === 'b'
+            ? Buffer.from(text, 'base64').toString('utf8')
+            : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9a-f]{2})/gi, (m, hex) =>
+                String.fromCharCode(parseInt(hex, 16))), 'latin1').toString('utf8')
+    ));
+}
+
+// Kebalikan buildMessage, untuk menampilkan pesan yang diterima SmtpSink
+function parseMessage(content) {
+    const text = String(content);
+    const split = text.search(/\r?\n\r?\n/);
+    const head = split === -1 ? text : text.slice(0, split);
+    const body = split === -1 ? '' : text.slice(split).replace(/^\r?\n\r?\n/, '');
+
+    const headers = {};
+    head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = decodeHeader(line.slice(colon + 1).trim());
+    });
+
+    const base64 = (headers['content-transfer-encoding'] || '').toLowerCase() === 'base64';
+    return {
+        headers,
+        subject: headers.subject || '',
+        text: base64 ? Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8').replace(/\r\n/g, '\n') : body
+    };
+}
+
+// Titik di awal baris digandakan supaya tidak dianggap akhir pesan (RFC 5321 4.5.2)
+function dotStuff(content) {
+    return content.replace(/^\./gm, '..');
+}
+
+// Klien SMTP minimal di atas net/tls, tanpa paket tambahan: EHLO, STARTTLS
+// atau TLS langsung, AUTH PLAIN/LOGIN, lalu satu pesan per koneksi.
+// `security`: starttls (port 587), tls (port 465) atau none (server lokal).
+class SmtpClient {
+    constructor({ host, port = 587, security = 'starttls', user = '', password = '', timeout = DEFAULT_TIMEOUT_MS, name = os.hostname() }) {
+        if (!host) throw new ValidationError('SMTP_NOT_CONFIGURED', 'Server SMTP belum diatur (pengaturan SMTP_HOST)');
+        if (!SECURITY_MODES.includes(security)) {
+            throw new ValidationError('INVALID_SMTP_SECURITY', `Mode keamanan SMTP tidak dikenal: ${security} (pilih: ${SECURITY_MODES.join(', ')})`);
+        }
+
+        this.host = host;
+        this.port = port;
+        this.security = security;
+        this.user = user;
+        this.password = password;
+        this.timeout = timeout;
+        this.name = name;
+    }
+
+    describe() {
+        return `${this.host}:${this.port} (${this.security})`;
+    }
+
+    async send({ from, to, subject, text, date = new Date() }) {
+        const sender = addressOf(from);
+        const recipient = addressOf(to);
+        const message = buildMessage({ from, to, subject, text, date });
+
+        await this.connect();
+        try {
+            await this.expect(220);
+            let features = await this.hello();
+
+            if (this.security === 'starttls') {
+                if (!features.includes('STARTTLS')) {
+                    throw smtpError('SMTP_STARTTLS_UNAVAILABLE', `Server SMTP ${this.describe()} tidak mendukung STARTTLS`);
+                }
+                await this.command('STARTTLS', 220);
+                await this.upgrade();
+                features = await this.hello();
+            }
+
+            if (this.user) await this.login(features);
+
+            await this.command(`MAIL FROM:<${sender}>`, 250);
+            await this.command(`RCPT TO:<${recipient}>`, [250, 251]);
+            await this.command('DATA', 354);
+            const reply = await this.command(`${dotStuff(message.content)}\r\n.`, 250);
+            await this.command('QUIT', 221).catch(() => {});
+
+            return { messageId: message.messageId, response: reply.text };
+        } finally {
+            this.close();
+        }
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port };
+            const socket = this.security === 'tls'
+                ? tls.connect({ ...options, servername: net.isIP(this.host) ? undefined : this.host })
+                : net.connect(options);
+
+            const ready = this.security === 'tls' ? 'secureConnect' : 'connect';
+            const failed = error => reject(smtpError('SMTP_CONNECTION_FAILED', `Tidak dapat terhubung ke server SMTP ${this.describe()}: ${error.message}`));
+            socket.once('error', failed);
+            socket.setTimeout(this.timeout, () => socket.destroy(new Error('waktu habis')));
+            socket.once(ready, () => {
+                socket.removeListener('error', failed);
+                this.attach(socket);
+                resolve();
+            });
+        });
+    }
+
+    // Ganti koneksi biasa menjadi TLS setelah STARTTLS diterima server
+    upgrade() {
+        return new Promise((resolve, reject) => {
+            const plain = this.detach();
+            const socket = tls.connect({ socket: plain, servername: net.isIP(this.host) ? undefined : this.host });
+            const failed = error => reject(smtpError('SMTP_TLS_FAILED', `STARTTLS ke ${this.describe()} gagal: ${error.message}`));
+            socket.once('error', failed);
+            socket.once('secureConnect', () => {
+                socket.removeListener('error', failed);
+                this.attach(socket);
+                resolve();
+            });
+        });
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiting = [];
+        this.failure = null;
+
+        this.onData = chunk => this.receive(chunk);
+        this.onError = error => this.fail(error);
+        this.onClose = () => this.fail(new Error('koneksi ditutup server'));
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error('waktu habis')));
+        socket.on('data', this.onData);
+        socket.on('error', this.onError);
+        socket.on('close', this.onClose);
+    }
+
+    detach() {
+        const socket = this.socket;
+        socket.removeListener('data', this.onData);
+        socket.removeListener('error', this.onError);
+        socket.removeListener('close', this.onClose);
+        this.socket = null;
+        return socket;
+    }
+
+    close() {
+        if (!this.socket) return;
+        this.detach().destroy();
+    }
+
+    // Balasan bisa terdiri dari beberapa baris ("250-..."); baris terakhir memakai spasi ("250 ...")
+    receive(chunk) {
+        this.buffer += chunk.toString('utf8');
+        let end;
+        while ((end = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, end).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(end + 1);
+            this.lines.push(line);
+
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: Number(line.slice(0, 3)), lines: this.lines.map(l => l.slice(4)) };
+                reply.text = reply.lines.join(' ');
+                this.lines = [];
+                if (this.waiting.length > 0) this.waiting.shift().resolve(reply);
+                else this.replies.push(reply);
+            }
+        }
+    }
+
+    fail(error) {
+        this.failure = smtpError('SMTP_CONNECTION_FAILED', `Koneksi ke server SMTP ${this.describe()} terputus: ${error.message}`);
+        this.waiting.splice(0).forEach(waiter => waiter.reject(this.failure));
+    }
+
+    read() {
+        if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+        if (this.failure) return Promise.reject(this.failure);
+        return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+    }
+
+    async expect(codes, sent = null) {
+        const reply = await this.read();
+        if (![].concat(codes).includes(reply.code)) {
+            throw smtpError(
+                'SMTP_REJECTED',
+                `Server SMTP menolak ${sent ? sent.split(/[\s:]/)[0] : 'koneksi'}: ${reply.code} ${reply.text}`,
+                { code: reply.code, response: reply.text }
+            );
+        }
+        return reply;
+    }
+
+    command(line, codes) {
+        this.socket.write(`${line}\r\n`);
+        // Isi pesan tidak ikut ditampilkan di pesan error
+        return this.expect(codes, line.includes('\r\n') ? 'DATA' : line);
+    }
+
+    // Daftar kemampuan server dari balasan EHLO, misal ["STARTTLS", "AUTH PLAIN LOGIN"]
+    async hello() {
+        const reply = await this.command(`EHLO ${this.name}`, 250);
+        return reply.lines.slice(1).map(line => line.toUpperCase());
+    }
+
+    async login(features) {
+        const auth = features.find(line => line.startsWith('AUTH')) || '';
+        const encode = text => Buffer.from(text, 'utf8').toString('base64');
+
+        if (auth.split(/\s+/).includes('PLAIN') || !auth.includes('LOGIN')) {
+            await this.command(`AUTH PLAIN ${encode(`\0${this.user}\0${this.password}`)}`, 235);
+            return;
+        }
+        await this.command('AUTH LOGIN', 334);
+        await this.command(encode(this.user), 334);
+        await this.command(encode(this.password), 235);
+    }
+}
+
+// Server SMTP tiruan untuk mencoba pengiriman tanpa server email sungguhan.
+// Semua pesan diterima (termasuk AUTH apa pun) dan diteruskan ke `onMessage`;
+// tidak ada yang dikirim ke luar. Tidak mendukung STARTTLS, jadi pakai
+// SMTP_SECURITY=none saat mencobanya.
+class SmtpSink {
+    constructor({ onMessage = () => {}, name = 'localhost' } = {}) {
+        this.onMessage = onMessage;
+        this.name = name;
+        this.count = 0;
+        this.server = net.createServer(socket => this.session(socket));
+    }
+
+    listen({ port = 2525, host = '127.0.0.1' } = {}) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    session(socket) {
+        const reply = text => socket.write(`${text}\r\n`);
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let data = null;
+        let auth = null;
+
+        reply(`220 ${this.name} ESMTP perpustakaan sink`);
+        socket.on('error', () => {});
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, end).replace(/\r$/, '');
+                buffer = buffer.slice(end + 1);
+
+                if (data !== null) {
+                    if (line !== '.') {
+                        data.push(line.startsWith('.') ? line.slice(1) : line);
+                        continue;
+                    }
+                    this.count++;
+                    const content = data.join('\r\n');
+                    data = null;
+                    this.onMessage({ ...envelope, content, ...parseMessage(content) });
+                    envelope = { from: null, to: [] };
+                    reply(`250 OK pesan ${this.count} diterima`);
+                    continue;
+                }
+
+                if (auth === 'login-user') {
+                    auth = 'login-password';
+                    reply('334 UGFzc3dvcmQ6');
+                    continue;
+                }
+                if (auth === 'login-password') {
+                    auth = null;
+                    reply('235 Autentikasi diterima');
+                    continue;
+                }
+
+                const command = line.split(' ')[0].toUpperCase();
+                if (command === 'EHLO') {
+                    reply(`250-${this.name}`);
+                    reply('250-8BITMIME');
+                    reply('250 AUTH PLAIN LOGIN');
+                } else if (command === 'HELO') {
+                    reply(`250 ${this.name}`);
+                } else if (command === 'AUTH') {
+                    if (/^AUTH LOGIN\s*$/i.test(line)) {
+                        auth = 'login-user';
+                        reply('334 VXNlcm5hbWU6');
+                    } else {
+                        reply('235 Autentikasi diterima');
+                    }
+                } else if (command === 'MAIL') {
+                    envelope = { from: (/<([^>]*)>/.exec(line) || [])[1] || '', to: [] };
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    envelope.to.push((/<([^>]*)>/.exec(line) || [])[1] || '');
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    data = [];
+                    reply('354 Akhiri dengan <CRLF>.<CRLF>');
+                } else if (command === 'RSET') {
+                    envelope = { from: null, to: [] };
+                    reply('250 OK');
+                } else if (command === 'NOOP') {
+                    reply('250 OK');
+                } else if (command === 'QUIT') {
+                    reply('221 Sampai jumpa');
+                    socket.end();
+                } else {
+                    reply('502 Perintah tidak didukung');
+                }
+            }
+        });
+    }
+}
+
+module.exports = {
+    SECURITY_MODES,
+    SmtpClient,
+    SmtpSink,
+    addressOf,
+    buildMessage,
+    parseMessage
+};
@@ -0,0 +1,157 @@
+const Utils = require('./utils');
+
+// Pemotong imbuhan sederhana untuk bahasa Indonesia (dan akhiran umum bahasa
+// Inggris), tanpa kamus. Hasilnya tidak selalu kata dasar yang benar, tetapi
+// konsisten: "membaca", "dibaca", "bacaan" dan "pembaca" sama-sama menjadi
+// "baca", jadi cukup untuk mencocokkan kata di indeks pencarian.
+
+const PARTICLES = ['lah', 'kah', 'pun'];
+const POSSESSIVES = ['ku', 'mu', 'nya'];
+const SUFFIXES = ['kan', 'an', 'i'];
+
+// Kata dasar terlalu pendek biasanya berarti imbuhan yang dipotong ternyata
+// bagian dari kata itu sendiri ("makan" bukan "mak" + "-an")
+const MIN_ROOT = 4;
+
+const VOWEL = /[aiueo]/;
+
+function hasVowel(word) {
+    return VOWEL.test(word);
+}
+
+// Awalan me-/pe- meluluhkan huruf pertama kata dasar: "menulis" dari "tulis",
+// "memukul" dari "pukul", "menyapu" dari "sapu", "mengambil" dari "ambil"
+function removeNasalPrefix(word, base) {
+    const rest = word.slice(base.length);
+    const rules = [
+        [`${base}ng`, next => (VOWEL.test(next[0]) || /[ghk]/.test(next[0]) ? next : null)],
+        [`${base}ny`, next => (VOWEL.test(next[0]) ? `s${next}` : null)],
+        [`${base}m`, next => (/[bpf]/.test(next[0]) ? next : VOWEL.test(next[0]) ? `p${next}` : null)],
+        [`${base}n`, next => (/[cdjtsz]/.test(next[0]) ? next : VOWEL.test(next[0]) ? `t${next}` : null)],
+        [base, next => (/[lrwy]/.test(next[0]) ? next : null)]
+    ];
+
+    for (const [prefix, recode] of rules) {
+        const next = word.slice(prefix.length);
+        if (!word.startsWith(prefix) || !next) continue;
+        const root = recode(next);
+        if (root) return root;
+    }
+    // pe- di depan konsonan lain tidak meluluhkan apa pun ("petani", "pekerja")
+    if (base === 'pe' && rest && !VOWEL.test(rest[0]) && !/[mn]/.test(rest[0])) return rest;
+    return null;
+}
+
+// Awalan kedua yang boleh mengikuti awalan pertama: di-/me-/ter- hanya diikuti
+// per- ("di-per-baiki", "mem-pel-ajari"), ke- juga ber-/pe- ("ke-ber-hasil-an",
+// "ke-pe-mimpin-an"). Bentuk "di-ber-" dan "pem-ber-" tidak ada, jadi "diberikan"
+// dan "pemberian" menjadi "beri", bukan "ikan" dan "ian".
+const SECOND_PREFIXES = {
+    di: ['per'],
+    me: ['per'],
+    ter: ['per'],
+    ke: ['ber', 'per', 'pe']
+};
+
+// Konfiks pe-...-an dan ke-...-an: akhirannya selalu -an, jadi "pendidikan"
+// menjadi "didik", bukan "didi" + "-kan"
+const PREFIX_SUFFIXES = {
+    pe: ['an'],
+    ke: ['an']
+};
+
+// { prefix, rest } untuk awalan pertama (`allowed` kosong) atau awalan kedua
+// yang ada di `allowed`
+function removePrefix(word, allowed = null) {
+    const can = prefix => !allowed || allowed.includes(prefix);
+    const nasal = base => {
+        const rest = removeNasalPrefix(word, base);
+        return rest ? { prefix: base, rest } : null;
+    };
+
+    if (!allowed) {
+        // Banyak kata dasar diawali di/ke/se ("didik", "kerja", "sehat"): hanya
+        // dipotong jika sisanya masih sepanjang kata dasar
+        for (const prefix of ['di', 'ke', 'se']) {
+            if (word.startsWith(prefix) && word.length - prefix.length >= MIN_ROOT) {
+                return { prefix, rest: word.slice(prefix.length) };
+            }
+        }
+        if (word.startsWith('ter')) return { prefix: 'ter', rest: word.slice(3) };
+        if (word.startsWith('me')) return nasal('me');
+    }
+    if (/^[bp]elajar/.test(word)) {
+        const prefix = word[0] === 'b' ? 'ber' : 'per';
+        if (can(prefix)) return { prefix, rest: word.slice(3) };
+    }
+    if (can('ber') && word.startsWith('ber')) return { prefix: 'ber', rest: word.slice(3) };
+    if (can('per') && word.startsWith('per')) return { prefix: 'per', rest: word.slice(3) };
+    if (can('ber') && word.startsWith('be') && /^[^aiueo]er/.test(word.slice(2))) return { prefix: 'ber', rest: word.slice(2) };
+    if (can('pe') && word.startsWith('pe')) return nasal('pe');
+    return null;
+}
+
+function stemIndonesian(word) {
+    let stem = word;
+    const strip = (endings, minRoot = MIN_ROOT) => {
+        const ending = endings.find(e => stem.endsWith(e) && stem.length - e.length >= minRoot && hasVowel(stem.slice(0, -e.length)));
+        if (ending) stem = stem.slice(0, -ending.length);
+    };
+
+    // Partikel hanya dipotong dari kata yang panjang: banyak kata dasar
+    // berakhiran -lah/-kah ("sekolah", "masalah", "langkah")
+    strip(PARTICLES, MIN_ROOT + 2);
+    strip(POSSESSIVES);
+
+    // Awalan boleh bertumpuk (mem-per-, di-per-, ...), paling banyak dua
+    let first = null;
+    for (let round = 0; round < 2; round++) {
+        const next = removePrefix(stem, first ? SECOND_PREFIXES[first] || [] : null);
+        if (!next || next.rest.length < MIN_ROOT - 1 || !hasVowel(next.rest)) break;
+        stem = next.rest;
+        first = first || next.prefix;
+    }
+
+    // Akhiran -i hanya dipotong jika kata berawalan, supaya "beli" dan "kiri" utuh
+    if (!first) strip(SUFFIXES.filter(suffix => suffix !== 'i'));
+    else strip(PREFIX_SUFFIXES[first] || SUFFIXES);
+
+    return stem;
+}
+
+function stemEnglish(word) {
+    const rules = [
+        [/ies$/, 'y'],
+        [/sses$/, 'ss'],
+        [/(ss|us|is)$/, '$1'],
+        [/(ch|sh|x|z)es$/, '$1'],
+        [/s$/, ''],
+        [/ing$/, ''],
+        [/ed$/, '']
+    ];
+
+    for (const [pattern, replacement] of rules) {
+        if (!pattern.test(word)) continue;
+        const next = word.replace(pattern, replacement);
+        return next.length >= MIN_ROOT && hasVowel(next) ? next : word;
+    }
+    return word;
+}
+
+// Kata dasar untuk satu kata yang sudah dinormalisasi (huruf kecil, tanpa diakritik)
+function stem(word) {
+    if (word.length <= MIN_ROOT || /\d/.test(word)) return word;
+    return stemEnglish(stemIndonesian(word));
+}
+
+// Teks menjadi daftar kata ({ word, stem }) sesuai urutan kemunculannya
+function tokenize(text) {
+    const normalized = Utils.normalizeText(text);
+    if (!normalized) return [];
+    return normalized.split(' ').map(word => ({ word, stem: stem(word) }));
+}
+
+module.exports = {
+    stem,
+    tokenize
+};
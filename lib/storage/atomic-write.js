@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tulis file secara atomik: tulis ke file sementara, fsync, lalu rename.
+// Jika proses terhenti di tengah jalan, file lama tetap utuh.
+function writeFileAtomic(file, content) {
+    const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    const fd = fs.openSync(tempFile, 'w');
+
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        fs.renameSync(tempFile, file);
+    } catch (error) {
+        fs.rmSync(tempFile, { force: true });
+        throw error;
+    }
+
+    fsyncDirectory(path.dirname(file));
+}
+
+// Pastikan rename tercatat di disk; tidak didukung di semua sistem (misal Windows)
+function fsyncDirectory(dir) {
+    let fd;
+    try {
+        fd = fs.openSync(dir, 'r');
+        fs.fsyncSync(fd);
+    } catch (error) {
+        // diabaikan
+    } finally {
+        if (fd !== undefined) fs.closeSync(fd);
+    }
+}
+
+module.exports = {
+    writeFileAtomic,
+    fsyncDirectory
+};
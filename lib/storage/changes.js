@@ -0,0 +1,121 @@
+const { ConflictError } = require('../errors');
+
+// Koleksi yang setiap record-nya punya nomor versi (`version`),
+// naik satu setiap kali record tersebut disimpan dengan isi berbeda
+const VERSIONED = ['books', 'members', 'transactions', 'items', 'charges'];
+
+const LABELS = {
+    books: 'buku',
+    members: 'anggota',
+    transactions: 'transaksi',
+    items: 'eksemplar',
+    reservations: 'reservasi',
+    charges: 'tagihan denda',
+    closures: 'hari tutup',
+    payments: 'pembayaran',
+    lastReceipt: 'nomor kuitansi',
+    notices: 'pemberitahuan',
+    noticeTemplates: 'template pemberitahuan',
+    staff: 'akun petugas',
+    policies: 'aturan peminjaman',
+    categories: 'kategori',
+    settings: 'pengaturan'
+};
+
+function versionOf(json) {
+    return json === undefined ? 0 : JSON.parse(json).version || 0;
+}
+
+// Bandingkan daftar record dengan isi terakhir yang tersimpan (Map id -> JSON).
+// Menghasilkan perubahan put/delete dan cache baru; versi record yang berubah dinaikkan.
+function diffRecords(key, records, cached = new Map()) {
+    const changes = [];
+    const next = new Map();
+
+    records.forEach(record => {
+        let json = JSON.stringify(record);
+        const base = cached.get(record.id);
+
+        if (base !== json) {
+            if (VERSIONED.includes(key)) {
+                record.version = versionOf(base) + 1;
+                json = JSON.stringify(record);
+            }
+            changes.push({ op: 'put', key, id: record.id, record });
+        }
+
+        next.set(record.id, json);
+    });
+
+    cached.forEach((json, id) => {
+        if (!next.has(id)) changes.push({ op: 'delete', key, id });
+    });
+
+    return { changes, next };
+}
+
+// JSON dengan urutan field tetap dan tanpa field kosong, untuk membandingkan isi record
+function canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== null && value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Cari perubahan yang bertabrakan dengan perubahan proses lain. `cache` adalah isi
+// terakhir yang dimuat/disimpan proses ini; `readCurrent(change)` membaca isi terbaru
+// dari penyimpanan (record, nilai, atau undefined jika tidak ada).
+function findConflicts(changes, cache, readCurrent) {
+    return changes.filter(change => {
+        const current = readCurrent(change);
+
+        if (change.op === 'set') {
+            const json = current === undefined ? undefined : JSON.stringify(current);
+            return json !== cache[change.key] && json !== JSON.stringify(change.value);
+        }
+
+        const base = cache[change.key] instanceof Map ? cache[change.key].get(change.id) : undefined;
+
+        // Record baru, tapi ID-nya sudah dipakai proses lain
+        if (base === undefined) return Boolean(current);
+
+        // Sudah dihapus proses lain: bentrok jika proses ini mengubahnya
+        if (!current) return change.op === 'put';
+
+        const baseRecord = JSON.parse(base);
+        if (VERSIONED.includes(change.key)) return (current.version || 0) !== (baseRecord.version || 0);
+        return canonical(current) !== canonical(baseRecord);
+    });
+}
+
+function describeChange(change) {
+    const label = LABELS[change.key] || change.key;
+    if (change.op === 'set') return label;
+
+    const record = change.record || {};
+    const name = record.title || record.name || record.bookTitle || record.barcode;
+    return name ? `${label} "${name}"` : `${label} ${change.id}`;
+}
+
+function staleDataError(conflicts) {
+    const names = conflicts.slice(0, 3).map(describeChange);
+    const more = conflicts.length > 3 ? ` dan ${conflicts.length - 3} lainnya` : '';
+
+    return new ConflictError(
+        'STALE_DATA',
+        `Data sudah diubah pengguna lain sejak terakhir dimuat (${names.join(', ')}${more}), perubahan ini tidak disimpan.`,
+        { conflicts: conflicts.map(({ op, key, id }) => ({ op, key, id })) }
+    );
+}
+
+module.exports = {
+    VERSIONED,
+    LABELS,
+    diffRecords,
+    findConflicts,
+    staleDataError
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const { ConflictError } = require('../errors');
+
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+function sleep(ms) {
+    Atomics.wait(sleeper, 0, 0, ms);
+}
+
+function readHolder(lockFile) {
+    try {
+        return JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Kunci basi: pemiliknya sudah tidak berjalan (di komputer yang sama)
+// atau kunci dipegang jauh lebih lama dari waktu yang wajar
+function isStale(lockFile, staleAfter) {
+    let stats;
+    try {
+        stats = fs.statSync(lockFile);
+    } catch (error) {
+        return false;
+    }
+
+    if (Date.now() - stats.mtimeMs > staleAfter) return true;
+
+    const holder = readHolder(lockFile);
+    if (!holder || holder.host !== os.hostname()) return false;
+
+    try {
+        process.kill(holder.pid, 0);
+        return false;
+    } catch (error) {
+        return error.code === 'ESRCH';
+    }
+}
+
+// Kunci advisori berbasis file `<file>.lock`, dibuat dengan flag 'wx' sehingga
+// hanya satu proses yang berhasil. Dipegang sesingkat mungkin: selama muat/simpan.
+function withFileLock(file, fn, { timeout = 10000, staleAfter = 30000 } = {}) {
+    const lockFile = `${file}.lock`;
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+        try {
+            const fd = fs.openSync(lockFile, 'wx');
+            fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), time: new Date().toISOString() }));
+            fs.closeSync(fd);
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            if (isStale(lockFile, staleAfter)) {
+                fs.rmSync(lockFile, { force: true });
+                continue;
+            }
+
+            if (Date.now() > deadline) {
+                const holder = readHolder(lockFile);
+                const who = holder ? ` (proses ${holder.pid} di ${holder.host})` : '';
+                throw new ConflictError('DATA_LOCKED', `File data sedang dipakai proses lain${who}, coba lagi sebentar lagi`);
+            }
+
+            sleep(50);
+        }
+    }
+
+    try {
+        return fn();
+    } finally {
+        fs.rmSync(lockFile, { force: true });
+    }
+}
+
+module.exports = {
+    withFileLock
+};
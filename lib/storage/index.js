@@ -0,0 +1,27 @@
+const CONFIG = require('../config');
+const JsonStorage = require('./json-storage');
+const SqliteStorage = require('./sqlite-storage');
+const { ValidationError } = require('../errors');
+
+// Setiap adapter penyimpanan menyediakan: describe(), exists(), load(), save(data), close()
+const ADAPTERS = {
+    json: options => new JsonStorage({ file: options.file || CONFIG.DATA_FILE }),
+    sqlite: options => new SqliteStorage({ file: options.file || CONFIG.SQLITE_FILE })
+};
+
+function createStorage(type = CONFIG.STORAGE, options = {}) {
+    const factory = ADAPTERS[type];
+    if (!factory) {
+        throw new ValidationError(
+            'UNKNOWN_STORAGE',
+            `Jenis penyimpanan tidak dikenal: ${type} (pilihan: ${Object.keys(ADAPTERS).join(', ')})`
+        );
+    }
+    return factory(options);
+}
+
+module.exports = {
+    createStorage,
+    JsonStorage,
+    SqliteStorage
+};
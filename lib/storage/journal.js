@@ -0,0 +1,94 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic-write');
+
+// Jurnal append-only: satu baris JSON per penyimpanan, berisi perubahan
+// record sejak penyimpanan sebelumnya. Setiap baris diberi checksum supaya
+// baris yang terpotong (misal karena Ctrl+C) bisa dikenali dan diabaikan.
+class Journal {
+    constructor(file) {
+        this.file = file;
+    }
+
+    static checksum(entry) {
+        return crypto.createHash('sha1')
+            .update(JSON.stringify([entry.seq, entry.time, entry.changes]))
+            .digest('hex')
+            .slice(0, 12);
+    }
+
+    append(entry) {
+        const line = JSON.stringify({ ...entry, sum: Journal.checksum(entry) }) + '\n';
+        const fd = fs.openSync(this.file, 'a');
+
+        try {
+            fs.writeSync(fd, line);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    // Baca semua entri yang utuh; pembacaan berhenti di baris rusak pertama
+    read() {
+        if (!fs.existsSync(this.file)) return { entries: [], damaged: false };
+
+        const entries = [];
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(line => line.trim());
+
+        for (const line of lines) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                return { entries, damaged: true };
+            }
+
+            if (entry.sum !== Journal.checksum(entry)) return { entries, damaged: true };
+            entries.push(entry);
+        }
+
+        return { entries, damaged: false };
+    }
+
+    lastSeq() {
+        const { entries } = this.read();
+        return entries.length > 0 ? entries[entries.length - 1].seq : 0;
+    }
+
+    // Tulis ulang jurnal secara atomik, hanya dengan entri yang lolos `keep`.
+    // Baris rusak di akhir jurnal ikut terbuang.
+    rewrite(keep) {
+        const { entries, damaged } = this.read();
+        const kept = entries.filter(keep);
+        if (kept.length === entries.length && !damaged) return 0;
+
+        writeFileAtomic(this.file, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+        return entries.length - kept.length;
+    }
+
+    // Terapkan satu entri ke objek data (dipakai saat replay)
+    static apply(data, entry) {
+        entry.changes.forEach(change => {
+            if (change.op === 'set') {
+                data[change.key] = change.value;
+                return;
+            }
+
+            if (!Array.isArray(data[change.key])) data[change.key] = [];
+            const records = data[change.key];
+            const index = records.findIndex(record => record.id === change.id);
+
+            if (change.op === 'put') {
+                if (index > -1) records[index] = change.record;
+                else records.push(change.record);
+            } else if (change.op === 'delete' && index > -1) {
+                records.splice(index, 1);
+            }
+        });
+
+        return data;
+    }
+}
+
+module.exports = Journal;
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const CONFIG = require('../config');
+const Backups = require('../backups');
+const Journal = require('./journal');
+const { writeFileAtomic } = require('./atomic-write');
+const { withFileLock } = require('./file-lock');
+const { diffRecords, findConflicts, staleDataError } = require('./changes');
+const { LibraryError, NotFoundError } = require('../errors');
+
+// Bagian database yang tidak dicatat di jurnal
+const SKIPPED_KEYS = ['stats', 'journalSeq'];
+
+// Daftar record (buku, anggota, transaksi, ...) dicatat per record di jurnal;
+// nilai lain (kategori, pengaturan) dicatat utuh
+function isRecordList(value) {
+    return Array.isArray(value) && value.every(item => item && typeof item === 'object' && 'id' in item);
+}
+
+// Penyimpanan bawaan: seluruh database dalam satu file JSON.
+// Setiap penyimpanan menyalin file lama ke direktori backup, mencatat perubahan
+// ke jurnal append-only, lalu menulis file baru secara atomik. File data
+// menyimpan nomor entri jurnal terakhir (`journalSeq`) yang sudah termuat,
+// sehingga entri yang lebih baru diputar ulang saat data dimuat.
+class JsonStorage {
+    constructor({ file, journalFile = JsonStorage.journalPath(file) }) {
+        this.file = file;
+        this.journal = new Journal(journalFile);
+        this.seq = 0;
+        this.cache = null;
+        this.replayed = 0;
+    }
+
+    static journalPath(file) {
+        return file.replace(/\.json$/i, '') + '.journal';
+    }
+
+    describe() {
+        return `JSON (${this.file})`;
+    }
+
+    exists() {
+        return fs.existsSync(this.file);
+    }
+
+    load() {
+        return this.locked(() => {
+            const disk = this.readDisk();
+            this.replayed = disk ? disk.replayed : 0;
+            this.seq = disk ? disk.seq : this.journal.lastSeq();
+            this.cache = disk ? this.snapshotCache(disk.data) : null;
+            this.fileId = this.currentFileId();
+
+            if (disk && disk.journalEntries > CONFIG.MAX_BACKUP_FILES * 2) this.compactJournal();
+
+            return disk ? disk.data : null;
+        });
+    }
+
+    // Baca file data beserta entri jurnal yang belum tertulis ke dalamnya
+    readDisk() {
+        if (!this.exists()) return null;
+
+        const { journalSeq = 0, ...data } = JsonStorage.parse(fs.readFileSync(this.file, 'utf8'), this.file);
+        const { entries, damaged } = this.journal.read();
+        const pending = entries.filter(entry => entry.seq > journalSeq);
+
+        // Buang baris terpotong di akhir jurnal supaya entri baru tetap terbaca
+        if (damaged) this.journal.rewrite(() => true);
+
+        // Perubahan yang sudah masuk jurnal tapi belum sempat tertulis ke file data
+        pending.forEach(entry => Journal.apply(data, entry));
+
+        return {
+            data,
+            seq: Math.max(journalSeq, entries.length > 0 ? entries[entries.length - 1].seq : 0),
+            replayed: pending.length,
+            journalEntries: entries.length
+        };
+    }
+
+    static parse(content, source) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new LibraryError('DATA_CORRUPT', `File data rusak (${source}): ${error.message}`, { file: source });
+        }
+
+        return JsonStorage.validate(data, source);
+    }
+
+    static validate(data, source) {
+        const validShape = data && typeof data === 'object' && !Array.isArray(data) &&
+            ['books', 'members', 'transactions'].every(key => data[key] === undefined || Array.isArray(data[key]));
+
+        if (!validShape) {
+            throw new LibraryError('DATA_CORRUPT', `File data rusak (${source}): struktur tidak dikenali`, { file: source });
+        }
+
+        return data;
+    }
+
+    // Setiap penulisan mengganti file (rename), jadi inode + waktu ubah
+    // menandai apakah proses lain sudah menyimpan sejak kita memuat/menyimpan
+    currentFileId() {
+        try {
+            const stats = fs.statSync(this.file);
+            return `${stats.ino}:${stats.mtimeMs}:${stats.size}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    hasExternalChanges() {
+        return this.currentFileId() !== this.fileId;
+    }
+
+    // Simpan data. Jika proses lain sudah menyimpan sejak data dimuat, perubahan
+    // kedua pihak digabung per record; record yang diubah keduanya membuat
+    // penyimpanan ditolak (ConflictError STALE_DATA). Mengembalikan data hasil
+    // gabungan jika ada perubahan dari proses lain, selain itu undefined.
+    save(data) {
+        return this.locked(() => {
+            const { changes, next } = this.diff(data);
+            let target = data;
+            let merged;
+
+            // Tidak ada yang berubah: cukup ambil perubahan proses lain (jika ada)
+            if (changes.length === 0 && this.exists()) {
+                if (!this.hasExternalChanges()) return undefined;
+
+                const disk = this.readDisk();
+                this.seq = disk.seq;
+                this.cache = this.snapshotCache(disk.data);
+                this.fileId = this.currentFileId();
+                return disk.data;
+            }
+
+            if (this.hasExternalChanges()) {
+                const disk = this.readDisk();
+
+                if (disk) {
+                    const conflicts = findConflicts(changes, this.cache || {}, change => {
+                        const value = disk.data[change.key];
+                        if (change.op === 'set') return value;
+                        return Array.isArray(value) ? value.find(record => record.id === change.id) : undefined;
+                    });
+                    if (conflicts.length > 0) throw staleDataError(conflicts);
+
+                    merged = Journal.apply(disk.data, { changes });
+                    target = merged;
+                    this.seq = Math.max(this.seq, disk.seq);
+                }
+            }
+
+            // Jurnal ditulis lebih dulu; jika proses terhenti sebelum file data
+            // selesai ditulis, perubahan diputar ulang saat data dimuat berikutnya
+            if (changes.length > 0) {
+                this.seq += 1;
+                this.journal.append({ seq: this.seq, time: new Date().toISOString(), changes });
+            }
+            this.cache = merged ? this.snapshotCache(merged) : next;
+
+            Backups.copyFile(this.file);
+            writeFileAtomic(this.file, JSON.stringify(this.snapshot(target), null, 2));
+            this.fileId = this.currentFileId();
+
+            return merged;
+        });
+    }
+
+    locked(fn) {
+        return withFileLock(this.file, fn);
+    }
+
+    // Isi file data (dan backup manual) beserta posisi jurnalnya
+    snapshot(data) {
+        return { ...data, journalSeq: this.seq };
+    }
+
+    snapshotCache(data) {
+        const cache = {};
+
+        Object.keys(data)
+            .filter(key => !SKIPPED_KEYS.includes(key))
+            .forEach(key => {
+                const value = data[key];
+                cache[key] = isRecordList(value)
+                    ? new Map(value.map(record => [record.id, JSON.stringify(record)]))
+                    : JSON.stringify(value);
+            });
+
+        return cache;
+    }
+
+    diff(data) {
+        const cache = this.cache || {};
+        const changes = [];
+        const next = {};
+
+        Object.keys(data)
+            .filter(key => !SKIPPED_KEYS.includes(key))
+            .forEach(key => {
+                const value = data[key];
+                const cached = cache[key];
+
+                if (!isRecordList(value)) {
+                    const json = JSON.stringify(value);
+                    if (cached !== json) changes.push({ op: 'set', key, value });
+                    next[key] = json;
+                    return;
+                }
+
+                const result = diffRecords(key, value, cached instanceof Map ? cached : undefined);
+                changes.push(...result.changes);
+                next[key] = result.next;
+            });
+
+        return { changes, next };
+    }
+
+    // Entri jurnal hanya dibutuhkan selama masih ada backup yang lebih lama
+    compactJournal() {
+        const oldest = this.validBackups().pop();
+        if (!oldest) return 0;
+        return this.journal.rewrite(entry => entry.seq > (oldest.data.journalSeq || 0));
+    }
+
+    // Backup yang masih bisa dibaca, dari yang terbaru
+    validBackups() {
+        return Backups.list().reduce((valid, backup) => {
+            try {
+                valid.push({ ...backup, data: JsonStorage.validate(Backups.read(backup.name), backup.name) });
+            } catch (error) {
+                // backup rusak dilewati
+            }
+            return valid;
+        }, []);
+    }
+
+    // Sumber pemulihan saat file data rusak: backup terbaru yang valid dan
+    // entri jurnal sesudahnya. Entri hanya dipakai jika nomornya bersambung.
+    recoveryPlan() {
+        const [backup] = this.validBackups();
+        const baseSeq = backup ? backup.data.journalSeq || 0 : 0;
+        const { entries, damaged } = this.journal.read();
+        const pending = entries.filter(entry => entry.seq > baseSeq);
+        const continuous = pending.length === 0 || pending[0].seq === baseSeq + 1;
+
+        return {
+            backup: backup ? { name: backup.name, date: backup.date } : null,
+            backupData: backup ? backup.data : null,
+            baseSeq,
+            entries: continuous ? pending : [],
+            gap: !continuous,
+            damaged
+        };
+    }
+
+    // source: 'journal' (backup terbaru + jurnal), 'backup' (backup saja), 'empty' (mulai dari kosong).
+    // File yang rusak tidak dihapus, tetapi diganti nama menjadi *.corrupt-<waktu>.
+    recover(source = 'journal') {
+        return this.locked(() => {
+            const plan = this.recoveryPlan();
+            const useJournal = source === 'journal';
+            const quarantined = this.exists() ? `${this.file}.corrupt-${Date.now()}` : null;
+
+            if (source === 'empty') {
+                if (quarantined) fs.renameSync(this.file, quarantined);
+                this.cache = null;
+                return { source, backup: null, replayed: 0, quarantined };
+            }
+
+            if (!plan.backup && (!useJournal || plan.entries.length === 0)) {
+                throw new NotFoundError('NOTHING_TO_RECOVER', 'Tidak ada backup maupun jurnal yang bisa dipakai untuk pemulihan');
+            }
+
+            const { journalSeq, ...data } = plan.backupData || {};
+            const replayed = useJournal ? plan.entries : [];
+            replayed.forEach(entry => Journal.apply(data, entry));
+
+            // Tanpa jurnal, entri sesudah backup dibuang supaya nomor entri baru tidak bentrok
+            if (!useJournal) this.journal.rewrite(entry => entry.seq <= plan.baseSeq);
+            this.seq = replayed.length > 0 ? replayed[replayed.length - 1].seq : plan.baseSeq;
+            if (useJournal) this.seq = Math.max(this.seq, this.journal.lastSeq());
+
+            if (quarantined) fs.renameSync(this.file, quarantined);
+            writeFileAtomic(this.file, JSON.stringify(this.snapshot(data), null, 2));
+            this.cache = this.snapshotCache(data);
+
+            return { source, backup: plan.backup, replayed: replayed.length, quarantined };
+        });
+    }
+
+    close() {}
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,381 @@
+const fs = require('fs');
+const { LibraryError } = require('../errors');
+const { diffRecords, findConflicts, staleDataError } = require('./changes');
+
+const SCHEMA_VERSION = 7;
+
+// Kolom setiap tabel: [nama field di database, nama kolom, tipe].
+// Field yang tidak terdaftar tetap disimpan di kolom `extra` (JSON),
+// supaya field baru tidak hilang walau skemanya belum diperbarui.
+const TABLES = {
+    books: [
+        ['id', 'id', 'TEXT PRIMARY KEY'],
+        ['title', 'title', 'TEXT NOT NULL'],
+        ['author', 'author', 'TEXT'],
+        ['isbn', 'isbn', 'TEXT'],
+        ['category', 'category', 'TEXT'],
+        ['publisher', 'publisher', 'TEXT'],
+        ['year', 'year', 'INTEGER'],
+        ['pages', 'pages', 'INTEGER'],
+        ['copies', 'copies', 'INTEGER'],
+        ['available', 'available', 'BOOLEAN'],
+        ['availableCopies', 'available_copies', 'INTEGER'],
+        ['addedDate', 'added_date', 'TEXT'],
+        ['description', 'description', 'TEXT'],
+        ['location', 'location', 'TEXT'],
+        ['price', 'price', 'INTEGER'],
+        ['version', 'version', 'INTEGER']
+    ],
+    members: [
+        ['id', 'id', 'TEXT PRIMARY KEY'],
+        ['name', 'name', 'TEXT NOT NULL'],
+        ['email', 'email', 'TEXT'],
+        ['phone', 'phone', 'TEXT'],
+        ['address', 'address', 'TEXT'],
+        ['joinDate', 'join_date', 'TEXT'],
+        ['status', 'status', 'TEXT'],
+        ['borrowedBooks', 'borrowed_books', 'JSON'],
+        ['borrowHistory', 'borrow_history', 'JSON'],
+        ['fines', 'fines', 'REAL'],
+        ['language', 'language', 'TEXT'],
+        ['version', 'version', 'INTEGER']
+    ],
+    transactions: [
+        ['id', 'id', 'TEXT PRIMARY KEY'],
+        ['memberId', 'member_id', 'TEXT'],
+        ['memberName', 'member_name', 'TEXT'],
+        ['bookId', 'book_id', 'TEXT'],
+        ['bookTitle', 'book_title', 'TEXT'],
+        ['itemId', 'item_id', 'TEXT'],
+        ['borrowDate', 'borrow_date', 'TEXT'],
+        ['dueDate', 'due_date', 'TEXT'],
+        ['returnDate', 'return_date', 'TEXT'],
+        ['status', 'status', 'TEXT'],
+        ['fine', 'fine', 'REAL'],
+        ['outcome', 'outcome', 'TEXT'],
+        ['version', 'version', 'INTEGER']
+    ],
+    items: [
+        ['id', 'id', 'TEXT PRIMARY KEY'],
+        ['bookId', 'book_id', 'TEXT NOT NULL'],
+        ['barcode', 'barcode', 'TEXT NOT NULL'],
+        ['condition', 'condition', 'TEXT'],
+        ['status', 'status', 'TEXT'],
+        ['location', 'location', 'TEXT'],
+        ['addedDate', 'added_date', 'TEXT'],
+        ['version', 'version', 'INTEGER']
+    ],
+    reservations: [
+        ['id', 'id', 'TEXT PRIMARY KEY'],
+        ['memberId', 'member_id', 'TEXT'],
+        ['memberName', 'member_name', 'TEXT'],
+        ['bookId', 'book_id', 'TEXT'],
+        ['bookTitle', 'book_title', 'TEXT'],
+        ['reservationDate', 'reservation_date', 'TEXT'],
+        ['status', 'status', 'TEXT']
+    ],
+    charges: [
+        ['id', 'id', 'TEXT PRIMARY KEY'],
+        ['memberId', 'member_id', 'TEXT'],
+        ['memberName', 'member_name', 'TEXT'],
+        ['transactionId', 'transaction_id', 'TEXT'],
+        ['bookId', 'book_id', 'TEXT'],
+        ['bookTitle', 'book_title', 'TEXT'],
+        ['type', 'type', 'TEXT'],
+        ['amount', 'amount', 'REAL'],
+        ['paid', 'paid', 'REAL'],
+        ['waived', 'waived', 'REAL'],
+        ['waivers', 'waivers', 'JSON'],
+        ['status', 'status', 'TEXT'],
+        ['date', 'date', 'TEXT'],
+        ['version', 'version', 'INTEGER']
+    ],
+    closures: [
+        ['id', 'id', 'TEXT PRIMARY KEY'],
+        ['from', 'date_from', 'TEXT'],
+        ['to', 'date_to', 'TEXT'],
+        ['reason', 'reason', 'TEXT']
+    ],
+    payments: [
+        ['id', 'id', 'TEXT PRIMARY KEY'],
+        ['receiptNumber', 'receipt_number', 'TEXT'],
+        ['memberId', 'member_id', 'TEXT'],
+        ['memberName', 'member_name', 'TEXT'],
+        ['amount', 'amount', 'REAL'],
+        ['allocations', 'allocations', 'JSON'],
+        ['date', 'date', 'TEXT'],
+        ['type', 'type', 'TEXT']
+    ],
+    notices: [
+        ['id', 'id', 'TEXT PRIMARY KEY'],
+        ['key', 'notice_key', 'TEXT'],
+        ['type', 'type', 'TEXT'],
+        ['memberId', 'member_id', 'TEXT'],
+        ['memberName', 'member_name', 'TEXT'],
+        ['transactionId', 'transaction_id', 'TEXT'],
+        ['reservationId', 'reservation_id', 'TEXT'],
+        ['bookTitle', 'book_title', 'TEXT'],
+        ['channel', 'channel', 'TEXT'],
+        ['to', 'recipient', 'TEXT'],
+        ['language', 'language', 'TEXT'],
+        ['subject', 'subject', 'TEXT'],
+        ['status', 'status', 'TEXT'],
+        ['error', 'error', 'TEXT'],
+        ['sentBy', 'sent_by', 'TEXT'],
+        ['date', 'date', 'TEXT']
+    ]
+};
+
+const INDEXES = [
+    'CREATE INDEX IF NOT EXISTS idx_books_isbn ON books (isbn)',
+    'CREATE INDEX IF NOT EXISTS idx_transactions_member ON transactions (member_id)',
+    'CREATE INDEX IF NOT EXISTS idx_transactions_book ON transactions (book_id)',
+    'CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions (status)',
+    'CREATE INDEX IF NOT EXISTS idx_items_book ON items (book_id)',
+    'CREATE INDEX IF NOT EXISTS idx_items_barcode ON items (barcode)',
+    'CREATE INDEX IF NOT EXISTS idx_reservations_book ON reservations (book_id, status)',
+    'CREATE INDEX IF NOT EXISTS idx_charges_member ON charges (member_id, status)',
+    'CREATE INDEX IF NOT EXISTS idx_payments_member ON payments (member_id)',
+    'CREATE INDEX IF NOT EXISTS idx_notices_key ON notices (notice_key, status)'
+];
+
+// Bagian database yang tidak disimpan sama sekali (dihitung ulang saat dimuat)
+const SKIPPED_KEYS = ['stats'];
+
+// Penyimpanan SQLite berbasis file (tanpa server) lewat paket better-sqlite3.
+// Hanya baris yang berubah sejak penyimpanan terakhir yang ditulis ulang.
+// Penyimpanan berjalan dalam transaksi IMMEDIATE (kunci tulis SQLite); jika
+// koneksi lain sudah menyimpan sejak itu, perubahan digabung per baris dan
+// baris yang diubah keduanya membuat penyimpanan ditolak (STALE_DATA).
+class SqliteStorage {
+    constructor({ file }) {
+        this.file = file;
+        this.db = null;
+        this.cache = {};
+    }
+
+    describe() {
+        return `SQLite (${this.file})`;
+    }
+
+    exists() {
+        if (!fs.existsSync(this.file)) return false;
+        return Boolean(this.open().prepare("SELECT value FROM meta WHERE key = 'schema_version'").get());
+    }
+
+    open() {
+        if (this.db) return this.db;
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new LibraryError(
+                'SQLITE_UNAVAILABLE',
+                'Penyimpanan SQLite membutuhkan paket better-sqlite3 (jalankan: npm install better-sqlite3)'
+            );
+        }
+
+        this.db = new Database(this.file, { timeout: 10000 });
+        this.db.pragma('journal_mode = WAL');
+        this.createSchema();
+        this.dataVersion = this.readDataVersion();
+        return this.db;
+    }
+
+    createSchema() {
+        this.db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)');
+
+        Object.entries(TABLES).forEach(([table, columns]) => {
+            const definitions = columns.map(([, column, type]) =>
+                `${column} ${type === 'BOOLEAN' || type === 'JSON' ? 'TEXT' : type}`
+            );
+            definitions.push('extra TEXT');
+            this.db.exec(`CREATE TABLE IF NOT EXISTS ${table} (${definitions.join(', ')})`);
+
+            // Tambahkan kolom baru ke database yang dibuat versi lama
+            const existing = new Set(this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+            columns
+                .filter(([, column]) => !existing.has(column))
+                .forEach(([, column, type]) => this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`));
+        });
+
+        INDEXES.forEach(statement => this.db.exec(statement));
+    }
+
+    load() {
+        if (!this.exists()) return null;
+
+        const db = this.open();
+        const data = {};
+        const cache = {};
+
+        // Semua tabel dibaca dalam satu transaksi (snapshot yang sama), dan
+        // data_version dibaca lebih dulu: jika koneksi lain menyimpan di tengah
+        // pembacaan, save() berikutnya tetap melihatnya sebagai perubahan luar
+        db.transaction(() => {
+            this.dataVersion = this.readDataVersion();
+
+            Object.entries(TABLES).forEach(([table, columns]) => {
+                const rows = db.prepare(`SELECT * FROM ${table} ORDER BY rowid`).all();
+                data[table] = rows.map(row => this.fromRow(row, columns));
+                cache[table] = new Map(data[table].map(record => [record.id, JSON.stringify(record)]));
+            });
+
+            const meta = new Map();
+            db.prepare('SELECT key, value FROM meta').all().forEach(({ key, value }) => {
+                if (key === 'schema_version') return;
+                data[key] = JSON.parse(value);
+                meta.set(key, value);
+            });
+            cache.meta = meta;
+        })();
+        this.cache = cache;
+
+        return data;
+    }
+
+    // Nomor yang berubah setiap kali koneksi lain menyimpan ke database
+    readDataVersion() {
+        return this.db.pragma('data_version', { simple: true });
+    }
+
+    hasExternalChanges() {
+        return Boolean(this.db) && this.readDataVersion() !== this.dataVersion;
+    }
+
+    // Mengembalikan data terbaru jika ada perubahan dari koneksi lain yang ikut digabung
+    save(data) {
+        const db = this.open();
+        let merged = false;
+
+        db.transaction(() => {
+            const tables = Object.entries(TABLES).map(([table, columns]) => ({
+                table,
+                columns,
+                ...diffRecords(table, data[table] || [], this.cache[table])
+            }));
+            const meta = this.diffMeta(data);
+
+            if (this.hasExternalChanges()) {
+                const changes = tables.flatMap(table => table.changes).concat(meta.changes);
+                const base = { ...this.cache, ...Object.fromEntries(this.cache.meta || []) };
+                const conflicts = findConflicts(changes, base, change => this.readCurrent(change));
+                if (conflicts.length > 0) throw staleDataError(conflicts);
+                merged = true;
+            }
+
+            tables.forEach(({ table, columns, changes, next }) => {
+                this.writeTable(table, columns, changes);
+                this.cache[table] = next;
+            });
+            this.writeMeta(meta.changes);
+            this.cache.meta = meta.next;
+        }).immediate();
+
+        if (!merged) return undefined;
+
+        // Muat ulang supaya perubahan koneksi lain ikut terlihat
+        return this.load();
+    }
+
+    readCurrent(change) {
+        if (change.op === 'set') {
+            const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(change.key);
+            return row ? JSON.parse(row.value) : undefined;
+        }
+
+        const row = this.db.prepare(`SELECT * FROM ${change.key} WHERE id = ?`).get(change.id);
+        return row ? this.fromRow(row, TABLES[change.key]) : undefined;
+    }
+
+    writeTable(table, columns, changes) {
+        const names = columns.map(([, column]) => column).concat('extra');
+        const upsert = this.db.prepare(
+            `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')}) ` +
+            `ON CONFLICT(id) DO UPDATE SET ${names.slice(1).map(n => `${n} = excluded.${n}`).join(', ')}`
+        );
+        const remove = this.db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+
+        changes.forEach(change => {
+            if (change.op === 'put') upsert.run(this.toRow(change.record, columns));
+            else remove.run(change.id);
+        });
+    }
+
+    diffMeta(data) {
+        const cached = this.cache.meta || new Map();
+        const changes = [];
+        const next = new Map();
+
+        Object.keys(data)
+            .filter(key => !TABLES[key] && !SKIPPED_KEYS.includes(key))
+            .forEach(key => {
+                const json = JSON.stringify(data[key]);
+                next.set(key, json);
+                if (cached.get(key) !== json) changes.push({ op: 'set', key, value: data[key] });
+            });
+
+        cached.forEach((json, key) => {
+            if (!next.has(key)) changes.push({ op: 'set', key, value: undefined });
+        });
+
+        return { changes, next };
+    }
+
+    writeMeta(changes) {
+        const upsert = this.db.prepare(
+            'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+        );
+        const remove = this.db.prepare('DELETE FROM meta WHERE key = ?');
+
+        upsert.run('schema_version', String(SCHEMA_VERSION));
+        changes.forEach(change => {
+            if (change.value === undefined) remove.run(change.key);
+            else upsert.run(change.key, JSON.stringify(change.value));
+        });
+    }
+
+    toRow(record, columns) {
+        const known = new Set(columns.map(([field]) => field));
+        const values = columns.map(([field, , type]) => {
+            const value = record[field];
+            if (value === undefined || value === null) return null;
+            if (type === 'BOOLEAN') return value ? 1 : 0;
+            if (type === 'JSON') return JSON.stringify(value);
+            return value;
+        });
+
+        const extra = {};
+        Object.keys(record).forEach(field => {
+            if (!known.has(field)) extra[field] = record[field];
+        });
+        values.push(Object.keys(extra).length > 0 ? JSON.stringify(extra) : null);
+
+        return values;
+    }
+
+    fromRow(row, columns) {
+        const record = {};
+
+        columns.forEach(([field, column, type]) => {
+            const value = row[column];
+            if (type === 'BOOLEAN') record[field] = value === null ? null : Boolean(Number(value));
+            else if (type === 'JSON') record[field] = value === null ? [] : JSON.parse(value);
+            else record[field] = value;
+        });
+
+        return row.extra ? Object.assign(record, JSON.parse(row.extra)) : record;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+SqliteStorage.TABLES = TABLES;
+
+module.exports = SqliteStorage;
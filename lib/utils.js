@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+// Utility Functions dengan validasi tambahan
+class Utils {
+    static generateId() {
+        return crypto.randomBytes(4).toString('hex').toUpperCase();
+    }
+
+    static formatDate(date = new Date()) {
+        if (!(date instanceof Date)) date = new Date(date);
+        return date.toLocaleDateString('id-ID', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    // Selisih tanggal kalender (waktu lokal), bukan kelipatan 24 jam:
+    // selisih beberapa jam atau menit di tanggal yang sama dihitung 0 hari
+    static calculateDaysDiff(date1, date2) {
+        if (!(date1 instanceof Date)) date1 = new Date(date1);
+        if (!(date2 instanceof Date)) date2 = new Date(date2);
+        const day1 = new Date(date1.getFullYear(), date1.getMonth(), date1.getDate());
+        const day2 = new Date(date2.getFullYear(), date2.getMonth(), date2.getDate());
+        return Math.abs(Math.round((day2 - day1) / (1000 * 60 * 60 * 24)));
+    }
+
+    static formatCurrency(amount) {
+        return new Intl.NumberFormat('id-ID', {
+            style: 'currency',
+            currency: 'IDR'
+        }).format(amount);
+    }
+
+    static validateISBN(isbn) {
+        if (!isbn) return false;
+        const cleanISBN = isbn.replace(/[-\s]/g, '');
+        return /^\d{10}(\d{3})?$/.test(cleanISBN);
+    }
+
+    // Cek digit ISBN-10 (boleh diakhiri X) atau ISBN-13
+    static validateISBNChecksum(isbn) {
+        const clean = String(isbn || '').replace(/[-\s]/g, '').toUpperCase();
+
+        if (/^\d{9}[\dX]$/.test(clean)) {
+            const sum = clean.split('').reduce((total, char, index) =>
+                total + (char === 'X' ? 10 : Number(char)) * (10 - index), 0);
+            return sum % 11 === 0;
+        }
+        if (/^\d{13}$/.test(clean)) {
+            const sum = clean.split('').reduce((total, char, index) =>
+                total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+            return sum % 10 === 0;
+        }
+        return false;
+    }
+
+    static searchText(text, query) {
+        if (!text || !query) return false;
+        return text.toString().toLowerCase().includes(query.toString().toLowerCase());
+    }
+
+    // Huruf kecil tanpa diakritik dan tanda baca, untuk membandingkan teks
+    // ("Pràmoedya Ananta-Toer" menjadi "pramoedya ananta toer")
+    static normalizeText(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // Jumlah huruf yang harus diganti, ditambah, dihapus atau ditukar
+    // (dua huruf bersebelahan) supaya `a` menjadi `b`
+    static editDistance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+}
+
+module.exports = Utils;
@@ -2,166 +2,60 @@
 
 const readline = require('readline');
 const fs = require('fs');
-const path = require('path');
-const crypto = require('crypto');
-
-// Konfigurasi sistem yang lebih aman
-const CONFIG = {
-    DATA_FILE: 'library_data.json',
-    BACKUP_DIR: 'backups',
-    MAX_BORROW_DAYS: 14,
-    MAX_BOOKS_PER_USER: 5,
-    FINE_PER_DAY: 2000,
-    AUTO_SAVE: true,
-    MAX_BACKUP_FILES: 10
-};
-
-// Database dengan inisialisasi yang lebih aman
-let database = {
-    books: [],
-    members: [],
-    transactions: [],
-    categories: ['Fiksi', 'Non-Fiksi', 'Sains', 'Teknologi', 'Sejarah', 'Biografi', 'Pendidikan', 'Agama', 'Seni', 'Olahraga'],
-    settings: Object.assign({}, CONFIG),
-    stats: {
-        totalBooks: 0,
-        totalMembers: 0,
-        totalTransactions: 0,
-        booksOnLoan: 0,
-        overdueBooks: 0
-    }
-};
+const CONFIG = require('./lib/config');
+const Settings = require('./lib/settings');
+const { database } = require('./lib/database');
+const errors = require('./lib/errors');
+const Utils = require('./lib/utils');
+const Charges = require('./lib/charges');
+const Notices = require('./lib/notices');
+const DataManager = require('./lib/data-manager');
+const BookService = require('./lib/services/book-service');
+const MemberService = require('./lib/services/member-service');
+const TransactionService = require('./lib/services/transaction-service');
+const FineService = require('./lib/services/fine-service');
+const ReservationService = require('./lib/services/reservation-service');
+const ReportService = require('./lib/services/report-service');
+const SettingsService = require('./lib/services/settings-service');
+const PolicyService = require('./lib/services/policy-service');
+const CalendarService = require('./lib/services/calendar-service');
+const ItemService = require('./lib/services/item-service');
+const ImportService = require('./lib/services/import-service');
+const CirculationService = require('./lib/services/circulation-service');
+const ExportService = require('./lib/services/export-service');
+const LabelService = require('./lib/services/label-service');
+const LookupService = require('./lib/services/lookup-service');
+const AuthService = require('./lib/services/auth-service');
+const AuditService = require('./lib/services/audit-service');
+const NotificationService = require('./lib/services/notification-service');
+const AuditLog = require('./lib/audit');
+const CommandLine = require('./lib/cli');
 
-// Interface readline dengan error handling
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
-
-// Utility Functions dengan validasi tambahan
-class Utils {
-    static generateId() {
-        return crypto.randomBytes(4).toString('hex').toUpperCase();
-    }
-
-    static formatDate(date = new Date()) {
-        if (!(date instanceof Date)) date = new Date(date);
-        return date.toLocaleDateString('id-ID', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
-    }
+// Antarmuka terminal (menu interaktif). Semua perubahan data dilakukan
+// lewat layanan di lib/services; kelas-kelas di sini hanya bertanya
+// lewat readline dan menampilkan hasilnya.
 
-    static calculateDaysDiff(date1, date2) {
-        if (!(date1 instanceof Date)) date1 = new Date(date1);
-        if (!(date2 instanceof Date)) date2 = new Date(date2);
-        const diffTime = Math.abs(date2 - date1);
-        return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    }
+// Interface readline dibuat saat pertama kali dibutuhkan,
+// supaya require() modul ini tidak ikut membaca stdin
+let rl = null;
 
-    static formatCurrency(amount) {
-        return new Intl.NumberFormat('id-ID', {
-            style: 'currency',
-            currency: 'IDR'
-        }).format(amount);
-    }
-
-    static validateISBN(isbn) {
-        if (!isbn) return false;
-        const cleanISBN = isbn.replace(/[-\s]/g, '');
-        return /^\d{10}(\d{3})?$/.test(cleanISBN);
-    }
-
-    static searchText(text, query) {
-        if (!text || !query) return false;
-        return text.toString().toLowerCase().includes(query.toString().toLowerCase());
+function getReadline() {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
     }
+    return rl;
 }
 
-// Data Management dengan backup rotation
-class DataManager {
-    static saveData() {
-        try {
-            // Pastikan direktori backup ada
-            if (!fs.existsSync(CONFIG.BACKUP_DIR)) {
-                fs.mkdirSync(CONFIG.BACKUP_DIR, { recursive: true });
-            }
-            
-            // Rotasi backup - simpan maksimal 10 file backup
-            const backupFiles = fs.readdirSync(CONFIG.BACKUP_DIR)
-                .filter(f => f.startsWith('backup_') && f.endsWith('.json'))
-                .sort()
-                .reverse();
-            
-            if (backupFiles.length >= CONFIG.MAX_BACKUP_FILES) {
-                for (let i = CONFIG.MAX_BACKUP_FILES - 1; i < backupFiles.length; i++) {
-                    fs.unlinkSync(path.join(CONFIG.BACKUP_DIR, backupFiles[i]));
-                }
-            }
-            
-            // Buat backup baru
-            const backupFile = path.join(CONFIG.BACKUP_DIR, `backup_${Date.now()}.json`);
-            if (fs.existsSync(CONFIG.DATA_FILE)) {
-                fs.copyFileSync(CONFIG.DATA_FILE, backupFile);
-            }
-            
-            // Simpan data utama
-            fs.writeFileSync(CONFIG.DATA_FILE, JSON.stringify(database, null, 2));
-            console.log('✓ Data berhasil disimpan');
-            return true;
-        } catch (error) {
-            console.log('✗ Gagal menyimpan data:', error.message);
-            return false;
-        }
-    }
-
-    static loadData() {
-        try {
-            if (fs.existsSync(CONFIG.DATA_FILE)) {
-                const data = fs.readFileSync(CONFIG.DATA_FILE, 'utf8');
-                const parsedData = JSON.parse(data);
-                
-                // Merge dengan database default
-                database = {
-                    ...database,
-                    ...parsedData,
-                    settings: { ...CONFIG, ...(parsedData.settings || {}) }
-                };
-                
-                this.updateStats();
-                console.log('✓ Data berhasil dimuat');
-                return true;
-            }
-            return false;
-        } catch (error) {
-            console.log('✗ Gagal memuat data:', error.message);
-            return false;
-        }
-    }
-
-    static updateStats() {
-        database.stats = {
-            totalBooks: database.books.length,
-            totalMembers: database.members.length,
-            totalTransactions: database.transactions.length,
-            booksOnLoan: database.books.filter(book => !book.available).length,
-            overdueBooks: this.getOverdueBooks().length
-        };
-    }
-
-    static getOverdueBooks() {
-        const today = new Date();
-        return database.transactions.filter(t => 
-            t.status === 'borrowed' && new Date(t.dueDate) < today
-        );
+function closeReadline() {
+    if (rl) {
+        rl.close();
+        rl = null;
     }
 }
 
-// [Bagian-bagian lain dari kode tetap sama, tetapi dengan perbaikan serupa]
-
 // Book Management
 class BookManager {
     static async addBook() {
@@ -170,7 +64,6 @@ class BookManager {
         try {
             const bookData = {};
             
-            bookData.id = Utils.generateId();
             bookData.title = await this.getInput('Judul buku: ');
             bookData.author = await this.getInput('Penulis: ');
             bookData.isbn = await this.getInput('ISBN (opsional): ');
@@ -180,31 +73,27 @@ class BookManager {
             }
             
             console.log('\nKategori tersedia:');
-            database.categories.forEach((cat, index) => {
+            const categories = SettingsService.listCategories();
+            categories.forEach((cat, index) => {
                 console.log(`${index + 1}. ${cat}`);
             });
             
             const categoryIndex = parseInt(await this.getInput('Pilih kategori (nomor): ')) - 1;
-            bookData.category = database.categories[categoryIndex] || 'Lainnya';
+            bookData.category = categories[categoryIndex] || 'Lainnya';
             
             bookData.publisher = await this.getInput('Penerbit: ');
-            bookData.year = parseInt(await this.getInput('Tahun terbit: ')) || new Date().getFullYear();
-            bookData.pages = parseInt(await this.getInput('Jumlah halaman: ')) || 0;
-            bookData.copies = parseInt(await this.getInput('Jumlah eksemplar: ')) || 1;
-            
-            bookData.available = true;
-            bookData.availableCopies = bookData.copies;
-            bookData.addedDate = new Date().toISOString();
+            bookData.year = await this.getInput('Tahun terbit: ');
+            bookData.pages = await this.getInput('Jumlah halaman: ');
+            bookData.copies = await this.getInput('Jumlah eksemplar: ');
             bookData.description = await this.getInput('Deskripsi singkat (opsional): ');
             bookData.location = await this.getInput('Lokasi rak: ');
+            bookData.price = await this.getInput('Harga buku (Rp, untuk penggantian jika hilang, opsional): ');
             
-            database.books.push(bookData);
-            DataManager.updateStats();
+            if (bookData.copies === '') delete bookData.copies;
+            const book = BookService.create(bookData);
             
-            if (CONFIG.AUTO_SAVE) DataManager.saveData();
-            
-            console.log(`\n✅ Buku "${bookData.title}" berhasil ditambahkan!`);
-            console.log(`📚 ID Buku: ${bookData.id}`);
+            console.log(`\n✅ Buku "${book.title}" berhasil ditambahkan!`);
+            console.log(`📚 ID Buku: ${book.id}`);
             
         } catch (error) {
             console.log('❌ Gagal menambahkan buku:', error.message);
@@ -214,63 +103,87 @@ class BookManager {
     static async editBook() {
         console.log('\n📝 EDIT BUKU');
         
-        const query = await this.getInput('Masukkan judul atau ID buku yang akan diedit: ');
-        const book = database.books.find(b => 
-            b.title.toLowerCase().includes(query.toLowerCase()) || 
-            b.id === query.toUpperCase()
-        );
-        
-        if (!book) {
-            console.log('❌ Buku tidak ditemukan');
-            return;
-        }
+        const book = await this.chooseBook('Masukkan judul, ISBN atau ID buku yang akan diedit: ');
+        if (!book) return;
         
         console.log(`\n📖 Mengedit: "${book.title}"`);
         console.log('(Tekan Enter untuk tidak mengubah)');
         
-        const newTitle = await this.getInput(`Judul baru [${book.title}]: `);
-        if (newTitle) book.title = newTitle;
+        const changes = {};
+        changes.title = await this.getInput(`Judul baru [${book.title}]: `);
+        changes.author = await this.getInput(`Penulis baru [${book.author}]: `);
+        changes.description = await this.getInput(`Deskripsi baru [${book.description || 'Kosong'}]: `);
+        changes.location = await this.getInput(`Lokasi baru [${book.location || 'Tidak ada'}]: `);
+        changes.price = await this.getInput(`Harga baru (Rp) [${book.price === undefined || book.price === null ? 'Belum diisi' : book.price}]: `);
         
-        const newAuthor = await this.getInput(`Penulis baru [${book.author}]: `);
-        if (newAuthor) book.author = newAuthor;
+        try {
+            BookService.update(book.id, changes);
+            console.log('✅ Buku berhasil diperbarui!');
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return;
+        }
         
-        const newDescription = await this.getInput(`Deskripsi baru [${book.description || 'Kosong'}]: `);
-        if (newDescription) book.description = newDescription;
+        const manage = await this.getInput('Kelola eksemplar buku ini? (y/N): ');
+        if (manage.toLowerCase() === 'y') await this.manageItems(book);
+    }
+
+    static async manageItems(book) {
+        console.log(`\n🏷️ EKSEMPLAR "${book.title}" (${book.availableCopies}/${book.copies} tersedia)`);
+        console.log('='.repeat(60));
         
-        const newLocation = await this.getInput(`Lokasi baru [${book.location || 'Tidak ada'}]: `);
-        if (newLocation) book.location = newLocation;
+        const items = ItemService.forBook(book.id);
+        items.forEach((item, index) => {
+            const held = ItemService.isHeld(item) ? ' (disisihkan untuk reservasi)' : '';
+            console.log(`${index + 1}. ${item.barcode} - ${ItemService.STATUSES[item.status]}${held}`);
+            console.log(`   Kondisi: ${ItemService.CONDITIONS[item.condition]} | 📍 ${item.location || 'Lokasi tidak ada'}`);
+        });
         
-        if (CONFIG.AUTO_SAVE) DataManager.saveData();
-        console.log('✅ Buku berhasil diperbarui!');
+        const action = await this.getInput('\nAksi (add/edit/back): ');
+        
+        try {
+            if (action.toLowerCase() === 'add') {
+                const count = await this.getInput('Jumlah eksemplar baru [1]: ');
+                const barcode = count === '' || count === '1' ? await this.getInput('Barcode (Enter = otomatis): ') : '';
+                const location = await this.getInput(`Lokasi rak [${book.location || 'Tidak ada'}]: `);
+                const added = ItemService.add({ bookId: book.id, count: count || 1, barcode, location });
+                console.log(`✅ ${added.length} eksemplar ditambahkan: ${added.map(item => item.barcode).join(', ')}`);
+            } else if (action.toLowerCase() === 'edit') {
+                const index = parseInt(await this.getInput('Pilih nomor eksemplar: ')) - 1;
+                if (index < 0 || index >= items.length) {
+                    console.log('❌ Pilihan tidak valid');
+                    return;
+                }
+                
+                const item = items[index];
+                console.log('(Tekan Enter untuk tidak mengubah)');
+                const status = await this.getInput(`Status (${ItemService.SETTABLE_STATUSES.join('/')}) [${item.status}]: `);
+                const condition = await this.getInput(`Kondisi (${Object.keys(ItemService.CONDITIONS).join('/')}) [${item.condition}]: `);
+                const location = await this.getInput(`Lokasi [${item.location || 'Tidak ada'}]: `);
+                
+                ItemService.update(item.id, { status, condition, location });
+                console.log(`✅ Eksemplar ${item.barcode} diperbarui`);
+            }
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
     }
 
     static async deleteBook() {
         console.log('\n🗑️ HAPUS BUKU');
+        if (!allowed('book.delete')) return;
         
-        const query = await this.getInput('Masukkan judul atau ID buku yang akan dihapus: ');
-        const bookIndex = database.books.findIndex(b => 
-            b.title.toLowerCase().includes(query.toLowerCase()) || 
-            b.id === query.toUpperCase()
-        );
-        
-        if (bookIndex === -1) {
-            console.log('❌ Buku tidak ditemukan');
-            return;
-        }
-        
-        const book = database.books[bookIndex];
-        
-        if (!book.available) {
-            console.log('❌ Tidak dapat menghapus buku yang sedang dipinjam');
-            return;
-        }
+        const book = await this.chooseBook('Masukkan judul, ISBN atau ID buku yang akan dihapus: ');
+        if (!book) return;
         
         const confirm = await this.getInput(`⚠️ Yakin ingin menghapus "${book.title}"? (y/N): `);
         if (confirm.toLowerCase() === 'y') {
-            database.books.splice(bookIndex, 1);
-            DataManager.updateStats();
-            if (CONFIG.AUTO_SAVE) DataManager.saveData();
-            console.log('✅ Buku berhasil dihapus');
+            try {
+                BookService.remove(book.id);
+                console.log('✅ Buku berhasil dihapus');
+            } catch (error) {
+                console.log(`❌ ${error.message}`);
+            }
         } else {
             console.log('❌ Penghapusan dibatalkan');
         }
@@ -278,54 +191,176 @@ class BookManager {
 
     static getInput(question) {
         return new Promise(resolve => {
-            rl.question(question, answer => resolve(answer.trim()));
+            getReadline().question(question, answer => resolve(answer.trim()));
+        });
+    }
+
+    // Seperti getInput, tetapi ketikan tidak ditampilkan di layar
+    static getPassword(question) {
+        const input = getReadline();
+        const write = input._writeToOutput;
+
+        input._writeToOutput = text => {
+            if (text === question || text === '\r\n' || text === '\n') write.call(input, text);
+        };
+
+        return new Promise(resolve => {
+            input.question(question, answer => {
+                input._writeToOutput = write;
+                resolve(answer);
+            });
+        });
+    }
+
+    // Cari buku atau anggota lewat LookupService. Kecocokan pasti langsung
+    // dipakai; selain itu petugas memilih dari daftar kandidat bernomor.
+    // Menghasilkan null jika tidak ditemukan atau dibatalkan.
+    static async chooseBook(question) {
+        return this.choose(LookupService.books(await this.getInput(question)), {
+            noun: 'Buku',
+            describe: b => `${b.title} - ${b.author || 'Tanpa penulis'} (${b.id}), tersedia ${b.availableCopies}/${b.copies}`
         });
     }
+
+    static async chooseMember(question) {
+        return this.choose(LookupService.members(await this.getInput(question)), {
+            noun: 'Anggota',
+            describe: m => `${m.name} (${m.id})${m.status === 'archived' ? ' - diarsipkan' : ''}`
+        });
+    }
+
+    static async choose(candidates, { noun, describe }) {
+        const record = LookupService.unique(candidates);
+        if (record) return record;
+
+        if (candidates.length === 0) {
+            console.log(`❌ ${noun} tidak ditemukan`);
+            return null;
+        }
+
+        const shown = candidates.slice(0, CHOICE_LIMIT);
+        const fuzzy = candidates.every(c => c.match === 'fuzzy');
+        console.log(fuzzy ? '\n🔎 Tidak ada yang persis sama. Mungkin maksud Anda:' : `\n🔎 ${candidates.length} ${noun.toLowerCase()} cocok:`);
+        shown.forEach((c, index) => console.log(`${index + 1}. ${describe(c.record)} [${LookupService.MATCHES[c.match]}]`));
+        if (candidates.length > shown.length) {
+            console.log(`   ... dan ${candidates.length - shown.length} lainnya, perjelas kata kuncinya`);
+        }
+
+        const answer = await this.getInput('Pilih nomor (Enter untuk batal): ');
+        const choice = shown[parseInt(answer) - 1];
+        if (!choice) console.log(answer ? '❌ Pilihan tidak valid' : '❌ Dibatalkan');
+        return choice ? choice.record : null;
+    }
 }
 
+// Jumlah kandidat paling banyak yang ditampilkan saat memilih buku/anggota
+const CHOICE_LIMIT = 10;
+
 // Member Management
 class MemberManager {
     static async addMember() {
         console.log('\n👤 TAMBAH ANGGOTA BARU');
         
         const memberData = {};
-        memberData.id = Utils.generateId();
         memberData.name = await BookManager.getInput('Nama lengkap: ');
         memberData.email = await BookManager.getInput('Email: ');
         memberData.phone = await BookManager.getInput('Nomor telepon: ');
         memberData.address = await BookManager.getInput('Alamat: ');
-        memberData.joinDate = new Date().toISOString();
-        memberData.status = 'active';
-        memberData.borrowedBooks = [];
-        memberData.borrowHistory = [];
-        memberData.fines = 0;
-        
-        database.members.push(memberData);
-        DataManager.updateStats();
+        memberData.type = await BookManager.getInput(`Jenis anggota (${Object.values(PolicyService.MEMBER_TYPES).join('/')}) [Umum]: `);
+        memberData.language = await BookManager.getInput(
+            `Bahasa pemberitahuan (${Object.values(Notices.LANGUAGES).map(l => l.label).join('/')}) [${Notices.LANGUAGES[CONFIG.NOTICE_LANGUAGE].label}]: `);
         
-        if (CONFIG.AUTO_SAVE) DataManager.saveData();
-        
-        console.log(`\n✅ Anggota "${memberData.name}" berhasil didaftarkan!`);
-        console.log(`🆔 ID Anggota: ${memberData.id}`);
+        try {
+            const member = MemberService.create(memberData);
+            
+            console.log(`\n✅ Anggota "${member.name}" berhasil didaftarkan!`);
+            console.log(`🆔 ID Anggota: ${member.id}`);
+        } catch (error) {
+            console.log('❌ Gagal mendaftarkan anggota:', error.message);
+        }
     }
 
     static async viewMembers() {
         console.log('\n👥 DAFTAR ANGGOTA');
         
-        if (database.members.length === 0) {
+        const members = MemberService.list();
+        
+        if (members.length === 0) {
             console.log('📭 Belum ada anggota terdaftar');
             return;
         }
         
         console.log('='.repeat(80));
-        database.members.forEach((member, index) => {
-            console.log(`${index + 1}. ${member.name} (${member.id})`);
+        members.forEach((member, index) => {
+            const archived = member.status === 'archived' ? ' 🗄️ DIARSIPKAN' : '';
+            console.log(`${index + 1}. ${member.name} (${member.id}) - ${PolicyService.MEMBER_TYPES[PolicyService.memberTypeOf(member)]}${archived}`);
             console.log(`   📧 ${member.email} | 📱 ${member.phone}`);
             console.log(`   📚 Dipinjam: ${member.borrowedBooks.length} | 💰 Denda: ${Utils.formatCurrency(member.fines)}`);
             console.log(`   📅 Bergabung: ${Utils.formatDate(new Date(member.joinDate))}`);
             console.log('-'.repeat(40));
         });
     }
+
+    static async editMember() {
+        console.log('\n📝 EDIT ANGGOTA');
+        
+        const member = await BookManager.chooseMember('ID atau nama anggota yang akan diedit: ');
+        if (!member) return;
+        
+        console.log(`\n👤 Mengedit: ${member.name} (${member.id})`);
+        console.log('(Tekan Enter untuk tidak mengubah)');
+        
+        const changes = {};
+        changes.name = await BookManager.getInput(`Nama baru [${member.name}]: `);
+        changes.email = await BookManager.getInput(`Email baru [${member.email || 'Kosong'}]: `);
+        changes.phone = await BookManager.getInput(`Telepon baru [${member.phone || 'Kosong'}]: `);
+        changes.address = await BookManager.getInput(`Alamat baru [${member.address || 'Kosong'}]: `);
+        changes.type = await BookManager.getInput(`Jenis anggota baru [${PolicyService.MEMBER_TYPES[PolicyService.memberTypeOf(member)]}]: `);
+        changes.language = await BookManager.getInput(
+            `Bahasa pemberitahuan baru [${Notices.LANGUAGES[NotificationService.languageOf(member)].label}]: `);
+        
+        try {
+            MemberService.update(member.id, changes);
+            console.log('✅ Data anggota berhasil diperbarui!');
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
+
+    static async deleteMember() {
+        console.log('\n🗑️ HAPUS ANGGOTA');
+        if (!allowed('member.delete')) return;
+        
+        const member = await BookManager.chooseMember('ID atau nama anggota yang akan dihapus: ');
+        if (!member) return;
+        
+        try {
+            MemberService.assertSettled(member);
+        } catch (error) {
+            console.log(`❌ Tidak dapat menghapus: ${error.message}`);
+            
+            if (member.status !== 'archived') {
+                const archive = await BookManager.getInput('Arsipkan anggota ini agar tidak bisa meminjam lagi? (y/N): ');
+                if (archive.toLowerCase() === 'y') {
+                    MemberService.archive(member.id);
+                    console.log(`🗄️ Anggota "${member.name}" diarsipkan`);
+                }
+            }
+            return;
+        }
+        
+        const confirm = await BookManager.getInput(`⚠️ Yakin ingin menghapus "${member.name}"? (y/N): `);
+        if (confirm.toLowerCase() === 'y') {
+            try {
+                MemberService.remove(member.id);
+                console.log('✅ Anggota berhasil dihapus');
+            } catch (error) {
+                console.log(`❌ ${error.message}`);
+            }
+        } else {
+            console.log('❌ Penghapusan dibatalkan');
+        }
+    }
 }
 
 // Transaction Management  
@@ -334,19 +369,13 @@ class TransactionManager {
         console.log('\n📤 PINJAM BUKU');
         
         // Cari anggota
-        const memberId = await BookManager.getInput('ID atau nama anggota: ');
-        const member = database.members.find(m => 
-            m.id === memberId.toUpperCase() || 
-            m.name.toLowerCase().includes(memberId.toLowerCase())
-        );
+        const member = await BookManager.chooseMember('ID atau nama anggota: ');
+        if (!member) return;
         
-        if (!member) {
-            console.log('❌ Anggota tidak ditemukan');
-            return;
-        }
-        
-        if (member.borrowedBooks.length >= CONFIG.MAX_BOOKS_PER_USER) {
-            console.log(`❌ Anggota sudah mencapai batas maksimum (${CONFIG.MAX_BOOKS_PER_USER} buku)`);
+        // Batas umum untuk jenis anggota ini; batas per kategori diperiksa saat buku dipilih
+        const memberPolicy = PolicyService.resolve({ memberType: PolicyService.memberTypeOf(member) });
+        if (member.borrowedBooks.length >= memberPolicy.maxLoans) {
+            console.log(`❌ Anggota sudah mencapai batas maksimum (${memberPolicy.maxLoans} buku)`);
             return;
         }
         
@@ -357,58 +386,42 @@ class TransactionManager {
         }
         
         // Cari buku
-        const bookQuery = await BookManager.getInput('Judul atau ID buku: ');
-        const book = database.books.find(b => 
-            b.title.toLowerCase().includes(bookQuery.toLowerCase()) || 
-            b.id === bookQuery.toUpperCase()
-        );
+        const book = await BookManager.chooseBook('Judul, ISBN atau ID buku: ');
+        if (!book) return;
         
-        if (!book) {
-            console.log('❌ Buku tidak ditemukan');
-            return;
-        }
+        const barcode = await BookManager.getInput('Barcode eksemplar (Enter = otomatis): ');
         
-        if (book.availableCopies <= 0) {
-            console.log('❌ Buku sedang tidak tersedia');
-            return;
+        try {
+            const { transaction, reservation } = TransactionService.borrow({
+                memberId: member.id,
+                bookId: book.id,
+                itemId: barcode || undefined,
+                allowFines: true
+            });
+            
+            console.log('\n✅ Peminjaman berhasil!');
+            console.log(`📚 "${book.title}" dipinjam oleh ${member.name}`);
+            console.log(`🏷️ Eksemplar: ${transaction.barcode}`);
+            if (reservation) console.log(`📝 Reservasi ${reservation.id} terpenuhi`);
+            console.log(`📅 Jatuh tempo: ${Utils.formatDate(new Date(transaction.dueDate))}`);
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
         }
-        
-        // Buat transaksi
-        const transaction = {
-            id: Utils.generateId(),
-            memberId: member.id,
-            memberName: member.name,
-            bookId: book.id,
-            bookTitle: book.title,
-            borrowDate: new Date().toISOString(),
-            dueDate: new Date(Date.now() + CONFIG.MAX_BORROW_DAYS * 24 * 60 * 60 * 1000).toISOString(),
-            returnDate: null,
-            status: 'borrowed',
-            fine: 0
-        };
-        
-        // Update data
-        database.transactions.push(transaction);
-        member.borrowedBooks.push(book.id);
-        book.availableCopies--;
-        book.available = book.availableCopies > 0;
-        
-        DataManager.updateStats();
-        if (CONFIG.AUTO_SAVE) DataManager.saveData();
-        
-        console.log('\n✅ Peminjaman berhasil!');
-        console.log(`📚 "${book.title}" dipinjam oleh ${member.name}`);
-        console.log(`📅 Jatuh tempo: ${Utils.formatDate(new Date(transaction.dueDate))}`);
     }
 
     static async returnBook() {
         console.log('\n📥 KEMBALIKAN BUKU');
         
+        const transaction = await this.chooseActiveLoan();
+        if (transaction) await this.processReturn(transaction);
+    }
+
+    // Pilih pinjaman aktif dari ID transaksi atau nama anggota
+    static async chooseActiveLoan() {
         const query = await BookManager.getInput('ID transaksi atau nama anggota: ');
         
         // Cari transaksi aktif
-        const transactions = database.transactions.filter(t => 
-            t.status === 'borrowed' && (
+        const transactions = TransactionService.findActive().filter(t => (
                 t.id === query.toUpperCase() ||
                 t.memberName.toLowerCase().includes(query.toLowerCase())
             )
@@ -416,7 +429,7 @@ class TransactionManager {
         
         if (transactions.length === 0) {
             console.log('❌ Tidak ada peminjaman aktif ditemukan');
-            return;
+            return null;
         }
         
         if (transactions.length > 1) {
@@ -429,85 +442,190 @@ class TransactionManager {
             const choice = parseInt(await BookManager.getInput('Pilih nomor transaksi: ')) - 1;
             if (choice < 0 || choice >= transactions.length) {
                 console.log('❌ Pilihan tidak valid');
-                return;
+                return null;
             }
             
-            await this.processReturn(transactions[choice]);
-        } else {
-            await this.processReturn(transactions[0]);
+            return transactions[choice];
         }
+        return transactions[0];
     }
 
     static async processReturn(transaction) {
-        const member = database.members.find(m => m.id === transaction.memberId);
+        let result;
+        try {
+            result = TransactionService.returnBook({ transactionId: transaction.id });
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return;
+        }
+        
+        const { member, book, fine, hold } = result;
+        
+        console.log('\n✅ Pengembalian berhasil!');
+        console.log(`📚 "${book.title}" dikembalikan oleh ${member.name}`);
+        if (transaction.barcode) console.log(`🏷️ Eksemplar: ${transaction.barcode}`);
+        
+        if (fine > 0) {
+            console.log(`💰 Denda keterlambatan: ${Utils.formatCurrency(fine)}`);
+        }
+        
+        if (hold) {
+            console.log(`📝 Sisihkan buku ini untuk ${hold.memberName} (${hold.memberId}), ambil sebelum ${Utils.formatDate(new Date(hold.holdExpires))}`);
+        }
+    }
+
+    static async lostOrDamaged() {
+        console.log('\n📕 BUKU HILANG / RUSAK');
+        console.log('hilang  - buku dilaporkan hilang oleh peminjam');
+        console.log('rusak   - buku kembali dalam keadaan rusak dan tidak bisa dipinjamkan lagi');
+        console.log('klaim   - peminjam mengaku sudah mengembalikan, tetapi bukunya tidak ada');
+        console.log('temukan - buku yang hilang/diklaim ditemukan, tagihan penggantian dibatalkan');
+        
+        const action = (await BookManager.getInput('\nAksi (hilang/rusak/klaim/temukan): ')).toLowerCase();
+        if (action === 'temukan') {
+            await this.markFound();
+            return;
+        }
+        
+        const outcome = { hilang: 'lost', rusak: 'damaged', klaim: 'claimed_returned' }[action];
+        if (!outcome) {
+            console.log('❌ Aksi tidak valid');
+            return;
+        }
+        
+        const transaction = await this.chooseActiveLoan();
+        if (!transaction) return;
+        
         const book = database.books.find(b => b.id === transaction.bookId);
+        const hasPrice = book && book.price !== undefined && book.price !== null;
+        console.log(`\n📚 "${transaction.bookTitle}" - ${transaction.memberName}`);
+        console.log(`Harga buku: ${hasPrice ? Utils.formatCurrency(book.price) : 'belum diisi'} | Biaya administrasi: ${Utils.formatCurrency(CONFIG.PROCESSING_FEE)}`);
+        const cost = await BookManager.getInput(hasPrice ? 'Biaya penggantian (Rp, Enter = harga buku): ' : 'Biaya penggantian (Rp): ');
+        if (!cost && !hasPrice) {
+            console.log('❌ Harga buku belum diisi, biaya penggantian wajib diisi');
+            return;
+        }
         
-        const returnDate = new Date();
-        const dueDate = new Date(transaction.dueDate);
+        const confirm = await BookManager.getInput(`Catat sebagai ${TransactionService.OUTCOMES[outcome].label.toLowerCase()}? (y/N): `);
+        if (confirm.toLowerCase() !== 'y') {
+            console.log('❌ Dibatalkan');
+            return;
+        }
+        
+        try {
+            const { member, charges } = TransactionService.resolveLoan({
+                transactionId: transaction.id,
+                outcome,
+                replacementCost: cost
+            });
+            
+            console.log(`\n✅ Pinjaman dicatat ${TransactionService.OUTCOMES[outcome].label.toLowerCase()}`);
+            charges.forEach(charge => console.log(`💰 ${Charges.TYPES[charge.type]}: ${Utils.formatCurrency(charge.amount)}`));
+            console.log(`💰 Total denda ${member.name}: ${Utils.formatCurrency(member.fines)}`);
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
+    
+    static async markFound() {
+        if (!allowed('fine.waive')) return;
         
-        // Hitung denda jika terlambat
-        let fine = 0;
-        if (returnDate > dueDate) {
-            const daysLate = Utils.calculateDaysDiff(dueDate, returnDate);
-            fine = daysLate * CONFIG.FINE_PER_DAY;
+        const missing = TransactionService.FOUND_OUTCOMES.flatMap(outcome => TransactionService.filter(outcome));
+        if (missing.length === 0) {
+            console.log('📭 Tidak ada buku yang tercatat hilang');
+            return;
         }
         
-        // Update transaksi
-        transaction.returnDate = returnDate.toISOString();
-        transaction.status = 'returned';
-        transaction.fine = fine;
+        console.log('\n📋 Buku hilang / diklaim sudah dikembalikan:');
+        missing.forEach((t, index) => {
+            const barcode = t.barcode ? ` [${t.barcode}]` : '';
+            console.log(`${index + 1}. ${t.bookTitle}${barcode} - ${t.memberName} (${TransactionService.OUTCOMES[t.status].label}, ${Utils.formatDate(new Date(t.returnDate))})`);
+        });
         
-        // Update member
-        member.borrowedBooks = member.borrowedBooks.filter(id => id !== book.id);
-        member.borrowHistory.push(transaction.id);
-        member.fines += fine;
+        const choice = parseInt(await BookManager.getInput('Pilih nomor: ')) - 1;
+        if (!(choice >= 0 && choice < missing.length)) {
+            console.log('❌ Pilihan tidak valid');
+            return;
+        }
         
-        // Update book
-        book.availableCopies++;
-        book.available = true;
+        const condition = await BookManager.getInput(`Kondisi eksemplar (${Object.keys(ItemService.CONDITIONS).join('/')}, Enter = tidak berubah): `);
         
-        DataManager.updateStats();
-        if (CONFIG.AUTO_SAVE) DataManager.saveData();
+        try {
+            const { transaction, charges, refund, hold } = TransactionService.markFound({
+                transactionId: missing[choice].id,
+                condition
+            });
+            
+            console.log(`\n✅ "${transaction.bookTitle}" ditemukan, ${charges.length} tagihan dibatalkan`);
+            if (refund > 0) {
+                console.log(`💵 Kembalikan ${Utils.formatCurrency(refund)} yang sudah dibayar ke ${transaction.memberName}`);
+            }
+            if (hold) {
+                console.log(`📝 Sisihkan buku ini untuk ${hold.memberName} (${hold.memberId}), ambil sebelum ${Utils.formatDate(new Date(hold.holdExpires))}`);
+            }
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
+
+    static async extendLoan() {
+        console.log('\n🔁 PERPANJANG PEMINJAMAN');
         
-        console.log('\n✅ Pengembalian berhasil!');
-        console.log(`📚 "${book.title}" dikembalikan oleh ${member.name}`);
+        const query = await BookManager.getInput('ID transaksi atau nama anggota: ');
+        const transactions = TransactionService.findActive().filter(t => 
+            t.id === query.toUpperCase() ||
+            t.memberName.toLowerCase().includes(query.toLowerCase())
+        );
         
-        if (fine > 0) {
-            console.log(`💰 Denda keterlambatan: ${Utils.formatCurrency(fine)}`);
+        if (transactions.length === 0) {
+            console.log('❌ Tidak ada peminjaman aktif ditemukan');
+            return;
+        }
+        
+        let transaction = transactions[0];
+        
+        if (transactions.length > 1) {
+            console.log('\n📋 Peminjaman aktif:');
+            transactions.forEach((t, index) => {
+                console.log(`${index + 1}. ${t.bookTitle} - ${t.memberName} (tempo ${Utils.formatDate(new Date(t.dueDate))})`);
+            });
+            
+            const choice = parseInt(await BookManager.getInput('Pilih nomor transaksi: ')) - 1;
+            if (!(choice >= 0 && choice < transactions.length)) {
+                console.log('❌ Pilihan tidak valid');
+                return;
+            }
+            transaction = transactions[choice];
+        }
+        
+        try {
+            TransactionService.extendLoan({ transactionId: transaction.id });
+            console.log('\n✅ Peminjaman berhasil diperpanjang!');
+            console.log(`📚 "${transaction.bookTitle}" - ${transaction.memberName}`);
+            console.log(`📅 Jatuh tempo baru: ${Utils.formatDate(new Date(transaction.dueDate))}`);
+            console.log(`🔁 Perpanjangan ke-${transaction.renewals} dari ${TransactionService.getPolicy(transaction).maxRenewals}`);
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
         }
     }
 
     static async viewTransactions() {
         console.log('\n📊 RIWAYAT TRANSAKSI');
         
-        if (database.transactions.length === 0) {
+        if (TransactionService.filter('all').length === 0) {
             console.log('📭 Belum ada transaksi');
             return;
         }
         
-        const filter = await BookManager.getInput('Filter (all/borrowed/returned/overdue): ');
-        let filteredTransactions = database.transactions;
-        
-        switch (filter.toLowerCase()) {
-            case 'borrowed':
-                filteredTransactions = database.transactions.filter(t => t.status === 'borrowed');
-                break;
-            case 'returned':
-                filteredTransactions = database.transactions.filter(t => t.status === 'returned');
-                break;
-            case 'overdue':
-                const today = new Date();
-                filteredTransactions = database.transactions.filter(t => 
-                    t.status === 'borrowed' && new Date(t.dueDate) < today
-                );
-                break;
-        }
+        const filter = await BookManager.getInput(`Filter (${TransactionService.FILTERS.join('/')}): `);
+        const filteredTransactions = TransactionService.filter(filter);
         
         console.log('='.repeat(100));
         filteredTransactions.forEach((t, index) => {
+            const outcome = TransactionService.OUTCOMES[t.status];
             const status = t.status === 'borrowed' ? 
                 (new Date(t.dueDate) < new Date() ? '⚠️ TERLAMBAT' : '📤 DIPINJAM') : 
-                '📥 KEMBALI';
+                outcome ? `📕 ${outcome.label.toUpperCase()}` : '📥 KEMBALI';
             
             console.log(`${index + 1}. [${t.id}] ${t.bookTitle}`);
             console.log(`   👤 ${t.memberName} | ${status}`);
@@ -515,7 +633,11 @@ class TransactionManager {
             console.log(`   📅 Tempo: ${Utils.formatDate(new Date(t.dueDate))}`);
             
             if (t.returnDate) {
-                console.log(`   📅 Kembali: ${Utils.formatDate(new Date(t.returnDate))}`);
+                console.log(`   📅 ${outcome ? 'Ditutup' : 'Kembali'}: ${Utils.formatDate(new Date(t.returnDate))}`);
+            }
+            
+            if (t.foundDate) {
+                console.log(`   📅 Ditemukan: ${Utils.formatDate(new Date(t.foundDate))}`);
             }
             
             if (t.fine > 0) {
@@ -525,6 +647,69 @@ class TransactionManager {
             console.log('-'.repeat(50));
         });
     }
+
+    // Mode scanner: scan kartu anggota, lalu barcode eksemplar atau ISBN.
+    // Eksemplar yang sedang dipinjam dikembalikan, selain itu dipinjamkan.
+    // Baris kosong mengakhiri sesi anggota; baris kosong di kartu anggota keluar.
+    static async quickCirculation() {
+        console.log('\n⚡ SIRKULASI CEPAT');
+        console.log('Scan kartu anggota, lalu scan barcode atau ISBN buku. Enter kosong untuk selesai.');
+        
+        while (true) {
+            const card = await BookManager.getInput('\n🪪 Kartu anggota: ');
+            if (!card.trim()) return;
+            
+            let member;
+            try {
+                member = CirculationService.findMember(card);
+            } catch (error) {
+                console.log(`❌ ${error.message}`);
+                continue;
+            }
+            
+            console.log(`👤 ${member.name} (${member.id}) | dipinjam: ${member.borrowedBooks.length} buku`);
+            
+            let allowFines = false;
+            if (member.fines > 0) {
+                console.log(`⚠️ Anggota memiliki denda: ${Utils.formatCurrency(member.fines)}`);
+                allowFines = (await BookManager.getInput('Izinkan peminjaman di sesi ini? (y/N): ')).toLowerCase() === 'y';
+            }
+            
+            const totals = { borrowed: 0, returned: 0, failed: 0, fines: 0 };
+            
+            while (true) {
+                const code = await BookManager.getInput('📷 Scan: ');
+                if (!code.trim()) break;
+                
+                try {
+                    const result = CirculationService.scan({ memberId: member.id, code, allowFines });
+                    const { transaction, book } = result;
+                    
+                    if (result.action === 'borrow') {
+                        totals.borrowed++;
+                        console.log(`📤 PINJAM  "${book.title}" (${transaction.barcode}), jatuh tempo ${Utils.formatDate(new Date(transaction.dueDate))}`);
+                        if (result.reservation) console.log(`   📝 Reservasi ${result.reservation.id} terpenuhi`);
+                    } else {
+                        totals.returned++;
+                        totals.fines += result.fine;
+                        console.log(`📥 KEMBALI "${book.title}" (${transaction.barcode})${result.fine > 0 ? `, denda ${Utils.formatCurrency(result.fine)}` : ''}`);
+                        if (result.otherMember) console.log(`   ℹ️ Dipinjam oleh ${result.otherMember}, bukan anggota ini`);
+                        if (result.hold) console.log(`   📝 Sisihkan untuk ${result.hold.memberName} (${result.hold.memberId})`);
+                    }
+                } catch (error) {
+                    totals.failed++;
+                    console.log(`❌ ${error.message}`);
+                }
+                
+                const onLoan = MemberService.get(member.id).borrowedBooks.length;
+                console.log(`   Σ ${totals.borrowed} pinjam | ${totals.returned} kembali | ${totals.failed} gagal | dipinjam sekarang: ${onLoan}`);
+            }
+            
+            console.log(`\n✅ Sesi ${member.name} selesai: ${totals.borrowed} dipinjam, ${totals.returned} dikembalikan` +
+                (totals.fines > 0 ? `, denda baru ${Utils.formatCurrency(totals.fines)}` : '') +
+                (totals.failed > 0 ? `, ${totals.failed} scan gagal` : ''));
+        }
+    }
 }
 
 // Search & Reports
@@ -532,14 +717,17 @@ class SearchManager {
     static async searchBooks() {
         console.log('\n🔍 PENCARIAN BUKU');
         
-        const query = await BookManager.getInput('Kata kunci (judul/penulis/kategori): ');
+        console.log('Cari di judul, penulis, kategori, ISBN, penerbit, deskripsi dan lokasi.');
+        console.log('Contoh: "bumi manusia", penulis:pram, sejarah AND tahun>1980, novel -terjemahan');
+        const query = await BookManager.getInput('Kata kunci (Enter untuk semua buku): ');
         
-        const results = database.books.filter(book => 
-            Utils.searchText(book.title, query) ||
-            Utils.searchText(book.author, query) ||
-            Utils.searchText(book.category, query) ||
-            Utils.searchText(book.isbn || '', query)
-        );
+        let results;
+        try {
+            results = BookService.search(query);
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return;
+        }
         
         if (results.length === 0) {
             console.log('❌ Tidak ada buku yang ditemukan');
@@ -569,7 +757,7 @@ class SearchManager {
     static async generateReports() {
         console.log('\n📈 LAPORAN PERPUSTAKAAN');
         
-        const reportType = await BookManager.getInput('Jenis laporan (stats/books/members/overdue): ');
+        const reportType = await BookManager.getInput('Jenis laporan (stats/books/members/overdue/circulation): ');
         
         switch (reportType.toLowerCase()) {
             case 'stats':
@@ -584,40 +772,99 @@ class SearchManager {
             case 'overdue':
                 this.showOverdueReport();
                 break;
+            case 'circulation':
+            case 'sirkulasi':
+                await this.showCirculationReport();
+                break;
             default:
                 console.log('❌ Jenis laporan tidak valid');
         }
     }
 
     static showStatistics() {
+        const stats = ReportService.getStatistics();
+        
         console.log('\n📊 STATISTIK PERPUSTAKAAN');
         console.log('='.repeat(50));
-        console.log(`📚 Total Buku: ${database.stats.totalBooks}`);
-        console.log(`👥 Total Anggota: ${database.stats.totalMembers}`);
-        console.log(`📋 Total Transaksi: ${database.stats.totalTransactions}`);
-        console.log(`📤 Buku Dipinjam: ${database.stats.booksOnLoan}`);
-        console.log(`⚠️ Buku Terlambat: ${database.stats.overdueBooks}`);
-        
-        // Kategori terpopuler
-        const categoryCount = {};
-        database.books.forEach(book => {
-            categoryCount[book.category] = (categoryCount[book.category] || 0) + 1;
-        });
+        console.log(`📚 Total Buku: ${stats.totalBooks}`);
+        console.log(`👥 Total Anggota: ${stats.totalMembers}`);
+        console.log(`📋 Total Transaksi: ${stats.totalTransactions}`);
+        console.log(`📤 Buku Dipinjam: ${stats.booksOnLoan}`);
+        console.log(`⚠️ Buku Terlambat: ${stats.overdueBooks}`);
         
         console.log('\n📂 Kategori Terpopuler:');
-        Object.entries(categoryCount)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 5)
-            .forEach(([category, count]) => {
-                console.log(`   ${category}: ${count} buku`);
-            });
+        stats.topCategories.forEach(({ category, count, loans }) => {
+            console.log(`   ${category}: ${count} buku, ${loans} kali dipinjam`);
+        });
+    }
+
+    static showMembersReport() {
+        const report = ReportService.getMembersReport();
+        
+        if (report.length === 0) {
+            console.log('📭 Belum ada anggota');
+            return;
+        }
+        
+        console.log('\n👥 LAPORAN ANGGOTA');
+        console.log('='.repeat(80));
+        
+        report.forEach(({ member, totalLoans, activeLoans, overdueLoans, lastLoan, fines }, index) => {
+            const archived = member.status === 'archived' ? ' [diarsipkan]' : '';
+            console.log(`${index + 1}. ${member.name} (${member.id}) - ${PolicyService.MEMBER_TYPES[PolicyService.memberTypeOf(member)]}${archived}`);
+            console.log(`   📚 Dipinjam: ${activeLoans}${overdueLoans ? ` (${overdueLoans} terlambat)` : ''} | Total peminjaman: ${totalLoans}`);
+            console.log(`   📅 Terakhir meminjam: ${lastLoan ? Utils.formatDate(new Date(lastLoan)) : '-'} | 💰 Denda: ${Utils.formatCurrency(fines)}`);
+            console.log('-'.repeat(40));
+        });
+    }
+
+    static async showCirculationReport() {
+        console.log('Rentang tanggal peminjaman (Enter untuk semua):');
+        const from = await BookManager.getInput('Dari tanggal (YYYY-MM-DD): ');
+        const to = await BookManager.getInput('Sampai tanggal (YYYY-MM-DD): ');
+        
+        let report;
+        try {
+            report = ReportService.getCirculationReport({ from, to });
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return;
+        }
+        
+        console.log('\n📈 ANALITIK SIRKULASI');
+        console.log(`📅 ${from || 'Awal'} s.d. ${to || 'sekarang'}`);
+        console.log('='.repeat(80));
+        console.log(`📋 Peminjaman: ${report.totalLoans} (${report.returnedLoans} kembali, ${report.activeLoans} masih dipinjam, ${report.overdueLoans} terlambat)`);
+        console.log(`⏱️ Rata-rata lama pinjam: ${report.averageLoanDays === null ? '-' : `${report.averageLoanDays} hari`}`);
+        console.log(`✅ Kembali tepat waktu: ${report.onTimeRate === null ? '-' : `${report.onTimeRate}% (${report.onTimeReturns} tepat, ${report.lateReturns} terlambat)`}`);
+        
+        const section = (title, rows, format) => {
+            console.log(`\n${title}`);
+            if (rows.length === 0) console.log('   -');
+            rows.forEach((row, index) => console.log(`   ${index + 1}. ${format(row)}`));
+        };
+        
+        section('📚 Judul terpopuler:', report.topTitles, t => `${t.title} - ${t.author || 'Tanpa penulis'}: ${t.loans}x`);
+        section('✍️ Penulis terpopuler:', report.topAuthors, a => `${a.author}: ${a.loans}x`);
+        section('👥 Anggota paling aktif:', report.topMembers, m => `${m.name} (${m.memberId}): ${m.loans}x`);
+        section('📂 Per kategori:', report.byCategory, c =>
+            `${c.category}: ${c.loans}x dari ${c.copies} eksemplar` + (c.turnover === null ? '' : ` (perputaran ${c.turnover})`));
+        section('🗓️ Per bulan:', report.byMonth, m => `${m.month}: ${'█'.repeat(Math.min(m.loans, 40))} ${m.loans}`);
+        
+        console.log(`\n🧹 Eksemplar tidak pernah dipinjam (kandidat penyiangan): ${report.neverCirculated.length}`);
+        report.neverCirculated.slice(0, 20).forEach(item => {
+            console.log(`   ${item.barcode} - ${item.title}${item.location ? ` | 📍 ${item.location}` : ''}`);
+        });
+        if (report.neverCirculated.length > 20) {
+            console.log(`   ... dan ${report.neverCirculated.length - 20} lainnya (lihat: perpustakaan report circulation --json)`);
+        }
     }
 
     static showBooksReport() {
         console.log('\n📚 LAPORAN BUKU');
         console.log('='.repeat(80));
         
-        database.books.forEach((book, index) => {
+        BookService.list().forEach((book, index) => {
             console.log(`${index + 1}. "${book.title}" - ${book.author}`);
             console.log(`   Status: ${book.available ? '✅ Tersedia' : '❌ Dipinjam'}`);
             console.log(`   Eksemplar: ${book.availableCopies}/${book.copies}`);
@@ -627,9 +874,9 @@ class SearchManager {
     }
 
     static showOverdueReport() {
-        const overdueTransactions = DataManager.getOverdueBooks();
+        const overdueReport = ReportService.getOverdueReport();
         
-        if (overdueTransactions.length === 0) {
+        if (overdueReport.length === 0) {
             console.log('✅ Tidak ada buku yang terlambat');
             return;
         }
@@ -637,10 +884,7 @@ class SearchManager {
         console.log('\n⚠️ LAPORAN KETERLAMBATAN');
         console.log('='.repeat(80));
         
-        overdueTransactions.forEach((transaction, index) => {
-            const daysLate = Utils.calculateDaysDiff(new Date(transaction.dueDate), new Date());
-            const potentialFine = daysLate * CONFIG.FINE_PER_DAY;
-            
+        overdueReport.forEach(({ transaction, daysLate, potentialFine }, index) => {
             console.log(`${index + 1}. "${transaction.bookTitle}"`);
             console.log(`   Peminjam: ${transaction.memberName}`);
             console.log(`   Terlambat: ${daysLate} hari`);
@@ -662,81 +906,285 @@ class SettingsManager {
         console.log('5. Kelola kategori');
         console.log('6. Backup data');
         console.log('7. Restore data');
-        
-        const choice = await BookManager.getInput('Pilih pengaturan untuk diubah (1-7): ');
+        console.log(`8. Maksimal perpanjangan: ${CONFIG.MAX_RENEWALS} kali`);
+        console.log('9. Lihat semua pengaturan');
+        console.log('10. Aturan peminjaman per jenis anggota/kategori');
+        console.log(`11. Masa tenggang denda: ${CONFIG.GRACE_PERIOD_DAYS} hari buka`);
+        console.log(`12. Batas denda per pinjaman: ${CONFIG.MAX_FINE_PER_ITEM > 0 ? Utils.formatCurrency(CONFIG.MAX_FINE_PER_ITEM) : 'tanpa batas'}`);
+        console.log('13. Kalender perpustakaan (hari buka & hari tutup)');
+        console.log(`14. Biaya administrasi buku hilang/rusak: ${Utils.formatCurrency(CONFIG.PROCESSING_FEE)}`);
+        console.log('15. Pemberitahuan email (SMTP & template)');
+        
+        const choice = await BookManager.getInput('Pilih pengaturan untuk diubah (1-15): ');
+
+        // Melihat boleh untuk semua petugas, mengubah hanya untuk admin
+        const permission = { '6': 'backup', '7': 'restore', '9': 'settings.view', '13': 'settings.view', '15': 'settings.view' }[choice] || 'settings';
+        if (!choice || !allowed(permission)) return;
         
         switch (choice) {
             case '1':
-                const newBorrowDays = parseInt(await BookManager.getInput('Hari peminjaman baru: '));
-                if (newBorrowDays > 0) {
-                    CONFIG.MAX_BORROW_DAYS = newBorrowDays;
-                    console.log('✅ Pengaturan diperbarui');
-                }
+                await this.updateSetting('MAX_BORROW_DAYS', 'Hari peminjaman baru: ');
                 break;
             case '2':
-                const newMaxBooks = parseInt(await BookManager.getInput('Maksimal buku baru: '));
-                if (newMaxBooks > 0) {
-                    CONFIG.MAX_BOOKS_PER_USER = newMaxBooks;
-                    console.log('✅ Pengaturan diperbarui');
-                }
+                await this.updateSetting('MAX_BOOKS_PER_USER', 'Maksimal buku baru: ');
                 break;
             case '3':
-                const newFine = parseInt(await BookManager.getInput('Denda per hari baru (Rp): '));
-                if (newFine >= 0) {
-                    CONFIG.FINE_PER_DAY = newFine;
-                    console.log('✅ Pengaturan diperbarui');
-                }
+                await this.updateSetting('FINE_PER_DAY', 'Denda per hari baru (Rp): ');
                 break;
             case '4':
-                CONFIG.AUTO_SAVE = !CONFIG.AUTO_SAVE;
-                console.log(`✅ Auto-save ${CONFIG.AUTO_SAVE ? 'diaktifkan' : 'dinonaktifkan'}`);
+                this.reportUpdate(SettingsService.update('AUTO_SAVE', !CONFIG.AUTO_SAVE));
                 break;
             case '5':
                 await this.manageCategories();
                 break;
             case '6':
-                DataManager.saveData();
+                DataManager.createBackup();
                 break;
             case '7':
                 await this.restoreData();
                 break;
+            case '8':
+                await this.updateSetting('MAX_RENEWALS', 'Maksimal perpanjangan baru: ');
+                break;
+            case '9':
+                this.listSettings();
+                break;
+            case '10':
+                await this.managePolicies();
+                break;
+            case '11':
+                await this.updateSetting('GRACE_PERIOD_DAYS', 'Masa tenggang baru (hari buka): ');
+                break;
+            case '12':
+                await this.updateSetting('MAX_FINE_PER_ITEM', 'Batas denda per pinjaman baru (Rp, 0 = tanpa batas): ');
+                break;
+            case '13':
+                await this.manageCalendar();
+                break;
+            case '14':
+                await this.updateSetting('PROCESSING_FEE', 'Biaya administrasi baru (Rp): ');
+                break;
+            case '15':
+                await this.manageNotices();
+                break;
+        }
+    }
+
+    static async manageNotices() {
+        console.log('\n✉️ PEMBERITAHUAN EMAIL');
+        console.log('='.repeat(60));
+        console.log(`Server SMTP: ${CONFIG.SMTP_HOST ? `${CONFIG.SMTP_HOST}:${CONFIG.SMTP_PORT} (${CONFIG.SMTP_SECURITY})` : 'belum diatur'}`);
+        console.log(`Pengirim: ${CONFIG.SMTP_FROM || CONFIG.SMTP_USER || 'belum diatur'}`);
+        console.log(`Pengingat jatuh tempo: ${CONFIG.NOTICE_DAYS_BEFORE > 0 ? `${CONFIG.NOTICE_DAYS_BEFORE} hari sebelumnya` : 'tidak dikirim'}`);
+        console.log(`Bahasa bawaan: ${Notices.LANGUAGES[CONFIG.NOTICE_LANGUAGE].label}`);
+
+        const templates = NotificationService.listTemplates();
+        console.log('\nTemplate:');
+        templates.forEach((t, index) => {
+            console.log(`${index + 1}. ${Notices.TYPES[t.type]} (${Notices.LANGUAGES[t.language].label})${t.custom ? ' - diubah' : ''}`);
+            console.log(`   ${t.subject}`);
+        });
+
+        const action = (await BookManager.getInput('\nAksi (smtp/hari/bahasa/template/reset, kosongkan untuk kembali): ')).toLowerCase();
+        if (!['smtp', 'hari', 'bahasa', 'template', 'reset'].includes(action) || !allowed('settings')) return;
+
+        try {
+            if (action === 'smtp') {
+                console.log(`ℹ️ Tekan Enter untuk tidak mengubah. Kata sandi SMTP hanya bisa diatur lewat ${Settings.configFile()} ` +
+                    `atau ${Settings.envName('SMTP_PASSWORD')}`);
+                const questions = {
+                    SMTP_HOST: `Server SMTP [${CONFIG.SMTP_HOST || 'Kosong'}]: `,
+                    SMTP_PORT: `Port, 587 untuk starttls atau 465 untuk tls [${CONFIG.SMTP_PORT}]: `,
+                    SMTP_SECURITY: `Keamanan (starttls/tls/none) [${CONFIG.SMTP_SECURITY}]: `,
+                    SMTP_USER: `Nama pengguna [${CONFIG.SMTP_USER || 'Kosong'}]: `,
+                    SMTP_FROM: `Alamat pengirim, misal Perpustakaan <perpus@contoh.id> [${CONFIG.SMTP_FROM || 'Kosong'}]: `
+                };
+                for (const [key, question] of Object.entries(questions)) {
+                    const value = await BookManager.getInput(question);
+                    if (value) this.reportUpdate(SettingsService.update(key, value));
+                }
+            } else if (action === 'hari') {
+                await this.updateSetting('NOTICE_DAYS_BEFORE', 'Kirim pengingat berapa hari sebelum jatuh tempo (0 = tidak dikirim): ');
+            } else if (action === 'bahasa') {
+                await this.updateSetting('NOTICE_LANGUAGE', 'Bahasa bawaan (id/en): ');
+            } else {
+                const template = templates[parseInt(await BookManager.getInput('Nomor template: ')) - 1];
+                if (!template) {
+                    console.log('❌ Pilihan tidak valid');
+                    return;
+                }
+
+                if (action === 'reset') {
+                    NotificationService.resetTemplate(template);
+                    console.log('✅ Template dikembalikan ke bawaan');
+                    return;
+                }
+
+                console.log(`\nIsian yang bisa dipakai: ${template.placeholders.map(name => `{{${name}}}`).join(' ')}`);
+                console.log('Isi saat ini:');
+                console.log(template.body);
+                const subject = await BookManager.getInput(`\nSubjek baru [${template.subject}]: `);
+                console.log('Isi baru, akhiri dengan baris berisi titik saja (langsung "." untuk tidak mengubah):');
+                const lines = [];
+                for (let line = await BookManager.getInput(''); line !== '.'; line = await BookManager.getInput('')) lines.push(line);
+
+                NotificationService.updateTemplate({
+                    type: template.type,
+                    language: template.language,
+                    subject: subject || undefined,
+                    body: lines.length > 0 ? lines.join('\n') : undefined
+                });
+                console.log('✅ Template disimpan');
+            }
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
         }
     }
 
+    static async manageCalendar() {
+        console.log('\n📅 KALENDER PERPUSTAKAAN');
+        console.log('='.repeat(60));
+        console.log(`Hari buka: ${CONFIG.OPEN_DAYS.split(',').join(', ')}`);
+
+        const closures = CalendarService.listClosures();
+        console.log(closures.length === 0 ? 'Belum ada hari tutup yang akan datang' : 'Hari tutup:');
+        closures.forEach((closure, index) => {
+            const range = closure.from === closure.to ? closure.from : `${closure.from} s.d. ${closure.to}`;
+            console.log(`${index + 1}. ${range} - ${closure.reason}`);
+        });
+
+        console.log('\n14 hari ke depan:');
+        const days = CalendarService.upcoming().map(day => `${day.date.slice(5)} ${day.weekday.slice(0, 3)} ${day.open ? '✅' : '❌'}`);
+        for (let i = 0; i < days.length; i += 7) console.log(days.slice(i, i + 7).join(' | '));
+
+        const action = (await BookManager.getInput('\nAksi (hari/tambah/hapus, kosongkan untuk kembali): ')).toLowerCase();
+        if (!['hari', 'tambah', 'hapus'].includes(action) || !allowed('settings')) return;
+
+        try {
+            if (action === 'hari') {
+                await this.updateSetting('OPEN_DAYS', 'Hari buka (pisahkan koma, misal senin,selasa,rabu,kamis,jumat): ');
+            } else if (action === 'tambah') {
+                const from = await BookManager.getInput('Tanggal mulai (YYYY-MM-DD): ');
+                const to = await BookManager.getInput('Tanggal selesai (YYYY-MM-DD, kosongkan jika satu hari): ');
+                const reason = await BookManager.getInput('Keterangan (misal Libur Idul Fitri): ');
+                CalendarService.addClosure({ from, to, reason });
+                console.log('✅ Hari tutup ditambahkan');
+            } else {
+                const closure = closures[parseInt(await BookManager.getInput('Nomor hari tutup: ')) - 1];
+                if (!closure) {
+                    console.log('❌ Pilihan tidak valid');
+                    return;
+                }
+                CalendarService.removeClosure(closure.id);
+                console.log('✅ Hari tutup dihapus');
+            }
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
+
+    static async managePolicies() {
+        console.log('\n📏 ATURAN PEMINJAMAN');
+        console.log('='.repeat(60));
+        const defaults = PolicyService.defaults();
+        console.log(`Aturan umum: ${defaults.loanDays} hari, maks. ${defaults.maxLoans} buku, ` +
+            `denda ${Utils.formatCurrency(defaults.finePerDay)}/hari, maks. ${defaults.maxRenewals}x perpanjangan`);
+
+        const rules = PolicyService.list();
+        if (rules.length === 0) console.log('Belum ada aturan khusus');
+        rules.forEach((rule, index) => {
+            const values = Object.keys(PolicyService.FIELDS)
+                .filter(field => rule[field] !== undefined)
+                .map(field => `${PolicyService.FIELDS[field].label}: ${rule[field] === null ? 'tanpa batas' : rule[field]}`);
+            console.log(`${index + 1}. ${PolicyService.describeScope(rule)}`);
+            console.log(`   ${values.join(' | ')}`);
+        });
+
+        const action = (await BookManager.getInput('\nAksi (set/hapus, kosongkan untuk kembali): ')).toLowerCase();
+        if (action !== 'set' && action !== 'hapus') return;
+
+        const memberType = await BookManager.getInput(`Jenis anggota (${Object.values(PolicyService.MEMBER_TYPES).join('/')}, * = semua): `);
+        const category = await BookManager.getInput('Kategori (* = semua): ');
+
+        try {
+            if (action === 'hapus') {
+                PolicyService.remove({ memberType, category });
+                console.log('✅ Aturan dihapus');
+                return;
+            }
+
+            console.log('ℹ️ Kosongkan field yang mengikuti aturan yang lebih umum');
+            const values = {};
+            for (const [field, spec] of Object.entries(PolicyService.FIELDS)) {
+                const hint = spec.nullable ? ' ("tidak" atau 0 = tanpa batas)' : '';
+                const value = await BookManager.getInput(`${spec.label}${hint}: `);
+                if (value.trim() !== '') values[field] = value;
+            }
+
+            const rule = PolicyService.set({ memberType, category, ...values });
+            console.log(`✅ Aturan untuk ${PolicyService.describeScope(rule)} disimpan`);
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
+
+    static async updateSetting(key, question) {
+        const value = await BookManager.getInput(question);
+        
+        try {
+            this.reportUpdate(SettingsService.update(key, value));
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
+
+    static reportUpdate(setting) {
+        if (setting.source === 'file' || setting.source === 'env') {
+            console.log(`⚠️ Nilai disimpan, tetapi ${setting.key} saat ini ditimpa ${Settings.SOURCE_LABELS[setting.source]} (${setting.value})`);
+        } else {
+            console.log('✅ Pengaturan diperbarui');
+        }
+    }
+
+    static listSettings() {
+        console.log('\n📋 SEMUA PENGATURAN');
+        console.log('='.repeat(60));
+        SettingsService.list().forEach(setting => {
+            console.log(`${setting.key} = ${setting.value}`);
+            console.log(`   ${setting.description} | asal: ${Settings.SOURCE_LABELS[setting.source]}`);
+        });
+        console.log(`\nℹ️ Urutan prioritas: bawaan < file data < ${Settings.configFile()} < variabel lingkungan PERPUSTAKAAN_<NAMA>`);
+    }
+
     static async manageCategories() {
         console.log('\n📂 KELOLA KATEGORI');
         console.log('Kategori saat ini:');
-        database.categories.forEach((cat, index) => {
+        SettingsService.listCategories().forEach((cat, index) => {
             console.log(`${index + 1}. ${cat}`);
         });
         
         const action = await BookManager.getInput('Aksi (add/remove): ');
         
-        if (action.toLowerCase() === 'add') {
-            const newCategory = await BookManager.getInput('Nama kategori baru: ');
-            if (newCategory && !database.categories.includes(newCategory)) {
-                database.categories.push(newCategory);
+        try {
+            if (action.toLowerCase() === 'add') {
+                const newCategory = await BookManager.getInput('Nama kategori baru: ');
+                SettingsService.addCategory(newCategory);
                 console.log('✅ Kategori ditambahkan');
-            }
-        } else if (action.toLowerCase() === 'remove') {
-            const categoryName = await BookManager.getInput('Nama kategori yang akan dihapus: ');
-            const index = database.categories.indexOf(categoryName);
-            if (index > -1) {
-                database.categories.splice(index, 1);
+            } else if (action.toLowerCase() === 'remove') {
+                const categoryName = await BookManager.getInput('Nama kategori yang akan dihapus: ');
+                SettingsService.removeCategory(categoryName);
                 console.log('✅ Kategori dihapus');
             }
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
         }
     }
 
     static async restoreData() {
         console.log('\n🔄 RESTORE DATA');
+        if (!allowed('restore')) return;
         
-        if (!fs.existsSync(CONFIG.BACKUP_DIR)) {
-            console.log('❌ Tidak ada backup ditemukan');
-            return;
-        }
-        
-        const backupFiles = fs.readdirSync(CONFIG.BACKUP_DIR).filter(f => f.endsWith('.json'));
+        const backupFiles = DataManager.listBackups();
         
         if (backupFiles.length === 0) {
             console.log('❌ Tidak ada file backup');
@@ -745,27 +1193,20 @@ class SettingsManager {
         
         console.log('File backup tersedia:');
         backupFiles.forEach((file, index) => {
-            const stats = fs.statSync(path.join(CONFIG.BACKUP_DIR, file));
-            console.log(`${index + 1}. ${file} - ${Utils.formatDate(stats.mtime)}`);
+            console.log(`${index + 1}. ${file.name} - ${Utils.formatDate(file.date)}`);
         });
         
         const choice = parseInt(await BookManager.getInput('Pilih file backup: ')) - 1;
         
         if (choice >= 0 && choice < backupFiles.length) {
-            try {
-                const backupPath = path.join(CONFIG.BACKUP_DIR, backupFiles[choice]);
-                const backupData = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
-                
-                const confirm = await BookManager.getInput('⚠️ Ini akan mengganti semua data. Lanjutkan? (y/N): ');
-                if (confirm.toLowerCase() === 'y') {
-                      // Melengkapi function restoreData yang terpotong
-                    database = { ...database, ...backupData };
-                    DataManager.updateStats();
+            const confirm = await BookManager.getInput('⚠️ Ini akan mengganti semua data. Lanjutkan? (y/N): ');
+            if (confirm.toLowerCase() === 'y') {
+                try {
+                    DataManager.restoreBackup(backupFiles[choice].name);
                     console.log('✅ Data berhasil direstore');
-                    DataManager.saveData();
+                } catch (error) {
+                    console.log('❌ Gagal restore data:', error.message);
                 }
-            } catch (error) {
-                console.log('❌ Gagal restore data:', error.message);
             }
         }
     }
@@ -776,7 +1217,7 @@ class FineManager {
     static async viewFines() {
         console.log('\n💰 MANAJEMEN DENDA');
         
-        const membersWithFines = database.members.filter(m => m.fines > 0);
+        const membersWithFines = FineService.listMembersWithFines();
         
         if (membersWithFines.length === 0) {
             console.log('✅ Tidak ada anggota yang memiliki denda');
@@ -792,7 +1233,7 @@ class FineManager {
             console.log('-'.repeat(40));
         });
         
-        const action = await BookManager.getInput('\nAksi (pay/detail/back): ');
+        const action = await BookManager.getInput('\nAksi (pay/detail/waive/back): ');
         
         switch (action.toLowerCase()) {
             case 'pay':
@@ -801,229 +1242,456 @@ class FineManager {
             case 'detail':
                 await this.showFineDetail(membersWithFines);
                 break;
+            case 'waive':
+                await this.waiveFine(membersWithFines);
+                break;
         }
     }
-    
-    static async payFine(membersWithFines) {
+
+    static async pickMember(membersWithFines) {
         const memberIndex = parseInt(await BookManager.getInput('Pilih nomor anggota: ')) - 1;
         
         if (memberIndex < 0 || memberIndex >= membersWithFines.length) {
+            console.log('❌ Pilihan tidak valid');
+            return null;
+        }
+        return membersWithFines[memberIndex];
+    }
+
+    static showCharges(charges) {
+        charges.forEach((charge, index) => {
+            const subject = charge.bookTitle ? `"${charge.bookTitle}"` : Charges.TYPES[charge.type];
+            console.log(`${index + 1}. [${charge.id}] ${subject} - ${Utils.formatDate(charge.date)}`);
+            console.log(`   ${Charges.TYPES[charge.type]}${charge.daysLate ? ` ${charge.daysLate} hari` : ''}: ` +
+                `${Utils.formatCurrency(charge.amount)} | Sisa: ${Utils.formatCurrency(charge.balance)} | ${Charges.STATUSES[charge.status]}`);
+            (charge.waivers || []).forEach(waiver => {
+                console.log(`   ✂️ Dihapuskan ${Utils.formatCurrency(waiver.amount)}${waiver.by ? ` oleh ${waiver.by}` : ''}: ${waiver.reason}`);
+            });
+            if (charge.reversal) {
+                const refund = charge.reversal.refund > 0 ? `, ${Utils.formatCurrency(charge.reversal.refund)} dikembalikan` : '';
+                console.log(`   ↩️ Dibatalkan ${Utils.formatDate(charge.reversal.date)}${refund}: ${charge.reversal.reason}`);
+            }
+        });
+    }
+    
+    static async payFine(membersWithFines) {
+        if (!allowed('fine.pay')) return;
+
+        const member = await this.pickMember(membersWithFines);
+        if (!member) return;
+
+        const charges = FineService.listCharges({ memberId: member.id, status: 'open' });
+        console.log(`\n💰 Tagihan denda ${member.name}:`);
+        this.showCharges(charges);
+        console.log(`Total: ${Utils.formatCurrency(member.fines)}`);
+
+        const picked = await BookManager.getInput('Nomor tagihan yang dibayar (pisahkan koma, Enter = mulai dari yang terlama): ');
+        const selected = picked.trim()
+            ? picked.split(',').map(n => charges[parseInt(n) - 1])
+            : charges;
+        if (selected.some(charge => !charge)) {
+            console.log('❌ Pilihan tidak valid');
+            return;
+        }
+
+        const total = Charges.round(selected.reduce((sum, charge) => sum + charge.balance, 0));
+        const input = await BookManager.getInput(`Jumlah pembayaran (Enter = ${Utils.formatCurrency(total)}): `);
+        const amount = input.trim() ? parseFloat(input) : total;
+        
+        let payment;
+        try {
+            ({ payment } = FineService.pay({
+                memberId: member.id,
+                amount,
+                chargeIds: picked.trim() ? selected.map(charge => charge.id) : undefined
+            }));
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return;
+        }
+        
+        console.log(`✅ Pembayaran sebesar ${Utils.formatCurrency(amount)} berhasil dicatat (${payment.receiptNumber})`);
+        console.log(`💰 Sisa denda: ${Utils.formatCurrency(payment.remaining)}\n`);
+        console.log(FineService.receipt(payment.id));
+    }
+
+    static async waiveFine(membersWithFines) {
+        if (!allowed('fine.waive')) return;
+
+        const member = await this.pickMember(membersWithFines);
+        if (!member) return;
+
+        const charges = FineService.listCharges({ memberId: member.id, status: 'open' });
+        console.log(`\n✂️ Hapuskan denda ${member.name}:`);
+        this.showCharges(charges);
+
+        const charge = charges[parseInt(await BookManager.getInput('Pilih nomor tagihan: ')) - 1];
+        if (!charge) {
             console.log('❌ Pilihan tidak valid');
             return;
         }
-        
-        const member = membersWithFines[memberIndex];
-        console.log(`💰 Total denda ${member.name}: ${Utils.formatCurrency(member.fines)}`);
-        
-        const amount = parseFloat(await BookManager.getInput('Jumlah pembayaran: '));
-        
-        if (amount <= 0 || amount > member.fines) {
-            console.log('❌ Jumlah pembayaran tidak valid');
-            return;
+
+        const reason = await BookManager.getInput('Alasan penghapusan: ');
+        const input = await BookManager.getInput(`Jumlah dihapuskan (Enter = seluruh sisa ${Utils.formatCurrency(charge.balance)}): `);
+
+        try {
+            const result = FineService.waive({ chargeId: charge.id, reason, amount: input.trim() ? parseFloat(input) : undefined });
+            console.log(`✅ Denda ${Utils.formatCurrency(result.amount)} dihapuskan`);
+            console.log(`💰 Sisa denda: ${Utils.formatCurrency(result.member.fines)}`);
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
+    
+    static async showFineDetail(membersWithFines) {
+        const member = await this.pickMember(membersWithFines);
+        if (!member) return;
+
+        const charges = FineService.listCharges({ memberId: member.id });
+        const projectedFines = FineService.getProjectedFines(member.id);
+        
+        console.log(`\n📋 Detail Denda - ${member.name}`);
+        console.log('='.repeat(60));
+        this.showCharges(charges);
+        console.log('-'.repeat(60));
+        console.log(`💰 Sisa denda: ${Utils.formatCurrency(member.fines)}`);
+
+        // Belum menjadi tagihan; denda baru ditagih saat buku dikembalikan
+        if (projectedFines.length > 0) {
+            console.log('\n⏳ Pinjaman terlambat yang belum dikembalikan (perkiraan, belum ditagih):');
+            projectedFines.forEach(({ transaction, daysLate, fine }) => {
+                console.log(`   • "${transaction.bookTitle}" - ${daysLate} hari, ${Utils.formatCurrency(fine)}`);
+            });
+        }
+    }
+}
+
+// Akun petugas: ganti password, ganti pengguna, dan (admin) kelola akun
+class StaffManager {
+    static async showAccount() {
+        const account = AuthService.current;
+        console.log('\n👤 AKUN PETUGAS');
+        console.log('='.repeat(50));
+        console.log(`Nama: ${account.name} (${account.username})`);
+        console.log(`Peran: ${AuthService.roleLabel(account.role)}`);
+        console.log('\n1. Ganti password saya');
+        console.log('2. Ganti pengguna');
+        if (AuthService.can('staff')) console.log('3. Kelola akun petugas');
+
+        const choice = await BookManager.getInput('Pilihan: ');
+
+        switch (choice) {
+            case '1':
+                await this.changeOwnPassword();
+                break;
+            case '2':
+                AuthService.logout();
+                if (!await login()) {
+                    closeReadline();
+                    process.exit(1);
+                }
+                break;
+            case '3':
+                if (allowed('staff')) await this.manageStaff();
+                break;
+        }
+    }
+
+    // Password baru diminta dua kali supaya salah ketik tidak mengunci akun
+    static async askNewPassword() {
+        const password = await BookManager.getPassword(`Password baru (min. ${AuthService.MIN_PASSWORD_LENGTH} karakter): `);
+        const confirm = await BookManager.getPassword('Ulangi password baru: ');
+        if (password !== confirm) {
+            console.log('❌ Password tidak sama');
+            return null;
+        }
+        return password;
+    }
+
+    static async changeOwnPassword() {
+        const current = await BookManager.getPassword('Password lama: ');
+
+        try {
+            AuthService.authenticate(AuthService.current.username, current);
+            const password = await this.askNewPassword();
+            if (password === null) return;
+
+            AuthService.setPassword(AuthService.current.id, password);
+            console.log('✅ Password berhasil diganti');
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
+
+    static async manageStaff() {
+        console.log('\n👥 KELOLA AKUN PETUGAS');
+        console.log('='.repeat(70));
+
+        const accounts = AuthService.list();
+        accounts.forEach((staff, index) => {
+            console.log(`${index + 1}. ${staff.name} (${staff.username}) - ${AuthService.roleLabel(staff.role)}` +
+                (staff.status === 'active' ? '' : ` [${AuthService.STATUSES[staff.status]}]`));
+        });
+
+        const action = await BookManager.getInput('\nAksi (add/edit/password/remove/back): ');
+
+        try {
+            switch (action.toLowerCase()) {
+                case 'add':
+                    await this.addStaff();
+                    break;
+                case 'edit':
+                    await this.editStaff(accounts);
+                    break;
+                case 'password':
+                    await this.resetPassword(accounts);
+                    break;
+                case 'remove':
+                    await this.removeStaff(accounts);
+                    break;
+            }
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
         }
-        
-        member.fines -= amount;
-        
-        // Catat pembayaran
-        const payment = {
-            id: Utils.generateId(),
-            memberId: member.id,
-            memberName: member.name,
-            amount: amount,
-            date: new Date().toISOString(),
-            type: 'fine_payment'
-        };
-        
-        if (!database.payments) database.payments = [];
-        database.payments.push(payment);
-        
-        if (CONFIG.AUTO_SAVE) DataManager.saveData();
-        
-        console.log(`✅ Pembayaran sebesar ${Utils.formatCurrency(amount)} berhasil dicatat`);
-        console.log(`💰 Sisa denda: ${Utils.formatCurrency(member.fines)}`);
     }
-    
-    static async showFineDetail(membersWithFines) {
-        const memberIndex = parseInt(await BookManager.getInput('Pilih nomor anggota: ')) - 1;
-        
-        if (memberIndex < 0 || memberIndex >= membersWithFines.length) {
+
+    static printRoles() {
+        console.log('Peran:');
+        Object.entries(AuthService.ROLES).forEach(([key, role]) => {
+            console.log(`  ${key} (${role.label}): ${role.permissions.length} hak akses`);
+        });
+    }
+
+    static async addStaff() {
+        const username = await BookManager.getInput('Username: ');
+        const name = await BookManager.getInput('Nama lengkap: ');
+        this.printRoles();
+        const role = await BookManager.getInput('Peran (admin/librarian/circulation): ');
+        const password = await this.askNewPassword();
+        if (password === null) return;
+
+        const staff = AuthService.create({ username, name, role, password });
+        console.log(`✅ Akun ${staff.username} (${AuthService.roleLabel(staff.role)}) berhasil dibuat`);
+    }
+
+    static async pickStaff(accounts) {
+        const index = parseInt(await BookManager.getInput('Pilih nomor akun: ')) - 1;
+        if (!accounts[index]) {
             console.log('❌ Pilihan tidak valid');
-            return;
+            return null;
         }
-        
-        const member = membersWithFines[memberIndex];
-        const overdueTransactions = database.transactions.filter(t => 
-            t.memberId === member.id && t.status === 'borrowed' && new Date(t.dueDate) < new Date()
-        );
-        
-        console.log(`\n📋 Detail Denda - ${member.name}`);
-        console.log('='.repeat(60));
-        
-        overdueTransactions.forEach((transaction, index) => {
-            const daysLate = Utils.calculateDaysDiff(new Date(transaction.dueDate), new Date());
-            const fine = daysLate * CONFIG.FINE_PER_DAY;
-            
-            console.log(`${index + 1}. "${transaction.bookTitle}"`);
-            console.log(`   Terlambat: ${daysLate} hari`);
-            console.log(`   Denda: ${Utils.formatCurrency(fine)}`);
-            console.log('-'.repeat(30));
-        });
+        return accounts[index];
+    }
+
+    static async editStaff(accounts) {
+        const staff = await this.pickStaff(accounts);
+        if (!staff) return;
+
+        console.log('(Kosongkan jika tidak ingin mengubah)');
+        const name = await BookManager.getInput(`Nama [${staff.name}]: `);
+        this.printRoles();
+        const role = await BookManager.getInput(`Peran [${staff.role}]: `);
+        const status = await BookManager.getInput(`Status active/disabled [${staff.status}]: `);
+
+        AuthService.update(staff.id, { name, role, status });
+        console.log(`✅ Akun ${staff.username} berhasil diperbarui`);
+    }
+
+    static async resetPassword(accounts) {
+        const staff = await this.pickStaff(accounts);
+        if (!staff) return;
+
+        const password = await this.askNewPassword();
+        if (password === null) return;
+
+        AuthService.setPassword(staff.id, password);
+        console.log(`✅ Password ${staff.username} berhasil diganti`);
+    }
+
+    static async removeStaff(accounts) {
+        const staff = await this.pickStaff(accounts);
+        if (!staff) return;
+
+        const confirm = await BookManager.getInput(`Hapus akun ${staff.username}? (y/N): `);
+        if (confirm.toLowerCase() !== 'y') return;
+
+        AuthService.remove(staff.id);
+        console.log(`✅ Akun ${staff.username} berhasil dihapus`);
     }
 }
 
 // Enhanced Book Management dengan fitur tambahan
 class EnhancedBookManager extends BookManager {
     static async importBooks() {
-        console.log('\n📥 IMPORT BUKU DARI CSV');
+        console.log('\n📥 IMPORT BUKU (CSV/MARC)');
+        console.log('CSV dengan kolom: title, author, isbn, category, publisher, year, pages, copies, description, location, price');
+        console.log('atau record MARC21 (.mrc) dan MARCXML (.xml)');
         
-        const filename = await this.getInput('Nama file CSV: ');
+        const filename = await this.getInput('Nama file: ');
+        
+        if (!fs.existsSync(filename)) {
+            console.log('❌ File tidak ditemukan');
+            return;
+        }
         
         try {
-            if (!fs.existsSync(filename)) {
-                console.log('❌ File tidak ditemukan');
-                return;
-            }
+            const content = fs.readFileSync(filename);
+            const format = ImportService.detectFormat(filename, content);
+            const { records, warnings, unit } = ImportService.read(content, { format });
+            console.log(`Format: ${ImportService.FORMATS[format]}`);
+            let plan = ImportService.plan(records, { warnings, unit });
             
-            const csvData = fs.readFileSync(filename, 'utf8');
-            const lines = csvData.split('\n').filter(line => line.trim());
+            console.log('\n🔍 PRATINJAU IMPORT');
+            ImportService.report(plan).forEach(line => console.log(line));
             
-            if (lines.length < 2) {
-                console.log('❌ File CSV tidak valid');
-                return;
+            // Kategori yang belum ada bisa langsung dibuat, lalu file diperiksa ulang
+            if (plan.unknownCategories.length > 0) {
+                const add = await this.getInput(`\nBuat kategori baru: ${plan.unknownCategories.join(', ')}? (y/N): `);
+                if (add.toLowerCase() === 'y') {
+                    plan = ImportService.plan(records, { warnings, unit, addCategories: true });
+                    console.log('\n🔍 PRATINJAU IMPORT');
+                    ImportService.report(plan).forEach(line => console.log(line));
+                }
             }
             
-            const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
-            let importedCount = 0;
-            
-            for (let i = 1; i < lines.length; i++) {
-                const values = lines[i].split(',').map(v => v.trim());
-                
-                if (values.length !== headers.length) continue;
-                
-                const bookData = {
-                    id: Utils.generateId(),
-                    title: values[headers.indexOf('title')] || 'Unknown',
-                    author: values[headers.indexOf('author')] || 'Unknown',
-                    isbn: values[headers.indexOf('isbn')] || '',
-                    category: values[headers.indexOf('category')] || 'Lainnya',
-                    publisher: values[headers.indexOf('publisher')] || '',
-                    year: parseInt(values[headers.indexOf('year')]) || new Date().getFullYear(),
-                    pages: parseInt(values[headers.indexOf('pages')]) || 0,
-                    copies: parseInt(values[headers.indexOf('copies')]) || 1,
-                    available: true,
-                    availableCopies: parseInt(values[headers.indexOf('copies')]) || 1,
-                    addedDate: new Date().toISOString(),
-                    description: values[headers.indexOf('description')] || '',
-                    location: values[headers.indexOf('location')] || ''
-                };
-                
-                database.books.push(bookData);
-                importedCount++;
+            if (!plan.valid) {
+                console.log(`\n❌ Perbaiki ${unit.toLowerCase()} yang bermasalah lalu import ulang. Tidak ada data yang diubah.`);
+                return;
             }
             
-            DataManager.updateStats();
-            if (CONFIG.AUTO_SAVE) DataManager.saveData();
+            const confirm = await this.getInput('\nLanjutkan import? (y/N): ');
+            if (confirm.toLowerCase() !== 'y') {
+                console.log('Import dibatalkan');
+                return;
+            }
             
-            console.log(`✅ Berhasil mengimpor ${importedCount} buku`);
+            const result = ImportService.apply(plan);
+            console.log(`✅ ${result.created.length} buku baru ditambahkan, ${result.merged.length} digabung ke buku yang sudah ada`);
             
         } catch (error) {
             console.log('❌ Gagal mengimpor buku:', error.message);
         }
     }
     
-    static async exportBooks() {
-        console.log('\n📤 EXPORT BUKU KE CSV');
+    static async exportData() {
+        console.log('\n📤 EXPORT DATA');
+        
+        const datasets = Object.entries(ExportService.DATASETS);
+        datasets.forEach(([, definition], index) => console.log(`${index + 1}. ${definition.label}`));
+        const choice = datasets[parseInt(await this.getInput('Pilih data: ')) - 1];
         
-        if (database.books.length === 0) {
-            console.log('❌ Tidak ada buku untuk diekspor');
+        if (!choice) {
+            console.log('❌ Pilihan tidak valid');
             return;
         }
         
-        const filename = await this.getInput('Nama file output (tanpa .csv): ') + '.csv';
+        const [dataset, definition] = choice;
         
         try {
-            const headers = ['id', 'title', 'author', 'isbn', 'category', 'publisher', 'year', 'pages', 'copies', 'available_copies', 'location', 'description'];
-            let csvContent = headers.join(',') + '\n';
+            const formats = Object.keys(ExportService.FORMATS).filter(key => key !== 'marcxml' || dataset === 'books');
+            const format = ExportService.parseFormat(await this.getInput(`Format (${formats.join('/')}, Enter untuk csv): `) || 'csv');
             
-            database.books.forEach(book => {
-                const row = [
-                    book.id,
-                    `"${book.title}"`,
-                    `"${book.author}"`,
-                    book.isbn || '',
-                    book.category,
-                    `"${book.publisher}"`,
-                    book.year,
-                    book.pages,
-                    book.copies,
-                    book.availableCopies,
-                    `"${book.location || ''}"`,
-                    `"${book.description || ''}"`
-                ];
-                csvContent += row.join(',') + '\n';
-            });
+            let columns;
+            if (format !== 'marcxml') {
+                console.log(`Kolom tersedia: ${Object.keys(definition.columns).join(', ')}`);
+                columns = await this.getInput('Kolom (pisahkan dengan koma, Enter untuk bawaan): ');
+            }
+            
+            // Filter yang sama dengan Riwayat Transaksi
+            const status = definition.filtered
+                ? await this.getInput(`Filter (${TransactionService.FILTERS.join('/')}): `)
+                : undefined;
+            
+            const result = ExportService.render(dataset, { format, columns, status });
+            if (result.rows.length === 0) {
+                console.log(`❌ Tidak ada data ${definition.label.toLowerCase()} untuk diekspor`);
+                return;
+            }
             
-            fs.writeFileSync(filename, csvContent);
-            console.log(`✅ Data buku berhasil diekspor ke ${filename}`);
+            const extension = ExportService.EXTENSIONS[format];
+            const filename = await this.getInput(`Nama file output (tanpa .${extension}): `) + `.${extension}`;
+            fs.writeFileSync(filename, result.content);
+            console.log(`✅ ${result.rows.length} baris ${definition.label.toLowerCase()} berhasil diekspor ke ${filename}`);
             
         } catch (error) {
-            console.log('❌ Gagal mengekspor buku:', error.message);
+            console.log('❌ Gagal mengekspor data:', error.message);
         }
     }
     
-    static async bookReservation() {
-        console.log('\n📝 RESERVASI BUKU');
-        
-        const memberId = await this.getInput('ID atau nama anggota: ');
-        const member = database.members.find(m => 
-            m.id === memberId.toUpperCase() || 
-            m.name.toLowerCase().includes(memberId.toLowerCase())
-        );
-        
-        if (!member) {
-            console.log('❌ Anggota tidak ditemukan');
-            return;
-        }
+    static async printLabels() {
+        console.log('\n🏷️ CETAK KARTU & LABEL');
+        console.log('1. Kartu anggota');
+        console.log('2. Label punggung buku');
+        const type = await this.getInput('Pilih: ');
         
-        const bookQuery = await this.getInput('Judul atau ID buku: ');
-        const book = database.books.find(b => 
-            b.title.toLowerCase().includes(bookQuery.toLowerCase()) || 
-            b.id === bookQuery.toUpperCase()
-        );
-        
-        if (!book) {
-            console.log('❌ Buku tidak ditemukan');
+        if (type !== '1' && type !== '2') {
+            console.log('❌ Pilihan tidak valid');
             return;
         }
+        if (type === '1' && !allowed('member.view')) return;
         
-        if (book.availableCopies > 0) {
-            console.log('📚 Buku tersedia, tidak perlu reservasi');
-            return;
+        try {
+            let records;
+            if (type === '1') {
+                const ids = await this.getInput('ID anggota (pisahkan dengan koma, Enter untuk semua anggota aktif): ');
+                records = LabelService.membersFor(ids ? ids.split(',') : []);
+            } else {
+                const bookId = await this.getInput('ID buku (Enter untuk seluruh koleksi): ');
+                records = LabelService.itemsFor(bookId ? [BookService.get(bookId.trim()).id] : []);
+            }
+            
+            const fallback = type === '1' ? 'card-10' : 'label-24';
+            Object.entries(LabelService.SHEETS).forEach(([key, sheet]) => console.log(`   ${key}: ${sheet.label}`));
+            const sheet = LabelService.parseSheet(await this.getInput(`Lembar label (Enter untuk ${fallback}): `), fallback);
+            const skip = await this.getInput('Lewati berapa label pertama (lembar bekas, Enter untuk 0): ');
+            
+            const pages = type === '1'
+                ? LabelService.memberCards(records, { sheet, skip })
+                : LabelService.spineLabels(records, { sheet, skip });
+            
+            const files = LabelService.pageFiles(await this.getInput('Nama file output (tanpa .svg): ') + '.svg', pages.length);
+            files.forEach((file, index) => fs.writeFileSync(file, pages[index]));
+            console.log(`✅ ${records.length} ${type === '1' ? 'kartu anggota' : 'label punggung'} ditulis ke ${files.join(', ')}`);
+            console.log('💡 Buka file SVG di browser lalu cetak dengan skala 100% (tanpa "fit to page")');
+            
+        } catch (error) {
+            console.log('❌ Gagal membuat label:', error.message);
         }
+    }
+    
+    static async bookReservation() {
+        console.log('\n📝 RESERVASI BUKU');
         
-        // Buat reservasi
-        if (!database.reservations) database.reservations = [];
-        
-        const reservation = {
-            id: Utils.generateId(),
-            memberId: member.id,
-            memberName: member.name,
-            bookId: book.id,
-            bookTitle: book.title,
-            reservationDate: new Date().toISOString(),
-            status: 'active'
-        };
+        const member = await this.chooseMember('ID atau nama anggota: ');
+        if (!member) return;
         
-        database.reservations.push(reservation);
+        const book = await this.chooseBook('Judul, ISBN atau ID buku: ');
+        if (!book) return;
         
-        if (CONFIG.AUTO_SAVE) DataManager.saveData();
+        let reservation;
+        try {
+            reservation = ReservationService.reserve({ memberId: member.id, bookId: book.id });
+        } catch (error) {
+            console.log(error.code === 'BOOK_AVAILABLE' ? `📚 ${error.message}` : `❌ ${error.message}`);
+            return;
+        }
         
         console.log(`✅ Reservasi berhasil dibuat untuk "${book.title}"`);
+        console.log(`🔢 Urutan antrean: ${ReservationService.position(reservation)}`);
         console.log(`🆔 ID Reservasi: ${reservation.id}`);
     }
     
     static async viewReservations() {
-        if (!database.reservations || database.reservations.length === 0) {
+        // Hold yang tidak diambil tepat waktu pindah ke antrean berikutnya
+        const expired = ReservationService.expireHolds();
+        expired.forEach(({ reservation, next }) => {
+            console.log(`⌛ Reservasi ${reservation.memberName} untuk "${reservation.bookTitle}" kedaluwarsa` +
+                (next ? `, buku disisihkan untuk ${next.memberName}` : ', buku kembali tersedia'));
+        });
+        
+        const openReservations = ReservationService.listOpen();
+        
+        if (openReservations.length === 0) {
             console.log('📭 Tidak ada reservasi aktif');
             return;
         }
@@ -1031,15 +1699,44 @@ class EnhancedBookManager extends BookManager {
         console.log('\n📝 DAFTAR RESERVASI');
         console.log('='.repeat(80));
         
-        const activeReservations = database.reservations.filter(r => r.status === 'active');
-        
-        activeReservations.forEach((reservation, index) => {
+        openReservations.forEach((reservation, index) => {
             console.log(`${index + 1}. "${reservation.bookTitle}"`);
             console.log(`   👤 ${reservation.memberName} (${reservation.memberId})`);
             console.log(`   📅 ${Utils.formatDate(new Date(reservation.reservationDate))}`);
+            if (reservation.status === 'ready') {
+                console.log(`   📦 Siap diambil sampai ${Utils.formatDate(new Date(reservation.holdExpires))}`);
+            } else {
+                console.log(`   🔢 Antrean ke-${ReservationService.position(reservation)}`);
+            }
             console.log(`   🆔 ${reservation.id}`);
             console.log('-'.repeat(40));
         });
+        
+        const action = await this.getInput('\nAksi (cancel/back): ');
+        if (action.toLowerCase() === 'cancel') {
+            await this.cancelReservation(openReservations);
+        }
+    }
+    
+    static async cancelReservation(openReservations) {
+        const choice = parseInt(await this.getInput('Pilih nomor reservasi: ')) - 1;
+        
+        if (choice < 0 || choice >= openReservations.length) {
+            console.log('❌ Pilihan tidak valid');
+            return;
+        }
+        
+        const reservation = openReservations[choice];
+        const confirm = await this.getInput(`⚠️ Batalkan reservasi ${reservation.memberName} untuk "${reservation.bookTitle}"? (y/N): `);
+        if (confirm.toLowerCase() !== 'y') return;
+        
+        try {
+            const { next } = ReservationService.cancel({ reservationId: reservation.id });
+            console.log('✅ Reservasi dibatalkan');
+            if (next) console.log(`📝 Buku disisihkan untuk ${next.memberName}, ambil sebelum ${Utils.formatDate(new Date(next.holdExpires))}`);
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
     }
 }
 
@@ -1052,6 +1749,7 @@ class AdvancedSearch extends SearchManager {
         
         console.log('Filter pencarian (kosongkan jika tidak ingin menggunakan):');
         
+        filters.keywords = await BookManager.getInput('Kata kunci (semua field, boleh AND/OR/NOT dan "frasa"): ');
         filters.title = await BookManager.getInput('Judul: ');
         filters.author = await BookManager.getInput('Penulis: ');
         filters.category = await BookManager.getInput('Kategori: ');
@@ -1059,17 +1757,28 @@ class AdvancedSearch extends SearchManager {
         filters.yearTo = parseInt(await BookManager.getInput('Tahun sampai: ')) || 9999;
         filters.availability = await BookManager.getInput('Status (available/borrowed/all): ');
         
-        let results = database.books.filter(book => {
-            if (filters.title && !Utils.searchText(book.title, filters.title)) return false;
-            if (filters.author && !Utils.searchText(book.author, filters.author)) return false;
-            if (filters.category && !Utils.searchText(book.category, filters.category)) return false;
-            if (book.year < filters.yearFrom || book.year > filters.yearTo) return false;
-            
-            if (filters.availability === 'available' && !book.available) return false;
-            if (filters.availability === 'borrowed' && book.available) return false;
-            
-            return true;
-        });
+        // Filter diterjemahkan menjadi satu kueri untuk indeks pencarian
+        const fieldWords = (field, text) => Utils.normalizeText(text).split(' ').filter(Boolean).map(word => `${field}:${word}`);
+        const query = [
+            filters.keywords ? `(${filters.keywords})` : '',
+            ...fieldWords('title', filters.title),
+            ...fieldWords('author', filters.author),
+            ...fieldWords('category', filters.category),
+            filters.yearFrom ? `year>=${filters.yearFrom}` : '',
+            filters.yearTo !== 9999 ? `year<=${filters.yearTo}` : ''
+        ].filter(Boolean).join(' ');
+        
+        let results;
+        try {
+            results = BookService.search(query).filter(book => {
+                if (filters.availability === 'available' && !book.available) return false;
+                if (filters.availability === 'borrowed' && book.available) return false;
+                return true;
+            });
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return;
+        }
         
         if (results.length === 0) {
             console.log('❌ Tidak ada buku yang sesuai dengan kriteria');
@@ -1093,13 +1802,7 @@ class AdvancedSearch extends SearchManager {
 class NotificationSystem {
     static checkUpcomingDueDates() {
         const today = new Date();
-        const threeDaysFromNow = new Date(today.getTime() + 3 * 24 * 60 * 60 * 1000);
-        
-        const upcomingDue = database.transactions.filter(t => 
-            t.status === 'borrowed' && 
-            new Date(t.dueDate) >= today && 
-            new Date(t.dueDate) <= threeDaysFromNow
-        );
+        const upcomingDue = ReportService.getUpcomingDue(today, 3);
         
         if (upcomingDue.length > 0) {
             console.log('\n🔔 PERINGATAN JATUH TEMPO');
@@ -1109,7 +1812,7 @@ class NotificationSystem {
                 const daysLeft = Utils.calculateDaysDiff(today, new Date(transaction.dueDate));
                 console.log(`⚠️ "${transaction.bookTitle}"`);
                 console.log(`   Peminjam: ${transaction.memberName}`);
-                console.log(`   Jatuh tempo: ${daysLeft} hari lagi`);
+                console.log(`   Jatuh tempo: ${daysLeft === 0 ? 'hari ini' : `${daysLeft} hari lagi`}`);
                 console.log('-'.repeat(30));
             });
         }
@@ -1118,16 +1821,13 @@ class NotificationSystem {
     }
     
     static showOverdueNotifications() {
-        const overdueBooks = DataManager.getOverdueBooks();
+        const overdueBooks = ReportService.getOverdueReport();
         
         if (overdueBooks.length > 0) {
             console.log('\n🚨 BUKU TERLAMBAT');
             console.log('='.repeat(60));
             
-            overdueBooks.forEach(transaction => {
-                const daysLate = Utils.calculateDaysDiff(new Date(transaction.dueDate), new Date());
-                const fine = daysLate * CONFIG.FINE_PER_DAY;
-                
+            overdueBooks.forEach(({ transaction, daysLate, potentialFine: fine }) => {
                 console.log(`🚨 "${transaction.bookTitle}"`);
                 console.log(`   Peminjam: ${transaction.memberName}`);
                 console.log(`   Terlambat: ${daysLate} hari`);
@@ -1138,43 +1838,141 @@ class NotificationSystem {
         
         return overdueBooks.length;
     }
+
+    // Kirim pemberitahuan email yang tertunda ke anggota (sama seperti `notice run`)
+    static async sendReminders() {
+        console.log('\n✉️ KIRIM PENGINGAT EMAIL');
+        console.log('='.repeat(60));
+
+        let preview;
+        try {
+            preview = await NotificationService.run({ dryRun: true });
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return;
+        }
+
+        preview.preview.forEach(n => console.log(`✉️ ${Notices.TYPES[n.type]}: "${n.bookTitle}" → ${n.memberName} <${n.to}>`));
+        preview.skipped.forEach(n =>
+            console.log(`⚠️ ${Notices.TYPES[n.type]}: "${n.bookTitle}" → ${n.memberName} tidak punya email${n.phone ? ` (📱 ${n.phone})` : ''}`));
+
+        if (preview.preview.length === 0) {
+            console.log(preview.skipped.length === 0 ? '✅ Tidak ada pemberitahuan yang perlu dikirim' : '\nTidak ada email yang bisa dikirim');
+            return;
+        }
+        if (!CONFIG.SMTP_HOST) {
+            console.log('\n❌ Server SMTP belum diatur (Pengaturan > Pemberitahuan email)');
+            return;
+        }
+
+        const confirm = await BookManager.getInput(`\nKirim ${preview.preview.length} email? (y/n): `);
+        if (confirm.toLowerCase() !== 'y') return;
+
+        try {
+            const result = await NotificationService.run();
+            result.sent.forEach(n => console.log(`✅ Terkirim ke ${n.memberName} <${n.to}>`));
+            result.failed.forEach(n => console.log(`❌ Gagal ke ${n.memberName} <${n.to}>: ${n.error}`));
+            console.log(`\n${result.sent.length} terkirim, ${result.failed.length} gagal`);
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
 }
 
 // Main Menu yang sudah diperbaiki
+// Isi menu utama. Menu yang tidak diizinkan untuk peran petugas yang login
+// tidak ditampilkan, dan tetap ditolak jika nomornya diketik langsung.
+const MENU_ITEMS = {
+    '1': { label: 'Tambah Buku Baru', permission: 'book.edit', run: () => BookManager.addBook() },
+    '2': { label: 'Edit Buku', permission: 'book.edit', run: () => BookManager.editBook() },
+    '3': { label: 'Hapus Buku', permission: 'book.delete', run: () => BookManager.deleteBook() },
+    '4': { label: 'Lihat Semua Buku', permission: 'book.view', run: () => SearchManager.searchBooks() },
+    '5': { label: 'Tambah Anggota', permission: 'member.edit', run: () => MemberManager.addMember() },
+    '6': { label: 'Lihat Anggota', permission: 'member.view', run: () => MemberManager.viewMembers() },
+    '7': { label: 'Pinjam Buku', permission: 'loan', run: () => TransactionManager.borrowBook() },
+    '8': { label: 'Kembalikan Buku', permission: 'loan', run: () => TransactionManager.returnBook() },
+    '9': { label: 'Cari Buku', permission: 'book.view', run: () => SearchManager.searchBooks() },
+    '10': { label: 'Laporan', permission: 'report.view', run: () => SearchManager.generateReports() },
+    '11': { label: 'Import Buku (CSV/MARC)', permission: 'book.edit', run: () => EnhancedBookManager.importBooks() },
+    '12': { label: 'Export Data ke File', permission: 'report.view', run: () => EnhancedBookManager.exportData() },
+    '13': { label: 'Reservasi Buku', permission: 'loan', run: () => EnhancedBookManager.bookReservation() },
+    '14': { label: 'Lihat Reservasi', permission: 'loan', run: () => EnhancedBookManager.viewReservations() },
+    '15': { label: 'Edit Anggota', permission: 'member.edit', run: () => MemberManager.editMember() },
+    '16': { label: 'Hapus Anggota', permission: 'member.delete', run: () => MemberManager.deleteMember() },
+    '17': { label: 'Perpanjang Peminjaman', permission: 'loan', run: () => TransactionManager.extendLoan() },
+    '18': { label: 'Riwayat Transaksi', permission: 'loan', run: () => TransactionManager.viewTransactions() },
+    '19': { label: 'Pencarian Lanjutan', permission: 'book.view', run: () => AdvancedSearch.advancedSearch() },
+    '20': { label: 'Laporan Keuangan', permission: 'report.view', run: () => generateFinancialReport() },
+    '21': { label: 'Kelola Denda', permission: 'fine.view', run: () => FineManager.viewFines() },
+    '22': { label: 'Riwayat Pembayaran', permission: 'fine.view', run: () => viewPaymentHistory() },
+    '23': { label: 'Cek Jatuh Tempo', permission: 'loan', run: () => NotificationSystem.checkUpcomingDueDates() },
+    '24': { label: 'Buku Terlambat', permission: 'loan', run: () => NotificationSystem.showOverdueNotifications() },
+    '25': { label: 'Pengaturan', permission: 'settings.view', run: () => SettingsManager.showSettings() },
+    '26': { label: 'Backup & Restore', permission: 'backup', run: () => backupAndRestore() },
+    '27': { label: 'Tentang Sistem', run: () => showAbout() },
+    '28': { label: 'Akun Petugas', run: () => StaffManager.showAccount() },
+    '29': { label: 'Log Audit', permission: 'audit.view', run: () => viewAuditLog() },
+    '30': { label: 'Sirkulasi Cepat (Scanner)', permission: 'loan', run: () => TransactionManager.quickCirculation() },
+    '31': { label: 'Cetak Kartu & Label', permission: 'book.view', run: () => EnhancedBookManager.printLabels() },
+    '32': { label: 'Buku Hilang/Rusak', permission: 'loan', run: () => TransactionManager.lostOrDamaged() },
+    '33': { label: 'Kirim Pengingat Email', permission: 'loan', run: () => NotificationSystem.sendReminders() },
+    '0': { label: 'Keluar' }
+};
+
+const MENU_SECTIONS = [
+    ['📖 MANAJEMEN BUKU:', [['1', '11'], ['2', '12'], ['3', '13'], ['4', '14']]],
+    ['👥 MANAJEMEN ANGGOTA:', [['5', '15'], ['6', '16']]],
+    ['📋 TRANSAKSI:', [['7', '17'], ['8', '18'], ['30'], ['31', '32']]],
+    ['🔍 PENCARIAN & LAPORAN:', [['9', '19'], ['10', '20']]],
+    ['💰 MANAJEMEN DENDA:', [['21', '22']]],
+    ['🔔 NOTIFIKASI:', [['23', '24'], ['33']]],
+    ['⚙️ SISTEM:', [['25', '27'], ['26', '28'], ['29', '0']]]
+];
+
+// Izinkan aksi untuk petugas yang login, atau tampilkan alasan penolakannya
+function allowed(permission) {
+    if (!permission) return true;
+    try {
+        AuthService.assert(permission);
+        return true;
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+        return false;
+    }
+}
+
 function showMainMenu() {
     console.clear();
+    const width = 63;
+    const line = text => console.log(`║${text.padEnd(width)}║`);
+    const entry = key => {
+        const item = key && MENU_ITEMS[key];
+        return item && (!item.permission || AuthService.can(item.permission)) ? `${key}. ${item.label}` : '';
+    };
+
     console.log('╔═══════════════════════════════════════════════════════════════╗');
     console.log('║                    📚 SISTEM MANAJEMEN PERPUSTAKAAN 📚        ║');
     console.log('╠═══════════════════════════════════════════════════════════════╣');
-    console.log('║  📖 MANAJEMEN BUKU:                                           ║');
-    console.log('║    1. Tambah Buku Baru          11. Import Buku dari CSV      ║');
-    console.log('║    2. Edit Buku                 12. Export Buku ke CSV        ║');
-    console.log('║    3. Hapus Buku                13. Reservasi Buku            ║');
-    console.log('║    4. Lihat Semua Buku          14. Lihat Reservasi           ║');
-    console.log('║                                                               ║');
-    console.log('║  👥 MANAJEMEN ANGGOTA:                                        ║');
-    console.log('║    5. Tambah Anggota            15. Edit Anggota              ║');
-    console.log('║    6. Lihat Anggota             16. Hapus Anggota             ║');
-    console.log('║                                                               ║');
-    console.log('║  📋 TRANSAKSI:                                                ║');
-    console.log('║    7. Pinjam Buku               17. Perpanjang Peminjaman     ║');
-    console.log('║    8. Kembalikan Buku           18. Riwayat Transaksi         ║');
-    console.log('║                                                               ║');
-    console.log('║  🔍 PENCARIAN & LAPORAN:                                      ║');
-    console.log('║    9. Cari Buku                 19. Pencarian Lanjutan        ║');
-    console.log('║    10. Laporan                  20. Laporan Keuangan          ║');
-    console.log('║                                                               ║');
-    console.log('║  💰 MANAJEMEN DENDA:            ⚙️ SISTEM:                    ║');
-    console.log('║    21. Kelola Denda             25. Pengaturan                ║');
-    console.log('║    22. Riwayat Pembayaran       26. Backup & Restore          ║');
-    console.log('║                                 27. Tentang Sistem            ║');
-    console.log('║  🔔 NOTIFIKASI:                                               ║');
-    console.log('║    23. Cek Jatuh Tempo          0. Keluar                     ║');
-    console.log('║    24. Buku Terlambat                                         ║');
+
+    let first = true;
+    MENU_SECTIONS.forEach(([title, rows]) => {
+        const visible = rows
+            .map(([left, right]) => [entry(left), entry(right)])
+            .filter(([left, right]) => left || right);
+        if (visible.length === 0) return;
+
+        if (!first) line('');
+        first = false;
+        line(`  ${title}`);
+        visible.forEach(([left, right]) => line(`    ${left.padEnd(29)}${right}`));
+    });
     console.log('╚═══════════════════════════════════════════════════════════════╝');
     
     // Tampilkan statistik singkat
     console.log(`\n📊 Status: ${database.stats.totalBooks} Buku | ${database.stats.totalMembers} Anggota | ${database.stats.booksOnLoan} Dipinjam | ${database.stats.overdueBooks} Terlambat`);
+    if (AuthService.current) {
+        console.log(`👤 Login: ${AuthService.current.name} (${AuthService.roleLabel(AuthService.current.role)})`);
+    }
     
     // Notifikasi otomatis
     const upcomingDue = NotificationSystem.checkUpcomingDueDates();
@@ -1188,43 +1986,20 @@ function showMainMenu() {
 // [Fungsi-fungsi lain dan main loop tetap sama]
 
 async function handleMenuChoice(choice) {
-    switch (choice) {
-        case '1': await BookManager.addBook(); break;
-        case '2': await BookManager.editBook(); break;
-        case '3': await BookManager.deleteBook(); break;
-        case '4': await SearchManager.searchBooks(); break;
-        case '5': await MemberManager.addMember(); break;
-        case '6': await MemberManager.viewMembers(); break;
-        case '7': await TransactionManager.borrowBook(); break;
-        case '8': await TransactionManager.returnBook(); break;
-        case '9': await SearchManager.searchBooks(); break;
-        case '10': await SearchManager.generateReports(); break;
-        case '11': await EnhancedBookManager.importBooks(); break;
-        case '12': await EnhancedBookManager.exportBooks(); break;
-        case '13': await EnhancedBookManager.bookReservation(); break;
-        case '14': await EnhancedBookManager.viewReservations(); break;
-        case '15': await MemberManager.editMember(); break;
-        case '16': await MemberManager.deleteMember(); break;
-        case '17': await TransactionManager.extendLoan(); break;
-        case '18': await TransactionManager.viewTransactions(); break;
-        case '19': await AdvancedSearch.advancedSearch(); break;
-        case '20': await generateFinancialReport(); break;
-        case '21': await FineManager.viewFines(); break;
-        case '22': await viewPaymentHistory(); break;
-        case '23': NotificationSystem.checkUpcomingDueDates(); break;
-        case '24': NotificationSystem.showOverdueNotifications(); break;
-        case '25': await SettingsManager.showSettings(); break;
-        case '26': await backupAndRestore(); break;
-        case '27': showAbout(); break;
-        case '0': 
-            console.log('\n👋 Terima kasih telah menggunakan Sistem Manajemen Perpustakaan!');
-            if (CONFIG.AUTO_SAVE) DataManager.saveData();
-            rl.close();
-            process.exit(0);
-            break;
-        default:
-            console.log('❌ Pilihan tidak valid');
+    if (choice === '0') {
+        console.log('\n👋 Terima kasih telah menggunakan Sistem Manajemen Perpustakaan!');
+        if (CONFIG.AUTO_SAVE) DataManager.saveData();
+        closeReadline();
+        process.exit(0);
+    }
+
+    const item = MENU_ITEMS[choice];
+    if (!item) {
+        console.log('❌ Pilihan tidak valid');
+        return;
     }
+
+    if (allowed(item.permission)) await item.run();
 }
 
 // Fungsi tambahan yang hilang
@@ -1232,30 +2007,16 @@ async function generateFinancialReport() {
     console.log('\n💰 LAPORAN KEUANGAN');
     console.log('='.repeat(60));
     
-    const totalFines = database.members.reduce((sum, member) => sum + member.fines, 0);
-    const totalPayments = database.payments ? 
-        database.payments.reduce((sum, payment) => sum + payment.amount, 0) : 0;
+    const { totalFines, totalPayments, totalRefunds, netIncome, monthlyPayments } = ReportService.getFinancialReport();
     
     console.log(`💰 Total Denda Tertunggak: ${Utils.formatCurrency(totalFines)}`);
     console.log(`💳 Total Pembayaran Diterima: ${Utils.formatCurrency(totalPayments)}`);
-    console.log(`📊 Pendapatan Bersih: ${Utils.formatCurrency(totalPayments)}`);
+    if (totalRefunds > 0) console.log(`↩️ Dikembalikan (buku ditemukan): ${Utils.formatCurrency(totalRefunds)}`);
+    console.log(`📊 Pendapatan Bersih: ${Utils.formatCurrency(netIncome)}`);
     
     // Grafik sederhana pembayaran per bulan (6 bulan terakhir)
-    if (database.payments && database.payments.length > 0) {
+    if (Object.keys(monthlyPayments).length > 0) {
         console.log('\n📈 Pembayaran 6 Bulan Terakhir:');
-        const monthlyPayments = {};
-        const sixMonthsAgo = new Date();
-        sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-        
-        database.payments
-            .filter(p => new Date(p.date) >= sixMonthsAgo)
-            .forEach(payment => {
-                const month = new Date(payment.date).toLocaleDateString('id-ID', { 
-                    year: 'numeric', 
-                    month: 'short' 
-                });
-                monthlyPayments[month] = (monthlyPayments[month] || 0) + payment.amount;
-            });
         
         Object.entries(monthlyPayments).forEach(([month, amount]) => {
             const bars = '█'.repeat(Math.ceil(amount / 10000));
@@ -1265,7 +2026,9 @@ async function generateFinancialReport() {
 }
 
 async function viewPaymentHistory() {
-    if (!database.payments || database.payments.length === 0) {
+    const payments = FineService.listPayments();
+    
+    if (payments.length === 0) {
         console.log('📭 Belum ada riwayat pembayaran');
         return;
     }
@@ -1273,14 +2036,53 @@ async function viewPaymentHistory() {
     console.log('\n💳 RIWAYAT PEMBAYARAN');
     console.log('='.repeat(80));
     
-    database.payments
-        .sort((a, b) => new Date(b.date) - new Date(a.date))
-        .forEach((payment, index) => {
-            console.log(`${index + 1}. ${payment.memberName} - ${Utils.formatCurrency(payment.amount)}`);
-            console.log(`   📅 ${Utils.formatDate(new Date(payment.date))}`);
-            console.log(`   🆔 ${payment.id}`);
-            console.log('-'.repeat(40));
-        });
+    payments.forEach((payment, index) => {
+        console.log(`${index + 1}. ${payment.memberName} - ${Utils.formatCurrency(payment.amount)}`);
+        console.log(`   📅 ${Utils.formatDate(new Date(payment.date))}`);
+        console.log(`   🧾 ${payment.receiptNumber || '-'} | 🆔 ${payment.id}`);
+        console.log('-'.repeat(40));
+    });
+
+    const choice = await BookManager.getInput('Nomor untuk cetak ulang kuitansi (Enter untuk kembali): ');
+    if (!choice.trim()) return;
+
+    const payment = payments[parseInt(choice) - 1];
+    if (!payment) {
+        console.log('❌ Pilihan tidak valid');
+        return;
+    }
+    console.log(`\n${FineService.receipt(payment.id)}`);
+}
+
+const AUDIT_PAGE_SIZE = 50;
+
+// Jejak perubahan data untuk menyelesaikan sengketa denda atau buku hilang
+async function viewAuditLog() {
+    console.log('\n🕵️ LOG AUDIT');
+    console.log('(Kosongkan jika tidak ingin menyaring)');
+
+    const filters = {
+        entity: await BookManager.getInput(`Jenis data (${Object.keys(AuditService.ENTITY_LABELS).join(', ')}): `),
+        id: await BookManager.getInput('ID data: '),
+        actor: await BookManager.getInput('Username petugas: '),
+        from: await BookManager.getInput('Dari tanggal (YYYY-MM-DD): '),
+        to: await BookManager.getInput('Sampai tanggal (YYYY-MM-DD): '),
+        limit: AUDIT_PAGE_SIZE
+    };
+
+    try {
+        const entries = AuditService.list(filters);
+        if (entries.length === 0) {
+            console.log('📭 Tidak ada catatan audit yang cocok');
+            return;
+        }
+
+        console.log(`\n${entries.length} catatan terbaru (maks. ${AUDIT_PAGE_SIZE}):`);
+        console.log('='.repeat(80));
+        entries.forEach(entry => AuditService.format(entry).forEach(line => console.log(line)));
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+    }
 }
 
 async function backupAndRestore() {
@@ -1294,7 +2096,7 @@ async function backupAndRestore() {
     
     switch (choice) {
         case '1':
-            DataManager.saveData();
+            DataManager.createBackup();
             break;
         case '2':
             await SettingsManager.restoreData();
@@ -1303,28 +2105,13 @@ async function backupAndRestore() {
             await listBackups();
             break;
         case '4':
-            await cleanOldBackups();
+            if (allowed('restore')) await cleanOldBackups();
             break;
     }
 }
 
 async function listBackups() {
-    if (!fs.existsSync(CONFIG.BACKUP_DIR)) {
-        console.log('❌ Direktori backup tidak ditemukan');
-        return;
-    }
-    
-    const backupFiles = fs.readdirSync(CONFIG.BACKUP_DIR)
-        .filter(f => f.endsWith('.json'))
-        .map(f => {
-            const stats = fs.statSync(path.join(CONFIG.BACKUP_DIR, f));
-            return {
-                name: f,
-                size: stats.size,
-                date: stats.mtime
-            };
-        })
-        .sort((a, b) => b.date - a.date);
+    const backupFiles = DataManager.listBackups();
     
     if (backupFiles.length === 0) {
         console.log('❌ Tidak ada file backup');
@@ -1344,23 +2131,7 @@ async function listBackups() {
 
 async function cleanOldBackups() {
     const keepDays = parseInt(await BookManager.getInput('Hapus backup lebih dari berapa hari? ')) || 30;
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - keepDays);
-    
-    if (!fs.existsSync(CONFIG.BACKUP_DIR)) return;
-    
-    const backupFiles = fs.readdirSync(CONFIG.BACKUP_DIR).filter(f => f.endsWith('.json'));
-    let deletedCount = 0;
-    
-    backupFiles.forEach(file => {
-        const filePath = path.join(CONFIG.BACKUP_DIR, file);
-        const stats = fs.statSync(filePath);
-        
-        if (stats.mtime < cutoffDate) {
-            fs.unlinkSync(filePath);
-            deletedCount++;
-        }
-    });
+    const deletedCount = DataManager.cleanOldBackups(keepDays);
     
     console.log(`✅ ${deletedCount} file backup lama berhasil dihapus`);
 }
@@ -1382,26 +2153,127 @@ function showAbout() {
     console.log('   • Backup & Restore');
     console.log('   • Sistem Notifikasi');
     console.log('\n🔧 Teknologi: Node.js, JavaScript');
-    console.log('📄 Format Data: JSON');
+    console.log('📄 Penyimpanan: ' + DataManager.getStorage().describe());
     console.log('💾 Auto-Save: ' + (CONFIG.AUTO_SAVE ? 'Aktif' : 'Nonaktif'));
 }
 
+// Tawarkan pemulihan saat file data rusak, alih-alih diam-diam memulai database kosong
+async function recoverCorruptData(error) {
+    console.log(`\n⚠️ ${error.message}`);
+
+    const plan = DataManager.getRecoveryPlan();
+    const options = [];
+
+    if (plan.backup && plan.journalEntries > 0) {
+        options.push(['journal', `Pulihkan dari backup terbaru (${plan.backup.name}) + ${plan.journalEntries} perubahan dari jurnal`]);
+    } else if (!plan.backup && plan.journalEntries > 0) {
+        options.push(['journal', `Susun ulang dari jurnal (${plan.journalEntries} perubahan)`]);
+    }
+    if (plan.backup) {
+        options.push(['backup', `Pulihkan dari backup terbaru saja (${plan.backup.name}, ${Utils.formatDate(plan.backup.date)})`]);
+    }
+    options.push(['empty', 'Mulai database baru (file rusak tetap disimpan)']);
+
+    if (plan.gap) console.log('ℹ️ Jurnal tidak bersambung dengan backup terbaru, sebagian perubahan tidak bisa dipulihkan');
+    if (plan.damaged) console.log('ℹ️ Bagian akhir jurnal rusak dan akan diabaikan');
+
+    console.log('\n🛠️ PEMULIHAN DATA');
+    options.forEach(([, label], index) => console.log(`${index + 1}. ${label}`));
+    console.log('0. Keluar tanpa mengubah apa pun');
+
+    const choice = parseInt(await BookManager.getInput('Pilihan: ')) - 1;
+    if (!options[choice]) return false;
+
+    const result = DataManager.recover(options[choice][0]);
+    if (result.quarantined) console.log(`ℹ️ File rusak disimpan sebagai ${result.quarantined}`);
+    if (result.replayed) console.log(`✅ ${result.replayed} perubahan diputar ulang dari jurnal`);
+    console.log('✅ Pemulihan selesai');
+    return true;
+}
 
 // Main function dengan error handling yang lebih baik
+const MAX_LOGIN_ATTEMPTS = 3;
+
+// Login sebelum menu ditampilkan. Jika belum ada akun sama sekali, akun
+// admin pertama dibuat dulu. Mengembalikan false jika login dibatalkan/gagal.
+async function login() {
+    if (!AuthService.hasAccounts()) {
+        console.log('\n🔐 Belum ada akun petugas. Buat akun admin pertama (Enter kosong untuk keluar).');
+
+        while (true) {
+            const username = await BookManager.getInput('Username: ');
+            if (!username) return false;
+            const name = await BookManager.getInput('Nama lengkap: ');
+            const password = await StaffManager.askNewPassword();
+            if (password === null) continue;
+
+            try {
+                const staff = AuthService.create({ username, name, role: 'admin', password });
+                AuthService.login(staff.username, password);
+                console.log(`✅ Akun admin ${staff.username} berhasil dibuat`);
+                return true;
+            } catch (error) {
+                console.log(`❌ ${error.message}`);
+            }
+        }
+    }
+
+    console.log('\n🔐 LOGIN PETUGAS');
+    for (let attempt = 1; attempt <= MAX_LOGIN_ATTEMPTS; attempt++) {
+        const username = await BookManager.getInput('Username: ');
+        if (!username) return false;
+        const password = await BookManager.getPassword('Password: ');
+
+        try {
+            const staff = AuthService.login(username, password);
+            console.log(`✅ Selamat datang, ${staff.name} (${AuthService.roleLabel(staff.role)})`);
+            return true;
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
+
+    console.log('❌ Terlalu banyak percobaan login');
+    return false;
+}
+
 async function main() {
     try {
         console.log('🚀 Memulai Sistem Manajemen Perpustakaan...');
+        DataManager.quiet = false;
+        AuditLog.source = 'menu';
         
         // Load data saat startup
-        if (!DataManager.loadData()) {
+        let loaded;
+        try {
+            loaded = DataManager.loadData();
+        } catch (error) {
+            if (error.code !== 'DATA_CORRUPT') throw error;
+            if (!await recoverCorruptData(error)) {
+                closeReadline();
+                process.exit(1);
+            }
+            loaded = true;
+        }
+
+        if (!loaded) {
             console.log('ℹ️ Membuat database baru...');
         }
+        Settings.warnings.forEach(warning => console.log(`⚠️ ${warning}`));
+
+        if (!await login()) {
+            closeReadline();
+            process.exit(1);
+        }
         
         while (true) {
             showMainMenu();
-            const choice = await BookManager.getInput('\n🎯 Pilih menu (0-27): ');
+            const choice = await BookManager.getInput('\n🎯 Pilih menu (0-33): ');
             
             console.clear();
+
+            // Ambil perubahan yang disimpan pustakawan lain selama menu terbuka
+            if (DataManager.refresh()) console.log('ℹ️ Data diperbarui dengan perubahan dari pengguna lain');
             await handleMenuChoice(choice);
             
             if (choice !== '0') {
@@ -1415,29 +2287,60 @@ async function main() {
     }
 }
 
-// Jalankan aplikasi
+// Jalankan aplikasi: dengan argumen -> mode perintah, tanpa argumen -> menu interaktif
 if (require.main === module) {
-    main().catch(error => {
-        console.error('❌ Terjadi kesalahan:', error.message);
-        process.exit(1);
-    });
+    const args = process.argv.slice(2);
+    
+    if (args.length > 0) {
+        CommandLine.run(args).then(code => {
+            process.exitCode = code;
+        });
+    } else {
+        main().catch(error => {
+            console.error('❌ Terjadi kesalahan:', error.message);
+            process.exit(1);
+        });
+    }
 }
 
-// Export untuk testing
+// Layanan (tanpa readline) untuk dipakai sebagai library,
+// ditambah kelas menu interaktif untuk kompatibilitas
 module.exports = {
+    ...errors,
     Utils,
     DataManager,
+    BookService,
+    MemberService,
+    TransactionService,
+    FineService,
+    ReservationService,
+    ItemService,
+    ImportService,
+    ExportService,
+    CirculationService,
+    LabelService,
+    LookupService,
+    AuthService,
+    AuditService,
+    ReportService,
+    SettingsService,
+    PolicyService,
+    NotificationService,
+    Settings,
     BookManager,
     MemberManager,
     TransactionManager,
     SearchManager,
     SettingsManager,
     FineManager,
+    StaffManager,
     EnhancedBookManager,
     AdvancedSearch,
     NotificationSystem,
+    CommandLine,
     CONFIG,
     database,
     showMainMenu,
-    handleMenuChoice
+    handleMenuChoice,
+    main
 };
\ No newline at end of file
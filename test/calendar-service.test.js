@@ -0,0 +1,59 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const CONFIG = require('../lib/config');
+const { database } = require('../lib/database');
+const CalendarService = require('../lib/services/calendar-service');
+const FineService = require('../lib/services/fine-service');
+
+// Senin 5 Oktober 2026, jatuh tempo di akhir hari
+const DUE = new Date(2026, 9, 5, 23, 59, 59, 999);
+
+function day(date, hours = 12) {
+    return new Date(2026, 9, date, hours);
+}
+
+beforeEach(() => {
+    Object.assign(CONFIG, {
+        OPEN_DAYS: 'senin,selasa,rabu,kamis,jumat',
+        FINE_PER_DAY: 1000,
+        GRACE_PERIOD_DAYS: 0,
+        MAX_FINE_PER_ITEM: 0
+    });
+    // Rabu 7 Oktober tutup
+    database.closures = [{ id: 'C1', from: '2026-10-07', to: '2026-10-07', reason: 'Libur' }];
+});
+
+test('jatuh tempo dimundurkan ke akhir hari buka berikutnya', () => {
+    // Jumat + 2 hari = Minggu, perpustakaan tutup: jatuh tempo Senin
+    assert.deepStrictEqual(CalendarService.dueDate(day(9), 2), new Date(2026, 9, 12, 23, 59, 59, 999));
+
+    database.closures.push({ id: 'C2', from: '2026-10-12', to: '2026-10-12', reason: 'Cuti bersama' });
+    assert.deepStrictEqual(CalendarService.dueDate(day(9), 2), new Date(2026, 9, 13, 23, 59, 59, 999));
+});
+
+test('denda hanya dihitung untuk hari buka', () => {
+    // Selasa, Kamis, Jumat dan Senin berikutnya; Rabu tutup, Sabtu dan Minggu tidak buka
+    assert.strictEqual(CalendarService.openDaysLate(DUE, day(12)), 4);
+    assert.deepStrictEqual(FineService.calculateOverdueFine(DUE, day(12)), { daysLate: 4, fine: 4000 });
+
+    // Terlambat beberapa jam di hari yang sama tidak dihitung
+    assert.deepStrictEqual(FineService.calculateOverdueFine(DUE, new Date(2026, 9, 6, 0, 30)), { daysLate: 1, fine: 1000 });
+    assert.deepStrictEqual(FineService.calculateOverdueFine(DUE, new Date(DUE.getTime() - 1000)), { daysLate: 0, fine: 0 });
+});
+
+test('masa tenggang dihitung dalam hari buka, dan lewat dari itu denda dihitung sejak jatuh tempo', () => {
+    CONFIG.GRACE_PERIOD_DAYS = 4;
+    assert.deepStrictEqual(FineService.calculateOverdueFine(DUE, day(12)), { daysLate: 4, fine: 0 });
+
+    CONFIG.GRACE_PERIOD_DAYS = 3;
+    assert.deepStrictEqual(FineService.calculateOverdueFine(DUE, day(12)), { daysLate: 4, fine: 4000 });
+});
+
+test('denda per pinjaman dibatasi MAX_FINE_PER_ITEM atau maxFine aturan peminjaman', () => {
+    CONFIG.MAX_FINE_PER_ITEM = 3000;
+    assert.deepStrictEqual(FineService.calculateOverdueFine(DUE, day(12)), { daysLate: 4, fine: 3000 });
+
+    assert.strictEqual(FineService.calculateOverdueFine(DUE, day(12), { finePerDay: 2000, maxFine: 5000 }).fine, 5000);
+    assert.strictEqual(FineService.calculateOverdueFine(DUE, day(12), { finePerDay: 2000, maxFine: null }).fine, 8000);
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Backup dari setiap penyimpanan ditulis ke direktori sementara
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'perpustakaan-charges-'));
+process.chdir(root);
+
+const Charges = require('../lib/charges');
+const JsonStorage = require('../lib/storage/json-storage');
+
+const file = path.join(root, 'library_data.json');
+
+function payment(data, id) {
+    return { id, receiptNumber: Charges.nextReceiptNumber(data, id), memberId: 'M1', amount: 1000, date: new Date().toISOString() };
+}
+
+before(() => {
+    const data = { books: [], members: [{ id: 'M1', name: 'Budi', fines: 0 }], transactions: [], payments: [] };
+    data.payments.push(payment(data, 'P1'));
+    new JsonStorage({ file }).save(data);
+});
+
+after(() => {
+    process.chdir(os.tmpdir());
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('dua proses yang mencatat pembayaran bersamaan tidak mendapat nomor kuitansi yang sama', () => {
+    const first = new JsonStorage({ file });
+    const second = new JsonStorage({ file });
+    const a = first.load();
+    const b = second.load();
+
+    a.payments.push(payment(a, 'P2'));
+    b.payments.push(payment(b, 'P3'));
+    assert.strictEqual(a.payments[1].receiptNumber, 'KW-000002');
+    assert.strictEqual(b.payments[1].receiptNumber, 'KW-000002');
+
+    first.save(a);
+    assert.throws(() => second.save(b), error => error.code === 'STALE_DATA');
+
+    // Setelah dimuat ulang, pembayaran yang diulang mendapat nomor berikutnya
+    const reloaded = second.load();
+    reloaded.payments.push(payment(reloaded, 'P3'));
+    second.save(reloaded);
+
+    const stored = new JsonStorage({ file }).load();
+    assert.deepStrictEqual(stored.payments.map(p => p.receiptNumber), ['KW-000001', 'KW-000002', 'KW-000003']);
+});
+
+test('perubahan lain tetap digabung dengan pembayaran dari proses lain', () => {
+    const first = new JsonStorage({ file });
+    const second = new JsonStorage({ file });
+    const a = first.load();
+    const b = second.load();
+
+    a.payments.push(payment(a, 'P4'));
+    b.members[0].phone = '0812';
+
+    first.save(a);
+    const merged = second.save(b);
+    assert.strictEqual(merged.members[0].phone, '0812');
+    assert.deepStrictEqual(merged.payments.map(p => p.receiptNumber).slice(-1), ['KW-000004']);
+});
+
+test('tagihan yang dibayar sebagian dan sisanya dihapuskan berstatus dihapuskan, bukan lunas', () => {
+    const member = { id: 'M1', name: 'Budi' };
+    const partly = Charges.buildCharge({ member, amount: 10000 });
+    partly.paid = 1000;
+    partly.waived = 9000;
+    assert.strictEqual(Charges.settle(partly).status, 'waived');
+
+    const paid = Charges.buildCharge({ member, amount: 10000 });
+    paid.paid = 10000;
+    assert.strictEqual(Charges.settle(paid).status, 'paid');
+
+    // Data dari versi sebelumnya diperbaiki saat dimuat
+    const legacy = { ...partly, status: 'paid' };
+    const data = { members: [{ ...member, fines: 0 }], charges: [legacy], payments: [] };
+    assert.strictEqual(Charges.upgradeCharges(data), true);
+    assert.strictEqual(legacy.status, 'waived');
+});
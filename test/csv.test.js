@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const Csv = require('../lib/csv');
+
+function values(text, options) {
+    return Csv.parse(text, options).map(row => row.values);
+}
+
+test('field berkutip boleh berisi pemisah, kutip ganda dan baris baru', () => {
+    const text = 'title,author,description\r\n' +
+        '"Bumi Manusia","Toer, Pramoedya Ananta","Buku ""pertama"" dari\r\nTetralogi Buru"\r\n' +
+        'Laskar Pelangi,Andrea Hirata,\r\n';
+
+    assert.deepStrictEqual(values(text), [
+        ['title', 'author', 'description'],
+        ['Bumi Manusia', 'Toer, Pramoedya Ananta', 'Buku "pertama" dari\r\nTetralogi Buru'],
+        ['Laskar Pelangi', 'Andrea Hirata', '']
+    ]);
+});
+
+test('nomor baris fisik tetap benar setelah field dengan baris baru', () => {
+    const rows = Csv.parse('title,description\n"A","baris 1\nbaris 2\nbaris 3"\nB,x\n\nC,y');
+    assert.deepStrictEqual(rows.map(row => row.line), [1, 2, 5, 7]);
+});
+
+test('BOM, akhir baris CR dan pemisah titik koma atau tab', () => {
+    assert.deepStrictEqual(values(`${Csv.BOM}judul;penulis\rSitti Nurbaya;Marah Rusli\r`), [
+        ['judul', 'penulis'],
+        ['Sitti Nurbaya', 'Marah Rusli']
+    ]);
+    assert.strictEqual(Csv.detectDelimiter('"a,b"\tc\td'), '\t');
+    assert.strictEqual(Csv.detectDelimiter('title'), ',');
+});
+
+test('kutip yang tidak ditutup ditolak beserta nomor barisnya', () => {
+    assert.throws(() => Csv.parse('title\nok\n"tidak ditutup\nlagi'), { code: 'CSV_UNTERMINATED_QUOTE', details: { line: 3 } });
+});
+
+test('stringify dan parse saling membalik', () => {
+    const rows = [
+        ['title', 'description', 'price'],
+        ['Koma, dan "kutip"', 'dua\nbaris', 75000],
+        [' spasi di tepi ', '', null]
+    ];
+    const text = Csv.stringify(rows);
+    assert.ok(text.endsWith('\r\n'));
+    assert.deepStrictEqual(values(text), [
+        ['title', 'description', 'price'],
+        ['Koma, dan "kutip"', 'dua\nbaris', '75000'],
+        [' spasi di tepi ', '', '']
+    ]);
+});
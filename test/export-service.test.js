@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// File data, backup dan log audit ditulis ke direktori sementara
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'perpustakaan-export-'));
+process.chdir(root);
+
+const DataManager = require('../lib/data-manager');
+const { database } = require('../lib/database');
+const BookService = require('../lib/services/book-service');
+const ExportService = require('../lib/services/export-service');
+const ImportService = require('../lib/services/import-service');
+
+before(() => {
+    DataManager.quiet = true;
+    DataManager.loadData();
+});
+
+after(() => {
+    process.chdir(os.tmpdir());
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('export buku dengan kolom bawaan bisa diimport ulang tanpa kehilangan harga', () => {
+    BookService.create({ title: 'Bumi Manusia', author: 'Pramoedya Ananta Toer', category: 'Fiksi', copies: 2, price: 125000 });
+    BookService.create({ title: 'Laskar Pelangi', author: 'Andrea Hirata', category: 'Fiksi' });
+
+    const { columns, content } = ExportService.render('books', { format: 'csv' });
+    assert.ok(columns.includes('price'));
+
+    database.books = [];
+    database.items = [];
+    ImportService.importData(content);
+
+    assert.deepStrictEqual(database.books.map(b => [b.title, b.copies, b.price]), [
+        ['Bumi Manusia', 2, 125000],
+        ['Laskar Pelangi', 1, null]
+    ]);
+});
@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// File data, backup dan log audit ditulis ke direktori sementara
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'perpustakaan-fines-'));
+process.chdir(root);
+
+const DataManager = require('../lib/data-manager');
+const { database } = require('../lib/database');
+const Charges = require('../lib/charges');
+const MemberService = require('../lib/services/member-service');
+const FineService = require('../lib/services/fine-service');
+
+function charge(member, amount, date) {
+    const created = Charges.buildCharge({ member, amount, now: new Date(date) });
+    database.charges.push(created);
+    Charges.syncMember(database, member);
+    return created;
+}
+
+before(() => {
+    DataManager.quiet = true;
+    DataManager.loadData();
+});
+
+after(() => {
+    process.chdir(os.tmpdir());
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('pembayaran sebagian melunasi tagihan terlama lebih dulu', () => {
+    const member = MemberService.create({ name: 'Budi' });
+    const older = charge(member, 5000, '2026-01-01');
+    const newer = charge(member, 3000, '2026-02-01');
+    assert.strictEqual(member.fines, 8000);
+
+    const { payment } = FineService.pay({ memberId: member.id, amount: 6000 });
+    assert.deepStrictEqual(payment.allocations.map(a => [a.chargeId, a.amount]), [[older.id, 5000], [newer.id, 1000]]);
+    assert.strictEqual(payment.remaining, 2000);
+    assert.match(payment.receiptNumber, /^KW-\d{6}$/);
+
+    assert.strictEqual(older.status, 'paid');
+    assert.strictEqual(newer.status, 'open');
+    assert.strictEqual(Charges.balanceOf(newer), 2000);
+    assert.strictEqual(member.fines, 2000);
+
+    // Tidak boleh lebih dari sisa tagihan
+    assert.throws(() => FineService.pay({ memberId: member.id, amount: 2500 }), { code: 'INVALID_PAYMENT_AMOUNT' });
+
+    const second = FineService.pay({ memberId: member.id, amount: 2000 }).payment;
+    assert.strictEqual(newer.status, 'paid');
+    assert.strictEqual(member.fines, 0);
+    assert.notStrictEqual(second.receiptNumber, payment.receiptNumber);
+});
+
+test('penghapusan denda sebagian wajib beralasan dan mengurangi sisa tagihan', () => {
+    const member = MemberService.create({ name: 'Siti' });
+    const fine = charge(member, 10000, '2026-03-01');
+
+    assert.throws(() => FineService.waive({ chargeId: fine.id, amount: 4000 }), { code: 'WAIVE_REASON_REQUIRED' });
+    assert.throws(() => FineService.waive({ chargeId: fine.id, amount: 12000, reason: 'Salah hitung' }), { code: 'INVALID_WAIVE_AMOUNT' });
+
+    FineService.waive({ chargeId: fine.id, amount: 4000, reason: 'Salah hitung' });
+    assert.strictEqual(fine.status, 'open');
+    assert.strictEqual(Charges.balanceOf(fine), 6000);
+    assert.strictEqual(member.fines, 6000);
+    assert.strictEqual(fine.waivers[0].reason, 'Salah hitung');
+
+    FineService.pay({ memberId: member.id, amount: 1000, chargeIds: [fine.id] });
+    const { amount } = FineService.waive({ chargeId: fine.id, reason: 'Keringanan' });
+    assert.strictEqual(amount, 5000);
+    assert.strictEqual(fine.status, 'waived');
+    assert.strictEqual(member.fines, 0);
+
+    assert.throws(() => FineService.waive({ chargeId: fine.id, reason: 'Lagi' }), { code: 'CHARGE_CLOSED' });
+});
+
+test('tagihan yang dibatalkan tidak ditagih lagi dan yang sudah dibayar dikembalikan', () => {
+    const member = MemberService.create({ name: 'Andi' });
+    const fine = charge(member, 50000, '2026-04-01');
+    FineService.pay({ memberId: member.id, amount: 20000 });
+
+    const refund = Charges.reverse(fine, { reason: 'Buku ditemukan', by: 'admin' });
+    Charges.syncMember(database, member);
+    assert.strictEqual(refund, 20000);
+    assert.strictEqual(fine.status, 'reversed');
+    assert.strictEqual(Charges.balanceOf(fine), 0);
+    assert.strictEqual(member.fines, 0);
+    assert.throws(() => FineService.pay({ memberId: member.id, amount: 1000, chargeIds: [fine.id] }), { code: 'CHARGE_CLOSED' });
+});
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Backup dari setiap penyimpanan ditulis ke direktori sementara
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'perpustakaan-journal-'));
+process.chdir(root);
+
+const JsonStorage = require('../lib/storage/json-storage');
+
+const file = path.join(root, 'library_data.json');
+const journalFile = JsonStorage.journalPath(file);
+
+function book(id, title) {
+    return { id, title, author: 'Penulis', copies: 1, availableCopies: 1 };
+}
+
+before(() => {
+    new JsonStorage({ file }).save({ books: [book('B1', 'Bumi Manusia')], members: [], transactions: [], categories: ['Fiksi'] });
+});
+
+after(() => {
+    process.chdir(os.tmpdir());
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('perubahan di jurnal diputar ulang jika file data tidak sempat ditulis', () => {
+    const storage = new JsonStorage({ file });
+    const data = storage.load();
+    const saved = fs.readFileSync(file, 'utf8');
+
+    data.books[0].title = 'Anak Semua Bangsa';
+    data.books.push(book('B2', 'Jejak Langkah'));
+    data.categories = ['Fiksi', 'Sejarah'];
+    storage.save(data);
+
+    // Proses terhenti setelah jurnal ditulis tapi sebelum file data diganti,
+    // dan baris jurnal berikutnya terpotong di tengah
+    fs.writeFileSync(file, saved);
+    const intact = fs.readFileSync(journalFile, 'utf8');
+    fs.appendFileSync(journalFile, '{"seq":3,"time":"2026-10-19T08:00:00.000Z","changes":[{"op":"del');
+
+    const reloaded = new JsonStorage({ file });
+    const loaded = reloaded.load();
+    assert.strictEqual(reloaded.replayed, 1);
+    assert.deepStrictEqual(loaded.books.map(b => b.title), ['Anak Semua Bangsa', 'Jejak Langkah']);
+    assert.deepStrictEqual(loaded.categories, ['Fiksi', 'Sejarah']);
+
+    // Baris terpotong dibuang supaya entri berikutnya tetap terbaca
+    assert.strictEqual(fs.readFileSync(journalFile, 'utf8'), intact);
+    assert.strictEqual(reloaded.journal.read().damaged, false);
+
+    loaded.books.splice(0, 1);
+    reloaded.save(loaded);
+    const { entries } = reloaded.journal.read();
+    assert.deepStrictEqual(entries.map(entry => entry.seq), [1, 2, 3]);
+    assert.deepStrictEqual(entries[2].changes, [{ op: 'delete', key: 'books', id: 'B1' }]);
+});
+
+test('entri jurnal dengan checksum salah tidak diputar ulang', () => {
+    const storage = new JsonStorage({ file });
+    const data = storage.load();
+    const saved = fs.readFileSync(file, 'utf8');
+
+    data.books[0].title = 'Rumah Kaca';
+    storage.save(data);
+    fs.writeFileSync(file, saved);
+
+    // Isi entri terakhir diubah tanpa memperbarui checksumnya
+    const lines = fs.readFileSync(journalFile, 'utf8').trim().split('\n');
+    lines[lines.length - 1] = lines[lines.length - 1].replace('Rumah Kaca', 'Palsu');
+    fs.writeFileSync(journalFile, lines.join('\n') + '\n');
+
+    const reloaded = new JsonStorage({ file });
+    assert.deepStrictEqual(reloaded.load().books.map(b => b.title), ['Jejak Langkah']);
+    assert.strictEqual(reloaded.replayed, 0);
+    assert.strictEqual(reloaded.journal.read().entries.length, lines.length - 1);
+});
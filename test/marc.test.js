@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const Marc = require('../lib/marc');
+
+const book = {
+    id: '82BF2F1C',
+    title: 'Bumi Manusia & <Anak> Semua Bangsa',
+    author: 'Pramoedya Ananta Toer',
+    isbn: '978-979-97312-3-4',
+    publisher: 'Hasta Mitra',
+    year: 1980,
+    pages: 535,
+    description: 'Kisah Minke, pemuda pribumi di akhir abad ke-19. Café, naïve: "kutip" juga.',
+    category: 'Fiksi',
+    location: 'Rak B2',
+    addedDate: '2026-01-15T08:00:00.000Z'
+};
+
+const expected = {
+    title: book.title,
+    author: book.author,
+    isbn: book.isbn,
+    publisher: book.publisher,
+    year: '1980',
+    pages: '535',
+    description: book.description,
+    subjects: ['Fiksi'],
+    location: 'Rak B2'
+};
+
+// Tulis record sebagai ISO 2709 (UTF-8); panjang dan posisi dihitung dalam byte
+function toBinary(record) {
+    const bodies = record.fields.map(field => Buffer.from(
+        (field.subfields
+            ? field.ind1 + field.ind2 + field.subfields.map(({ code, value }) => `\x1F${code}${value}`).join('')
+            : field.value) + '\x1E',
+        'utf8'
+    ));
+
+    let offset = 0;
+    const directory = record.fields.map((field, index) => {
+        const entry = field.tag + String(bodies[index].length).padStart(4, '0') + String(offset).padStart(5, '0');
+        offset += bodies[index].length;
+        return entry;
+    }).join('') + '\x1E';
+
+    const base = 24 + directory.length;
+    const leader = String(base + offset + 1).padStart(5, '0') + record.leader.slice(5, 9) + 'a' +
+        record.leader.slice(10, 12) + String(base).padStart(5, '0') + record.leader.slice(17);
+    return Buffer.concat([Buffer.from(leader + directory, 'latin1'), ...bodies, Buffer.from([0x1D])]);
+}
+
+test('buku -> MARCXML -> buku tidak mengubah isinya', () => {
+    const xml = Marc.toXml([Marc.fromBook(book)]);
+    assert.match(xml, /Bumi Manusia &amp; &lt;Anak&gt;/);
+
+    const records = Marc.parseXml(xml);
+    assert.strictEqual(records.length, 1);
+    assert.deepStrictEqual(Marc.toBook(records[0]), expected);
+});
+
+test('MARCXML dengan awalan namespace, CDATA dan entitas angka', () => {
+    const xml = '<marc:collection xmlns:marc="http://www.loc.gov/MARC21/slim"><marc:record>' +
+        '<marc:leader>00000nam a2200000 i 4500</marc:leader>' +
+        '<marc:datafield tag="245" ind1="1" ind2="0"><marc:subfield code="a">Caf&#xE9; <![CDATA[& <Kopi>]]> /</marc:subfield></marc:datafield>' +
+        '</marc:record></marc:collection>';
+    assert.strictEqual(Marc.toBook(Marc.parseXml(xml)[0]).title, 'Café & <Kopi>');
+});
+
+test('buku -> MARC21 biner -> buku, dengan huruf beraksen dihitung dalam byte', () => {
+    const records = Marc.parseBinary(Buffer.concat([toBinary(Marc.fromBook(book)), toBinary(Marc.fromBook({ ...book, title: 'Kedua' }))]));
+    assert.strictEqual(records.length, 2);
+    assert.deepStrictEqual(Marc.toBook(records[0]), expected);
+    assert.strictEqual(Marc.toBook(records[1]).title, 'Kedua');
+});
+
+test('record biner yang rusak dilaporkan tanpa menggagalkan record lain', () => {
+    const good = toBinary(Marc.fromBook(book));
+
+    const badBase = Buffer.from(good);
+    badBase.write('99999', 12, 'latin1');
+
+    const badDirectory = Buffer.from(good);
+    badDirectory.write('0X', 27, 'latin1');
+
+    const truncated = Buffer.concat([good.subarray(0, good.length - 40), Buffer.from([0x1D])]);
+
+    const records = Marc.parseBinary(Buffer.concat([
+        Buffer.from('terlalu pendek\x1D', 'latin1'),
+        badBase,
+        badDirectory,
+        truncated,
+        good
+    ]));
+
+    assert.deepStrictEqual(records.slice(0, 4).map(record => record.error), [
+        'Record terlalu pendek untuk berisi leader',
+        'Alamat data di leader tidak valid: "99999"',
+        'Direktori record rusak di posisi 24',
+        records[3].error
+    ]);
+    assert.match(records[3].error, /^Field \d{3} melewati akhir record$/);
+    assert.deepStrictEqual(Marc.toBook(records[4]), expected);
+});
+
+test('MARCXML yang rusak ditolak sebagai MARC_INVALID', () => {
+    assert.throws(() => Marc.parseXml('<collection><record><leader>x</leader>'), { code: 'MARC_INVALID' });
+
+    ['&#99999999;', '&#x110000;', '&#xD800;'].forEach(entity => {
+        const xml = `<collection><record><datafield tag="245" ind1="0" ind2="0"><subfield code="a">A ${entity}</subfield></datafield></record></collection>`;
+        assert.throws(() => Marc.parseXml(xml), error => error.code === 'MARC_INVALID' && error.message.includes(entity));
+    });
+});
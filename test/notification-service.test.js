@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// File data, backup dan log audit ditulis ke direktori sementara
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'perpustakaan-notice-'));
+process.chdir(root);
+
+const DataManager = require('../lib/data-manager');
+const { database } = require('../lib/database');
+const { SmtpSink } = require('../lib/smtp');
+const BookService = require('../lib/services/book-service');
+const MemberService = require('../lib/services/member-service');
+const TransactionService = require('../lib/services/transaction-service');
+const NotificationService = require('../lib/services/notification-service');
+
+const DAY = 24 * 60 * 60 * 1000;
+const messages = [];
+const sink = new SmtpSink({ onMessage: message => messages.push(message) });
+let sinkPort;
+
+// Pengaturan SMTP lewat variabel lingkungan supaya tetap berlaku setiap kali
+// pengaturan dihitung ulang (misal setelah data disimpan)
+function useSmtp(port) {
+    Object.assign(process.env, {
+        PERPUSTAKAAN_SMTP_HOST: '127.0.0.1',
+        PERPUSTAKAAN_SMTP_PORT: String(port),
+        PERPUSTAKAAN_SMTP_SECURITY: 'none',
+        PERPUSTAKAAN_SMTP_FROM: 'Perpustakaan <perpustakaan@example.test>',
+        PERPUSTAKAAN_NOTICE_DAYS_BEFORE: '2'
+    });
+    DataManager.applySettings();
+}
+
+// Port lokal yang tidak dipakai siapa pun, untuk pengiriman yang gagal
+function closedPort() {
+    return new Promise(resolve => {
+        const server = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+function borrow(name, email) {
+    const member = MemberService.create({ name, email });
+    const book = BookService.create({ title: `Buku ${name}`, author: 'Penulis', category: 'Fiksi' });
+    return TransactionService.borrow({ memberId: member.id, bookId: book.id }).transaction;
+}
+
+// Sehari sebelum jatuh tempo, jadi pengingat jatuh tempo sudah waktunya dikirim
+function dayBefore(transaction) {
+    return new Date(new Date(transaction.dueDate).getTime() - DAY);
+}
+
+before(async () => {
+    DataManager.quiet = true;
+    DataManager.loadData();
+    sinkPort = (await sink.listen({ port: 0 })).port;
+    useSmtp(sinkPort);
+});
+
+after(async () => {
+    await sink.close();
+    DataManager.getStorage().close();
+    process.chdir(os.tmpdir());
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('pinjaman yang akan jatuh tempo dikirimi satu email, dan tidak dikirim ulang', async () => {
+    const transaction = borrow('Budi', 'budi@example.test');
+    const now = dayBefore(transaction);
+
+    const first = await NotificationService.run({ now });
+    assert.strictEqual(first.sent.length, 1);
+    assert.strictEqual(first.failed.length, 0);
+    assert.strictEqual(messages.length, 1);
+    assert.deepStrictEqual(messages[0].to, ['budi@example.test']);
+    assert.match(messages[0].text, /Buku Budi/);
+
+    const second = await NotificationService.run({ now });
+    assert.strictEqual(second.sent.length, 0);
+    assert.strictEqual(messages.length, 1);
+    assert.strictEqual(NotificationService.listLog({ memberId: transaction.memberId }).length, 1);
+});
+
+test('pengiriman yang gagal dicatat dan dicoba lagi di jalankan berikutnya', async () => {
+    const transaction = borrow('Siti', 'siti@example.test');
+    const now = dayBefore(transaction);
+    const before = messages.length;
+
+    useSmtp(await closedPort());
+    const failed = await NotificationService.run({ now });
+    assert.strictEqual(failed.sent.length, 0);
+    assert.strictEqual(failed.failed.length, 1);
+    assert.strictEqual(messages.length, before);
+
+    const [entry] = NotificationService.listLog({ memberId: transaction.memberId });
+    assert.strictEqual(entry.status, 'failed');
+    assert.ok(entry.error);
+    assert.ok(database.notices.includes(entry));
+
+    useSmtp(sinkPort);
+    const retried = await NotificationService.run({ now });
+    assert.strictEqual(retried.sent.length, 1);
+    assert.strictEqual(retried.sent[0].key, entry.key);
+    assert.strictEqual(messages.length, before + 1);
+    assert.deepStrictEqual(messages[messages.length - 1].to, ['siti@example.test']);
+    assert.deepStrictEqual(NotificationService.listLog({ memberId: transaction.memberId }).map(n => n.status).sort(), ['failed', 'sent']);
+});
@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// File data, backup dan log audit ditulis ke direktori sementara
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'perpustakaan-api-'));
+process.chdir(root);
+
+const CONFIG = require('../lib/config');
+const DataManager = require('../lib/data-manager');
+const { database } = require('../lib/database');
+const AuthService = require('../lib/services/auth-service');
+const ApiServer = require('../lib/server');
+
+const ADMIN = 'Basic ' + Buffer.from('admin:password12').toString('base64');
+let server;
+let base;
+
+async function request(method, pathname, { body, auth = ADMIN } = {}) {
+    const response = await fetch(base + pathname, {
+        method,
+        headers: {
+            ...(auth ? { Authorization: auth } : {}),
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+    DataManager.quiet = true;
+    DataManager.loadData();
+    AuthService.create({ username: 'admin', role: 'admin', password: 'password12' });
+
+    server = ApiServer.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    DataManager.getStorage().close();
+    process.chdir(os.tmpdir());
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('permintaan tanpa login ditolak dengan 401', async () => {
+    const { status, body } = await request('GET', '/api/books', { auth: null });
+    assert.strictEqual(status, 401);
+    assert.strictEqual(body.error.code, 'LOGIN_REQUIRED');
+});
+
+test('buku yang ditambahkan bisa diambil lagi', async () => {
+    const created = await request('POST', '/api/books', { body: { title: 'Laskar Pelangi', author: 'Andrea Hirata', category: 'Fiksi' } });
+    assert.strictEqual(created.status, 201);
+
+    const { status, body } = await request('GET', `/api/books/${created.body.id}`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.title, 'Laskar Pelangi');
+    assert.strictEqual(body.items.length, 1);
+});
+
+test('endpoint dan metode yang tidak dikenal', async () => {
+    assert.strictEqual((await request('GET', '/api/nothing')).status, 404);
+
+    const { status, body } = await request('PUT', '/api/books');
+    assert.strictEqual(status, 405);
+    assert.strictEqual(body.error.code, 'METHOD_NOT_ALLOWED');
+});
+
+test('escape % yang salah di path menghasilkan 400, bukan 500', async () => {
+    const { status, body } = await request('GET', '/api/books/%E0%A4%A');
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error.code, 'INVALID_PATH');
+});
+
+test('GET reservasi tidak menyimpan; hold yang lewat batas diproses lewat expire', async () => {
+    const book = (await request('POST', '/api/books', { body: { title: 'Bumi Manusia', author: 'Pramoedya', category: 'Fiksi' } })).body;
+    const budi = (await request('POST', '/api/members', { body: { name: 'Budi' } })).body;
+    const siti = (await request('POST', '/api/members', { body: { name: 'Siti' } })).body;
+
+    const loan = await request('POST', '/api/transactions', { body: { memberId: budi.id, bookId: book.id } });
+    assert.strictEqual(loan.status, 201);
+    const reservation = (await request('POST', '/api/reservations', { body: { memberId: siti.id, bookId: book.id } })).body;
+    const returned = await request('POST', `/api/transactions/${loan.body.id}/return`, { body: {} });
+    assert.strictEqual(returned.body.hold.id, reservation.id);
+
+    // Batas pengambilan sudah lewat
+    database.reservations.find(r => r.id === reservation.id).holdExpires = new Date(Date.now() - 60000).toISOString();
+    DataManager.persist();
+    const saved = fs.readFileSync(CONFIG.DATA_FILE, 'utf8');
+
+    const listed = await request('GET', '/api/reservations');
+    assert.strictEqual(listed.status, 200);
+    assert.deepStrictEqual(listed.body, []);
+    assert.strictEqual(fs.readFileSync(CONFIG.DATA_FILE, 'utf8'), saved);
+    assert.strictEqual(database.reservations.find(r => r.id === reservation.id).status, 'ready');
+
+    const expired = await request('POST', '/api/reservations/expire');
+    assert.strictEqual(expired.status, 200);
+    assert.deepStrictEqual(expired.body.map(r => [r.id, r.status]), [[reservation.id, 'expired']]);
+    assert.strictEqual((await request('GET', `/api/books/${book.id}`)).body.items[0].status, 'available');
+});
@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SqliteStorage = require('../lib/storage/sqlite-storage');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'perpustakaan-sqlite-'));
+const file = path.join(root, 'library_data.sqlite');
+const storages = [];
+
+function open() {
+    const storage = new SqliteStorage({ file });
+    storages.push(storage);
+    return storage;
+}
+
+const books = [{ id: 'B1', title: 'Bumi Manusia', copies: 1 }];
+const members = [{ id: 'M1', name: 'Budi', borrowedBooks: [], fines: 0 }];
+
+before(() => {
+    open().save({ books, members });
+});
+
+after(() => {
+    storages.forEach(storage => storage.close());
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('simpanan proses lain di tengah load() tidak tertimpa oleh save() berikutnya', () => {
+    const reader = open();
+    const writer = open();
+    const loaded = writer.load();
+
+    // Proses lain menyimpan tepat setelah tabel pertama selesai dibaca
+    const fromRow = reader.fromRow;
+    let committed = false;
+    reader.fromRow = function (row, columns) {
+        if (!committed && row.id === 'B1') {
+            committed = true;
+            writer.save({ ...loaded, members: [{ ...loaded.members[0], name: 'Budi Santoso' }] });
+        }
+        return fromRow.call(this, row, columns);
+    };
+
+    const data = reader.load();
+    reader.fromRow = fromRow;
+    assert.ok(committed);
+
+    // Pembacaan berasal dari satu snapshot, jadi masih data lama...
+    assert.strictEqual(data.members[0].name, 'Budi');
+    assert.strictEqual(reader.hasExternalChanges(), true);
+
+    // ...dan perubahannya digabung dengan simpanan proses lain, bukan menimpanya
+    const merged = reader.save({ ...data, books: [{ ...data.books[0], copies: 2 }] });
+    assert.ok(merged);
+    assert.strictEqual(merged.members[0].name, 'Budi Santoso');
+    assert.strictEqual(merged.books[0].copies, 2);
+
+    const stored = open().load();
+    assert.strictEqual(stored.members[0].name, 'Budi Santoso');
+    assert.strictEqual(stored.books[0].copies, 2);
+});
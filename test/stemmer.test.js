@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { stem } = require('../lib/stemmer');
+const SearchIndex = require('../lib/search-index');
+
+function book(id, title) {
+    return { id, title, author: 'Penulis', category: 'Umum' };
+}
+
+function titles(books, query) {
+    return SearchIndex.search(books, query).map(result => result.book.title);
+}
+
+test('awalan me-/pe-/di-/ber-/ter- dan akhiran -kan/-an/-i menjadi kata dasar yang sama', () => {
+    const groups = [
+        ['baca', 'membaca', 'dibaca', 'bacaan', 'pembaca', 'pembacaan'],
+        ['tulis', 'menulis', 'penulis', 'tulisan', 'ditulis'],
+        ['kerja', 'bekerja', 'pekerja', 'pekerjaan'],
+        ['didik', 'mendidik', 'pendidikan'],
+        ['beri', 'memberikan', 'diberikan', 'pemberian'],
+        ['baik', 'memperbaiki', 'diperbaiki', 'perbaikan'],
+        ['ajar', 'belajar', 'pelajaran', 'mempelajari'],
+        ['dasar', 'berdasarkan'],
+        ['main', 'bermain', 'permainan']
+    ];
+
+    groups.forEach(([root, ...words]) => {
+        words.forEach(word => assert.strictEqual(stem(word), stem(root), `${word} -> ${stem(word)}, ${root} -> ${stem(root)}`));
+    });
+});
+
+test('kata dasar yang diawali ke-/se-/di- atau diakhiri -lah tidak terpotong', () => {
+    assert.strictEqual(stem('kerja'), 'kerja');
+    assert.strictEqual(stem('sehat'), 'sehat');
+    assert.strictEqual(stem('didik'), 'didik');
+    assert.strictEqual(stem('masalah'), 'masalah');
+    assert.strictEqual(stem('kesehatan'), stem('sehat'));
+    assert.strictEqual(stem('sekolahnya'), stem('sekolah'));
+    assert.notStrictEqual(stem('diberikan'), stem('ikan'));
+});
+
+test('akhiran bahasa Inggris', () => {
+    assert.strictEqual(stem('libraries'), 'library');
+    assert.strictEqual(stem('books'), 'book');
+});
+
+test('pencarian memakan kata dasar yang sama untuk kueri dan indeks', () => {
+    const books = [
+        book('B1', 'Bekerja dengan Hati'),
+        book('B2', 'Kesehatan Anak'),
+        book('B3', 'Sekolahnya Jauh'),
+        book('B4', 'Pendidikan Dasar'),
+        book('B5', 'Hadiah yang Diberikan'),
+        book('B6', 'Ikan Laut'),
+        book('B7', 'Membaca Cepat')
+    ];
+
+    assert.deepStrictEqual(titles(books, 'kerja'), ['Bekerja dengan Hati']);
+    assert.deepStrictEqual(titles(books, 'sehat'), ['Kesehatan Anak']);
+    assert.deepStrictEqual(titles(books, 'sekolah'), ['Sekolahnya Jauh']);
+    assert.deepStrictEqual(titles(books, 'mendidik'), ['Pendidikan Dasar']);
+    assert.deepStrictEqual(titles(books, 'didik'), ['Pendidikan Dasar']);
+    assert.deepStrictEqual(titles(books, 'ikan'), ['Ikan Laut']);
+    assert.deepStrictEqual(titles(books, 'memberikan'), ['Hadiah yang Diberikan']);
+    assert.deepStrictEqual(titles(books, 'bacaan'), ['Membaca Cepat']);
+});
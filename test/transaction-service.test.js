@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// File data, backup dan log audit ditulis ke direktori sementara
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'perpustakaan-loans-'));
+process.chdir(root);
+
+const CONFIG = require('../lib/config');
+const DataManager = require('../lib/data-manager');
+const { database } = require('../lib/database');
+const BookService = require('../lib/services/book-service');
+const ItemService = require('../lib/services/item-service');
+const MemberService = require('../lib/services/member-service');
+const FineService = require('../lib/services/fine-service');
+const TransactionService = require('../lib/services/transaction-service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function loan(name, { daysAgo = 0 } = {}) {
+    const member = MemberService.create({ name });
+    const book = BookService.create({ title: `Buku ${name}`, author: 'Penulis', category: 'Fiksi', price: 80000 });
+    const { transaction } = TransactionService.borrow({ memberId: member.id, bookId: book.id, now: new Date(Date.now() - daysAgo * DAY) });
+    return { member, book, transaction };
+}
+
+function chargesOf(transaction) {
+    return database.charges.filter(c => c.transactionId === transaction.id);
+}
+
+before(() => {
+    DataManager.quiet = true;
+    DataManager.loadData();
+});
+
+after(() => {
+    process.chdir(os.tmpdir());
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('buku hilang ditagih harga buku dan biaya administrasi, dan eksemplarnya keluar dari koleksi', () => {
+    const { member, book, transaction } = loan('Budi');
+
+    const { charges } = TransactionService.resolveLoan({ transactionId: transaction.id, outcome: 'lost' });
+    assert.deepStrictEqual(charges.map(c => [c.type, c.amount]), [['replacement', 80000], ['processing_fee', CONFIG.PROCESSING_FEE]]);
+    assert.strictEqual(member.fines, 80000 + CONFIG.PROCESSING_FEE);
+    assert.strictEqual(transaction.status, 'lost');
+    assert.strictEqual(ItemService.get(transaction.itemId).status, 'lost');
+    assert.strictEqual(book.copies, 0);
+    assert.deepStrictEqual(member.borrowedBooks, []);
+
+    assert.throws(() => TransactionService.resolveLoan({ transactionId: transaction.id, outcome: 'lost' }), { code: 'ALREADY_RETURNED' });
+});
+
+test('biaya penggantian wajib diisi jika harga buku kosong', () => {
+    const { book, transaction } = loan('Siti');
+    book.price = null;
+
+    assert.throws(() => TransactionService.resolveLoan({ transactionId: transaction.id, outcome: 'damaged' }), { code: 'BOOK_PRICE_REQUIRED' });
+
+    const { item } = TransactionService.resolveLoan({ transactionId: transaction.id, outcome: 'damaged', replacementCost: 45000 });
+    assert.strictEqual(item.status, 'withdrawn');
+    assert.strictEqual(item.condition, 'damaged');
+    assert.throws(() => TransactionService.markFound({ transactionId: transaction.id }), { code: 'LOAN_NOT_MISSING' });
+});
+
+test('buku yang ditemukan membatalkan tagihan penggantian, mengembalikan yang sudah dibayar, denda keterlambatan tetap', () => {
+    const { member, book, transaction } = loan('Andi', { daysAgo: 30 });
+
+    TransactionService.resolveLoan({ transactionId: transaction.id, outcome: 'claimed_returned' });
+    const [overdue, replacement, fee] = chargesOf(transaction);
+    assert.strictEqual(overdue.type, 'overdue');
+    assert.ok(overdue.amount > 0);
+    assert.strictEqual(ItemService.get(transaction.itemId).status, 'claimed');
+
+    // Status eksemplar hanya bisa dikembalikan lewat alur "ditemukan"
+    assert.throws(() => ItemService.update(transaction.itemId, { status: 'available' }), { code: 'ITEM_MISSING' });
+
+    // Pembayaran melunasi denda keterlambatan lalu sebagian biaya penggantian
+    FineService.pay({ memberId: member.id, amount: overdue.amount + 30000 });
+
+    const found = TransactionService.markFound({ transactionId: transaction.id, condition: 'fair' });
+    assert.strictEqual(found.refund, 30000);
+    assert.deepStrictEqual(found.charges.map(c => c.id), [replacement.id, fee.id]);
+    assert.strictEqual(replacement.status, 'reversed');
+    assert.strictEqual(fee.status, 'reversed');
+    assert.strictEqual(overdue.status, 'paid');
+    assert.strictEqual(member.fines, 0);
+
+    assert.strictEqual(transaction.status, 'returned');
+    assert.strictEqual(found.item.status, 'available');
+    assert.strictEqual(found.item.condition, 'fair');
+    assert.strictEqual(book.availableCopies, 1);
+});